@@ -0,0 +1,86 @@
+// server/apiKeys.js
+// Named API keys for scripts and integrations, created by admins. A key is sent like a user token
+// (Authorization: Bearer hrk_... or X-API-Key: hrk_...) and is limited to its scopes (see
+// permissions.js API_KEY_SCOPES). The key itself is shown once at creation; only its sha256 hash
+// and a short prefix (to recognise it in the list) are stored in `api_keys`. A key only works in
+// its workspace (workspaceId).
+const crypto = require('crypto');
+
+const API_KEYS_COLLECTION = 'api_keys';
+const API_KEY_PREFIX = 'hrk_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // lastUsedAt is written at most once a minute per key
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+// the fields the API hands out (never the hash)
+function publicApiKey(doc) {
+  if (!doc) return null;
+  const { id, name, prefix, scopes, workspaceId, createdBy, createdAt, expiresAt, lastUsedAt, lastUsedIp, revokedAt, revokedBy } = doc;
+  return { id, name, prefix, scopes: scopes || [], workspaceId: workspaceId || null, createdBy: createdBy || null, createdAt, expiresAt: expiresAt || null, lastUsedAt: lastUsedAt || null, lastUsedIp: lastUsedIp || null, revokedAt: revokedAt || null, revokedBy: revokedBy || null };
+}
+
+function isUsable(doc, now = Date.now()) {
+  return !!doc && !doc.revokedAt && (!doc.expiresAt || new Date(doc.expiresAt).getTime() > now);
+}
+
+function createApiKeys({ getStore, newId }) {
+  const col = () => getStore().collection(API_KEYS_COLLECTION);
+
+  // -> { apiKey (stored document), key (plain text, only returned here) }
+  async function create({ name, scopes, workspaceId = null, expiresAt = null, createdBy = null }) {
+    const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const doc = {
+      id: newId('key'),
+      name,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: hashKey(key),
+      scopes,
+      workspaceId,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null
+    };
+    await col().insert(doc);
+    return { apiKey: doc, key };
+  }
+
+  async function list() {
+    return col().find({}, { sort: { createdAt: -1 } });
+  }
+  async function get(id) {
+    return col().findById(id);
+  }
+
+  // -> the key document when `key` is valid, otherwise null; records when it was last used
+  async function authenticate(key, { ip = null } = {}) {
+    if (!isApiKey(key)) return null;
+    const doc = await col().findOne({ keyHash: hashKey(key) });
+    if (!isUsable(doc)) return null;
+    const now = Date.now();
+    if (!doc.lastUsedAt || now - new Date(doc.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+      const patch = { lastUsedAt: new Date(now).toISOString(), lastUsedIp: ip };
+      await col().update(doc.id, patch);
+      Object.assign(doc, patch);
+    }
+    return doc;
+  }
+
+  async function revoke(id, { by = null } = {}) {
+    const doc = await get(id);
+    if (!doc) return null;
+    if (doc.revokedAt) return doc;
+    return col().update(id, { revokedAt: new Date().toISOString(), revokedBy: by });
+  }
+
+  return { create, list, get, authenticate, revoke };
+}
+
+module.exports = { createApiKeys, publicApiKey, isApiKey, isUsable, API_KEYS_COLLECTION };
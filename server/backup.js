@@ -0,0 +1,105 @@
+// backup.js
+// Export every collection of the configured store to a versioned archive, or restore one into it.
+// Works across backends, so it is also how data moves between file / SQLite / Mongo mode.
+//   node backup.js export [file] [--with-uploads]          default file: backups/hrtool-<timestamp>.json.gz
+//   node backup.js restore <file> [--dry-run] [--replace] [--skip-uploads]
+// --driver <file|sqlite|mongo> (and --data-dir / --db) override STORAGE_DRIVER etc. for either command,
+// e.g. `node backup.js export a.json.gz --driver file` then `node backup.js restore a.json.gz --driver mongo`.
+// A restore prints the per-collection diff first; use --dry-run to stop there.
+// Archives hold password and API key hashes (see storage/backup.js): keep them somewhere private.
+// The file store can only be opened while the server is stopped (it holds server_data/store.lock);
+// with the server running use the Backup page of the dashboard instead.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { openStore, storeOptionsFromEnv } = require('./storage');
+const { exportBackup, serializeBackup, parseBackup, restoreBackup } = require('./storage/backup');
+const { runPending } = require('./migrations');
+
+function argValue(flag, fallback) {
+  const idx = process.argv.indexOf(flag);
+  return idx !== -1 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+function hasFlag(flag) { return process.argv.includes(flag); }
+// first positional argument after the command
+function positional() {
+  const rest = process.argv.slice(3);
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) { if (['--driver', '--data-dir', '--db'].includes(rest[i])) i++; continue; }
+    return rest[i];
+  }
+  return null;
+}
+
+function storeOptions() {
+  const options = storeOptionsFromEnv();
+  const driver = argValue('--driver', null);
+  if (driver) options.driver = driver;
+  if (argValue('--data-dir', null)) options.dataDir = path.resolve(argValue('--data-dir'));
+  if (argValue('--db', null)) options.sqlitePath = path.resolve(argValue('--db'));
+  return options;
+}
+
+function printPlan(plan) {
+  Object.keys(plan.collections).forEach(name => {
+    const c = plan.collections[name];
+    console.log(`  ${name}: insert=${c.insert}, update=${c.update}, unchanged=${c.unchanged}, remove=${c.remove}${c.skipped ? `, skipped(no id)=${c.skipped}` : ''}`);
+  });
+  if (plan.uploads) console.log(`  uploads: add=${plan.uploads.add}, overwrite=${plan.uploads.overwrite}`);
+}
+
+async function run() {
+  const command = process.argv[2];
+  if (!['export', 'restore'].includes(command)) {
+    console.error('Usage: node backup.js export [file] [--with-uploads] | restore <file> [--dry-run] [--replace] [--skip-uploads]');
+    process.exit(1);
+  }
+  const file = positional();
+  if (command === 'restore' && !file) {
+    console.error('restore needs the backup file to read');
+    process.exit(1);
+  }
+
+  const options = storeOptions();
+  const uploadsDir = path.join(options.dataDir, 'uploads'); // resumes saved locally by the server
+  const store = await openStore(options);
+  console.log(`Using ${store.kind} store`);
+  try {
+    if (command === 'export') {
+      const target = path.resolve(file || path.join(__dirname, 'backups', `hrtool-${new Date().toISOString().replace(/[:.]/g, '-')}.json.gz`));
+      const archive = await exportBackup(store, { includeUploads: hasFlag('--with-uploads'), uploadsDir });
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, serializeBackup(archive, { gzip: target.endsWith('.gz') }));
+      Object.keys(archive.collections).forEach(name => console.log(`  ${name}: ${archive.collections[name].length}`));
+      if (archive.uploads) console.log(`  uploads: ${archive.uploads.length}`);
+      console.log('Backup written to', target);
+      return;
+    }
+
+    const archive = parseBackup(fs.readFileSync(path.resolve(file)));
+    const restoreOptions = {
+      mode: hasFlag('--replace') ? 'replace' : 'merge',
+      includeUploads: !hasFlag('--skip-uploads'),
+      uploadsDir
+    };
+    console.log(`Backup v${archive.version} from ${archive.source && archive.source.kind} store, created ${archive.createdAt} (mode: ${restoreOptions.mode})`);
+    const plan = await restoreBackup(store, archive, { ...restoreOptions, dryRun: true });
+    printPlan(plan);
+    if (hasFlag('--dry-run')) {
+      console.log('Dry run — nothing written.');
+      return;
+    }
+    await restoreBackup(store, archive, restoreOptions);
+    // an older backup may predate some migrations
+    const ran = await runPending(store);
+    if (ran.length) console.log(`Applied ${ran.length} migration(s): ${ran.join(', ')}`);
+    console.log('Restore complete.');
+  } finally {
+    await store.close();
+  }
+}
+
+run().catch(err => {
+  console.error('Backup failed', err && (err.code === 'invalid_backup' ? err.message : (err.stack || err.message)));
+  process.exit(1);
+});
@@ -1,36 +1,138 @@
 // server/db.js
+// SQLite schema for STORAGE_DRIVER=sqlite (see storage/sqliteStore.js).
+// Each table keeps the full document as JSON in `doc`; the other columns are copies of the
+// fields we filter/sort on so they can be indexed. Collections without a dedicated table
+// live in the generic `documents` table.
 const path = require('path');
-const Database = require('better-sqlite3');
-const dbPath = path.resolve(__dirname, 'data.db');
-const db = new Database(dbPath);
 
-db.exec(`
+const DEFAULT_DB_PATH = path.resolve(__dirname, 'data.db');
+
+// table -> indexed columns (mirrored from the JSON document on every write). The workspaceId /
+// fullName columns, the pipelines table and their indexes are added by
+// migrations/011-sqlite-workspace-columns.js; until it ran the store uses the columns that exist.
+const TABLE_COLUMNS = {
+  users: ['email', 'role', 'createdAt'],
+  openings: ['title', 'department', 'location', 'is_deleted', 'createdAt', 'workspaceId'],
+  forms: ['openingId', 'is_deleted', 'created_at', 'workspaceId'],
+  questions: ['type', 'label', 'createdAt', 'workspaceId'],
+  responses: ['openingId', 'stage', 'status', 'source', 'email', 'is_deleted', 'sheetRange', 'createdAt', 'updatedAt', 'workspaceId', 'fullName'],
+  audit: ['entity', 'entityId', 'action', 'actorId', 'at'],
+  jobs: ['type', 'state', 'runAt', 'createdAt'],
+  sessions: ['userId', 'expiresAt', 'revokedAt', 'createdAt'],
+  api_keys: ['keyHash', 'createdAt'],
+  pipelines: ['workspaceId', 'name', 'createdAt']
+};
+
+const SCHEMA = `
 CREATE TABLE IF NOT EXISTS users (
   id TEXT PRIMARY KEY,
   email TEXT UNIQUE,
-  name TEXT,
   role TEXT,
-  createdAt TEXT
+  createdAt TEXT,
+  doc TEXT NOT NULL
 );
 
 CREATE TABLE IF NOT EXISTS openings (
   id TEXT PRIMARY KEY,
   title TEXT,
-  location TEXT,
   department TEXT,
-  preferredSources TEXT,
-  createdAt TEXT
+  location TEXT,
+  is_deleted INTEGER NOT NULL DEFAULT 0,
+  createdAt TEXT,
+  doc TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_openings_is_deleted ON openings (is_deleted, createdAt);
+
+CREATE TABLE IF NOT EXISTS forms (
+  id TEXT PRIMARY KEY,
+  openingId TEXT,
+  is_deleted INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT,
+  doc TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_forms_openingId ON forms (openingId);
+
+CREATE TABLE IF NOT EXISTS questions (
+  id TEXT PRIMARY KEY,
+  type TEXT,
+  label TEXT,
+  createdAt TEXT,
+  doc TEXT NOT NULL
 );
 
 CREATE TABLE IF NOT EXISTS responses (
   id TEXT PRIMARY KEY,
   openingId TEXT,
-  formId TEXT,
+  stage TEXT,
+  status TEXT,
   source TEXT,
-  answers TEXT,
-  resumeDriveLink TEXT,
-  createdAt TEXT
+  email TEXT,
+  is_deleted INTEGER NOT NULL DEFAULT 0,
+  sheetRange TEXT,
+  createdAt TEXT,
+  updatedAt TEXT,
+  doc TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_responses_opening_created ON responses (openingId, createdAt);
+CREATE INDEX IF NOT EXISTS idx_responses_stage_status ON responses (stage, status);
+CREATE INDEX IF NOT EXISTS idx_responses_email ON responses (email);
+CREATE INDEX IF NOT EXISTS idx_responses_created ON responses (createdAt);
+
+CREATE TABLE IF NOT EXISTS audit (
+  id TEXT PRIMARY KEY,
+  entity TEXT,
+  entityId TEXT,
+  action TEXT,
+  actorId TEXT,
+  at TEXT,
+  doc TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit (entity, entityId, at);
+CREATE INDEX IF NOT EXISTS idx_audit_at ON audit (at);
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  type TEXT,
+  state TEXT,
+  runAt TEXT,
+  createdAt TEXT,
+  doc TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_jobs_state_runAt ON jobs (state, runAt);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  userId TEXT,
+  expiresAt TEXT,
+  revokedAt TEXT,
+  createdAt TEXT,
+  doc TEXT NOT NULL
 );
-`);
+CREATE INDEX IF NOT EXISTS idx_sessions_userId ON sessions (userId);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  keyHash TEXT,
+  createdAt TEXT,
+  doc TEXT NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_keyHash ON api_keys (keyHash);
+
+CREATE TABLE IF NOT EXISTS documents (
+  collection TEXT NOT NULL,
+  id TEXT NOT NULL,
+  doc TEXT NOT NULL,
+  PRIMARY KEY (collection, id)
+);
+`;
+
+function openSqlite(dbPath = DEFAULT_DB_PATH) {
+  const Database = require('better-sqlite3');
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  return db;
+}
 
-module.exports = db;
+module.exports = { openSqlite, TABLE_COLUMNS, DEFAULT_DB_PATH };
@@ -0,0 +1,11 @@
+// server/ids.js
+// Collision-free ids that keep the `<prefix>_<timestamp>` shape (so they still sort by creation
+// time): the random suffix makes two documents created in the same millisecond distinct.
+// Shared by server.js and the migrations that create documents.
+const crypto = require('crypto');
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+module.exports = { newId };
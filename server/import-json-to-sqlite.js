@@ -0,0 +1,55 @@
+// import-json-to-sqlite.js
+// Copies everything in server_data/*.json (openings, forms, questions, data.json responses/users,
+// plus any other collection files) into the SQLite database used by STORAGE_DRIVER=sqlite.
+// Existing rows with the same id are overwritten, so the import can be re-run safely.
+//   node import-json-to-sqlite.js [--data-dir ./server_data] [--db ./data.db]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createFileStore } = require('./storage/fileStore');
+const { createSqliteStore } = require('./storage/sqliteStore');
+const { COLLECTIONS } = require('./storage/collections');
+
+function argValue(flag, fallback) {
+  const idx = process.argv.indexOf(flag);
+  return idx !== -1 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+
+const DATA_DIR = path.resolve(argValue('--data-dir', path.resolve(__dirname, 'server_data')));
+const DB_PATH = path.resolve(argValue('--db', process.env.SQLITE_PATH || path.resolve(__dirname, 'data.db')));
+
+async function run() {
+  if (!fs.existsSync(DATA_DIR)) {
+    console.error('Data directory not found:', DATA_DIR);
+    process.exit(1);
+  }
+  const source = createFileStore({ dataDir: DATA_DIR });
+  const target = createSqliteStore({ dbPath: DB_PATH });
+  console.log(`Importing ${DATA_DIR} -> ${DB_PATH}`);
+
+  // core collections plus any extra collections written by newer features
+  const extra = source.collectionNames().filter(name => !COLLECTIONS.includes(name));
+  const names = [...COLLECTIONS, ...extra];
+
+  try {
+    for (const name of names) {
+      const docs = await source.collection(name).find({});
+      let inserted = 0; let replaced = 0; let skipped = 0;
+      for (const doc of docs) {
+        if (!doc || !doc.id) { skipped++; continue; }
+        if (await target.collection(name).replace(doc.id, doc)) replaced++;
+        else { await target.collection(name).insert(doc); inserted++; }
+      }
+      console.log(`  ${name}: inserted=${inserted}, replaced=${replaced}, skipped(no id)=${skipped}`);
+    }
+    console.log('Import complete.');
+  } finally {
+    await target.close();
+    await source.close();
+  }
+}
+
+run().catch(err => {
+  console.error('Import failed', err && (err.stack || err.message));
+  process.exit(1);
+});
@@ -0,0 +1,187 @@
+// server/jobQueue.js
+// Durable outbox for side effects on external services (Google Sheets / Drive, email). Jobs live in the
+// `jobs` collection of the active store, so they survive restarts. A worker polls for due jobs and
+// retries failures with exponential backoff; after maxAttempts a job stays 'failed' until an admin
+// retries or discards it. Once an hour the worker also prunes finished jobs and runs the
+// `housekeeping` tasks it was given (expiring other short-lived records).
+//
+//   pending -> running -> done
+//                      -> pending (runAt pushed out) -> ... -> failed
+//   pending/failed -> discarded (admin)
+const JOBS_COLLECTION = 'jobs';
+const DONE_JOBS_KEEP_MS = 7 * 24 * 60 * 60 * 1000;
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+
+// exponential backoff with jitter, so a recovered API isn't hit by every job at once
+function backoffMs(attempt, baseMs, maxMs) {
+  const exp = Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt - 1)));
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+// A handler error with `permanent = true` fails the job immediately instead of retrying.
+function permanentJobError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+function createJobQueue({
+  getStore,
+  handlers,
+  newId,
+  pollMs = 5000,
+  maxAttempts = 8,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+  lockMs = 5 * 60 * 1000,
+  housekeeping = [],
+  logger = console
+}) {
+  const col = () => getStore().collection(JOBS_COLLECTION);
+  let timer = null;
+  let working = false;
+  let again = false;
+  let lastPrune = 0;
+  let paused = false;
+
+  async function enqueue(type, payload = {}, opts = {}) {
+    if (!handlers[type]) throw new Error(`unknown job type: ${type}`);
+    const now = new Date().toISOString();
+    const job = {
+      id: newId('job'),
+      type,
+      payload,
+      state: 'pending',
+      attempts: 0,
+      maxAttempts: opts.maxAttempts || maxAttempts,
+      runAt: opts.runAt || now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    await col().insert(job);
+    kick();
+    return job;
+  }
+
+  async function runJob(job) {
+    const now = Date.now();
+    // claim it: the where clause lets only one worker move a job out of 'pending'
+    const claimed = await col().update(job.id, {
+      state: 'running',
+      attempts: (job.attempts || 0) + 1,
+      lockedUntil: new Date(now + lockMs).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    }, { where: { state: 'pending' } });
+    if (!claimed) return;
+
+    try {
+      const result = await handlers[claimed.type](claimed.payload || {}, claimed);
+      const doneAt = new Date().toISOString();
+      await col().update(claimed.id, { state: 'done', result: result === undefined ? null : result, lastError: null, lockedUntil: null, completedAt: doneAt, updatedAt: doneAt });
+    } catch (err) {
+      const message = (err && err.message) || String(err);
+      const giveUp = !!(err && err.permanent) || claimed.attempts >= claimed.maxAttempts;
+      const patch = { lastError: message, lockedUntil: null, updatedAt: new Date().toISOString() };
+      if (giveUp) {
+        patch.state = 'failed';
+        patch.failedAt = patch.updatedAt;
+      } else {
+        patch.state = 'pending';
+        patch.runAt = new Date(Date.now() + backoffMs(claimed.attempts, baseDelayMs, maxDelayMs)).toISOString();
+      }
+      await col().update(claimed.id, patch);
+      logger.warn(`[jobs] ${claimed.type} ${claimed.id} attempt ${claimed.attempts}/${claimed.maxAttempts} failed: ${message}${giveUp ? ' (giving up)' : ''}`);
+    }
+  }
+
+  // jobs left 'running' by a process that died mid-job become due again once their lock expires
+  async function releaseStaleLocks() {
+    const now = new Date().toISOString();
+    const stale = await col().find({ state: 'running', lockedUntil: { $lt: now } });
+    for (const job of stale) {
+      await col().update(job.id, { state: 'pending', lockedUntil: null, runAt: now, updatedAt: now }, { where: { state: 'running' } });
+    }
+  }
+
+  async function pruneDone() {
+    if (Date.now() - lastPrune < PRUNE_EVERY_MS) return;
+    lastPrune = Date.now();
+    const cutoff = new Date(Date.now() - DONE_JOBS_KEEP_MS).toISOString();
+    const removed = await col().removeMany({ state: 'done', completedAt: { $lt: cutoff } });
+    if (removed) logger.log(`[jobs] pruned ${removed} finished job(s)`);
+    for (const task of housekeeping) {
+      try { await task(); }
+      catch (err) { logger.error('[jobs] housekeeping failed', err && err.message); }
+    }
+  }
+
+  // process due jobs one at a time; overlapping calls just schedule another pass
+  async function runDue(limit = 20) {
+    if (paused) return 0;
+    if (working) { again = true; return 0; }
+    working = true;
+    let processed = 0;
+    try {
+      await releaseStaleLocks();
+      const due = await col().find({ state: 'pending', runAt: { $lte: new Date().toISOString() } }, { sort: { runAt: 1 }, limit });
+      for (const job of due) { await runJob(job); processed++; }
+      await pruneDone();
+    } catch (err) {
+      logger.error('[jobs] worker error', err && err.message);
+    } finally {
+      working = false;
+    }
+    if (again) { again = false; setImmediate(() => runDue()); }
+    return processed;
+  }
+
+  // run new jobs right away instead of waiting for the next poll (only once the worker is started)
+  function kick() { if (timer) setImmediate(() => runDue()); }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => runDue(), pollMs);
+    if (timer.unref) timer.unref();
+    setImmediate(() => runDue());
+  }
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+  // e.g. while a backup is restored: no job runs until resume() (one already running finishes)
+  function pause() { paused = true; }
+  function resume() {
+    paused = false;
+    kick();
+  }
+
+  /* admin helpers */
+  async function list(filter = {}, { limit = 100 } = {}) {
+    return col().find(filter, { sort: { createdAt: -1 }, limit });
+  }
+  async function counts() {
+    const rows = await col().countBy('state');
+    const out = {};
+    rows.forEach(r => { if (r.value) out[r.value] = r.count; });
+    return out;
+  }
+  async function get(id) {
+    return col().findById(id);
+  }
+  // returns the updated job, or null when the job is not in a retryable state
+  async function retry(id) {
+    const now = new Date().toISOString();
+    const job = await col().update(id, { state: 'pending', attempts: 0, runAt: now, updatedAt: now }, { where: { state: { $in: ['failed', 'pending', 'discarded'] } } });
+    if (job) kick();
+    return job;
+  }
+  async function discard(id) {
+    const now = new Date().toISOString();
+    return col().update(id, { state: 'discarded', discardedAt: now, updatedAt: now }, { where: { state: { $in: ['failed', 'pending'] } } });
+  }
+
+  return { enqueue, runDue, start, stop, pause, resume, list, counts, get, retry, discard };
+}
+
+module.exports = { createJobQueue, permanentJobError, JOBS_COLLECTION };
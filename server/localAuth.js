@@ -0,0 +1,129 @@
+// server/localAuth.js
+// Email/password and magic-link sign-in, for deployments without Google OAuth.
+// Passwords are stored as bcrypt hashes on the user (passwordHash). Password reset and magic-link
+// tokens are single-use, short-lived and stored as sha256 hashes in `auth_tokens`:
+//   { id: sha256(token), userId, purpose: 'password_reset' | 'magic_link', createdAt, expiresAt }
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const AUTH_TOKENS_COLLECTION = 'auth_tokens';
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 200;
+// compared against when the user has no password, so it takes as long as a real check
+// (a promise, computed once without blocking the event loop)
+let dummyHash = null;
+function getDummyHash() {
+  if (!dummyHash) dummyHash = bcrypt.hash('not-a-real-password', BCRYPT_ROUNDS);
+  return dummyHash;
+}
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+function authError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+// -> null when acceptable, otherwise an error code
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) return 'password_too_short';
+  if (password.length > MAX_PASSWORD_LENGTH) return 'password_too_long';
+  return null;
+}
+async function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+async function verifyPassword(password, passwordHash) {
+  if (typeof password !== 'string') return false;
+  const ok = await bcrypt.compare(password, passwordHash || await getDummyHash());
+  return ok && !!passwordHash;
+}
+
+function createAuthTokens({ getStore, logger = console }) {
+  const col = () => getStore().collection(AUTH_TOKENS_COLLECTION);
+
+  // -> the token to put in the emailed link
+  async function issue(userId, purpose, ttlMs) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    await col().insert({ id: hashValue(token), userId, purpose, createdAt: new Date(now).toISOString(), expiresAt: new Date(now + ttlMs).toISOString() });
+    prune().catch(err => logger.error('[auth] prune failed', err));
+    return token;
+  }
+
+  // -> userId; throws invalid_token (unknown, used, expired or for another purpose)
+  async function consume(token, purpose) {
+    if (!token || typeof token !== 'string') throw authError('invalid_token');
+    const id = hashValue(token);
+    const record = await col().findById(id);
+    if (!record || record.purpose !== purpose) throw authError('invalid_token');
+    if (!(await col().remove(id))) throw authError('invalid_token');
+    if (new Date(record.expiresAt).getTime() <= Date.now()) throw authError('invalid_token');
+    return record.userId;
+  }
+
+  // a new reset link makes the older ones useless
+  async function revokeForUser(userId, purpose) {
+    return col().removeMany({ userId, purpose });
+  }
+
+  async function prune() {
+    return col().removeMany({ expiresAt: { $lt: new Date().toISOString() } });
+  }
+
+  return { issue, consume, revokeForUser, prune };
+}
+
+// Attempts per key (an email or an IP), kept in memory: after `max` attempts within `windowMs`
+// the key is locked out until the window passes. Used for failed passwords and for the emails
+// anyone can request (password reset, magic link). Keys come from the caller, so they are cut to
+// MAX_THROTTLE_KEY_LENGTH, expired keys are swept every window, and past `maxKeys` the least
+// recently used key is dropped.
+const MAX_THROTTLE_KEY_LENGTH = 320;
+
+function createLoginThrottle({ max = 5, windowMs = 15 * 60 * 1000, maxKeys = 10000 } = {}) {
+  const failures = new Map(); // key -> [timestamps], least recently used first
+  const keyFor = (key) => String(key || '').slice(0, MAX_THROTTLE_KEY_LENGTH);
+
+  function recent(key) {
+    const cutoff = Date.now() - windowMs;
+    const list = (failures.get(key) || []).filter(t => t > cutoff);
+    failures.delete(key);
+    if (list.length) failures.set(key, list);
+    return list;
+  }
+  function sweep() {
+    const cutoff = Date.now() - windowMs;
+    for (const [key, list] of failures) if (list[list.length - 1] <= cutoff) failures.delete(key);
+  }
+  const timer = setInterval(sweep, windowMs);
+  if (timer.unref) timer.unref();
+
+  return {
+    // -> seconds until the next attempt is allowed, 0 when allowed now
+    retryAfter(key) {
+      const list = recent(keyFor(key));
+      return list.length >= max ? Math.ceil((list[0] + windowMs - Date.now()) / 1000) : 0;
+    },
+    fail(key) {
+      const k = keyFor(key);
+      // only the last `max` attempts decide a lockout
+      failures.set(k, [...recent(k), Date.now()].slice(-max));
+      while (failures.size > maxKeys) failures.delete(failures.keys().next().value);
+    },
+    reset(key) { failures.delete(keyFor(key)); }
+  };
+}
+
+module.exports = {
+  AUTH_TOKENS_COLLECTION,
+  MIN_PASSWORD_LENGTH,
+  passwordProblem,
+  hashPassword,
+  verifyPassword,
+  createAuthTokens,
+  createLoginThrottle
+};
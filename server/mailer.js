@@ -0,0 +1,40 @@
+// server/mailer.js
+// Outgoing email over SMTP (password reset and magic-link sign-in). Disabled unless SMTP_HOST is
+// set; for local development point it at a mail catcher, e.g. MailHog / Mailpit on localhost:1025.
+const nodemailer = require('nodemailer');
+
+function mailerOptionsFromEnv(env = process.env) {
+  return {
+    host: env.SMTP_HOST || null,
+    port: env.SMTP_PORT ? Number(env.SMTP_PORT) : 587,
+    secure: env.SMTP_SECURE === 'true',
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || null,
+    from: env.MAIL_FROM || 'HR Tool <no-reply@localhost>'
+  };
+}
+
+function createMailer(options = mailerOptionsFromEnv(), logger = console) {
+  if (!options.host) {
+    return {
+      enabled: false,
+      async send() { throw new Error('mail_not_configured'); }
+    };
+  }
+  const transport = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+  return {
+    enabled: true,
+    async send({ to, subject, text, html }) {
+      const info = await transport.sendMail({ from: options.from, to, subject, text, html });
+      logger.log(`[mail] sent "${subject}" to ${to} (${info.messageId})`);
+      return info;
+    }
+  };
+}
+
+module.exports = { createMailer, mailerOptionsFromEnv };
@@ -0,0 +1,36 @@
+// migrate.js
+// Apply or inspect versioned migrations (migrations/NNN-*.js) against the configured store.
+//   node migrate.js up       apply all pending migrations
+//   node migrate.js status   list migrations and whether they have been applied
+require('dotenv').config();
+const { openStore, storeOptionsFromEnv } = require('./storage');
+const { getStatus, runPending } = require('./migrations');
+
+async function run() {
+  const command = process.argv[2] || 'status';
+  if (!['up', 'status'].includes(command)) {
+    console.error(`Unknown command "${command}". Usage: node migrate.js <up|status>`);
+    process.exit(1);
+  }
+
+  const store = await openStore(storeOptionsFromEnv());
+  console.log(`Using ${store.kind} store`);
+  try {
+    if (command === 'up') {
+      const ran = await runPending(store);
+      console.log(ran.length ? `Applied ${ran.length} migration(s): ${ran.join(', ')}` : 'Nothing to apply — schema up to date.');
+    } else {
+      const status = await getStatus(store);
+      status.forEach(m => console.log(`  [${m.applied ? 'x' : ' '}] ${m.id}  ${m.description}${m.appliedAt ? `  (applied ${m.appliedAt})` : ''}`));
+      const pending = status.filter(m => !m.applied).length;
+      console.log(pending ? `${pending} pending migration(s).` : 'Schema up to date.');
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+run().catch(err => {
+  console.error('Migration failed', err && (err.stack || err.message));
+  process.exit(1);
+});
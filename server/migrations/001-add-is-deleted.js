@@ -0,0 +1,15 @@
+// 001-add-is-deleted.js
+// Soft-delete flag: every opening, form and response gets is_deleted=false unless already set.
+// (Replaces the old startup ensureIsDeletedField() and migrate-add-is_deleted.js.)
+module.exports = {
+  description: 'default is_deleted=false on openings, forms and responses',
+  async up(store, { log }) {
+    for (const name of ['openings', 'forms', 'responses']) {
+      const modified = await store.collection(name).updateMany(
+        { $or: [{ is_deleted: { $exists: false } }, { is_deleted: null }] },
+        { is_deleted: false }
+      );
+      log(`${name}: modified=${modified}`);
+    }
+  }
+};
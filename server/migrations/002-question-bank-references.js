@@ -0,0 +1,43 @@
+// 002-question-bank-references.js
+// Links every inline form question to a question bank entry (creating bank entries for
+// questions that have no match), so questions can be reused across forms.
+// Inline fields (id, label, type, ...) are kept on the form so existing forms keep rendering.
+// (Replaces scripts/migrate-questions.js.)
+const { newId } = require('../ids');
+
+function signature(q) { return `${q.type}||${(q.label || '').trim()}||${(q.options || []).join('|')}||${q.required ? 1 : 0}`; }
+
+module.exports = {
+  description: 'link inline form questions to the question bank',
+  async up(store, { log }) {
+    const bank = await store.questions.find({});
+    const bySignature = {};
+    bank.forEach(q => { bySignature[signature(q)] = q.id; });
+
+    const forms = await store.forms.find({});
+    let added = 0; let linked = 0;
+    for (const form of forms) {
+      const questions = (form.data && Array.isArray(form.data.questions)) ? form.data.questions : [];
+      let changed = false;
+      const next = [];
+      for (const q of questions) {
+        // already a bank reference, or nothing to build a bank entry from
+        if (!q || q.questionId || !q.label || !q.type) { next.push(q); continue; }
+        const sig = signature(q);
+        let qid = bySignature[sig];
+        if (!qid) {
+          qid = newId('q');
+          const now = new Date().toISOString();
+          await store.questions.insert({ id: qid, type: q.type, label: q.label, required: !!q.required, options: q.options || [], createdAt: now, updatedAt: now, meta: {} });
+          bySignature[sig] = qid;
+          added++;
+        }
+        next.push({ ...q, questionId: qid });
+        linked++;
+        changed = true;
+      }
+      if (changed) await store.forms.update(form.id, { data: { ...form.data, questions: next } });
+    }
+    log(`questions added to bank=${added}, form questions linked=${linked}`);
+  }
+};
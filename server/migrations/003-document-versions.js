@@ -0,0 +1,15 @@
+// 003-document-versions.js
+// Optimistic concurrency: editable documents carry an integer `version` that every write bumps.
+// Existing documents start at version 1.
+module.exports = {
+  description: 'default version=1 on openings, forms, questions and responses',
+  async up(store, { log }) {
+    for (const name of ['openings', 'forms', 'questions', 'responses']) {
+      const modified = await store.collection(name).updateMany(
+        { $or: [{ version: { $exists: false } }, { version: null }] },
+        { version: 1 }
+      );
+      log(`${name}: modified=${modified}`);
+    }
+  }
+};
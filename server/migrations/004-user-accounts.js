@@ -0,0 +1,21 @@
+// 004-user-accounts.js
+// Users are managed through /api/users: emails are matched lower-cased, every account has a
+// status (invited | active | deactivated), initials and a document version.
+const { normalizeEmail, initialsFor } = require('../users');
+
+module.exports = {
+  description: 'lower-case user emails; default status=active, initials and version on users',
+  async up(store, { log }) {
+    const users = await store.users.find({});
+    let modified = 0;
+    for (const u of users) {
+      const patch = {};
+      if (u.email && u.email !== normalizeEmail(u.email)) patch.email = normalizeEmail(u.email);
+      if (!u.status) patch.status = 'active';
+      if (!u.initials) patch.initials = initialsFor(u.name, u.email);
+      if (!Number.isInteger(u.version)) patch.version = 1;
+      if (Object.keys(patch).length) { await store.users.update(u.id, patch); modified++; }
+    }
+    log(`users: modified=${modified}`);
+  }
+};
@@ -0,0 +1,16 @@
+// 005-opening-team-members.js
+// Openings list the users working on them (teamMemberIds); users without 'openings.all' only see
+// those openings. Existing openings get every non-admin account already on file so nobody loses
+// access on upgrade — trim the teams afterwards from the opening editor.
+module.exports = {
+  description: 'assign existing non-admin users to existing openings (teamMemberIds)',
+  async up(store, { log }) {
+    const users = await store.users.find({});
+    const memberIds = users.filter(u => u.role !== 'admin' && u.status !== 'deactivated').map(u => u.id);
+    const modified = await store.openings.updateMany(
+      { $or: [{ teamMemberIds: { $exists: false } }, { teamMemberIds: null }] },
+      { teamMemberIds: memberIds }
+    );
+    log(`openings: modified=${modified}, members=${memberIds.length}`);
+  }
+};
@@ -0,0 +1,44 @@
+// 006-workspaces.js
+// Openings, forms, questions and responses belong to a workspace (workspaceId), and users have a
+// role per workspace (workspaceRoles). Everything already on file moves into a "Default"
+// workspace, which takes over the Google Sheet / Drive settings from the environment
+// (GOOGLE_SHEET_ID, GOOGLE_SHEET_TAB, GOOGLE_DRIVE_FOLDER_ID); each user keeps their role there.
+const DEFAULT_WORKSPACE_ID = 'ws_default';
+const SCOPED_COLLECTIONS = ['openings', 'forms', 'questions', 'responses'];
+const missing = { $or: [{ workspaceId: { $exists: false } }, { workspaceId: null }] };
+
+module.exports = {
+  description: 'default workspace; workspaceId on openings/forms/questions/responses, workspaceRoles on users',
+  async up(store, { log }) {
+    const workspaces = store.collection('workspaces');
+    if (!(await workspaces.findById(DEFAULT_WORKSPACE_ID))) {
+      const now = new Date().toISOString();
+      await workspaces.insert({
+        id: DEFAULT_WORKSPACE_ID,
+        name: 'Default',
+        googleSheetId: process.env.GOOGLE_SHEET_ID || null,
+        googleSheetTab: process.env.GOOGLE_SHEET_TAB || 'Sheet1',
+        googleDriveFolderId: process.env.GOOGLE_DRIVE_FOLDER_ID || null,
+        stageStatusMapping: null,
+        createdAt: now,
+        updatedAt: now,
+        version: 1
+      });
+      log(`created workspace ${DEFAULT_WORKSPACE_ID}`);
+    }
+    for (const name of SCOPED_COLLECTIONS) {
+      const modified = await store.collection(name).updateMany(missing, { workspaceId: DEFAULT_WORKSPACE_ID });
+      log(`${name}: modified=${modified}`);
+    }
+    const audit = await store.audit.updateMany({ $and: [missing, { entity: { $in: ['opening', 'form', 'question', 'response'] } }] }, { workspaceId: DEFAULT_WORKSPACE_ID });
+    const keys = await store.collection('api_keys').updateMany(missing, { workspaceId: DEFAULT_WORKSPACE_ID });
+    const users = await store.users.find({});
+    let members = 0;
+    for (const u of users) {
+      if (u.workspaceRoles) continue;
+      await store.users.update(u.id, { workspaceRoles: { [DEFAULT_WORKSPACE_ID]: u.role || 'recruiter' } });
+      members++;
+    }
+    log(`audit: modified=${audit}, api_keys: modified=${keys}, users: modified=${members}`);
+  }
+};
@@ -0,0 +1,33 @@
+// 007-pipelines.js
+// Pipelines move into the `pipelines` collection (see pipelines.js). Each workspace gets one made
+// from its own stageStatusMapping (006) or, without one, from the built-in stages; it becomes the
+// workspace's defaultPipelineId and every opening of the workspace points at it (pipelineId).
+const { BUILT_IN_PIPELINE_NAME, BUILT_IN_STAGES, stagesFromMapping } = require('../pipelines');
+
+module.exports = {
+  description: 'pipelines collection; defaultPipelineId on workspaces, pipelineId on openings',
+  async up(store, { log }) {
+    const workspaces = store.collection('workspaces');
+    const pipelines = store.collection('pipelines');
+    for (const ws of await workspaces.find({})) {
+      let pipeline = ws.defaultPipelineId ? await pipelines.findById(ws.defaultPipelineId) : null;
+      if (!pipeline) {
+        const now = new Date().toISOString();
+        pipeline = {
+          id: `pl_${ws.id}`,
+          workspaceId: ws.id,
+          name: ws.stageStatusMapping ? `${ws.name} pipeline` : BUILT_IN_PIPELINE_NAME,
+          stages: ws.stageStatusMapping ? stagesFromMapping(ws.stageStatusMapping) : BUILT_IN_STAGES,
+          createdAt: now,
+          updatedAt: now,
+          version: 1
+        };
+        if (!(await pipelines.findById(pipeline.id))) await pipelines.insert(pipeline);
+        await workspaces.update(ws.id, { defaultPipelineId: pipeline.id, stageStatusMapping: null });
+        log(`workspace ${ws.id}: pipeline ${pipeline.id}`);
+      }
+      const modified = await store.openings.updateMany({ workspaceId: ws.id, pipelineId: { $in: [null] } }, { pipelineId: pipeline.id });
+      log(`workspace ${ws.id}: openings modified=${modified}`);
+    }
+  }
+};
@@ -0,0 +1,23 @@
+// 008-pipeline-rules.js
+// Pipeline stages get transition rules (next, requiredFields; see pipelines.js). Pipelines that are
+// copies of the built-in one get its rules; any other pipeline allows every move and asks for
+// nothing until its rules are set in the pipeline editor.
+const { BUILT_IN_STAGES, withBuiltInRules } = require('../pipelines');
+
+module.exports = {
+  description: 'transition rules (next, requiredFields) on pipeline stages',
+  async up(store, { log }) {
+    const pipelines = store.collection('pipelines');
+    const builtInNames = BUILT_IN_STAGES.map(st => st.name);
+    let modified = 0;
+    for (const pipeline of await pipelines.find({})) {
+      const stages = pipeline.stages || [];
+      if (stages.some(st => st.next !== undefined)) continue;
+      const builtIn = stages.every(st => builtInNames.includes(st.name));
+      const next = builtIn ? withBuiltInRules(stages) : stages.map(st => ({ ...st, next: null, requiredFields: [] }));
+      await pipelines.update(pipeline.id, { stages: next });
+      modified++;
+    }
+    log(`pipelines: modified=${modified}`);
+  }
+};
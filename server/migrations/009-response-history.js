@@ -0,0 +1,54 @@
+// 009-response-history.js
+// Responses get a stage/status history (response_history, see server.js) and stageEnteredAt.
+// The history of responses already on file is rebuilt from the audit log: the stage/status they
+// were created with, then every audited change of either. For responses older than the audit log
+// the starting stage/status is what their first audited change moved them from (or the current one).
+const HISTORY_COLLECTION = 'response_history';
+const BACKFILL_ACTOR = { id: null, email: null, name: 'migration 009', kind: 'system' };
+
+module.exports = {
+  description: 'response_history backfilled from the audit log; stageEnteredAt on responses',
+  async up(store, { log }) {
+    const history = store.collection(HISTORY_COLLECTION);
+    const audits = new Map(); // responseId -> audit entries, oldest first
+    for (const a of await store.audit.find({ entity: 'response' }, { sort: { at: 1 } })) {
+      if (!audits.has(a.entityId)) audits.set(a.entityId, []);
+      audits.get(a.entityId).push(a);
+    }
+    let modified = 0;
+    let entries = 0;
+    for (const resp of await store.responses.find({})) {
+      if (resp.stageEnteredAt || (await history.count({ responseId: resp.id }))) continue;
+      const own = audits.get(resp.id) || [];
+      const created = own.find(a => a.action === 'create');
+      const changes = own.filter(a => a !== created && a.changes && (a.changes.stage || a.changes.status));
+      // what a field started as: from the create entry, else before its first audited change, else now
+      const initial = (field) => {
+        if (created && created.changes && created.changes[field]) return created.changes[field].to;
+        const firstChange = changes.find(a => a.changes[field]);
+        return firstChange ? firstChange.changes[field].from : resp[field] || null;
+      };
+      let state = { stage: initial('stage'), status: initial('status') };
+      const base = { responseId: resp.id, openingId: resp.openingId || null, workspaceId: resp.workspaceId || null };
+      const at = resp.createdAt || (created && created.at) || (changes[0] && changes[0].at) || new Date().toISOString();
+      const docs = [{ ...base, id: `hist_${resp.id}_0`, at, actor: created ? created.actor : BACKFILL_ACTOR, fromStage: null, fromStatus: null, ...state }];
+      let stageEnteredAt = at;
+      changes.forEach((a, i) => {
+        const next = {
+          stage: a.changes.stage ? a.changes.stage.to : state.stage,
+          status: a.changes.status ? a.changes.status.to : state.status
+        };
+        const doc = { ...base, id: `hist_${resp.id}_${i + 1}`, at: a.at, actor: a.actor || BACKFILL_ACTOR, fromStage: state.stage, fromStatus: state.status, ...next };
+        if (a.meta && a.meta.fields) doc.fields = a.meta.fields;
+        if (next.stage !== state.stage) stageEnteredAt = a.at;
+        docs.push(doc);
+        state = next;
+      });
+      for (const doc of docs) await history.insert(doc);
+      await store.responses.update(resp.id, { stageEnteredAt });
+      entries += docs.length;
+      modified++;
+    }
+    log(`responses: modified=${modified}, response_history: inserted=${entries}`);
+  }
+};
@@ -0,0 +1,17 @@
+// 010-workspace-read-scope.js
+// GET /api/workspace(s) now needs 'workspace.read' (roles get it with the other read permissions).
+// API keys could read their workspace before, so existing keys get the scope.
+module.exports = {
+  description: "'workspace.read' scope on existing API keys",
+  async up(store, { log }) {
+    const keys = store.collection('api_keys');
+    let modified = 0;
+    for (const key of await keys.find({})) {
+      const scopes = key.scopes || [];
+      if (scopes.includes('workspace.read')) continue;
+      await keys.update(key.id, { scopes: [...scopes, 'workspace.read'] });
+      modified++;
+    }
+    log(`api_keys: modified=${modified}`);
+  }
+};
@@ -0,0 +1,51 @@
+// 011-sqlite-workspace-columns.js
+// Every query is scoped by workspace, so on SQLite workspaceId gets a column (and responses a
+// fullName column, a sort field of GET /api/responses) with composite indexes, and pipelines move
+// from the generic documents table into their own table. The other stores need nothing: Mongo
+// creates its indexes when it connects, the file and memory stores have none.
+const { TABLE_COLUMNS } = require('../db');
+
+const NEW_COLUMNS = {
+  openings: ['workspaceId'],
+  forms: ['workspaceId'],
+  questions: ['workspaceId'],
+  responses: ['workspaceId', 'fullName']
+};
+const INDEXES = `
+CREATE INDEX IF NOT EXISTS idx_openings_ws_created ON openings (workspaceId, is_deleted, createdAt);
+CREATE INDEX IF NOT EXISTS idx_forms_ws_opening ON forms (workspaceId, openingId);
+CREATE INDEX IF NOT EXISTS idx_questions_ws_created ON questions (workspaceId, createdAt);
+CREATE INDEX IF NOT EXISTS idx_responses_ws_opening_created ON responses (workspaceId, openingId, createdAt);
+CREATE INDEX IF NOT EXISTS idx_responses_ws_created ON responses (workspaceId, is_deleted, createdAt, id);
+CREATE INDEX IF NOT EXISTS idx_responses_ws_updated ON responses (workspaceId, updatedAt, id);
+CREATE INDEX IF NOT EXISTS idx_responses_ws_name ON responses (workspaceId, fullName, id);
+CREATE INDEX IF NOT EXISTS idx_responses_ws_stage_status ON responses (workspaceId, stage, status);
+CREATE INDEX IF NOT EXISTS idx_pipelines_ws ON pipelines (workspaceId);
+`;
+
+module.exports = {
+  description: 'SQLite: workspaceId/fullName columns, pipelines table and workspace indexes',
+  async up(store, { log }) {
+    if (store.kind !== 'sqlite') { log(`nothing to do for the ${store.kind || 'current'} store`); return; }
+    const db = store.db;
+    db.transaction(() => {
+      for (const table of Object.keys(NEW_COLUMNS)) {
+        const present = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+        for (const column of NEW_COLUMNS[table].filter(c => !present.includes(c))) {
+          db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`);
+          // mirrored the same way the store writes it (objects as JSON)
+          db.exec(`UPDATE ${table} SET ${column} = json_extract(doc, '$.${column}')`);
+        }
+        log(`${table}: columns ${NEW_COLUMNS[table].join(', ')}`);
+      }
+      const pipelineColumns = TABLE_COLUMNS.pipelines;
+      db.exec(`CREATE TABLE IF NOT EXISTS pipelines (id TEXT PRIMARY KEY, ${pipelineColumns.map(c => `${c} TEXT`).join(', ')}, doc TEXT NOT NULL)`);
+      const moved = db.prepare(`INSERT OR REPLACE INTO pipelines (id, ${pipelineColumns.join(', ')}, doc)
+        SELECT id, ${pipelineColumns.map(c => `json_extract(doc, '$.${c}')`).join(', ')}, doc FROM documents WHERE collection = 'pipelines'`).run().changes;
+      db.prepare("DELETE FROM documents WHERE collection = 'pipelines'").run();
+      log(`pipelines: moved=${moved}`);
+      db.exec(INDEXES);
+    })();
+    store.reloadSchema();
+  }
+};
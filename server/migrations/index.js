@@ -0,0 +1,59 @@
+// server/migrations/index.js
+// Versioned migrations. Each file NNN-name.js exports { description, up(store, { log }) } and
+// is applied once per store; applied ids are recorded in the `migrations` collection so the
+// file store, SQLite and Mongo all converge to the same schema.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_COLLECTION = 'migrations';
+
+function loadMigrations(dir = __dirname) {
+  return fs.readdirSync(dir)
+    .filter(f => /^\d+-.+\.js$/.test(f))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+    .map(f => {
+      const mod = require(path.join(dir, f));
+      if (typeof mod.up !== 'function') throw new Error(`migration ${f} does not export up()`);
+      return { id: f.replace(/\.js$/, ''), description: mod.description || '', up: mod.up };
+    });
+}
+
+async function getStatus(store, migrations = loadMigrations()) {
+  const applied = await store.collection(MIGRATIONS_COLLECTION).find({});
+  const appliedById = {};
+  applied.forEach(m => { appliedById[m.id] = m; });
+  return migrations.map(m => ({
+    id: m.id,
+    description: m.description,
+    applied: !!appliedById[m.id],
+    appliedAt: appliedById[m.id] ? appliedById[m.id].appliedAt : null
+  }));
+}
+
+async function getPending(store, migrations = loadMigrations()) {
+  const status = await getStatus(store, migrations);
+  const pendingIds = new Set(status.filter(s => !s.applied).map(s => s.id));
+  return migrations.filter(m => pendingIds.has(m.id));
+}
+
+// apply pending migrations in order; stops at the first failure so later ones never run on a
+// half-migrated store
+async function runPending(store, { migrations = loadMigrations(), logger = console } = {}) {
+  const pending = await getPending(store, migrations);
+  const ran = [];
+  for (const m of pending) {
+    const started = Date.now();
+    logger.log(`[migrate] applying ${m.id} (${m.description})`);
+    await m.up(store, { log: (...args) => logger.log(`[migrate:${m.id}]`, ...args) });
+    await store.collection(MIGRATIONS_COLLECTION).insert({
+      id: m.id,
+      description: m.description,
+      appliedAt: new Date().toISOString(),
+      durationMs: Date.now() - started
+    });
+    ran.push(m.id);
+  }
+  return ran;
+}
+
+module.exports = { loadMigrations, getStatus, getPending, runPending, MIGRATIONS_COLLECTION };
@@ -0,0 +1,86 @@
+// server/oauthLogin.js
+// Bookkeeping for the Google sign-in round trip, so no token ever appears in a URL:
+//   1. GET /auth/google?nonce=N   the dashboard made up N (kept in sessionStorage). We create a random
+//      `state`, remember { nonce: N } under it and set it in a cookie, then redirect to Google.
+//   2. GET /auth/google/callback  `state` must match the cookie and a stored, unused, unexpired record
+//      (CSRF: a callback the browser didn't start is refused). After Google signs the user in we
+//      redirect to the dashboard with a one-time `code`, bound to N.
+//   3. POST /auth/exchange { code, nonce }  the dashboard trades the code (once, within a minute) and
+//      its own N for the session tokens. A code injected into another browser fails the nonce check.
+// Only sha256 hashes of states and codes are stored; records are single-use (removed on use).
+const crypto = require('crypto');
+
+const OAUTH_STATES_COLLECTION = 'oauth_states';
+const LOGIN_CODES_COLLECTION = 'login_codes';
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+function loginError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+function sameValue(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function createOAuthLogin({ getStore, stateTtlMs = 10 * 60 * 1000, codeTtlMs = 60 * 1000, logger = console }) {
+  const states = () => getStore().collection(OAUTH_STATES_COLLECTION);
+  const codes = () => getStore().collection(LOGIN_CODES_COLLECTION);
+
+  // -> the state to send to Google (and to put in the cookie)
+  async function begin(nonce) {
+    const state = randomToken();
+    const now = Date.now();
+    await states().insert({ id: hashValue(state), nonce, createdAt: new Date(now).toISOString(), expiresAt: new Date(now + stateTtlMs).toISOString() });
+    prune().catch(err => logger.error('[oauth] prune failed', err));
+    return state;
+  }
+
+  // -> { nonce }; throws invalid_state (unknown, reused, expired or not this browser's)
+  async function consumeState(state, cookieState) {
+    if (!state || !sameValue(state, cookieState)) throw loginError('invalid_state');
+    const id = hashValue(state);
+    const record = await states().findById(id);
+    // removing first makes the state single-use even with two callbacks racing
+    if (!record || !(await states().remove(id))) throw loginError('invalid_state');
+    if (new Date(record.expiresAt).getTime() <= Date.now()) throw loginError('invalid_state');
+    return { nonce: record.nonce };
+  }
+
+  // -> the one-time code for the dashboard redirect
+  async function issueCode(userId, nonce) {
+    const code = randomToken();
+    const now = Date.now();
+    await codes().insert({ id: hashValue(code), userId, nonce, createdAt: new Date(now).toISOString(), expiresAt: new Date(now + codeTtlMs).toISOString() });
+    return code;
+  }
+
+  // -> userId; throws invalid_code (unknown, used or expired) | nonce_mismatch
+  async function redeemCode(code, nonce) {
+    if (!code) throw loginError('invalid_code');
+    const id = hashValue(code);
+    const record = await codes().findById(id);
+    if (!record || !(await codes().remove(id))) throw loginError('invalid_code');
+    if (new Date(record.expiresAt).getTime() <= Date.now()) throw loginError('invalid_code');
+    if (!sameValue(record.nonce, nonce)) throw loginError('nonce_mismatch');
+    return record.userId;
+  }
+
+  // abandoned sign-ins leave expired states and codes behind
+  async function prune() {
+    const cutoff = new Date().toISOString();
+    await states().removeMany({ expiresAt: { $lt: cutoff } });
+    await codes().removeMany({ expiresAt: { $lt: cutoff } });
+  }
+
+  return { begin, consumeState, issueCode, redeemCode, prune };
+}
+
+module.exports = { createOAuthLogin, OAUTH_STATES_COLLECTION, LOGIN_CODES_COLLECTION };
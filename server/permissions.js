@@ -0,0 +1,66 @@
+// server/permissions.js
+// Role -> permission model. Every /api route names the permission it needs (requirePermission in
+// server.js); /api/me returns the caller's permission list so the dashboard can hide what the
+// user can't do. A role not listed here (e.g. from a hand-edited user record) gets no permissions.
+// 'openings.all' lifts per-opening scoping: without it a user only sees the openings they are a
+// team member of (opening.teamMemberIds) and the forms/responses that belong to those openings.
+// API keys (apiKeys.js) carry their own list of scopes, a subset of API_KEY_SCOPES, instead of a
+// role; keys are created by admins and are not team members, so they see every opening.
+// Roles are per workspace (user.workspaceRoles); a user whose account role is 'admin' is an admin in
+// every workspace. GLOBAL_PERMISSIONS concern the whole install (accounts, keys, backups) and are
+// taken from the account role, never from a workspace role.
+const ROLES = ['admin', 'recruiter', 'hiring_manager', 'interviewer', 'read_only'];
+
+const READ = ['openings.read', 'forms.read', 'questions.read', 'responses.read', 'users.read', 'pipeline.read', 'workspace.read'];
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    ...READ,
+    'openings.manage', 'forms.manage', 'questions.manage',
+    'responses.edit', 'responses.status', 'responses.delete',
+    'audit.read', 'users.manage', 'system.manage', 'openings.all', 'workspace.manage', 'pipeline.manage'
+  ],
+  // runs the hiring process: openings, forms, the question bank and candidates
+  recruiter: [
+    ...READ,
+    'openings.manage', 'forms.manage', 'questions.manage',
+    'responses.edit', 'responses.status', 'responses.delete',
+    'audit.read'
+  ],
+  // decides on candidates for their openings, doesn't set openings up
+  hiring_manager: [...READ, 'responses.status', 'audit.read'],
+  // moves candidates they interviewed along the pipeline
+  interviewer: [...READ, 'responses.status'],
+  read_only: [...READ]
+};
+
+const GLOBAL_PERMISSIONS = ['users.manage', 'system.manage'];
+
+const API_KEY_SCOPES = ['openings.read', 'openings.manage', 'forms.read', 'questions.read', 'responses.read', 'responses.status', 'pipeline.read', 'workspace.read'];
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] ? ROLE_PERMISSIONS[role].slice() : [];
+}
+
+function can(role, permission) {
+  return !!ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+// for req.user: a signed-in user (role in the current workspace, globalRole for the account) or
+// an API key (apiKey.scopes)
+function principalCan(principal, permission) {
+  if (!principal) return false;
+  if (principal.apiKey) return permission === 'openings.all' || principal.apiKey.scopes.includes(permission);
+  if (GLOBAL_PERMISSIONS.includes(permission)) return can(principal.globalRole || principal.role, permission);
+  return can(principal.role, permission);
+}
+
+// what the dashboard may show: the workspace role's permissions plus the account's global ones
+function principalPermissions(principal) {
+  if (!principal) return [];
+  if (principal.apiKey) return principal.apiKey.scopes.slice();
+  const perms = permissionsFor(principal.role).filter(p => !GLOBAL_PERMISSIONS.includes(p));
+  return [...perms, ...GLOBAL_PERMISSIONS.filter(p => can(principal.globalRole || principal.role, p))];
+}
+
+module.exports = { ROLES, ROLE_PERMISSIONS, GLOBAL_PERMISSIONS, API_KEY_SCOPES, permissionsFor, can, principalCan, principalPermissions };
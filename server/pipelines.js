@@ -0,0 +1,278 @@
+// server/pipelines.js
+// Hiring pipelines: the ordered stages a candidate goes through, each with the statuses they can
+// have in it and the status they start with. Pipelines belong to a workspace and are stored in
+// `pipelines`:
+//   { id, workspaceId, name, stages: [{ name, statuses: [...], defaultStatus, next, requiredFields }], createdAt, updatedAt, version }
+// Every opening points at one (opening.pipelineId); workspace.defaultPipelineId is the one new
+// openings get. New workspaces start with a copy of the built-in pipeline below.
+// Transition rules, per stage:
+//   next: the stages a candidate may move on to from it (null = any)
+//   requiredFields: [{ field, status }] fields (TRANSITION_FIELDS) that must be filled in when a
+//     candidate enters the stage (status null) or is set to `status` in it
+const PIPELINES_COLLECTION = 'pipelines';
+const BUILT_IN_PIPELINE_NAME = 'Standard';
+const MAX_STAGES = 50;
+const MAX_STATUSES = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_FIELD_TEXT_LENGTH = 1000;
+
+// what a status change can ask for; the values are kept on the response (pipelineFields)
+const TRANSITION_FIELDS = {
+  rejectionReason: { label: 'Rejection reason', type: 'text' },
+  interviewDate: { label: 'Interview date', type: 'datetime' },
+  offerAmount: { label: 'Offer amount', type: 'number' },
+  joiningDate: { label: 'Joining date', type: 'date' },
+  note: { label: 'Note', type: 'text' }
+};
+
+// stage -> statuses, the first status of each stage is its default
+const BUILT_IN_MAPPING = {
+  "Applied": [
+    "Pending", // Default
+    "Rejected",
+    "Candidate Withdrew"
+  ],
+
+  "Introductory call": [
+    "Pending", // Default
+    "Slot Not Selected",
+    "Scheduled",
+    "To be rescheduled",
+    "No Show (To be rescheduled)",
+    "Rejected",
+    "Ghosted",
+    "On Hold",
+    "Withdrew",
+    "Candidate Withdrew"
+  ],
+
+  "In-person Interview": [
+    "Pending", // Default
+    "Slot Not Selected",
+    "Scheduled",
+    "To be rescheduled",
+    "No Show (To be rescheduled)",
+    "Feedback Pending",
+    "Rejected",
+    "Ghosted",
+    "On Hold",
+    "Candidate Withdrew"
+  ],
+
+  "Virtual Interview01": [
+    "Pending", // Default
+    "Slot Not Selected",
+    "Scheduled",
+    "To be rescheduled",
+    "No Show (To be rescheduled)",
+    "Feedback Pending",
+    "Rejected",
+    "Ghosted",
+    "On Hold",
+    "Candidate Withdrew"
+  ],
+
+  "Virtual Interview02": [
+    "Pending", // Default
+    "Slot Not Selected",
+    "Scheduled",
+    "To be rescheduled",
+    "No Show (To be rescheduled)",
+    "Feedback Pending",
+    "Rejected",
+    "Ghosted",
+    "On Hold",
+    "Candidate Withdrew"
+  ],
+
+  "Virtual Interview 03": [
+    "Pending", // Default
+    "Slot Not Selected",
+    "Scheduled",
+    "To be rescheduled",
+    "No Show (To be rescheduled)",
+    "Feedback Pending",
+    "Rejected",
+    "Ghosted",
+    "On Hold",
+    "Candidate Withdrew"
+  ],
+
+  "Problem statement": [
+    "Pending", //Default
+    "Sent",
+    "Rejected",
+    "Ghosted",
+    "On Hold",
+    "Candidate Withdrew"
+  ],
+
+  "Aptitude test": [
+    "Pending", //Default
+    "Sent",
+    "Scheduled",
+    "Rejected",
+    "Ghosted",
+    "On Hold",
+    "Candidate Withdrew"
+  ],
+
+  "Final interview": [
+    "Pending", // Default
+    "Slot Not Selected",
+    "Scheduled",
+    "To be rescheduled",
+    "No Show (To be rescheduled)",
+    "Feedback Pending",
+    "Rejected",
+    "Ghosted",
+    "On Hold",
+    "Candidate Withdrew"
+  ],
+
+  "Offer Stage": [
+    "Offered", // Default
+    "Offer Accepted",
+    "Offer Declined",
+    "Offer Revoked",
+    "Candidate Withdrew"
+  ],
+
+  "Joined": [
+    "To be joining", //Default
+    "Joined"
+  ]
+};
+
+// { stage: [status, ...] } -> stages, each starting at its first status, without transition rules
+function stagesFromMapping(mapping) {
+  return Object.keys(mapping).map(name => ({ name, statuses: mapping[name].slice(), defaultStatus: mapping[name][0], next: null, requiredFields: [] }));
+}
+
+// the rules of the built-in stages: "Joined" only comes after "Offer Stage", and rejecting,
+// scheduling, offering and joining ask for a reason, a date or an amount
+function withBuiltInRules(stages) {
+  const names = stages.map(st => st.name);
+  return stages.map(st => {
+    let next = names.filter(n => n !== st.name && (n !== 'Joined' || st.name === 'Offer Stage'));
+    if (st.name === 'Joined') next = names.filter(n => n === 'Offer Stage');
+    const requiredFields = [];
+    if (st.statuses.includes('Rejected')) requiredFields.push({ field: 'rejectionReason', status: 'Rejected' });
+    if (st.statuses.includes('Scheduled')) requiredFields.push({ field: 'interviewDate', status: 'Scheduled' });
+    if (st.name === 'Offer Stage') requiredFields.push({ field: 'offerAmount', status: null });
+    if (st.name === 'Joined') requiredFields.push({ field: 'joiningDate', status: null });
+    return { ...st, next, requiredFields };
+  });
+}
+const BUILT_IN_STAGES = withBuiltInRules(stagesFromMapping(BUILT_IN_MAPPING));
+
+// -> { stage: [status, ...] } in stage order (the /api/stage-status-mapping shape)
+function pipelineMapping(pipeline) {
+  const mapping = {};
+  (pipeline.stages || []).forEach(st => { mapping[st.name] = st.statuses.slice(); });
+  return mapping;
+}
+function findStage(pipeline, name) {
+  return (pipeline.stages || []).find(st => st.name === name) || null;
+}
+
+function cleanName(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+// [{ field, status }] -> the rules, or null when one names an unknown field or status
+function normalizeRequiredFields(input, statuses) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) return null;
+  const rules = [];
+  for (const raw of input) {
+    const field = raw && raw.field;
+    const status = raw && raw.status ? cleanName(raw.status) : null;
+    if (!TRANSITION_FIELDS[field] || (status && !statuses.includes(status))) return null;
+    if (!rules.some(r => r.field === field && r.status === status)) rules.push({ field, status });
+  }
+  return rules;
+}
+
+// -> { stages } (trimmed, defaultStatus filled in) or { error }
+function normalizeStages(input) {
+  if (!Array.isArray(input) || !input.length || input.length > MAX_STAGES) return { error: 'invalid_stages' };
+  const stages = [];
+  for (const raw of input) {
+    const name = cleanName(raw && raw.name);
+    if (!name || name.length > MAX_NAME_LENGTH) return { error: 'invalid_stage_name' };
+    if (stages.some(st => st.name === name)) return { error: 'duplicate_stage', stage: name };
+    const statuses = Array.isArray(raw.statuses) ? raw.statuses.map(cleanName) : [];
+    if (!statuses.length || statuses.length > MAX_STATUSES || statuses.some(s => !s || s.length > MAX_NAME_LENGTH)) return { error: 'invalid_statuses', stage: name };
+    if (new Set(statuses).size !== statuses.length) return { error: 'duplicate_status', stage: name };
+    const defaultStatus = raw.defaultStatus === undefined || raw.defaultStatus === null ? statuses[0] : cleanName(raw.defaultStatus);
+    if (!statuses.includes(defaultStatus)) return { error: 'invalid_default_status', stage: name };
+    const next = raw.next === undefined || raw.next === null ? null : (Array.isArray(raw.next) ? [...new Set(raw.next.map(cleanName))].filter(n => n !== name) : undefined);
+    if (next === undefined) return { error: 'invalid_next_stage', stage: name };
+    const requiredFields = normalizeRequiredFields(raw.requiredFields, statuses);
+    if (!requiredFields) return { error: 'invalid_required_field', stage: name };
+    stages.push({ name, statuses, defaultStatus, next, requiredFields });
+  }
+  const unknown = stages.find(st => st.next && st.next.some(n => !stages.some(other => other.name === n)));
+  if (unknown) return { error: 'invalid_next_stage', stage: unknown.name };
+  return { stages };
+}
+
+// the transition fields sent with a status change -> { values } or { error, field }; empty values
+// count as not sent
+function normalizeFieldValues(input) {
+  if (input === undefined || input === null) return { values: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'invalid_field' };
+  const values = {};
+  for (const [key, raw] of Object.entries(input)) {
+    const def = TRANSITION_FIELDS[key];
+    if (!def) return { error: 'invalid_field', field: key };
+    if (raw === null || raw === undefined || raw === '') continue;
+    if (def.type === 'number') {
+      const n = Number(raw);
+      if (!Number.isFinite(n) || n < 0) return { error: 'invalid_field', field: key };
+      values[key] = n;
+    } else if (def.type === 'date' || def.type === 'datetime') {
+      if (typeof raw !== 'string' || Number.isNaN(Date.parse(raw))) return { error: 'invalid_field', field: key };
+      values[key] = raw.trim();
+    } else {
+      if (typeof raw !== 'string' || raw.length > MAX_FIELD_TEXT_LENGTH) return { error: 'invalid_field', field: key };
+      if (raw.trim()) values[key] = raw.trim();
+    }
+  }
+  return { values };
+}
+
+// A move from `from` to `to` ({ stage, status }): the stage must be one `from.stage` allows next (a
+// stage outside the pipeline allows any) and the fields the target's rules ask for must be sent.
+// -> { values } (the fields sent) or { error, ... }
+function checkTransition(pipeline, from, to, input) {
+  const source = findStage(pipeline, from.stage);
+  const target = findStage(pipeline, to.stage);
+  const stageChanged = from.stage !== to.stage;
+  const statusChanged = stageChanged || from.status !== to.status;
+  if (stageChanged && source && Array.isArray(source.next) && !source.next.includes(to.stage)) {
+    return { error: 'transition_not_allowed', from: from.stage, to: to.stage, allowed: source.next };
+  }
+  const { values, error, field } = normalizeFieldValues(input);
+  if (error) return { error, field };
+  const required = ((target && target.requiredFields) || [])
+    .filter(r => (r.status ? statusChanged && r.status === to.status : stageChanged))
+    .map(r => r.field);
+  const missing = [...new Set(required)].filter(key => values[key] === undefined);
+  if (missing.length) return { error: 'missing_fields', fields: missing.map(key => ({ key, ...TRANSITION_FIELDS[key] })) };
+  return { values };
+}
+
+module.exports = {
+  PIPELINES_COLLECTION,
+  BUILT_IN_PIPELINE_NAME,
+  BUILT_IN_STAGES,
+  MAX_NAME_LENGTH,
+  TRANSITION_FIELDS,
+  stagesFromMapping,
+  withBuiltInRules,
+  checkTransition,
+  pipelineMapping,
+  findStage,
+  normalizeStages
+};
@@ -8,34 +8,59 @@ const path = require('path');
 const { google } = require('googleapis');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const stream = require('stream');
-const { MongoClient } = require('mongodb');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const { openConfiguredStore } = require('./storage');
+const { getPending, runPending } = require('./migrations');
+const { createJobQueue, permanentJobError } = require('./jobQueue');
+const { createSessions, publicSession } = require('./sessions');
+const { createOAuthLogin } = require('./oauthLogin');
+const { passwordProblem, hashPassword, verifyPassword, createAuthTokens, createLoginThrottle, MIN_PASSWORD_LENGTH } = require('./localAuth');
+const { createMailer } = require('./mailer');
+const { createApiKeys, publicApiKey, isApiKey } = require('./apiKeys');
+const { ROLES, API_KEY_SCOPES, principalCan, principalPermissions } = require('./permissions');
+const { normalizeEmail, initialsFor } = require('./users');
+const { newId } = require('./ids');
+const { PIPELINES_COLLECTION, BUILT_IN_PIPELINE_NAME, BUILT_IN_STAGES, MAX_NAME_LENGTH, TRANSITION_FIELDS, pipelineMapping, findStage, normalizeStages, checkTransition } = require('./pipelines');
+const { exportBackup, serializeBackup, parseBackup, restoreBackup } = require('./storage/backup');
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(rejectWritesDuringRestore);
 
 /** ---------- CONFIG ---------- **/
 const PORT = process.env.PORT || 4000;
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 const JWT_SECRET = process.env.JWT_SECRET || 'please-change-this-secret';
+// access tokens are short-lived; the refresh token (one per sign-in session) keeps the user signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// sign-in without Google: email/password (on unless PASSWORD_LOGIN=off) and emailed magic links
+// (needs SMTP_HOST, see mailer.js; MAGIC_LINK_LOGIN=off hides it)
+const PASSWORD_LOGIN = process.env.PASSWORD_LOGIN !== 'off';
+// Google sign-in without an account: emails in ALLOWED_EMAIL_DOMAINS get one with DEFAULT_USER_ROLE,
+// anyone else is recorded as a pending access request for an admin to approve
+const ALLOWED_EMAIL_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || '').split(',').map(d => d.trim().toLowerCase().replace(/^@/, '')).filter(Boolean);
+const DEFAULT_USER_ROLE = process.env.DEFAULT_USER_ROLE || 'read_only';
+// become admins at startup while the install has no admin yet
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+const MAGIC_LINK_LOGIN = process.env.MAGIC_LINK_LOGIN !== 'off';
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
 
 const DATA_DIR = path.resolve(__dirname, 'server_data');
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
-const DATA_FILE = path.join(DATA_DIR, 'data.json'); // legacy responses + users
-const OPENINGS_FILE = path.join(DATA_DIR, 'openings.json');
-const FORMS_FILE = path.join(DATA_DIR, 'forms.json');
-const QUESTIONS_FILE = path.join(DATA_DIR, 'questions.json');
 const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
 if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 
-const DRIVE_FOLDER_ID = process.env.GOOGLE_DRIVE_FOLDER_ID;
-const SHEET_ID = process.env.GOOGLE_SHEET_ID;
-const SHEET_TAB = process.env.GOOGLE_SHEET_TAB || 'Sheet1'; // optional tab name
+// The Google Sheet (and tab) and Drive folder are set per workspace (PUT /api/workspace);
+// GOOGLE_SHEET_ID, GOOGLE_SHEET_TAB and GOOGLE_DRIVE_FOLDER_ID only seed the first one (migration 006)
+const DEFAULT_SHEET_TAB = 'Sheet1';
 const SCOPES = [
   'https://www.googleapis.com/auth/drive',
   'https://www.googleapis.com/auth/drive.file',
@@ -44,193 +69,16 @@ const SCOPES = [
 
 const MONGO_URI = process.env.MONGO_URI || null;
 const MONGO_DB_NAME = process.env.MONGO_DB_NAME || 'hrtool';
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || null; // mongo | sqlite | file | memory (default: mongo if MONGO_URI else file)
+const SQLITE_PATH = process.env.SQLITE_PATH || undefined;
+// outbox worker for Sheets/Drive side effects
+const JOBS_POLL_MS = Number(process.env.JOBS_POLL_MS) || 5000;
+const JOBS_MAX_ATTEMPTS = Number(process.env.JOBS_MAX_ATTEMPTS) || 8;
+// file store: fold the write journal into the JSON snapshots every N entries / N ms
+const FILE_JOURNAL_COMPACT_EVERY = process.env.FILE_JOURNAL_COMPACT_EVERY ? Number(process.env.FILE_JOURNAL_COMPACT_EVERY) : undefined;
+const FILE_JOURNAL_COMPACT_MS = process.env.FILE_JOURNAL_COMPACT_MS ? Number(process.env.FILE_JOURNAL_COMPACT_MS) : undefined;
 
 
-/** ---------- Stage -> allowed statuses mapping (single source of truth) ---------- **/
-const stageStatusMapping = {
-  "Applied": [
-    "Pending", // Default
-    "Rejected",
-    "Candidate Withdrew"
-  ],
-
-  "Introductory call": [
-    "Pending", // Default
-    "Slot Not Selected",
-    "Scheduled",
-    "To be rescheduled",
-    "No Show (To be rescheduled)",
-    "Rejected",
-    "Ghosted",
-    "On Hold",
-    "Withdrew",
-    "Candidate Withdrew"
-  ],
-
-  "In-person Interview": [
-    "Pending", // Default
-    "Slot Not Selected",
-    "Scheduled",
-    "To be rescheduled",
-    "No Show (To be rescheduled)",
-    "Feedback Pending",
-    "Rejected",
-    "Ghosted",
-    "On Hold",
-    "Candidate Withdrew"
-  ],
-
-  "Virtual Interview01": [
-    "Pending", // Default
-    "Slot Not Selected",
-    "Scheduled",
-    "To be rescheduled",
-    "No Show (To be rescheduled)",
-    "Feedback Pending",
-    "Rejected",
-    "Ghosted",
-    "On Hold",
-    "Candidate Withdrew"
-  ],
-
-  "Virtual Interview02": [
-    "Pending", // Default
-    "Slot Not Selected",
-    "Scheduled",
-    "To be rescheduled",
-    "No Show (To be rescheduled)",
-    "Feedback Pending",
-    "Rejected",
-    "Ghosted",
-    "On Hold",
-    "Candidate Withdrew"
-  ],
-
-  "Virtual Interview 03": [
-    "Pending", // Default
-    "Slot Not Selected",
-    "Scheduled",
-    "To be rescheduled",
-    "No Show (To be rescheduled)",
-    "Feedback Pending",
-    "Rejected",
-    "Ghosted",
-    "On Hold",
-    "Candidate Withdrew"
-  ],
-
-  "Problem statement": [
-    "Pending", //Default
-    "Sent",
-    "Rejected",
-    "Ghosted",
-    "On Hold",
-    "Candidate Withdrew"
-  ],
-
-  "Aptitude test": [
-    "Pending", //Default
-    "Sent",
-    "Scheduled",
-    "Rejected",
-    "Ghosted",
-    "On Hold",
-    "Candidate Withdrew"
-  ],
-
-  "Final interview": [
-    "Pending", // Default
-    "Slot Not Selected",
-    "Scheduled",
-    "To be rescheduled",
-    "No Show (To be rescheduled)",
-    "Feedback Pending",
-    "Rejected",
-    "Ghosted",
-    "On Hold",
-    "Candidate Withdrew"
-  ],
-
-  "Offer Stage": [
-    "Offered", // Default
-    "Offer Accepted",
-    "Offer Declined",
-    "Offer Revoked",
-    "Candidate Withdrew"
-  ],
-
-  "Joined": [
-    "To be joining", //Default
-    "Joined"
-  ]
-};
-
-
-/** ---------- HELPERS: FILE I/O ---------- **/
-function readJsonFile(filePath, defaultVal = null) {
-  try {
-    if (!fs.existsSync(filePath)) return defaultVal;
-    const raw = fs.readFileSync(filePath, 'utf8');
-    return raw ? JSON.parse(raw) : defaultVal;
-  } catch (err) {
-    console.error('[readJsonFile] error reading', filePath, err && err.message);
-    return defaultVal;
-  }
-}
-function writeJsonFileAtomic(filePath, obj) {
-  try {
-    const tmp = filePath + '.tmp';
-    fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), 'utf8');
-    fs.renameSync(tmp, filePath);
-    console.log(`[writeJsonFileAtomic] wrote ${filePath}`);
-  } catch (err) {
-    console.error('[writeJsonFileAtomic] failed to write', filePath, err && err.stack);
-    throw err;
-  }
-}
-
-/** ---------- Legacy data.json helpers ---------- **/
-function readData() {
-  try {
-    if (!fs.existsSync(DATA_FILE)) {
-      const base = { openings: [], responses: [], users: [] };
-      writeJsonFileAtomic(DATA_FILE, base);
-      console.log('[readData] data.json initialized at', DATA_FILE);
-      return base;
-    }
-    const raw = fs.readFileSync(DATA_FILE, 'utf8');
-    const parsed = raw ? JSON.parse(raw) : { openings: [], responses: [], users: [] };
-    return parsed;
-  } catch (err) {
-    console.error('[readData] error', err && err.stack);
-    return { openings: [], responses: [], users: [] };
-  }
-}
-function writeData(obj) {
-  try {
-    writeJsonFileAtomic(DATA_FILE, obj);
-  } catch (err) {
-    console.error('[writeData] err', err && err.message);
-  }
-}
-
-/** ---------- Ensure persistence files exist & migrate basic legacy data ---------- **/
-function ensurePersistenceFilesAndMigrate() {
-  if (!fs.existsSync(OPENINGS_FILE)) {
-    const legacy = readData();
-    const legacyOpenings = Array.isArray(legacy.openings) ? legacy.openings : [];
-    if (legacyOpenings.length > 0) {
-      writeJsonFileAtomic(OPENINGS_FILE, legacyOpenings);
-      console.log('[migration] migrated openings from data.json -> openings.json');
-    } else {
-      writeJsonFileAtomic(OPENINGS_FILE, []);
-    }
-  }
-  if (!fs.existsSync(FORMS_FILE)) writeJsonFileAtomic(FORMS_FILE, []);
-  if (!fs.existsSync(QUESTIONS_FILE)) writeJsonFileAtomic(QUESTIONS_FILE, []);
-}
-ensurePersistenceFilesAndMigrate();
-
 // serve fallback uploads if Drive fails (kept for compatibility but NOT used for successful flows)
 app.use('/uploads', express.static(UPLOADS_DIR));
 
@@ -264,7 +112,7 @@ async function getSheetsService() {
 
 // Append row and return updatedRange if available
 async function appendToSheetReturnRange(sheetId, tab, valuesArray) {
-  if (!sheetId) throw new Error('GOOGLE_SHEET_ID not set');
+  if (!sheetId) throw new Error('sheet id not set');
   const sheets = await getSheetsService();
   const range = `${tab}!A1`;
   const res = await sheets.spreadsheets.values.append({
@@ -280,7 +128,7 @@ async function appendToSheetReturnRange(sheetId, tab, valuesArray) {
 
 // Update a specific A1 range (single row)
 async function updateSheetRow(sheetId, rangeA1, valuesArray) {
-  if (!sheetId) throw new Error('GOOGLE_SHEET_ID not set');
+  if (!sheetId) throw new Error('sheet id not set');
   const sheets = await getSheetsService();
   const res = await sheets.spreadsheets.values.update({
     spreadsheetId: sheetId,
@@ -298,27 +146,181 @@ async function readSheetRange(sheetId, rangeA1) {
   return res.data && res.data.values ? res.data.values : [];
 }
 
+/** ---------- Outbox jobs (Sheets / Drive side effects, see jobQueue.js) ---------- **/
+// the sheet of the response's workspace
+async function sheetTargetFor(resp) {
+  const workspace = await getWorkspaceFromStore(resp.workspaceId);
+  if (!workspace || !workspace.googleSheetId) throw permanentJobError('sheet_not_configured');
+  return { sheetId: workspace.googleSheetId, tab: workspace.googleSheetTab || DEFAULT_SHEET_TAB };
+}
+
+const jobHandlers = {
+  // append the candidate's row and remember where it landed
+  async 'sheet.append'({ responseId, row }) {
+    const resp = await getResponseFromStore(responseId);
+    if (!resp) throw permanentJobError('response_not_found');
+    if (resp.sheetRange) return { sheetRange: resp.sheetRange }; // an earlier attempt got this far
+    const { sheetId, tab } = await sheetTargetFor(resp);
+    const sheetRange = await appendToSheetReturnRange(sheetId, tab, row);
+    // bookkeeping, not an edit: kept out of the version so open editors don't get a conflict
+    await store.responses.update(responseId, { sheetRange });
+    console.log('[jobs] appended to sheet, range=', sheetRange);
+    return { sheetRange };
+  },
+  // write the response's current status into its row; retried until the row has been appended
+  async 'sheet.status'({ responseId }) {
+    const resp = await getResponseFromStore(responseId);
+    if (!resp) throw permanentJobError('response_not_found');
+    if (!resp.sheetRange) throw new Error('sheet_row_not_appended_yet');
+    const { sheetId } = await sheetTargetFor(resp);
+    const sheetRange = resp.sheetRange;
+    const sheetName = sheetRange.split('!')[0];
+    const header = (await readSheetRange(sheetId, `${sheetName}!1:1`))[0] || [];
+    let statusIndex = header.findIndex(h => (h || '').toString().toLowerCase().trim() === 'status');
+    const existingRow = (await readSheetRange(sheetId, sheetRange))[0] || [];
+    if (statusIndex === -1) {
+      statusIndex = existingRow.length;
+    }
+    while (existingRow.length <= statusIndex) existingRow.push('');
+    existingRow[statusIndex] = resp.status;
+    await updateSheetRow(sheetId, sheetRange, existingRow);
+    console.log(`[jobs] updated sheet ${sheetRange} with status=${resp.status}`);
+    return { sheetRange, status: resp.status };
+  },
+  // emails anyone can ask for; the user is looked up here, so the request that queued the job
+  // answers the same way (and as fast) whether or not the address has an account
+  async 'mail.password_reset'({ email }) {
+    const user = await findUserByEmail(email);
+    if (!user || signInBlocker(user)) return { sent: false };
+    await authTokens.revokeForUser(user.id, 'password_reset');
+    await sendPasswordResetEmail(user, await authTokens.issue(user.id, 'password_reset', PASSWORD_RESET_TTL_MS));
+    return { sent: true };
+  },
+  async 'mail.magic_link'({ email }) {
+    const user = await findUserByEmail(email);
+    if (!user || signInBlocker(user)) return { sent: false };
+    await sendMagicLinkEmail(user, await authTokens.issue(user.id, 'magic_link', MAGIC_LINK_TTL_MS));
+    return { sent: true };
+  },
+  async 'drive.permission'({ fileId, role = 'reader', type = 'anyone' }) {
+    const drive = await getDriveService();
+    await drive.permissions.create({ fileId, requestBody: { role, type }, supportsAllDrives: true });
+    return { fileId };
+  }
+};
+
+// the worker is started at STARTUP once the store is open
+const jobQueue = createJobQueue({
+  getStore: () => store,
+  handlers: jobHandlers,
+  newId: (prefix) => newId(prefix),
+  pollMs: JOBS_POLL_MS,
+  maxAttempts: JOBS_MAX_ATTEMPTS,
+  housekeeping: [() => pruneIdempotencyKeys()]
+});
+
 /** ---------- Multer / upload ---------- **/
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } });
+// backup archives for POST /api/admin/restore (field "backup")
+const backupUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 500 * 1024 * 1024 } });
 
 /** ---------- JWT helpers & auth middleware ---------- **/
-function signUserToken(user) {
-  const payload = { id: user.id, email: user.email, role: user.role || 'recruiter' };
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: '30d' });
+// sign-in sessions and refresh tokens (sessions.js)
+const sessions = createSessions({
+  getStore: () => store,
+  newId: (prefix) => newId(prefix),
+  refreshTtlMs: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+});
+
+// access tokens name their session (sid) so revoking the session ends them before they expire
+function signUserToken(user, sessionId) {
+  const payload = { id: user.id, email: user.email, name: user.name || null, role: user.role || 'recruiter', sid: sessionId };
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+function accessTokenExpiresIn(token) {
+  const decoded = jwt.decode(token);
+  return decoded && decoded.exp ? decoded.exp - Math.floor(Date.now() / 1000) : null;
+}
+function sessionClientInfo(req) {
+  return { userAgent: req.get('user-agent') || null, ip: req.ip || null };
+}
+// new sign-in: -> { token, refreshToken, expiresIn }
+async function issueSessionTokens(user, req) {
+  const { session, refreshToken } = await sessions.create(user.id, sessionClientInfo(req));
+  const token = signUserToken(user, session.id);
+  return { token, refreshToken, expiresIn: accessTokenExpiresIn(token) };
+}
+
+// API keys for scripts (apiKeys.js); accepted by authMiddleware next to user tokens
+const apiKeys = createApiKeys({ getStore: () => store, newId: (prefix) => newId(prefix) });
+
+// The workspace a request works in: X-Workspace-Id, or else the first one the caller may use.
+// allowedIds null = every workspace. -> the workspace, null when there is none, undefined when the
+// requested one doesn't exist or isn't the caller's
+async function resolveWorkspace(req, allowedIds) {
+  const requested = (req.get('x-workspace-id') || '').trim();
+  const workspaces = (await listWorkspacesFromStore()).filter(w => !allowedIds || allowedIds.includes(w.id));
+  if (requested) return workspaces.find(w => w.id === requested);
+  return workspaces[0] || null;
 }
-function authMiddleware(req, res, next) {
+
+// req.user for an API key: no role, the key's scopes instead (principalCan in permissions.js); a
+// key works in the workspace it was created in
+async function authenticateApiKey(req, res, next, key) {
+  try {
+    const doc = await apiKeys.authenticate(key, { ip: req.ip || null });
+    if (!doc) return res.status(401).json({ error: 'invalid_api_key' });
+    const workspace = await resolveWorkspace(req, [doc.workspaceId]);
+    if (workspace === undefined) return res.status(404).json({ error: 'workspace_not_found' });
+    req.workspace = workspace;
+    req.user = { id: doc.id, email: null, name: doc.name, role: null, workspaceId: workspace ? workspace.id : null, apiKey: { id: doc.id, name: doc.name, scopes: doc.scopes || [] } };
+    next();
+  } catch (err) {
+    console.error('authMiddleware (api key)', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+
+async function authMiddleware(req, res, next) {
+  const headerKey = req.get('x-api-key');
+  if (headerKey) return authenticateApiKey(req, res, next, headerKey.trim());
   const auth = req.headers.authorization;
   if (!auth) return res.status(401).json({ error: 'missing_auth' });
   const parts = auth.split(' ');
   if (parts.length !== 2 || parts[0] !== 'Bearer') return res.status(401).json({ error: 'invalid_auth_format' });
   const token = parts[1];
+  if (isApiKey(token)) return authenticateApiKey(req, res, next, token);
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ error: 'invalid_or_expired_token' });
   }
+  try {
+    // the stored account wins over the token, so role changes and deactivation apply right away
+    const user = (await getUserFromStore(payload.id)) || (await findUserByEmail(payload.email));
+    if (signInBlocker(user)) return res.status(401).json({ error: signInBlocker(user) });
+    // tokens from before sessions existed (no sid) are refused too
+    const session = await sessions.get(payload.sid);
+    if (!sessions.isActive(session) || session.userId !== user.id) return res.status(401).json({ error: 'session_revoked' });
+    const workspace = await resolveWorkspace(req, user.role === 'admin' ? null : memberWorkspaceIds(user));
+    if (workspace === undefined) return res.status(404).json({ error: 'workspace_not_found' });
+    req.workspace = workspace;
+    // role = the role in this workspace (null without one), globalRole = the account's role
+    req.user = { ...payload, id: user.id, email: user.email, name: user.name || null, role: workspaceRoleFor(user, workspace), globalRole: user.role || 'recruiter', workspaceId: workspace ? workspace.id : null, sessionId: session.id };
+    next();
+  } catch (err) {
+    console.error('authMiddleware', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+
+// route-level permission check (roles and permissions: permissions.js); use after authMiddleware
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!principalCan(req.user, permission)) return res.status(403).json({ error: 'forbidden', permission });
+    next();
+  };
 }
 
 /** ---------- Passport Google OAuth (unchanged behavior) ---------- **/
@@ -329,11 +331,14 @@ if (process.env.GOOGLE_OAUTH_CLIENT_ID && process.env.GOOGLE_OAUTH_CLIENT_SECRET
     callbackURL: process.env.GOOGLE_OAUTH_CALLBACK || `${FRONTEND_URL}/auth/google/callback`
   }, async (accessToken, refreshToken, profile, done) => {
     try {
-      const data = readData();
       const email = profile.emails && profile.emails[0] && profile.emails[0].value;
-      let user = data.users.find(u => u.email === email);
-      if (!user) return done(null, false, { message: 'email_not_allowed', email });
-      return done(null, user);
+      if (!email) return done(null, false, { message: 'email_not_allowed' });
+      if (profile._json && profile._json.email_verified === false) return done(null, false, { message: 'email_not_verified', email });
+      const user = (await findUserByEmail(email)) || (await provisionUserFromLogin({ email, name: profile.displayName }));
+      const blocked = signInBlocker(user);
+      if (blocked === 'pending_approval') await updateUserFromLatest(user.id, () => ({ lastRequestedAt: new Date().toISOString() }));
+      if (blocked) return done(null, false, { message: blocked, email });
+      return done(null, await recordUserLogin(user));
     } catch (err) {
       return done(err);
     }
@@ -343,509 +348,1767 @@ if (process.env.GOOGLE_OAUTH_CLIENT_ID && process.env.GOOGLE_OAUTH_CLIENT_SECRET
   console.warn('Google OAuth not configured: GOOGLE_OAUTH_CLIENT_ID/SECRET missing');
 }
 
-/** ---------- Robust Mongo connection ---------- **/
-let mongoClientInstance = null;
-let db = null;
-
-async function connectMongo() {
-  if (!MONGO_URI) {
-    console.log('[mongo] MONGO_URI not set — skipping MongoDB connection (file fallback enabled)');
-    return null;
-  }
-  if (db) return db;
-  try {
-    console.log('[mongo] creating MongoClient...');
-    mongoClientInstance = new MongoClient(MONGO_URI, {
-      serverSelectionTimeoutMS: 15000,
-      connectTimeoutMS: 15000,
-      tls: true
-    });
-    console.log('[mongo] attempting to connect to Atlas...');
-    await mongoClientInstance.connect();
-    db = mongoClientInstance.db(MONGO_DB_NAME || undefined);
-    console.log('✅ Connected to MongoDB:', db.databaseName || '(default from URI)');
-
-    // create helpful indexes
-    await Promise.allSettled([
-      db.collection('openings').createIndex({ id: 1 }, { unique: true, sparse: true }),
-      db.collection('forms').createIndex({ id: 1 }, { unique: true, sparse: true }),
-      db.collection('responses').createIndex({ id: 1 }, { unique: true, sparse: true }),
-      db.collection('questions').createIndex({ id: 1 }, { unique: true, sparse: true })
-    ]);
-
-    return db;
-  } catch (err) {
-    console.error('[mongo] Failed to connect to MongoDB:', err && (err.stack || err.message));
-    db = null;
-    try { if (mongoClientInstance) await mongoClientInstance.close(); } catch(e){}
-    mongoClientInstance = null;
-    throw err;
-  }
+/** ---------- STORAGE ---------- **/
+// The active store (mongo, sqlite, file or memory) is opened at startup — see STARTUP below.
+// Routes only go through the helpers in this section, never through a backend directly.
+let store = null;
+function setStore(s) { store = s; }
+
+/** ---------- STORE HELPERS (openings/forms/questions/responses/users) ---------- **/
+
+/* VERSIONS (optimistic concurrency) */
+// Openings, forms, questions and responses carry an integer `version` that every write bumps.
+// Writers may pass ifVersion; if the stored version differs the write is refused with a
+// version_conflict error carrying the current document.
+function docVersion(doc) { return doc && Number.isInteger(doc.version) ? doc.version : 0; }
+
+function versionConflictError(current) {
+  const err = new Error('version_conflict');
+  err.code = 'version_conflict';
+  err.current = current;
+  return err;
 }
 
-/** ---------- Startup migration helper: ensure is_deleted exists ---------- **/
-async function ensureIsDeletedField() {
-  if (!db) return;
-  const collections = ['openings', 'forms', 'responses'];
-  for (const col of collections) {
-    try {
-      const res = await db.collection(col).updateMany(
-        { is_deleted: { $exists: false } },
-        { $set: { is_deleted: false } }
-      );
-      const matched = res.matchedCount !== undefined ? res.matchedCount : (res.n || 0);
-      const modified = res.modifiedCount !== undefined ? res.modifiedCount : (res.nModified || 0);
-      console.log(`[migration:is_deleted] ${col}: matched=${matched}, modified=${modified}`);
-    } catch (err) {
-      console.error(`[migration:is_deleted] error on ${col}`, err && err.message);
-    }
+async function updateVersioned(col, id, patch, { ifVersion } = {}) {
+  const current = await col.findById(id);
+  if (!current) return null;
+  const version = docVersion(current);
+  if (ifVersion !== undefined && ifVersion !== version) throw versionConflictError(current);
+  const next = { ...patch, version: version + 1 };
+  delete next.id;
+  // the where clause makes read-check-write safe against a concurrent writer
+  const updated = await col.update(id, next, { where: { version: current.version === undefined ? { $exists: false } : current.version } });
+  if (!updated) {
+    const latest = await col.findById(id);
+    if (!latest) return null;
+    throw versionConflictError(latest);
   }
+  return updated;
 }
 
-/** ---------- Normalizers ---------- **/
-function normalizeDoc(doc) { if (!doc) return doc; const copy = { ...doc }; delete copy._id; return copy; }
-
-/** ---------- STORE HELPERS (openings/forms/questions/responses) ---------- **/
-
 /* OPENINGS */
-async function listOpeningsFromStore() {
-  if (db) {
-    const rows = await db.collection('openings').find({}).sort({ createdAt: -1 }).toArray();
-    return rows.map(normalizeDoc);
-  }
-  return readJsonFile(OPENINGS_FILE, []);
+async function listOpeningsFromStore(filter = {}) {
+  return store.openings.find(filter, { sort: { createdAt: -1 } });
 }
 async function getOpeningFromStore(id) {
-  if (db) return normalizeDoc(await db.collection('openings').findOne({ id }));
-  const arr = readJsonFile(OPENINGS_FILE, []);
-  return arr.find(o => o.id === id);
+  return store.openings.findById(id);
 }
 async function createOpeningInStore(op) {
   // ensure is_deleted default exists
   if (op.is_deleted === undefined) op.is_deleted = false;
-  if (db) { await db.collection('openings').insertOne(op); return op; }
-  const arr = readJsonFile(OPENINGS_FILE, []);
-  arr.unshift(op);
-  writeJsonFileAtomic(OPENINGS_FILE, arr);
+  if (op.version === undefined) op.version = 1;
+  await store.openings.insert(op);
   return op;
 }
-async function updateOpeningInStore(id, fields) {
+async function updateOpeningInStore(id, fields, opts) {
   // only persist is_deleted if explicitly provided (caller controls it)
   // if fields.is_deleted is undefined, we don't alter the field
   const patch = { ...fields };
   if (patch.is_deleted === undefined) delete patch.is_deleted;
-  if (db) {
-    await db.collection('openings').updateOne({ id }, { $set: patch });
-    return normalizeDoc(await db.collection('openings').findOne({ id }));
-  }
-  const arr = readJsonFile(OPENINGS_FILE, []);
-  const idx = arr.findIndex(o => o.id === id);
-  if (idx === -1) return null;
-  arr[idx] = { ...arr[idx], ...patch };
-  writeJsonFileAtomic(OPENINGS_FILE, arr);
-  return arr[idx];
+  return updateVersioned(store.openings, id, patch, opts);
 }
 async function deleteOpeningInStore(id) {
-  let removed = 0;
-  if (db) {
-    const res = await db.collection('openings').deleteOne({ id });
-    removed = res.deletedCount || 0;
-    await db.collection('forms').deleteMany({ openingId: id });
-    await db.collection('responses').deleteMany({ openingId: id });
-  } else {
-    const arr = readJsonFile(OPENINGS_FILE, []);
-    const newArr = arr.filter(o => o.id !== id);
-    removed = arr.length - newArr.length;
-    writeJsonFileAtomic(OPENINGS_FILE, newArr);
-  }
-  const forms = readJsonFile(FORMS_FILE, []);
-  const newForms = forms.filter(f => f.openingId !== id);
-  if (newForms.length !== forms.length) writeJsonFileAtomic(FORMS_FILE, newForms);
-
-  const data = readData();
-  data.responses = (data.responses || []).filter(r => r.openingId !== id);
-  writeData(data);
-  return { ok: true, removedOpenings: removed };
+  const removed = await store.openings.remove(id);
+  const removedForms = await store.forms.removeMany({ openingId: id });
+  const responseIds = (await store.responses.find({ openingId: id })).map(r => r.id);
+  const removedResponses = await store.responses.removeMany({ openingId: id });
+  if (responseIds.length) await store.collection(RESPONSE_HISTORY_COLLECTION).removeMany({ responseId: { $in: responseIds } });
+  return { ok: true, removedOpenings: removed, removedForms, removedResponses };
 }
 
 /* FORMS */
-async function listFormsFromStore(openingId) {
-  if (db) {
-    const q = openingId ? { openingId } : {};
-    const rows = await db.collection('forms').find(q).toArray();
-    return rows.map(normalizeDoc);
-  }
-  const arr = readJsonFile(FORMS_FILE, []);
-  return openingId ? arr.filter(f => f.openingId === openingId) : arr;
+async function listFormsFromStore(openingId, workspaceId) {
+  const filter = {};
+  if (openingId) filter.openingId = openingId;
+  if (workspaceId) filter.workspaceId = workspaceId;
+  return store.forms.find(filter);
 }
 async function getFormFromStore(id) {
-  if (db) return normalizeDoc(await db.collection('forms').findOne({ id }));
-  const arr = readJsonFile(FORMS_FILE, []);
-  return arr.find(f => f.id === id);
-}
-async function getFormForOpeningFromStore(openingId) {
-  const forms = await listFormsFromStore(openingId);
-  return (forms && forms.length) ? forms[0] : null;
+  return store.forms.findById(id);
 }
 async function createFormInStore(form) {
   if (form.is_deleted === undefined) form.is_deleted = false;
-  if (db) { await db.collection('forms').insertOne(form); return form; }
-  const arr = readJsonFile(FORMS_FILE, []);
-  arr.push(form);
-  writeJsonFileAtomic(FORMS_FILE, arr);
+  if (form.version === undefined) form.version = 1;
+  await store.forms.insert(form);
   return form;
 }
-async function updateFormInStore(id, patch) {
+async function updateFormInStore(id, patch, opts) {
   const p = { ...patch };
   if (p.is_deleted === undefined) delete p.is_deleted;
-  if (db) {
-    await db.collection('forms').updateOne({ id }, { $set: p });
-    return normalizeDoc(await db.collection('forms').findOne({ id }));
-  }
-  const arr = readJsonFile(FORMS_FILE, []);
-  const idx = arr.findIndex(f => f.id === id);
-  if (idx === -1) return null;
-  arr[idx] = { ...arr[idx], ...p, updated_at: new Date().toISOString() };
-  writeJsonFileAtomic(FORMS_FILE, arr);
-  return arr[idx];
+  return updateVersioned(store.forms, id, p, opts);
 }
 async function deleteFormInStore(id) {
-  if (db) {
-    const res = await db.collection('forms').deleteOne({ id });
-    return { ok: true, deleted: res.deletedCount || 0 };
-  }
-  const arr = readJsonFile(FORMS_FILE, []);
-  const newArr = arr.filter(f => f.id !== id);
-  if (newArr.length === arr.length) return { ok: false, deleted: 0 };
-  writeJsonFileAtomic(FORMS_FILE, newArr);
-  return { ok: true, deleted: arr.length - newArr.length };
+  const deleted = await store.forms.remove(id);
+  return { ok: deleted > 0, deleted };
 }
 
 /* QUESTIONS */
-async function listQuestionsFromStore() {
-  if (db) {
-    const rows = await db.collection('questions').find({}).sort({ createdAt: -1 }).toArray();
-    return rows.map(normalizeDoc);
-  }
-  return readJsonFile(QUESTIONS_FILE, []);
+// every workspace has its own question bank
+async function listQuestionsFromStore(workspaceId) {
+  return store.questions.find(workspaceId ? { workspaceId } : {}, { sort: { createdAt: -1 } });
 }
 async function getQuestionFromStore(id) {
   if (!id) return null;
-  if (db) return normalizeDoc(await db.collection('questions').findOne({ id }));
-  const arr = readJsonFile(QUESTIONS_FILE, []);
-  return arr.find(q => q.id === id);
+  return store.questions.findById(id);
 }
 async function createQuestionInStore(q) {
-  if (db) { await db.collection('questions').insertOne(q); return q; }
-  const arr = readJsonFile(QUESTIONS_FILE, []);
-  arr.unshift(q);
-  writeJsonFileAtomic(QUESTIONS_FILE, arr);
+  if (q.version === undefined) q.version = 1;
+  await store.questions.insert(q);
   return q;
 }
-async function updateQuestionInStore(id, patch) {
-  if (db) {
-    await db.collection('questions').updateOne({ id }, { $set: patch });
-    return normalizeDoc(await db.collection('questions').findOne({ id }));
-  }
-  const arr = readJsonFile(QUESTIONS_FILE, []);
-  const idx = arr.findIndex(q => q.id === id);
-  if (idx === -1) return null;
-  arr[idx] = { ...arr[idx], ...patch, updatedAt: new Date().toISOString() };
-  writeJsonFileAtomic(QUESTIONS_FILE, arr);
-  return arr[idx];
+async function updateQuestionInStore(id, patch, opts) {
+  return updateVersioned(store.questions, id, patch, opts);
 }
 async function deleteQuestionInStore(id) {
-  if (db) {
-    const res = await db.collection('questions').deleteOne({ id });
-    return { ok: true, deleted: res.deletedCount || 0 };
-  }
-  const arr = readJsonFile(QUESTIONS_FILE, []);
-  const newArr = arr.filter(q => q.id !== id);
-  if (newArr.length === arr.length) return { ok: false, deleted: 0 };
-  writeJsonFileAtomic(QUESTIONS_FILE, newArr);
-  return { ok: true, deleted: arr.length - newArr.length };
+  const deleted = await store.questions.remove(id);
+  return { ok: deleted > 0, deleted };
 }
 
 /* RESPONSES */
 async function listResponsesFromStore(query = {}) {
-  // accept optional query filter { openingId }
-  if (db) {
-    const q = {};
-    if (query.openingId) q.openingId = query.openingId;
-    const rows = await db.collection('responses').find(q).sort({ createdAt: -1 }).toArray();
-    return rows.map(normalizeDoc);
-  }
-  const data = readData();
-  const arr = data.responses || [];
-  if (query.openingId) return arr.filter(r => r.openingId === query.openingId);
-  return arr;
+  // accept optional query filter { openingId, workspaceId }
+  const filter = {};
+  if (query.openingId) filter.openingId = query.openingId;
+  if (query.workspaceId) filter.workspaceId = query.workspaceId;
+  return store.responses.find(filter, { sort: { createdAt: -1 } });
 }
 async function getResponseFromStore(id) {
-  if (db) return normalizeDoc(await db.collection('responses').findOne({ id }));
-  const data = readData();
-  return (data.responses || []).find(r => r.id === id);
+  return store.responses.findById(id);
 }
 async function createResponseInStore(resp) {
   if (resp.is_deleted === undefined) resp.is_deleted = false;
-  if (db) { await db.collection('responses').insertOne(resp); return resp; }
-  const data = readData();
-  data.responses.unshift(resp);
-  writeData(data);
+  if (resp.version === undefined) resp.version = 1;
+  await store.responses.insert(resp);
   return resp;
 }
-async function updateResponseInStore(id, patch) {
+async function updateResponseInStore(id, patch, opts) {
   const p = { ...patch };
   if (p.is_deleted === undefined) delete p.is_deleted;
-  if (db) {
-    await db.collection('responses').updateOne({ id }, { $set: p });
-    return normalizeDoc(await db.collection('responses').findOne({ id }));
+  return updateVersioned(store.responses, id, p, opts);
+}
+
+/* RESPONSE HISTORY */
+// Append-only log of a candidate's place in the pipeline: one entry when they apply and one per
+// stage/status change, { id, responseId, openingId, workspaceId, at, actor, fromStage, fromStatus,
+// stage, status, fields? }. Entries are never edited; they go when the response's opening is deleted.
+// The response itself carries stageEnteredAt, when it last moved to another stage.
+const RESPONSE_HISTORY_COLLECTION = 'response_history';
+async function listResponseHistoryFromStore(responseId) {
+  return store.collection(RESPONSE_HISTORY_COLLECTION).find({ responseId }, { sort: { at: 1 } });
+}
+// like recordAudit, a failed write is logged but never fails the request itself
+async function recordStageHistory(req, before, after, fields = null) {
+  const entry = {
+    id: newId('hist'),
+    responseId: after.id,
+    openingId: after.openingId || null,
+    workspaceId: after.workspaceId || null,
+    at: after.updatedAt || after.createdAt || new Date().toISOString(),
+    actor: auditActor(req),
+    fromStage: before ? before.stage || null : null,
+    fromStatus: before ? before.status || null : null,
+    stage: after.stage || null,
+    status: after.status || null
+  };
+  if (fields && Object.keys(fields).length) entry.fields = fields;
+  try { await store.collection(RESPONSE_HISTORY_COLLECTION).insert(entry); }
+  catch (err) { console.error('[history] failed to record', after.id, err && err.message); }
+  return entry;
+}
+
+/* USERS */
+// invited: added by an admin, has not signed in yet; pending: signed in with Google without an
+// account (outside ALLOWED_EMAIL_DOMAINS) and waits for an admin; deactivated: can't sign in,
+// tokens are refused
+const USER_ROLES = ROLES;
+const USER_STATUSES = ['invited', 'pending', 'active', 'deactivated'];
+if (!USER_ROLES.includes(DEFAULT_USER_ROLE)) console.warn(`[config] DEFAULT_USER_ROLE "${DEFAULT_USER_ROLE}" is not a role (${USER_ROLES.join(', ')}); new users get read_only`);
+const PROVISIONED_ROLE = USER_ROLES.includes(DEFAULT_USER_ROLE) ? DEFAULT_USER_ROLE : 'read_only';
+
+// the fields the API hands out (never credentials added to the document later)
+function publicUser(user) {
+  if (!user) return null;
+  const { id, email, name, initials, role, workspaceRoles, status, invitedBy, invitedAt, lastLoginAt, lastRequestedAt, createdAt, updatedAt, version } = user;
+  return { id, email, name: name || null, initials: initials || initialsFor(name, email), role: role || 'recruiter', workspaceRoles: workspaceRoles || {}, status: status || 'active', invitedBy: invitedBy || null, invitedAt: invitedAt || null, lastLoginAt: lastLoginAt || null, lastRequestedAt: lastRequestedAt || null, hasPassword: !!user.passwordHash, createdAt: createdAt || null, updatedAt: updatedAt || null, version: docVersion(user) };
+}
+
+async function listUsersFromStore() {
+  return store.users.find({}, { sort: { createdAt: 1 } });
+}
+async function getUserFromStore(id) {
+  if (!id) return null;
+  return store.users.findById(id);
+}
+async function findUserByEmail(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  return (await store.users.findOne({ email: normalized })) || (await store.users.findOne({ email }));
+}
+async function createUserInStore(user) {
+  if (user.version === undefined) user.version = 1;
+  await store.users.insert(user);
+  return user;
+}
+async function updateUserInStore(id, patch, opts) {
+  return updateVersioned(store.users, id, patch, opts);
+}
+// writes nobody edited in a form (sign-in bookkeeping, membership clean-up): the patch is built
+// from the latest document and rebuilt when a concurrent edit bumped the version in between
+async function updateUserFromLatest(id, makePatch, attempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    const user = await store.users.findById(id);
+    if (!user) return null;
+    try { return await updateUserInStore(id, makePatch(user), { ifVersion: docVersion(user) }); }
+    catch (err) { if (err.code !== 'version_conflict' || attempt >= attempts) throw err; }
+  }
+}
+// -> why the user may not sign in ('user_deactivated' | 'pending_approval'), or null
+function signInBlocker(user) {
+  if (!user) return 'user_not_found';
+  if (user.status === 'deactivated') return 'user_deactivated';
+  if (user.status === 'pending') return 'pending_approval';
+  return null;
+}
+
+// normalized email -> the provisioning in progress. Only Mongo and SQLite have a unique email
+// index, so concurrent first sign-ins of one email are serialised here (the file store is held by
+// a single process, see the store lock) and the later ones get the account the first one created.
+const provisioningByEmail = new Map();
+
+// first Google sign-in of an unknown email: an account (allowed domain) or an access request
+function provisionUserFromLogin({ email, name }) {
+  const normalized = normalizeEmail(email);
+  const previous = provisioningByEmail.get(normalized) || Promise.resolve();
+  const current = previous.catch(() => {})
+    .then(async () => (await findUserByEmail(normalized)) || createProvisionedUser(normalized, name));
+  provisioningByEmail.set(normalized, current);
+  const forget = () => { if (provisioningByEmail.get(normalized) === current) provisioningByEmail.delete(normalized); };
+  current.then(forget, forget);
+  return current;
+}
+async function createProvisionedUser(normalized, name) {
+  const allowed = ALLOWED_EMAIL_DOMAINS.includes(normalized.split('@')[1] || '');
+  const now = new Date().toISOString();
+  // new people join the first workspace; admins add them to others
+  const workspace = (await listWorkspacesFromStore())[0];
+  const user = {
+    id: newId('u'),
+    email: normalized,
+    name: (name || '').trim() || null,
+    initials: initialsFor(name, normalized),
+    role: PROVISIONED_ROLE,
+    workspaceRoles: workspace ? { [workspace.id]: PROVISIONED_ROLE } : {},
+    status: allowed ? 'active' : 'pending',
+    provisionedVia: allowed ? 'domain' : 'access_request',
+    createdAt: now,
+    updatedAt: now
+  };
+  if (!allowed) user.lastRequestedAt = now;
+  try { await createUserInStore(user); }
+  catch (err) {
+    // another server process created it first (unique email index on Mongo/SQLite)
+    const existing = await findUserByEmail(normalized);
+    if (existing) return existing;
+    throw err;
+  }
+  console.log(`[users] ${allowed ? 'created' : 'access request from'} ${normalized}${allowed ? ` (${user.role}, allowed domain)` : ''}`);
+  // the person signing in is the actor
+  await recordAudit({ user: publicUser(user) }, { entity: 'user', entityId: user.id, action: allowed ? 'provision' : 'access_request', after: publicUser(user) });
+  return user;
+}
+
+// ADMIN_EMAILS: while there is no admin (a fresh install), make these emails admins, creating
+// invited accounts where needed so their first sign-in works
+async function bootstrapAdmins() {
+  if (!ADMIN_EMAILS.length) return;
+  const admins = await store.users.find({ role: 'admin' });
+  if (admins.some(u => !signInBlocker(u))) return;
+  const actor = { system: 'ADMIN_EMAILS' };
+  const now = new Date().toISOString();
+  for (const email of ADMIN_EMAILS) {
+    const existing = await findUserByEmail(email);
+    if (existing) {
+      const updated = await updateUserInStore(existing.id, { role: 'admin', status: existing.lastLoginAt ? 'active' : 'invited', updatedAt: now });
+      await recordAudit(actor, { entity: 'user', entityId: existing.id, action: 'update', before: publicUser(existing), after: publicUser(updated), meta: { via: 'ADMIN_EMAILS' } });
+    } else {
+      const user = { id: newId('u'), email, name: null, initials: initialsFor(null, email), role: 'admin', status: 'invited', invitedBy: null, invitedAt: now, createdAt: now, updatedAt: now };
+      await createUserInStore(user);
+      await recordAudit(actor, { entity: 'user', entityId: user.id, action: 'invite', after: publicUser(user), meta: { via: 'ADMIN_EMAILS' } });
+    }
+    console.log(`[startup] ${email} is an admin (ADMIN_EMAILS, no admin existed)`);
+  }
+}
+
+// first sign-in turns an invitation into an active account
+async function recordUserLogin(user) {
+  const now = new Date().toISOString();
+  const updated = await updateUserFromLatest(user.id, (latest) => ({ lastLoginAt: now, ...(latest.status === 'invited' ? { status: 'active' } : {}) }));
+  return updated || user;
+}
+
+/* WORKSPACES */
+// A workspace holds its own openings, forms, question bank and responses (workspaceId on each),
+// its pipelines (defaultPipelineId is the one new openings get), its Google Sheet / Drive targets and
+// its members: user.workspaceRoles = { [workspaceId]: role }. Account admins are in every workspace.
+const WORKSPACES_COLLECTION = 'workspaces';
+const WORKSPACE_FIELDS = ['name', 'googleSheetId', 'googleSheetTab', 'googleDriveFolderId', 'defaultPipelineId'];
+
+function publicWorkspace(ws) {
+  if (!ws) return null;
+  const { id, name, googleSheetId, googleSheetTab, googleDriveFolderId, defaultPipelineId, createdAt, updatedAt } = ws;
+  return { id, name, googleSheetId: googleSheetId || null, googleSheetTab: googleSheetTab || DEFAULT_SHEET_TAB, googleDriveFolderId: googleDriveFolderId || null, defaultPipelineId: defaultPipelineId || null, createdAt: createdAt || null, updatedAt: updatedAt || null, version: docVersion(ws) };
+}
+// oldest first, so the first one is the default for new people
+async function listWorkspacesFromStore() {
+  return store.collection(WORKSPACES_COLLECTION).find({}, { sort: { createdAt: 1 } });
+}
+async function getWorkspaceFromStore(id) {
+  if (!id) return null;
+  return store.collection(WORKSPACES_COLLECTION).findById(id);
+}
+async function updateWorkspaceInStore(id, patch, opts) {
+  return updateVersioned(store.collection(WORKSPACES_COLLECTION), id, patch, opts);
+}
+function memberWorkspaceIds(user) {
+  return Object.keys((user && user.workspaceRoles) || {});
+}
+function workspaceRoleFor(user, workspace) {
+  if (!user || !workspace) return null;
+  if (user.role === 'admin') return 'admin';
+  return (user.workspaceRoles || {})[workspace.id] || null;
+}
+function isWorkspaceMember(user, workspaceId) {
+  return !!user && (user.role === 'admin' || memberWorkspaceIds(user).includes(workspaceId));
+}
+// documents of other workspaces answer 404 as if missing
+function inWorkspace(user, doc) {
+  return !!doc && !!user.workspaceId && doc.workspaceId === user.workspaceId;
+}
+
+/* PIPELINES (see pipelines.js) */
+function publicPipeline(doc) {
+  if (!doc) return null;
+  const { id, workspaceId, name, stages, createdAt, updatedAt } = doc;
+  return { id, workspaceId: workspaceId || null, name, stages: stages || [], createdAt: createdAt || null, updatedAt: updatedAt || null, version: docVersion(doc) };
+}
+async function listPipelinesFromStore(workspaceId) {
+  return store.collection(PIPELINES_COLLECTION).find({ workspaceId }, { sort: { createdAt: 1 } });
+}
+async function getPipelineFromStore(id) {
+  if (!id) return null;
+  return store.collection(PIPELINES_COLLECTION).findById(id);
+}
+async function createPipelineInStore({ workspaceId, name, stages }) {
+  const now = new Date().toISOString();
+  const pipeline = { id: newId('pl'), workspaceId, name, stages, createdAt: now, updatedAt: now, version: 1 };
+  await store.collection(PIPELINES_COLLECTION).insert(pipeline);
+  return pipeline;
+}
+// the pipeline of an opening: its own, else the workspace default, else the built-in one
+async function pipelineForOpening(opening, workspace) {
+  const own = opening && await getPipelineFromStore(opening.pipelineId);
+  if (own) return own;
+  const ws = workspace || (opening && await getWorkspaceFromStore(opening.workspaceId));
+  const fallback = ws && await getPipelineFromStore(ws.defaultPipelineId);
+  return fallback || { id: null, workspaceId: ws ? ws.id : null, name: BUILT_IN_PIPELINE_NAME, stages: BUILT_IN_STAGES };
+}
+// a pipeline id an opening in `workspaceId` may use; -> the pipeline or null
+async function workspacePipelineById(id, workspaceId) {
+  const pipeline = await getPipelineFromStore(id);
+  return pipeline && pipeline.workspaceId === workspaceId ? pipeline : null;
+}
+
+/* OPENING ACCESS (per-opening team members) */
+// Openings carry teamMemberIds. Users without 'openings.all' only see the openings they are
+// assigned to and the forms/responses of those openings; anything else answers 404 as if missing.
+// Everything is limited to the request's workspace (req.user.workspaceId).
+function hasAllOpenings(user) {
+  return principalCan(user, 'openings.all');
+}
+function openingScopeFilter(user) {
+  return hasAllOpenings(user) ? { workspaceId: user.workspaceId } : { workspaceId: user.workspaceId, teamMemberIds: user.id };
+}
+// ids of the workspace's openings the user may see, or null when they see all of them
+async function accessibleOpeningIds(user) {
+  if (hasAllOpenings(user)) return null;
+  return (await store.openings.find(openingScopeFilter(user))).map(o => o.id);
+}
+function canAccessOpening(user, opening) {
+  if (!inWorkspace(user, opening)) return false;
+  return hasAllOpenings(user) || (Array.isArray(opening.teamMemberIds) && opening.teamMemberIds.includes(user.id));
+}
+async function canAccessOpeningId(user, openingId) {
+  return canAccessOpening(user, await getOpeningFromStore(openingId));
+}
+// validated, de-duplicated list of members of the workspace; null when the input is not a list of them
+async function normalizeTeamMemberIds(ids, workspaceId) {
+  if (!Array.isArray(ids)) return null;
+  const unique = Array.from(new Set(ids.map(String)));
+  for (const id of unique) { if (!isWorkspaceMember(await getUserFromStore(id), workspaceId)) return null; }
+  return unique;
+}
+
+/** ---------- AUDIT LOG (who changed what, with a before/after diff) ---------- **/
+// fields that change on every write and would only add noise to a diff
+const AUDIT_IGNORED_FIELDS = ['_id', 'updatedAt', 'updated_at'];
+// entries about these carry the workspaceId, so each workspace only reads its own history
+const WORKSPACE_AUDIT_ENTITIES = ['opening', 'form', 'question', 'response', 'workspace', 'pipeline'];
+
+// top-level field diff: { field: { from, to } } for every field whose value changed
+function auditDiff(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach(k => {
+    if (AUDIT_IGNORED_FIELDS.includes(k)) return;
+    const from = before && before[k] !== undefined ? before[k] : null;
+    const to = after && after[k] !== undefined ? after[k] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[k] = { from, to };
+  });
+  return diff;
+}
+
+// requests without a logged-in user (public apply / public opening routes) are recorded as 'public';
+// changes the server makes on its own pass { system: '<what>' } instead of a request
+function auditActor(req) {
+  if (req && req.system) return { id: null, email: null, name: req.system, kind: 'system' };
+  if (!req || !req.user) return { id: null, email: null, name: 'public' };
+  if (req.user.apiKey) return { id: req.user.apiKey.id, email: null, name: req.user.apiKey.name, kind: 'api_key' };
+  return { id: req.user.id || null, email: req.user.email || null, name: req.user.name || null };
+}
+
+// Record one mutation. A failed audit write is logged but never fails the request itself.
+// workspaceId defaults to the request's workspace for workspace-level entities.
+async function recordAudit(req, { entity, entityId, action, before = null, after = null, meta = null, workspaceId }) {
+  const actor = auditActor(req);
+  const entry = {
+    id: newId('audit'),
+    at: new Date().toISOString(),
+    entity,
+    entityId,
+    action,
+    actor,
+    actorId: actor.id,
+    changes: auditDiff(before, after)
+  };
+  if (meta) entry.meta = meta;
+  const ws = workspaceId !== undefined ? workspaceId : (WORKSPACE_AUDIT_ENTITIES.includes(entity) && req && req.user ? req.user.workspaceId : null);
+  if (ws) entry.workspaceId = ws;
+  try { await store.audit.insert(entry); }
+  catch (err) { console.error('[audit] failed to record', entity, entityId, action, err && err.message); }
+  return entry;
+}
+
+/** ---------- ETag / If-Match (document versions over HTTP) ---------- **/
+function setVersionEtag(res, doc) { if (doc) res.set('ETag', `"${docVersion(doc)}"`); }
+
+// The version a client based its edit on: If-Match ("3" or W/"3") or a `version` field in the body.
+// undefined = no check requested (blind write, as before); NaN = malformed header.
+function requestedVersion(req) {
+  const header = req.headers['if-match'];
+  if (header && header.trim() !== '*') {
+    const m = /^(?:W\/)?"(\d+)"$/.exec(header.trim());
+    return m ? Number(m[1]) : NaN;
   }
-  const data = readData();
-  const idx = (data.responses || []).findIndex(r => r.id === id);
-  if (idx === -1) return null;
-  data.responses[idx] = { ...data.responses[idx], ...p };
-  writeData(data);
-  return data.responses[idx];
+  if (req.body && req.body.version !== undefined && req.body.version !== null) return Number(req.body.version);
+  return undefined;
+}
+
+// 409 with the current document so the client can offer to merge or overwrite
+function sendVersionConflict(res, err) {
+  setVersionEtag(res, err.current);
+  return res.status(409).json({ error: 'version_conflict', current: err.current });
 }
 
 /** ---------- ROUTES ---------- **/
 
-// OAuth
-app.get('/auth/google', (req, res, next) => {
-  if (!passport._strategy('google')) return res.status(500).json({ error: 'oauth_not_configured' });
-  passport.authenticate('google', { scope: ['profile', 'email'] })(req, res, next);
+// OAuth: state cookie + one-time code (the flow is described in oauthLogin.js)
+const oauthLogin = createOAuthLogin({ getStore: () => store });
+const OAUTH_STATE_COOKIE = 'hrtool_oauth_state';
+const OAUTH_STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax', // sent on the top-level redirect back from Google
+  secure: String(process.env.GOOGLE_OAUTH_CALLBACK || FRONTEND_URL).startsWith('https:'),
+  path: '/auth/google'
+};
+
+function redirectLoginError(res, code) {
+  return res.redirect(`${FRONTEND_URL}?loginError=${encodeURIComponent(code)}`);
+}
+
+function readCookie(req, name) {
+  const pair = String(req.headers.cookie || '').split(';').map(p => p.trim()).find(p => p.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+app.get('/auth/google', async (req, res, next) => {
+  if (!passport._strategy('google')) return res.status(500).json({ error: 'oauth_not_configured' });
+  try {
+    const nonce = String(req.query.nonce || '');
+    if (!/^[A-Za-z0-9_-]{16,128}$/.test(nonce)) return res.status(400).json({ error: 'invalid_nonce' });
+    const state = await oauthLogin.begin(nonce);
+    res.cookie(OAUTH_STATE_COOKIE, state, { ...OAUTH_STATE_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+    passport.authenticate('google', { scope: ['profile', 'email'], state })(req, res, next);
+  } catch (err) { console.error('GET /auth/google', err); return res.status(500).json({ error: 'server_error' }); }
+});
+app.get('/auth/google/callback', async (req, res, next) => {
+  if (!passport._strategy('google')) return res.status(500).json({ error: 'oauth_not_configured' });
+  res.clearCookie(OAUTH_STATE_COOKIE, OAUTH_STATE_COOKIE_OPTIONS);
+  res.set('Referrer-Policy', 'no-referrer');
+  let nonce;
+  try {
+    ({ nonce } = await oauthLogin.consumeState(req.query.state, readCookie(req, OAUTH_STATE_COOKIE)));
+  } catch (err) {
+    if (err.code === 'invalid_state') {
+      console.warn(`[oauth] callback with invalid state from ${req.ip}`);
+      return redirectLoginError(res, 'invalid_state');
+    }
+    console.error('OAuth callback state', err); return redirectLoginError(res, 'oauth_failed');
+  }
+  passport.authenticate('google', { session: false }, (err, user, info) => {
+    if (err) { console.error('OAuth callback error', err); return redirectLoginError(res, 'oauth_failed'); }
+    // pending approval, deactivated, ... -> the login page explains it
+    if (!user) return redirectLoginError(res, (info && info.message) || 'access_denied');
+    oauthLogin.issueCode(user.id, nonce).then(code => {
+      return res.redirect(`${FRONTEND_URL}?code=${encodeURIComponent(code)}`);
+    }).catch(e => { console.error('OAuth callback code', e); return redirectLoginError(res, 'oauth_failed'); });
+  })(req, res, next);
+});
+
+// POST /auth/exchange { code, nonce } -> { token, refreshToken, expiresIn }; the code works once
+app.post('/auth/exchange', async (req, res) => {
+  try {
+    const { code, nonce } = req.body || {};
+    let userId;
+    try { userId = await oauthLogin.redeemCode(code, nonce); }
+    catch (err) {
+      if (err.code === 'invalid_code' || err.code === 'nonce_mismatch') return res.status(400).json({ error: err.code });
+      throw err;
+    }
+    const user = await getUserFromStore(userId);
+    if (signInBlocker(user)) return res.status(401).json({ error: signInBlocker(user) });
+    return res.json(await issueSessionTokens(user, req));
+  } catch (err) { console.error('POST /auth/exchange', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+/** ---------- Local sign-in (email/password, magic link) ---------- **/
+// Both end in issueSessionTokens, like Google sign-in. Reset and magic-link emails point at the
+// dashboard (?resetToken= / ?magicToken=), which posts the token back here.
+const mailer = createMailer();
+const authTokens = createAuthTokens({ getStore: () => store });
+const loginThrottle = createLoginThrottle(); // failed passwords per email
+const loginIpThrottle = createLoginThrottle({ max: 30 }); // failed passwords per IP
+const mailThrottle = createLoginThrottle({ max: 3 }); // reset / sign-in emails per address
+const mailIpThrottle = createLoginThrottle({ max: 20 }); // reset / sign-in emails per IP
+const MAIL_JOB_MAX_ATTEMPTS = 3; // the links expire, so there's no point retrying for long
+
+function magicLinkEnabled() { return MAGIC_LINK_LOGIN && mailer.enabled; }
+
+// checks: [[throttle, key]]; -> seconds until every key is under its limit, 0 when the attempt may go ahead
+function throttleWait(checks) {
+  return Math.max(0, ...checks.filter(([, key]) => key).map(([throttle, key]) => throttle.retryAfter(key)));
+}
+function sendTooManyAttempts(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'too_many_attempts', retryAfter });
+}
+
+async function sendPasswordResetEmail(user, token) {
+  const link = `${FRONTEND_URL}?resetToken=${encodeURIComponent(token)}`;
+  const verb = user.passwordHash ? 'reset your password' : 'set a password for your account';
+  await mailer.send({
+    to: user.email,
+    subject: 'Set your HR Tool password',
+    text: `Open this link within ${PASSWORD_RESET_TTL_MS / 60000} minutes to ${verb}:\n\n${link}\n\nIf you didn't ask for this, ignore this email.`
+  });
+}
+async function sendMagicLinkEmail(user, token) {
+  const link = `${FRONTEND_URL}?magicToken=${encodeURIComponent(token)}`;
+  await mailer.send({
+    to: user.email,
+    subject: 'Your HR Tool sign-in link',
+    text: `Open this link within ${MAGIC_LINK_TTL_MS / 60000} minutes to sign in:\n\n${link}\n\nIf you didn't ask for this, ignore this email.`
+  });
+}
+
+// which sign-in options the login page should offer
+app.get('/auth/providers', (req, res) => {
+  res.json({ google: !!passport._strategy('google'), password: PASSWORD_LOGIN, magicLink: magicLinkEnabled(), passwordReset: PASSWORD_LOGIN && mailer.enabled });
+});
+
+// POST /auth/login { email, password } -> { token, refreshToken, expiresIn }
+app.post('/auth/login', async (req, res) => {
+  try {
+    if (!PASSWORD_LOGIN) return res.status(403).json({ error: 'password_login_disabled' });
+    const email = normalizeEmail(req.body && req.body.email);
+    const password = req.body && req.body.password;
+    if (!email || !password) return res.status(400).json({ error: 'missing_credentials' });
+    const retryAfter = throttleWait([[loginThrottle, email], [loginIpThrottle, req.ip]]);
+    if (retryAfter) return sendTooManyAttempts(res, retryAfter);
+    const user = await findUserByEmail(email);
+    if (!(await verifyPassword(password, user && user.passwordHash))) {
+      loginThrottle.fail(email);
+      loginIpThrottle.fail(req.ip);
+      return res.status(401).json({ error: 'invalid_credentials' });
+    }
+    loginThrottle.reset(email);
+    if (signInBlocker(user)) return res.status(401).json({ error: signInBlocker(user) });
+    return res.json(await issueSessionTokens(await recordUserLogin(user), req));
+  } catch (err) { console.error('POST /auth/login', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// Reset and magic-link emails are throttled per address and per IP and sent by the job queue, so
+// neither the answer nor its timing says whether the email has an account.
+async function queueAccountEmail(req, res, jobType) {
+  const email = normalizeEmail(req.body && req.body.email);
+  const retryAfter = throttleWait([[mailThrottle, email], [mailIpThrottle, req.ip]]);
+  if (retryAfter) return sendTooManyAttempts(res, retryAfter);
+  if (email) mailThrottle.fail(email);
+  mailIpThrottle.fail(req.ip);
+  if (email) await jobQueue.enqueue(jobType, { email }, { maxAttempts: MAIL_JOB_MAX_ATTEMPTS });
+  return res.json({ ok: true });
+}
+
+// POST /auth/password/forgot { email } emails a reset link
+app.post('/auth/password/forgot', async (req, res) => {
+  try {
+    if (!PASSWORD_LOGIN) return res.status(403).json({ error: 'password_login_disabled' });
+    if (!mailer.enabled) return res.status(503).json({ error: 'mail_not_configured' });
+    return await queueAccountEmail(req, res, 'mail.password_reset');
+  } catch (err) { console.error('POST /auth/password/forgot', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// POST /auth/password/reset { token, password } sets the password and signs out every session
+app.post('/auth/password/reset', async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    const problem = passwordProblem(password);
+    if (problem) return res.status(400).json({ error: problem, minLength: MIN_PASSWORD_LENGTH });
+    let userId;
+    try { userId = await authTokens.consume(token, 'password_reset'); }
+    catch (err) { if (err.code === 'invalid_token') return res.status(400).json({ error: 'invalid_token' }); throw err; }
+    const user = await getUserFromStore(userId);
+    if (signInBlocker(user)) return res.status(400).json({ error: 'invalid_token' });
+    const now = new Date().toISOString();
+    const updated = await updateUserInStore(user.id, { passwordHash: await hashPassword(password), passwordUpdatedAt: now, updatedAt: now });
+    await sessions.revokeAllForUser(user.id, { reason: 'password_reset' });
+    loginThrottle.reset(normalizeEmail(user.email));
+    // no signed-in user here; the reset link proves who is acting
+    await recordAudit({ user: publicUser(user) }, { entity: 'user', entityId: user.id, action: 'password_reset', before: publicUser(user), after: publicUser(updated) });
+    return res.json({ ok: true, email: user.email });
+  } catch (err) { console.error('POST /auth/password/reset', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// POST /auth/magic-link { email } emails a one-time sign-in link
+app.post('/auth/magic-link', async (req, res) => {
+  try {
+    if (!magicLinkEnabled()) return res.status(403).json({ error: 'magic_link_disabled' });
+    return await queueAccountEmail(req, res, 'mail.magic_link');
+  } catch (err) { console.error('POST /auth/magic-link', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// POST /auth/magic-link/verify { token } -> { token, refreshToken, expiresIn }
+app.post('/auth/magic-link/verify', async (req, res) => {
+  try {
+    if (!magicLinkEnabled()) return res.status(403).json({ error: 'magic_link_disabled' });
+    let userId;
+    try { userId = await authTokens.consume(req.body && req.body.token, 'magic_link'); }
+    catch (err) { if (err.code === 'invalid_token') return res.status(400).json({ error: 'invalid_token' }); throw err; }
+    const user = await getUserFromStore(userId);
+    if (signInBlocker(user)) return res.status(401).json({ error: signInBlocker(user) });
+    return res.json(await issueSessionTokens(await recordUserLogin(user), req));
+  } catch (err) { console.error('POST /auth/magic-link/verify', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// POST /api/me/password { currentPassword, newPassword } (currentPassword only when one is set);
+// other sessions are signed out
+app.post('/api/me/password', authMiddleware, async (req, res) => {
+  try {
+    if (!PASSWORD_LOGIN) return res.status(403).json({ error: 'password_login_disabled' });
+    const { currentPassword, newPassword } = req.body || {};
+    const user = await getUserFromStore(req.user.id);
+    if (!user) return res.status(404).json({ error: 'user_not_found' });
+    if (user.passwordHash && !(await verifyPassword(currentPassword, user.passwordHash))) return res.status(400).json({ error: 'invalid_current_password' });
+    const problem = passwordProblem(newPassword);
+    if (problem) return res.status(400).json({ error: problem, minLength: MIN_PASSWORD_LENGTH });
+    const now = new Date().toISOString();
+    const updated = await updateUserInStore(user.id, { passwordHash: await hashPassword(newPassword), passwordUpdatedAt: now, updatedAt: now });
+    await sessions.revokeAllForUser(user.id, { exceptId: req.user.sessionId, reason: 'password_changed', by: user.id });
+    await authTokens.revokeForUser(user.id, 'password_reset');
+    await recordAudit(req, { entity: 'user', entityId: user.id, action: 'password_change', before: publicUser(user), after: publicUser(updated) });
+    return res.json({ ok: true });
+  } catch (err) { console.error('POST /api/me/password', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+/** ---------- Sessions (refresh, logout, my sessions) ---------- **/
+// POST /auth/refresh { refreshToken } -> { token, refreshToken, expiresIn }; the old refresh token stops working
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const presented = req.body && req.body.refreshToken;
+    if (!presented) return res.status(400).json({ error: 'missing_refresh_token' });
+    let rotated;
+    try { rotated = await sessions.rotate(presented, sessionClientInfo(req)); }
+    catch (err) {
+      if (['invalid_refresh_token', 'refresh_token_expired', 'session_revoked', 'refresh_token_rotated', 'refresh_token_reused'].includes(err.code)) return res.status(401).json({ error: err.code });
+      throw err;
+    }
+    const user = await getUserFromStore(rotated.session.userId);
+    if (signInBlocker(user)) {
+      await sessions.revoke(rotated.session.id, { reason: 'user_deactivated' });
+      return res.status(401).json({ error: signInBlocker(user) });
+    }
+    const token = signUserToken(user, rotated.session.id);
+    return res.json({ token, refreshToken: rotated.refreshToken, expiresIn: accessTokenExpiresIn(token) });
+  } catch (err) { console.error('POST /auth/refresh', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// POST /auth/logout { refreshToken? } revokes the session of the refresh token or of the bearer
+// access token (an expired one is fine); always answers ok so a client can sign out offline-first
+app.post('/auth/logout', async (req, res) => {
+  try {
+    let session = req.body && req.body.refreshToken ? await sessions.fromRefreshToken(req.body.refreshToken) : null;
+    const auth = req.headers.authorization || '';
+    if (!session && auth.startsWith('Bearer ')) {
+      try { session = await sessions.get(jwt.verify(auth.slice(7), JWT_SECRET, { ignoreExpiration: true }).sid); }
+      catch (e) { session = null; }
+    }
+    if (session) await sessions.revoke(session.id, { reason: 'logout', by: session.userId });
+    return res.json({ ok: true });
+  } catch (err) { console.error('POST /auth/logout', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// the caller's active sessions; `current` marks the one making the request
+app.get('/api/sessions', authMiddleware, async (req, res) => {
+  try {
+    const rows = await sessions.listForUser(req.user.id);
+    return res.json(rows.map(s => ({ ...publicSession(s), current: s.id === req.user.sessionId })));
+  } catch (err) { console.error('GET /api/sessions', err); return res.status(500).json({ error: 'server_error' }); }
+});
+// DELETE /api/sessions signs out every other session of the caller
+app.delete('/api/sessions', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAllForUser(req.user.id, { exceptId: req.user.sessionId, by: req.user.id });
+    if (revoked) await recordAudit(req, { entity: 'user', entityId: req.user.id, action: 'revoke_sessions', meta: { revoked, keptSessionId: req.user.sessionId } });
+    return res.json({ ok: true, revoked });
+  } catch (err) { console.error('DELETE /api/sessions', err); return res.status(500).json({ error: 'server_error' }); }
+});
+// own sessions, or anyone's with users.manage
+app.delete('/api/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await sessions.get(req.params.id);
+    if (!session || (session.userId !== req.user.id && !principalCan(req.user, 'users.manage'))) return res.status(404).json({ error: 'session_not_found' });
+    const revoked = await sessions.revoke(session.id, { by: req.user.id });
+    await recordAudit(req, { entity: 'user', entityId: session.userId, action: 'revoke_session', meta: { sessionId: session.id } });
+    return res.json({ ok: true, session: publicSession(revoked) });
+  } catch (err) { console.error('DELETE /api/sessions/:id', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// api/me
+app.get('/api/me', authMiddleware, async (req, res) => {
+  try {
+    const workspace = publicWorkspace(req.workspace);
+    if (req.user.apiKey) return res.json({ apiKey: publicApiKey(await apiKeys.get(req.user.apiKey.id)), permissions: principalPermissions(req.user), workspace, workspaces: workspace ? [{ ...workspace, role: null }] : [] });
+    const user = (await getUserFromStore(req.user.id)) || (await findUserByEmail(req.user.email));
+    if (!user) return res.status(404).json({ error: 'user_not_found' });
+    // permissions in the current workspace; switching sends X-Workspace-Id with another of `workspaces`
+    const workspaces = (await listWorkspacesFromStore()).filter(w => isWorkspaceMember(user, w.id)).map(w => ({ id: w.id, name: w.name, role: workspaceRoleFor(user, w) }));
+    return res.json({ ...publicUser(user), workspaceRole: req.user.role, permissions: principalPermissions(req.user), workspace, workspaces });
+  } catch (err) { console.error('GET /api/me', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+/** ---------- Users (admin: invite, role, name/initials, deactivate) ---------- **/
+// active admins other than `exceptId`; an account change must never leave nobody able to manage users
+async function otherActiveAdmins(exceptId) {
+  const admins = await store.users.find({ role: 'admin' });
+  return admins.filter(u => u.id !== exceptId && !signInBlocker(u)).length;
+}
+
+// { workspaceId: role } naming existing workspaces and roles; null when invalid
+async function normalizeWorkspaceRoles(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return null;
+  const ids = (await listWorkspacesFromStore()).map(w => w.id);
+  const out = {};
+  for (const [id, role] of Object.entries(input)) {
+    if (!ids.includes(id) || !USER_ROLES.includes(role)) return null;
+    out[id] = role;
+  }
+  return out;
+}
+// account managers see every user, everyone else the members of the current workspace
+function canSeeUser(req, user) {
+  return principalCan(req.user, 'users.manage') || isWorkspaceMember(user, req.user.workspaceId);
+}
+
+app.get('/api/users', authMiddleware, requirePermission('users.read'), async (req, res) => {
+  try { const rows = await listUsersFromStore(); return res.json(rows.filter(u => canSeeUser(req, u)).map(publicUser)); }
+  catch (err) { console.error('GET /api/users', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+app.get('/api/users/:id', authMiddleware, requirePermission('users.read'), async (req, res) => {
+  try {
+    const user = await getUserFromStore(req.params.id);
+    if (!user || !canSeeUser(req, user)) return res.status(404).json({ error: 'user_not_found' });
+    setVersionEtag(res, user);
+    return res.json(publicUser(user));
+  } catch (err) { console.error('GET /api/users/:id', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// POST /api/users { email, name?, initials?, role?, workspaceRoles? } -> invited user (signs in with
+// Google using that email); without workspaceRoles they join the current workspace with `role`
+app.post('/api/users', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const email = normalizeEmail(payload.email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ error: 'invalid_email' });
+    const role = payload.role || 'recruiter';
+    if (!USER_ROLES.includes(role)) return res.status(400).json({ error: 'invalid_role', allowed: USER_ROLES });
+    const workspaceRoles = payload.workspaceRoles !== undefined ? await normalizeWorkspaceRoles(payload.workspaceRoles) : (req.user.workspaceId ? { [req.user.workspaceId]: role } : {});
+    if (!workspaceRoles) return res.status(400).json({ error: 'invalid_workspace_roles' });
+    if (await findUserByEmail(email)) return res.status(409).json({ error: 'user_exists' });
+
+    const now = new Date().toISOString();
+    const name = (payload.name || '').trim() || null;
+    const user = {
+      id: newId('u'),
+      email,
+      name,
+      initials: (payload.initials || '').trim().toUpperCase().slice(0, 3) || initialsFor(name, email),
+      role,
+      workspaceRoles,
+      status: 'invited',
+      invitedBy: req.user.id,
+      invitedAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+    try { await createUserInStore(user); }
+    catch (err) {
+      if (err.code === 'duplicate_id') return res.status(409).json({ error: 'user_exists' });
+      throw err;
+    }
+    await recordAudit(req, { entity: 'user', entityId: user.id, action: 'invite', after: publicUser(user) });
+    return res.json(publicUser(user));
+  } catch (err) { console.error('POST /api/users', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// PUT /api/users/:id { name?, initials?, role?, workspaceRoles?, status? } (If-Match supported);
+// workspaceRoles replaces all memberships
+app.put('/api/users/:id', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const ifVersion = requestedVersion(req);
+    if (Number.isNaN(ifVersion)) return res.status(400).json({ error: 'invalid_if_match' });
+    const existing = await getUserFromStore(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'user_not_found' });
+
+    const payload = req.body || {};
+    const patch = { updatedAt: new Date().toISOString() };
+    if (payload.name !== undefined) patch.name = String(payload.name || '').trim() || null;
+    if (payload.initials !== undefined) patch.initials = String(payload.initials || '').trim().toUpperCase().slice(0, 3) || initialsFor(patch.name || existing.name, existing.email);
+    if (payload.role !== undefined) {
+      if (!USER_ROLES.includes(payload.role)) return res.status(400).json({ error: 'invalid_role', allowed: USER_ROLES });
+      patch.role = payload.role;
+    }
+    if (payload.workspaceRoles !== undefined) {
+      patch.workspaceRoles = await normalizeWorkspaceRoles(payload.workspaceRoles);
+      if (!patch.workspaceRoles) return res.status(400).json({ error: 'invalid_workspace_roles' });
+    }
+    if (payload.status !== undefined) {
+      if (!USER_STATUSES.includes(payload.status)) return res.status(400).json({ error: 'invalid_status', allowed: USER_STATUSES });
+      // pending only comes from an access request
+      if (payload.status === 'pending' && existing.status !== 'pending') return res.status(400).json({ error: 'invalid_status', allowed: USER_STATUSES.filter(st => st !== 'pending') });
+      patch.status = payload.status;
+    }
+    const losesAdmin = (existing.role === 'admin' && patch.role && patch.role !== 'admin') || patch.status === 'deactivated';
+    if (losesAdmin && existing.role === 'admin' && !(await otherActiveAdmins(existing.id))) return res.status(409).json({ error: 'last_admin' });
+
+    const updated = await updateUserInStore(existing.id, patch, { ifVersion });
+    if (!updated) return res.status(404).json({ error: 'user_not_found' });
+    const action = patch.status === 'deactivated' && existing.status !== 'deactivated' ? (existing.status === 'pending' ? 'reject' : 'deactivate')
+      : existing.status === 'pending' && patch.status === 'active' ? 'approve'
+        : (patch.status && patch.status !== 'deactivated' && existing.status === 'deactivated' ? 'reactivate' : 'update');
+    if (action === 'deactivate') await sessions.revokeAllForUser(existing.id, { reason: 'user_deactivated', by: req.user.id });
+    await recordAudit(req, { entity: 'user', entityId: existing.id, action, before: publicUser(existing), after: publicUser(updated) });
+    setVersionEtag(res, updated);
+    return res.json(publicUser(updated));
+  } catch (err) {
+    if (err.code === 'version_conflict') return sendVersionConflict(res, { ...err, current: publicUser(err.current) });
+    console.error('PUT /api/users/:id', err); return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// POST /api/users/:id/password-reset emails the user a link to set or reset their password;
+// without SMTP the link is returned for the admin to pass on
+app.post('/api/users/:id/password-reset', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+  try {
+    if (!PASSWORD_LOGIN) return res.status(403).json({ error: 'password_login_disabled' });
+    const existing = await getUserFromStore(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'user_not_found' });
+    if (signInBlocker(existing)) return res.status(409).json({ error: signInBlocker(existing) });
+    await authTokens.revokeForUser(existing.id, 'password_reset');
+    const token = await authTokens.issue(existing.id, 'password_reset', PASSWORD_RESET_TTL_MS);
+    await recordAudit(req, { entity: 'user', entityId: existing.id, action: 'password_reset_requested', meta: { emailed: mailer.enabled } });
+    if (mailer.enabled) {
+      await sendPasswordResetEmail(existing, token);
+      return res.json({ ok: true, emailed: true });
+    }
+    return res.json({ ok: true, emailed: false, resetLink: `${FRONTEND_URL}?resetToken=${encodeURIComponent(token)}`, expiresInMinutes: PASSWORD_RESET_TTL_MS / 60000 });
+  } catch (err) { console.error('POST /api/users/:id/password-reset', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+app.get('/api/users/:id/sessions', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const existing = await getUserFromStore(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'user_not_found' });
+    const rows = await sessions.listForUser(existing.id);
+    return res.json(rows.map(s => ({ ...publicSession(s), current: s.id === req.user.sessionId })));
+  } catch (err) { console.error('GET /api/users/:id/sessions', err); return res.status(500).json({ error: 'server_error' }); }
+});
+// DELETE /api/users/:id/sessions signs the user out everywhere (the account stays active)
+app.delete('/api/users/:id/sessions', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const existing = await getUserFromStore(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'user_not_found' });
+    const revoked = await sessions.revokeAllForUser(existing.id, { by: req.user.id });
+    await recordAudit(req, { entity: 'user', entityId: existing.id, action: 'revoke_sessions', meta: { revoked } });
+    return res.json({ ok: true, revoked });
+  } catch (err) { console.error('DELETE /api/users/:id/sessions', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// DELETE /api/users/:id deactivates the account (history keeps pointing at it)
+app.delete('/api/users/:id', authMiddleware, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const existing = await getUserFromStore(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'user_not_found' });
+    if (existing.status === 'deactivated') return res.json({ ok: true, user: publicUser(existing) });
+    if (existing.role === 'admin' && !(await otherActiveAdmins(existing.id))) return res.status(409).json({ error: 'last_admin' });
+    const updated = await updateUserInStore(existing.id, { status: 'deactivated', updatedAt: new Date().toISOString() });
+    await sessions.revokeAllForUser(existing.id, { reason: 'user_deactivated', by: req.user.id });
+    await recordAudit(req, { entity: 'user', entityId: existing.id, action: 'deactivate', before: publicUser(existing), after: publicUser(updated) });
+    return res.json({ ok: true, user: publicUser(updated) });
+  } catch (err) { console.error('DELETE /api/users/:id', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+/** ---------- API keys (admin) ---------- **/
+// POST /api/api-keys { name, scopes, expiresInDays? } -> the key document plus `key`, shown only once;
+// the key is bound to the current workspace
+function parseApiKeyExpiry(payload) {
+  if (payload.expiresAt) {
+    const at = new Date(payload.expiresAt);
+    return Number.isNaN(at.getTime()) || at.getTime() <= Date.now() ? undefined : at.toISOString();
+  }
+  if (payload.expiresInDays === undefined || payload.expiresInDays === null || payload.expiresInDays === '') return null;
+  const days = Number(payload.expiresInDays);
+  return Number.isFinite(days) && days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : undefined;
+}
+
+app.get('/api/api-keys', authMiddleware, requirePermission('system.manage'), async (req, res) => {
+  try { const rows = await apiKeys.list(); return res.json({ items: rows.map(publicApiKey), scopes: API_KEY_SCOPES }); }
+  catch (err) { console.error('GET /api/api-keys', err); return res.status(500).json({ error: 'server_error' }); }
+});
+app.post('/api/api-keys', authMiddleware, requirePermission('system.manage'), async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const name = String(payload.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'missing_name' });
+    const scopes = Array.isArray(payload.scopes) ? Array.from(new Set(payload.scopes)) : [];
+    if (!scopes.length || scopes.some(sc => !API_KEY_SCOPES.includes(sc))) return res.status(400).json({ error: 'invalid_scopes', allowed: API_KEY_SCOPES });
+    const expiresAt = parseApiKeyExpiry(payload);
+    if (expiresAt === undefined) return res.status(400).json({ error: 'invalid_expiry' });
+    // the key works in the workspace it is created in
+    if (!req.user.workspaceId) return res.status(400).json({ error: 'workspace_required' });
+    const { apiKey, key } = await apiKeys.create({ name: name.slice(0, 100), scopes, expiresAt, workspaceId: req.user.workspaceId, createdBy: req.user.id });
+    await recordAudit(req, { entity: 'api_key', entityId: apiKey.id, action: 'create', after: publicApiKey(apiKey) });
+    return res.json({ ...publicApiKey(apiKey), key });
+  } catch (err) { console.error('POST /api/api-keys', err); return res.status(500).json({ error: 'server_error' }); }
+});
+// DELETE /api/api-keys/:id revokes the key (it stays listed)
+app.delete('/api/api-keys/:id', authMiddleware, requirePermission('system.manage'), async (req, res) => {
+  try {
+    const existing = await apiKeys.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'api_key_not_found' });
+    const revoked = await apiKeys.revoke(existing.id, { by: req.user.id });
+    if (!existing.revokedAt) await recordAudit(req, { entity: 'api_key', entityId: existing.id, action: 'revoke', before: publicApiKey(existing), after: publicApiKey(revoked) });
+    return res.json({ ok: true, apiKey: publicApiKey(revoked) });
+  } catch (err) { console.error('DELETE /api/api-keys/:id', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+/** ---------- Workspaces (settings, members) ---------- **/
+// Every /api request works in one workspace (X-Workspace-Id, see resolveWorkspace). Account admins
+// create and delete workspaces; a workspace's admins edit its settings and members.
+function workspaceFieldsFromPayload(payload) {
+  const fields = {};
+  if (payload.name !== undefined) fields.name = String(payload.name || '').trim().slice(0, 100);
+  ['googleSheetId', 'googleDriveFolderId'].forEach(f => { if (payload[f] !== undefined) fields[f] = String(payload[f] || '').trim() || null; });
+  if (payload.googleSheetTab !== undefined) fields.googleSheetTab = String(payload.googleSheetTab || '').trim() || DEFAULT_SHEET_TAB;
+  if (payload.defaultPipelineId !== undefined) fields.defaultPipelineId = payload.defaultPipelineId || null;
+  return fields;
+}
+// -> error code or null
+async function workspaceFieldsProblem(fields, workspaceId) {
+  if (fields.name !== undefined && !fields.name) return 'missing_name';
+  if (fields.defaultPipelineId !== undefined && !(await workspacePipelineById(fields.defaultPipelineId, workspaceId))) return 'invalid_pipeline';
+  return null;
+}
+function workspaceMember(user, workspace) {
+  return { ...publicUser(user), workspaceRole: workspaceRoleFor(user, workspace) };
+}
+
+// GET /api/workspaces -> the workspaces the caller can switch to, with their role in each
+app.get('/api/workspaces', authMiddleware, requirePermission('workspace.read'), async (req, res) => {
+  try {
+    if (req.user.apiKey) return res.json(req.workspace ? [{ ...publicWorkspace(req.workspace), role: null }] : []);
+    const user = await getUserFromStore(req.user.id);
+    const rows = (await listWorkspacesFromStore()).filter(w => isWorkspaceMember(user, w.id));
+    return res.json(rows.map(w => ({ ...publicWorkspace(w), role: workspaceRoleFor(user, w) })));
+  } catch (err) { console.error('GET /api/workspaces', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// POST /api/workspaces { name, googleSheetId?, googleSheetTab?, googleDriveFolderId? }; the new
+// workspace starts with a copy of the built-in pipeline
+app.post('/api/workspaces', authMiddleware, requirePermission('system.manage'), async (req, res) => {
+  try {
+    const { defaultPipelineId, ...fields } = workspaceFieldsFromPayload({ ...(req.body || {}), name: (req.body || {}).name || '' });
+    const problem = await workspaceFieldsProblem(fields);
+    if (problem) return res.status(400).json({ error: problem });
+    const now = new Date().toISOString();
+    const id = newId('ws');
+    const pipeline = await createPipelineInStore({ workspaceId: id, name: BUILT_IN_PIPELINE_NAME, stages: BUILT_IN_STAGES });
+    const workspace = { id, googleSheetId: null, googleSheetTab: DEFAULT_SHEET_TAB, googleDriveFolderId: null, ...fields, defaultPipelineId: pipeline.id, createdAt: now, updatedAt: now, version: 1 };
+    await store.collection(WORKSPACES_COLLECTION).insert(workspace);
+    await recordAudit(req, { entity: 'workspace', entityId: workspace.id, action: 'create', after: publicWorkspace(workspace), workspaceId: workspace.id });
+    return res.status(201).json(publicWorkspace(workspace));
+  } catch (err) { console.error('POST /api/workspaces', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// DELETE /api/workspaces/:id, only once nothing but its default pipeline is left in it (and never
+// the last one); the default pipeline goes with the workspace
+app.delete('/api/workspaces/:id', authMiddleware, requirePermission('system.manage'), async (req, res) => {
+  try {
+    const workspace = await getWorkspaceFromStore(req.params.id);
+    if (!workspace) return res.status(404).json({ error: 'workspace_not_found' });
+    if ((await listWorkspacesFromStore()).length <= 1) return res.status(409).json({ error: 'last_workspace' });
+    const inWorkspace = { workspaceId: workspace.id };
+    const [openings, forms, responses, questions, pipelines] = await Promise.all([
+      store.openings.count(inWorkspace),
+      store.forms.count(inWorkspace),
+      store.responses.count(inWorkspace),
+      store.questions.count(inWorkspace),
+      store.collection(PIPELINES_COLLECTION).count({ workspaceId: workspace.id, id: { $ne: workspace.defaultPipelineId || null } })
+    ]);
+    if (openings || forms || responses || questions || pipelines) return res.status(409).json({ error: 'workspace_not_empty', openings, forms, responses, questions, pipelines });
+    await store.collection(WORKSPACES_COLLECTION).remove(workspace.id);
+    await store.collection(PIPELINES_COLLECTION).removeMany({ workspaceId: workspace.id });
+    for (const user of await listUsersFromStore()) {
+      if (!memberWorkspaceIds(user).includes(workspace.id)) continue;
+      await updateUserFromLatest(user.id, (latest) => {
+        const workspaceRoles = { ...latest.workspaceRoles };
+        delete workspaceRoles[workspace.id];
+        return { workspaceRoles, updatedAt: new Date().toISOString() };
+      });
+    }
+    const keys = (await apiKeys.list()).filter(k => k.workspaceId === workspace.id && !k.revokedAt);
+    for (const key of keys) await apiKeys.revoke(key.id, { by: req.user.id });
+    await recordAudit(req, { entity: 'workspace', entityId: workspace.id, action: 'delete', before: publicWorkspace(workspace), meta: { revokedApiKeys: keys.length }, workspaceId: workspace.id });
+    return res.json({ ok: true });
+  } catch (err) { console.error('DELETE /api/workspaces/:id', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// the current workspace
+app.get('/api/workspace', authMiddleware, requirePermission('workspace.read'), async (req, res) => {
+  if (!req.workspace) return res.status(404).json({ error: 'workspace_not_found' });
+  setVersionEtag(res, req.workspace);
+  return res.json(publicWorkspace(req.workspace));
 });
-app.get('/auth/google/callback', (req, res, next) => {
-  if (!passport._strategy('google')) return res.status(500).json({ error: 'oauth_not_configured' });
-  passport.authenticate('google', { session: false }, (err, user, info) => {
-    if (err) { console.error('OAuth callback error', err); return res.status(500).json({ error: 'oauth_failed' }); }
-    if (!user) { return res.status(403).json(info || { message: 'denied' }); }
-    const token = signUserToken(user);
-    const redirectTo = `${FRONTEND_URL}?token=${encodeURIComponent(token)}`;
-    return res.redirect(redirectTo);
-  })(req, res, next);
+// PUT /api/workspace { name?, googleSheetId?, googleSheetTab?, googleDriveFolderId?, defaultPipelineId? }
+// (If-Match supported)
+app.put('/api/workspace', authMiddleware, requirePermission('workspace.manage'), async (req, res) => {
+  try {
+    if (!req.workspace) return res.status(404).json({ error: 'workspace_not_found' });
+    const ifVersion = requestedVersion(req);
+    if (Number.isNaN(ifVersion)) return res.status(400).json({ error: 'invalid_if_match' });
+    const fields = workspaceFieldsFromPayload(req.body || {});
+    const problem = await workspaceFieldsProblem(fields, req.workspace.id);
+    if (problem) return res.status(400).json({ error: problem });
+    const updated = await updateWorkspaceInStore(req.workspace.id, { ...fields, updatedAt: new Date().toISOString() }, { ifVersion });
+    if (!updated) return res.status(404).json({ error: 'workspace_not_found' });
+    await recordAudit(req, { entity: 'workspace', entityId: updated.id, action: 'update', before: publicWorkspace(req.workspace), after: publicWorkspace(updated) });
+    setVersionEtag(res, updated);
+    return res.json(publicWorkspace(updated));
+  } catch (err) {
+    if (err.code === 'version_conflict') return sendVersionConflict(res, { ...err, current: publicWorkspace(err.current) });
+    console.error('PUT /api/workspace', err); return res.status(500).json({ error: 'server_error' });
+  }
 });
 
-// api/me
-app.get('/api/me', authMiddleware, (req, res) => {
-  const data = readData();
-  const user = data.users.find(u => u.id === req.user.id || u.email === req.user.email);
+// members of the current workspace, with workspaceRole (account admins are members everywhere)
+app.get('/api/workspace/members', authMiddleware, requirePermission('workspace.manage'), async (req, res) => {
+  try {
+    const rows = (await listUsersFromStore()).filter(u => isWorkspaceMember(u, req.user.workspaceId));
+    return res.json(rows.map(u => workspaceMember(u, req.workspace)));
+  } catch (err) { console.error('GET /api/workspace/members', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+async function setWorkspaceRole(req, res, user, role) {
   if (!user) return res.status(404).json({ error: 'user_not_found' });
-  return res.json({ id: user.id, email: user.email, name: user.name, role: user.role });
+  if (role !== null && !USER_ROLES.includes(role)) return res.status(400).json({ error: 'invalid_role', allowed: USER_ROLES });
+  const workspaceRoles = { ...(user.workspaceRoles || {}) };
+  if (role === null) delete workspaceRoles[req.workspace.id]; else workspaceRoles[req.workspace.id] = role;
+  const updated = await updateUserInStore(user.id, { workspaceRoles, updatedAt: new Date().toISOString() });
+  await recordAudit(req, { entity: 'user', entityId: user.id, action: role === null ? 'remove_from_workspace' : 'workspace_role', before: publicUser(user), after: publicUser(updated), meta: { workspaceId: req.workspace.id } });
+  return res.json(workspaceMember(updated, req.workspace));
+}
+// POST /api/workspace/members { email, role } adds an existing account to the current workspace
+app.post('/api/workspace/members', authMiddleware, requirePermission('workspace.manage'), async (req, res) => {
+  try {
+    if (!req.workspace) return res.status(404).json({ error: 'workspace_not_found' });
+    const { email, role } = req.body || {};
+    return await setWorkspaceRole(req, res, await findUserByEmail(email), role || 'recruiter');
+  } catch (err) { console.error('POST /api/workspace/members', err); return res.status(500).json({ error: 'server_error' }); }
+});
+app.put('/api/workspace/members/:userId', authMiddleware, requirePermission('workspace.manage'), async (req, res) => {
+  try {
+    if (!req.workspace) return res.status(404).json({ error: 'workspace_not_found' });
+    const user = await getUserFromStore(req.params.userId);
+    return await setWorkspaceRole(req, res, isWorkspaceMember(user, req.workspace.id) ? user : null, (req.body || {}).role);
+  } catch (err) { console.error('PUT /api/workspace/members/:userId', err); return res.status(500).json({ error: 'server_error' }); }
+});
+app.delete('/api/workspace/members/:userId', authMiddleware, requirePermission('workspace.manage'), async (req, res) => {
+  try {
+    if (!req.workspace) return res.status(404).json({ error: 'workspace_not_found' });
+    const user = await getUserFromStore(req.params.userId);
+    return await setWorkspaceRole(req, res, isWorkspaceMember(user, req.workspace.id) ? user : null, null);
+  } catch (err) { console.error('DELETE /api/workspace/members/:userId', err); return res.status(500).json({ error: 'server_error' }); }
 });
 
 /* Openings CRUD (protected) */
-app.get('/api/openings', authMiddleware, async (req, res) => {
-  try { const rows = await listOpeningsFromStore(); return res.json(rows || []); }
+app.get('/api/openings', authMiddleware, requirePermission('openings.read'), async (req, res) => {
+  try { const rows = await listOpeningsFromStore(openingScopeFilter(req.user)); return res.json(rows || []); }
   catch(err){ console.error('GET /api/openings', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.get('/api/openings/:id', authMiddleware, async (req, res) => {
-  try { const item = await getOpeningFromStore(req.params.id); if (!item) return res.status(404).json({ error: 'opening_not_found' }); return res.json(item); }
+app.get('/api/openings/:id', authMiddleware, requirePermission('openings.read'), async (req, res) => {
+  try { const item = await getOpeningFromStore(req.params.id); if (!canAccessOpening(req.user, item)) return res.status(404).json({ error: 'opening_not_found' }); setVersionEtag(res, item); return res.json(item); }
   catch(err){ console.error('GET /api/openings/:id', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.post('/api/openings', authMiddleware, async (req, res) => {
+// shared with the deprecated POST /public/openings (see Public endpoints)
+async function createOpening(req, res) {
   try {
     const payload = req.body || {};
-    const op = { id: `op_${Date.now()}`, title: payload.title || 'Untitled', location: payload.location || 'Remote', department: payload.department || '', preferredSources: Array.isArray(payload.preferredSources) ? payload.preferredSources : (payload.preferredSources ? payload.preferredSources.split(',') : []), durationMins: payload.durationMins || 30, schema: payload.schema || null, createdAt: new Date().toISOString(), is_deleted: false };
+    if (!req.user.workspaceId) return res.status(400).json({ error: 'workspace_required' });
+    const teamMemberIds = payload.teamMemberIds === undefined ? [] : await normalizeTeamMemberIds(payload.teamMemberIds, req.user.workspaceId);
+    if (!teamMemberIds) return res.status(400).json({ error: 'invalid_team_members' });
+    // without a pipeline the opening uses the workspace default
+    const pipelineId = payload.pipelineId || (req.workspace && req.workspace.defaultPipelineId) || null;
+    if (payload.pipelineId && !(await workspacePipelineById(payload.pipelineId, req.user.workspaceId))) return res.status(400).json({ error: 'invalid_pipeline' });
+    // a scoped creator is always on the team, otherwise they couldn't see what they just created
+    if (!hasAllOpenings(req.user) && !teamMemberIds.includes(req.user.id)) teamMemberIds.push(req.user.id);
+    const op = { id: newId('op'), title: payload.title || 'Untitled', location: payload.location || 'Remote', department: payload.department || '', preferredSources: Array.isArray(payload.preferredSources) ? payload.preferredSources : (payload.preferredSources ? payload.preferredSources.split(',') : []), durationMins: payload.durationMins || 30, schema: payload.schema || null, teamMemberIds, pipelineId, workspaceId: req.user.workspaceId, createdAt: new Date().toISOString(), is_deleted: false };
     await createOpeningInStore(op);
+    await recordAudit(req, { entity: 'opening', entityId: op.id, action: 'create', after: op, meta: req.legacyRoute ? { via: req.legacyRoute } : null });
     return res.json(op);
-  } catch (err) { console.error('POST /api/openings', err); return res.status(500).json({ error: 'server_error' }); }
-});
-app.put('/api/openings/:id', authMiddleware, async (req, res) => {
+  } catch (err) { console.error(`POST ${req.path}`, err); return res.status(500).json({ error: 'server_error' }); }
+}
+app.post('/api/openings', authMiddleware, requirePermission('openings.manage'), createOpening);
+app.put('/api/openings/:id', authMiddleware, requirePermission('openings.manage'), async (req, res) => {
   try {
     const id = req.params.id;
+    const ifVersion = requestedVersion(req);
+    if (Number.isNaN(ifVersion)) return res.status(400).json({ error: 'invalid_if_match' });
     const fields = {}; ['title','location','department','preferredSources','durationMins','schema','is_deleted'].forEach(f => { if (req.body[f] !== undefined) fields[f] = req.body[f]; });
-    const updated = await updateOpeningInStore(id, fields);
+    const before = await getOpeningFromStore(id);
+    if (!canAccessOpening(req.user, before)) return res.status(404).json({ error: 'opening_not_found' });
+    if (req.body.teamMemberIds !== undefined) {
+      fields.teamMemberIds = await normalizeTeamMemberIds(req.body.teamMemberIds, before.workspaceId);
+      if (!fields.teamMemberIds) return res.status(400).json({ error: 'invalid_team_members' });
+    }
+    // switching pipelines must not strand candidates in a stage the new one doesn't have
+    if (req.body.pipelineId !== undefined && (req.body.pipelineId || null) !== (before.pipelineId || null)) {
+      const pipeline = await workspacePipelineById(req.body.pipelineId, before.workspaceId);
+      if (!pipeline) return res.status(400).json({ error: 'invalid_pipeline' });
+      const inUse = (await store.responses.countBy('stage', { openingId: id })).map(r => r.value).filter(n => n && !findStage(pipeline, n));
+      if (inUse.length) return res.status(409).json({ error: 'stage_in_use', stages: inUse });
+      fields.pipelineId = pipeline.id;
+    }
+    const updated = await updateOpeningInStore(id, fields, { ifVersion });
     if (!updated) return res.status(404).json({ error: 'opening_not_found' });
+    await recordAudit(req, { entity: 'opening', entityId: id, action: 'update', before, after: updated });
+    setVersionEtag(res, updated);
     return res.json(updated);
-  } catch (err) { console.error('PUT /api/openings/:id', err); return res.status(500).json({ error: 'server_error' }); }
+  } catch (err) {
+    if (err.code === 'version_conflict') return sendVersionConflict(res, err);
+    console.error('PUT /api/openings/:id', err); return res.status(500).json({ error: 'server_error' });
+  }
 });
-app.delete('/api/openings/:id', authMiddleware, async (req, res) => {
-  try { const id = req.params.id; const result = await deleteOpeningInStore(id); return res.json(result); }
-  catch (err) { console.error('DELETE /api/openings/:id', err); return res.status(500).json({ error: 'server_error' }); }
+app.delete('/api/openings/:id', authMiddleware, requirePermission('openings.manage'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const before = await getOpeningFromStore(id);
+    if (before && !canAccessOpening(req.user, before)) return res.status(404).json({ error: 'opening_not_found' });
+    const result = await deleteOpeningInStore(id);
+    if (before) await recordAudit(req, { entity: 'opening', entityId: id, action: 'delete', before, meta: { removedForms: result.removedForms, removedResponses: result.removedResponses } });
+    return res.json(result);
+  } catch (err) { console.error('DELETE /api/openings/:id', err); return res.status(500).json({ error: 'server_error' }); }
 });
 
+// PUT /api/openings/:id/schema { schema: [...] } (If-Match supported); also serves the deprecated
+// POST /public/openings/:id/schema
+async function updateOpeningSchema(req, res) {
+  try {
+    const id = req.params.id;
+    const schema = req.body.schema;
+    if (!schema || !Array.isArray(schema)) return res.status(400).json({ error: 'missing_or_invalid_schema' });
+    const ifVersion = requestedVersion(req);
+    if (Number.isNaN(ifVersion)) return res.status(400).json({ error: 'invalid_if_match' });
+    const before = await getOpeningFromStore(id);
+    if (!canAccessOpening(req.user, before)) return res.status(404).json({ error: 'opening_not_found' });
+    const updated = await updateOpeningInStore(id, { schema, updatedAt: new Date().toISOString() }, { ifVersion });
+    if (!updated) return res.status(404).json({ error: 'opening_not_found' });
+    await recordAudit(req, { entity: 'opening', entityId: id, action: 'update', before, after: updated, meta: req.legacyRoute ? { via: req.legacyRoute } : null });
+    setVersionEtag(res, updated);
+    return res.json({ ok: true, schema: updated.schema });
+  } catch (err) {
+    if (err.code === 'version_conflict') return sendVersionConflict(res, err);
+    console.error(`${req.method} ${req.path}`, err); return res.status(500).json({ error: 'server_error' });
+  }
+}
+app.put('/api/openings/:id/schema', authMiddleware, requirePermission('openings.manage'), updateOpeningSchema);
+
 /* Forms endpoints */
-app.get('/api/forms', authMiddleware, async (req, res) => {
-  try { const rows = await listFormsFromStore(req.query.openingId); return res.json(rows || []); }
+app.get('/api/forms', authMiddleware, requirePermission('forms.read'), async (req, res) => {
+  try {
+    const scope = await accessibleOpeningIds(req.user);
+    let rows = await listFormsFromStore(req.query.openingId, req.user.workspaceId);
+    if (scope) rows = rows.filter(f => scope.includes(f.openingId));
+    return res.json(rows || []);
+  }
   catch(err){ console.error('GET /api/forms', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.get('/api/forms/:id', authMiddleware, async (req, res) => {
-  try { const f = await getFormFromStore(req.params.id); if (!f) return res.status(404).json({ error: 'form_not_found' }); return res.json(f); }
+app.get('/api/forms/:id', authMiddleware, requirePermission('forms.read'), async (req, res) => {
+  try { const f = await getFormFromStore(req.params.id); if (!f || !(await canAccessOpeningId(req.user, f.openingId))) return res.status(404).json({ error: 'form_not_found' }); setVersionEtag(res, f); return res.json(f); }
   catch(err){ console.error('GET /api/forms/:id', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.post('/api/forms', authMiddleware, async (req, res) => {
+app.post('/api/forms', authMiddleware, requirePermission('forms.manage'), async (req, res) => {
   try {
     const { openingId, data } = req.body || {};
     if (!openingId) return res.status(400).json({ error: 'openingId_required' });
     const op = await getOpeningFromStore(openingId);
-    if (!op) return res.status(400).json({ error: 'invalid_openingId' });
-    const id = `form_${Date.now()}`;
+    if (!canAccessOpening(req.user, op)) return res.status(400).json({ error: 'invalid_openingId' });
+    const id = newId('form');
     const now = new Date().toISOString();
-    const newForm = { id, openingId, data: data || {}, created_at: now, updated_at: now, is_deleted: false };
+    const newForm = { id, openingId, workspaceId: op.workspaceId, data: data || {}, created_at: now, updated_at: now, is_deleted: false };
     await createFormInStore(newForm);
+    await recordAudit(req, { entity: 'form', entityId: id, action: 'create', after: newForm });
     return res.status(201).json(newForm);
   } catch (err) { console.error('POST /api/forms', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.put('/api/forms/:id', authMiddleware, async (req, res) => {
+app.put('/api/forms/:id', authMiddleware, requirePermission('forms.manage'), async (req, res) => {
   try {
     const id = req.params.id;
+    const ifVersion = requestedVersion(req);
+    if (Number.isNaN(ifVersion)) return res.status(400).json({ error: 'invalid_if_match' });
     const patch = req.body.data !== undefined ? { data: req.body.data, updated_at: new Date().toISOString() } : { updated_at: new Date().toISOString() };
     if (req.body.is_deleted !== undefined) patch.is_deleted = req.body.is_deleted;
-    const updated = await updateFormInStore(id, patch);
+    const before = await getFormFromStore(id);
+    if (!before || !(await canAccessOpeningId(req.user, before.openingId))) return res.status(404).json({ error: 'form_not_found' });
+    const updated = await updateFormInStore(id, patch, { ifVersion });
     if (!updated) return res.status(404).json({ error: 'form_not_found' });
+    await recordAudit(req, { entity: 'form', entityId: id, action: 'update', before, after: updated });
+    setVersionEtag(res, updated);
     return res.json(updated);
-  } catch (err) { console.error('PUT /api/forms/:id', err); return res.status(500).json({ error: 'server_error' }); }
+  } catch (err) {
+    if (err.code === 'version_conflict') return sendVersionConflict(res, err);
+    console.error('PUT /api/forms/:id', err); return res.status(500).json({ error: 'server_error' });
+  }
 });
-app.delete('/api/forms/:id', authMiddleware, async (req, res) => {
-  try { const id = req.params.id; const result = await deleteFormInStore(id); return res.json(result); }
-  catch (err) { console.error('DELETE /api/forms/:id', err); return res.status(500).json({ error: 'server_error' }); }
+app.delete('/api/forms/:id', authMiddleware, requirePermission('forms.manage'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const before = await getFormFromStore(id);
+    if (before && !(await canAccessOpeningId(req.user, before.openingId))) return res.status(404).json({ error: 'form_not_found' });
+    const result = await deleteFormInStore(id);
+    if (before) await recordAudit(req, { entity: 'form', entityId: id, action: 'delete', before });
+    return res.json(result);
+  } catch (err) { console.error('DELETE /api/forms/:id', err); return res.status(500).json({ error: 'server_error' }); }
 });
 
 // Attach an existing question to a form (creates reference entry)
-app.post('/api/forms/:id/add-question', authMiddleware, async (req, res) => {
+app.post('/api/forms/:id/add-question', authMiddleware, requirePermission('forms.manage'), async (req, res) => {
   try {
     const formId = req.params.id;
     const { questionId, position, localLabel, localRequired } = req.body;
     if (!questionId) return res.status(400).json({ error: 'questionId_required' });
     const form = await getFormFromStore(formId);
-    if (!form) return res.status(404).json({ error: 'form_not_found' });
+    if (!form || !(await canAccessOpeningId(req.user, form.openingId))) return res.status(404).json({ error: 'form_not_found' });
+    const before = JSON.parse(JSON.stringify(form));
     form.data = form.data || {}; form.data.questions = form.data.questions || [];
     const entry = { questionId, localLabel: localLabel || null, localRequired: typeof localRequired === 'boolean' ? localRequired : null };
     if (position === undefined || position === null || position >= form.data.questions.length) form.data.questions.push(entry);
     else form.data.questions.splice(position, 0, entry);
     await updateFormInStore(form.id, { data: form.data, updated_at: new Date().toISOString() });
+    await recordAudit(req, { entity: 'form', entityId: form.id, action: 'add_question', before, after: form, meta: { questionId } });
     return res.json({ ok: true, form });
   } catch (err) { console.error('POST /api/forms/:id/add-question', err); return res.status(500).json({ error: 'server_error' }); }
 });
 
 /* Questions endpoints */
-app.get('/api/questions', authMiddleware, async (req, res) => {
-  try { const rows = await listQuestionsFromStore(); return res.json(rows || []); }
+app.get('/api/questions', authMiddleware, requirePermission('questions.read'), async (req, res) => {
+  try { const rows = await listQuestionsFromStore(req.user.workspaceId); return res.json(rows || []); }
   catch (err) { console.error('GET /api/questions', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.post('/api/questions', authMiddleware, async (req, res) => {
+app.get('/api/questions/:id', authMiddleware, requirePermission('questions.read'), async (req, res) => {
+  try { const q = await getQuestionFromStore(req.params.id); if (!inWorkspace(req.user, q)) return res.status(404).json({ error: 'question_not_found' }); setVersionEtag(res, q); return res.json(q); }
+  catch (err) { console.error('GET /api/questions/:id', err); return res.status(500).json({ error: 'server_error' }); }
+});
+app.post('/api/questions', authMiddleware, requirePermission('questions.manage'), async (req, res) => {
   try {
     const payload = req.body || {};
     if (!payload.type || !payload.label) return res.status(400).json({ error: 'type_and_label_required' });
-    const q = { id: `q_${Date.now()}`, type: payload.type, label: payload.label, required: !!payload.required, options: Array.isArray(payload.options) ? payload.options : (payload.options ? payload.options.split('\n').map(s=>s.trim()).filter(Boolean) : []), createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), meta: payload.meta || {} };
+    if (!req.user.workspaceId) return res.status(400).json({ error: 'workspace_required' });
+    const q = { id: newId('q'), workspaceId: req.user.workspaceId, type: payload.type, label: payload.label, required: !!payload.required, options: Array.isArray(payload.options) ? payload.options : (payload.options ? payload.options.split('\n').map(s=>s.trim()).filter(Boolean) : []), createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), meta: payload.meta || {} };
     await createQuestionInStore(q);
+    await recordAudit(req, { entity: 'question', entityId: q.id, action: 'create', after: q });
     return res.status(201).json(q);
   } catch (err) { console.error('POST /api/questions', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.put('/api/questions/:id', authMiddleware, async (req, res) => {
-  try { const id = req.params.id; const patch = { ...req.body, updatedAt: new Date().toISOString() }; const updated = await updateQuestionInStore(id, patch); if (!updated) return res.status(404).json({ error: 'question_not_found' }); return res.json(updated); }
-  catch (err) { console.error('PUT /api/questions/:id', err); return res.status(500).json({ error: 'server_error' }); }
+app.put('/api/questions/:id', authMiddleware, requirePermission('questions.manage'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const ifVersion = requestedVersion(req);
+    if (Number.isNaN(ifVersion)) return res.status(400).json({ error: 'invalid_if_match' });
+    const patch = { ...req.body, updatedAt: new Date().toISOString() };
+    delete patch.version;
+    delete patch.workspaceId;
+    const before = await getQuestionFromStore(id);
+    if (!inWorkspace(req.user, before)) return res.status(404).json({ error: 'question_not_found' });
+    const updated = await updateQuestionInStore(id, patch, { ifVersion });
+    if (!updated) return res.status(404).json({ error: 'question_not_found' });
+    await recordAudit(req, { entity: 'question', entityId: id, action: 'update', before, after: updated });
+    setVersionEtag(res, updated);
+    return res.json(updated);
+  } catch (err) {
+    if (err.code === 'version_conflict') return sendVersionConflict(res, err);
+    console.error('PUT /api/questions/:id', err); return res.status(500).json({ error: 'server_error' });
+  }
 });
-app.delete('/api/questions/:id', authMiddleware, async (req, res) => {
+app.delete('/api/questions/:id', authMiddleware, requirePermission('questions.manage'), async (req, res) => {
   try {
     const id = req.params.id;
-    const forms = await listFormsFromStore();
+    const before = await getQuestionFromStore(id);
+    if (before && !inWorkspace(req.user, before)) return res.status(404).json({ error: 'question_not_found' });
+    const forms = await listFormsFromStore(null, req.user.workspaceId);
     const used = forms.some(f => (f.data && Array.isArray(f.data.questions) && f.data.questions.some(q => q.questionId === id)));
     if (used) return res.status(400).json({ error: 'question_in_use' });
     const result = await deleteQuestionInStore(id);
+    if (before) await recordAudit(req, { entity: 'question', entityId: id, action: 'delete', before });
     return res.json(result);
   } catch (err) { console.error('DELETE /api/questions/:id', err); return res.status(500).json({ error: 'server_error' }); }
 });
 
 
-// Return full mapping (protected — optional; require auth)
-app.get('/api/stages-statuses', authMiddleware, (req, res) => {
-  return res.json(stageStatusMapping);
+/** ---------- Pipelines (stages -> statuses, per workspace; see pipelines.js) ---------- **/
+// the stages of `stageNames` that candidates of `openingIds` are currently in
+async function stagesInUse(openingIds, stageNames) {
+  if (!openingIds.length || !stageNames.length) return [];
+  const rows = await store.responses.countBy('stage', { openingId: { $in: openingIds }, stage: { $in: stageNames } });
+  return rows.filter(r => r.count > 0).map(r => r.value);
+}
+// the openings using `pipeline` (openings without one use the workspace default)
+async function openingsOfPipeline(pipeline, workspace) {
+  const ids = workspace && workspace.defaultPipelineId === pipeline.id ? [pipeline.id, null] : [pipeline.id];
+  return store.openings.find({ workspaceId: pipeline.workspaceId, pipelineId: { $in: ids } });
+}
+// ?opening=<id> -> that opening's pipeline, otherwise the workspace default; null when the opening isn't visible
+async function requestedPipeline(req) {
+  if (!req.query.opening) return pipelineForOpening(null, req.workspace);
+  const opening = await getOpeningFromStore(req.query.opening);
+  return canAccessOpening(req.user, opening) ? pipelineForOpening(opening, req.workspace) : null;
+}
+
+// the fields transition rules can ask for: { key: { label, type } }
+app.get('/api/pipeline-fields', authMiddleware, requirePermission('pipeline.read'), (req, res) => {
+  return res.json(TRANSITION_FIELDS);
+});
+
+app.get('/api/pipelines', authMiddleware, requirePermission('pipeline.read'), async (req, res) => {
+  try {
+    const rows = await listPipelinesFromStore(req.user.workspaceId);
+    return res.json(rows.map(publicPipeline));
+  } catch (err) { console.error('GET /api/pipelines', err); return res.status(500).json({ error: 'server_error' }); }
+});
+app.get('/api/pipelines/:id', authMiddleware, requirePermission('pipeline.read'), async (req, res) => {
+  try {
+    const pipeline = await getPipelineFromStore(req.params.id);
+    if (!inWorkspace(req.user, pipeline)) return res.status(404).json({ error: 'pipeline_not_found' });
+    setVersionEtag(res, pipeline);
+    return res.json(publicPipeline(pipeline));
+  } catch (err) { console.error('GET /api/pipelines/:id', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// POST /api/pipelines { name, stages: [{ name, statuses: [...], defaultStatus?, next?, requiredFields? }] }
+// (stages in order; see pipelines.js for the transition rules)
+app.post('/api/pipelines', authMiddleware, requirePermission('pipeline.manage'), async (req, res) => {
+  try {
+    if (!req.user.workspaceId) return res.status(400).json({ error: 'workspace_required' });
+    const payload = req.body || {};
+    const name = String(payload.name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) return res.status(400).json({ error: 'missing_name' });
+    const { stages, error, stage } = normalizeStages(payload.stages);
+    if (error) return res.status(400).json({ error, stage });
+    const pipeline = await createPipelineInStore({ workspaceId: req.user.workspaceId, name, stages });
+    await recordAudit(req, { entity: 'pipeline', entityId: pipeline.id, action: 'create', after: publicPipeline(pipeline) });
+    return res.status(201).json(publicPipeline(pipeline));
+  } catch (err) { console.error('POST /api/pipelines', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// PUT /api/pipelines/:id { name?, stages? } (If-Match supported). A stage can't be dropped (or
+// renamed) while candidates are in it; statuses can change, existing candidates keep theirs.
+app.put('/api/pipelines/:id', authMiddleware, requirePermission('pipeline.manage'), async (req, res) => {
+  try {
+    const ifVersion = requestedVersion(req);
+    if (Number.isNaN(ifVersion)) return res.status(400).json({ error: 'invalid_if_match' });
+    const before = await getPipelineFromStore(req.params.id);
+    if (!inWorkspace(req.user, before)) return res.status(404).json({ error: 'pipeline_not_found' });
+    const payload = req.body || {};
+    const patch = { updatedAt: new Date().toISOString() };
+    if (payload.name !== undefined) {
+      patch.name = String(payload.name || '').trim().slice(0, MAX_NAME_LENGTH);
+      if (!patch.name) return res.status(400).json({ error: 'missing_name' });
+    }
+    if (payload.stages !== undefined) {
+      const { stages, error, stage } = normalizeStages(payload.stages);
+      if (error) return res.status(400).json({ error, stage });
+      const removed = before.stages.map(st => st.name).filter(n => !stages.some(st => st.name === n));
+      const openings = await openingsOfPipeline(before, req.workspace);
+      const inUse = await stagesInUse(openings.map(op => op.id), removed);
+      if (inUse.length) return res.status(409).json({ error: 'stage_in_use', stages: inUse });
+      patch.stages = stages;
+    }
+    const updated = await updateVersioned(store.collection(PIPELINES_COLLECTION), before.id, patch, { ifVersion });
+    if (!updated) return res.status(404).json({ error: 'pipeline_not_found' });
+    await recordAudit(req, { entity: 'pipeline', entityId: updated.id, action: 'update', before: publicPipeline(before), after: publicPipeline(updated) });
+    setVersionEtag(res, updated);
+    return res.json(publicPipeline(updated));
+  } catch (err) {
+    if (err.code === 'version_conflict') return sendVersionConflict(res, { ...err, current: publicPipeline(err.current) });
+    console.error('PUT /api/pipelines/:id', err); return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// DELETE /api/pipelines/:id, only when no opening uses it and it isn't the workspace default
+app.delete('/api/pipelines/:id', authMiddleware, requirePermission('pipeline.manage'), async (req, res) => {
+  try {
+    const before = await getPipelineFromStore(req.params.id);
+    if (!inWorkspace(req.user, before)) return res.status(404).json({ error: 'pipeline_not_found' });
+    if (req.workspace.defaultPipelineId === before.id) return res.status(409).json({ error: 'default_pipeline' });
+    const openings = await openingsOfPipeline(before, req.workspace);
+    if (openings.length) return res.status(409).json({ error: 'pipeline_in_use', openings: openings.length });
+    await store.collection(PIPELINES_COLLECTION).remove(before.id);
+    await recordAudit(req, { entity: 'pipeline', entityId: before.id, action: 'delete', before: publicPipeline(before) });
+    return res.json({ ok: true });
+  } catch (err) { console.error('DELETE /api/pipelines/:id', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// Return full mapping (stage -> statuses) of ?opening=<id>'s pipeline, or of the workspace default
+app.get('/api/stages-statuses', authMiddleware, requirePermission('pipeline.read'), async (req, res) => {
+  try {
+    const pipeline = await requestedPipeline(req);
+    if (!pipeline) return res.status(404).json({ error: 'opening_not_found' });
+    return res.json(pipelineMapping(pipeline));
+  } catch (err) { console.error('GET /api/stages-statuses', err); return res.status(500).json({ error: 'server_error' }); }
 });
 
 // Compatibility route: frontend expects /api/stage-status-mapping
-app.get('/api/stage-status-mapping', authMiddleware, (req, res) => {
-  return res.json(stageStatusMapping);
+app.get('/api/stage-status-mapping', authMiddleware, requirePermission('pipeline.read'), async (req, res) => {
+  try {
+    const pipeline = await requestedPipeline(req);
+    if (!pipeline) return res.status(404).json({ error: 'opening_not_found' });
+    return res.json(pipelineMapping(pipeline));
+  } catch (err) { console.error('GET /api/stage-status-mapping', err); return res.status(500).json({ error: 'server_error' }); }
 });
 
-// Return statuses for a single stage (protected)
-app.get('/api/stages/:stage/statuses', authMiddleware, (req, res) => {
-  const stage = req.params.stage;
-  if (!stage) return res.status(400).json({ error: 'missing_stage' });
-  const statuses = stageStatusMapping[stage];
-  if (!statuses) return res.status(404).json({ error: 'stage_not_found' });
-  return res.json({ stage, statuses });
+// Return statuses (and the default one) for a single stage (protected; ?opening= as above)
+app.get('/api/stages/:stage/statuses', authMiddleware, requirePermission('pipeline.read'), async (req, res) => {
+  try {
+    const pipeline = await requestedPipeline(req);
+    if (!pipeline) return res.status(404).json({ error: 'opening_not_found' });
+    const found = findStage(pipeline, req.params.stage);
+    if (!found) return res.status(404).json({ error: 'stage_not_found' });
+    return res.json({ stage: found.name, statuses: found.statuses, defaultStatus: found.defaultStatus });
+  } catch (err) { console.error('GET /api/stages/:stage/statuses', err); return res.status(500).json({ error: 'server_error' }); }
 });
 
 
 
+/** ---------- Response list query (filters, sort, cursor pagination, facets) ---------- **/
+const RESPONSE_SORT_FIELDS = ['createdAt', 'updatedAt', 'fullName', 'status', 'stage'];
+const RESPONSE_SEARCH_FIELDS = ['fullName', 'email', 'phone', 'college', 'answers.college', 'openingTitle', 'source', 'id'];
+const RESPONSE_PAGE_MAX = 200;
+
+// accept ?status=a,b as well as ?status=a&status=b
+function listParam(v) {
+  if (v === undefined || v === null || v === '') return [];
+  return (Array.isArray(v) ? v : [v]).flatMap(x => String(x).split(',')).map(x => x.trim()).filter(Boolean);
+}
+function escapeRegex(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+function encodeCursor(obj) { return Buffer.from(JSON.stringify(obj)).toString('base64url'); }
+function decodeCursor(str) {
+  try { return JSON.parse(Buffer.from(String(str), 'base64url').toString('utf8')); } catch (e) { return null; }
+}
+
+function parseResponseQuery(query = {}) {
+  const sortRaw = String(query.sort || '-createdAt');
+  const sortField = sortRaw.replace(/^-/, '');
+  return {
+    openingIds: listParam(query.openingId),
+    locations: listParam(query.location),
+    departments: listParam(query.department),
+    sources: listParam(query.source),
+    statuses: listParam(query.status),
+    stages: listParam(query.stage),
+    deleted: query.deleted === 'true' ? true : query.deleted === 'false' ? false : null,
+    q: (query.q || '').toString().trim(),
+    createdFrom: query.createdFrom || null,
+    createdTo: query.createdTo || null,
+    sortField: RESPONSE_SORT_FIELDS.includes(sortField) ? sortField : 'createdAt',
+    sortDir: sortRaw.startsWith('-') || !RESPONSE_SORT_FIELDS.includes(sortField) ? -1 : 1,
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), RESPONSE_PAGE_MAX),
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    facets: query.facets === 'true' || query.facets === '1'
+  };
+}
+
+// labels the UI shows for openings without a location/department
+const OPENING_FIELD_FALLBACK = { location: 'Unknown', department: 'General' };
+// what GET /api/responses shows for responses stored without a status / source (as it always has);
+// filters and facets treat the missing value as this one
+const RESPONSE_FIELD_FALLBACK = { status: 'Applied', source: 'unknown' };
+function withResponseDefaults(r) {
+  return { ...r, status: r.status || RESPONSE_FIELD_FALLBACK.status, source: r.source || RESPONSE_FIELD_FALLBACK.source };
+}
+// ?status=Applied also matches responses without a status ($in: null matches a missing field)
+function withFallbackValue(field, values) {
+  return values.includes(RESPONSE_FIELD_FALLBACK[field]) ? [...values, null] : values;
+}
+
+// Build a store filter from parsed params. `omit` drops one facet's own condition so facet
+// counts show what selecting another value would give. Location/department are opening fields,
+// so they are resolved to opening ids first.
+function buildResponseFilter(params, openings, { omit } = {}) {
+  const and = [];
+  if (params.workspaceId) and.push({ workspaceId: params.workspaceId });
+  if (params.scopeOpeningIds) and.push({ openingId: { $in: params.scopeOpeningIds } });
+  if (params.deleted !== null) and.push(params.deleted ? { is_deleted: true } : { is_deleted: { $ne: true } });
+  if (params.openingIds.length && omit !== 'openingId') and.push({ openingId: { $in: params.openingIds } });
+  const byOpening = (field, values) => openings.filter(o => values.includes(o[field] || OPENING_FIELD_FALLBACK[field])).map(o => o.id);
+  if (params.locations.length && omit !== 'location') and.push({ openingId: { $in: byOpening('location', params.locations) } });
+  if (params.departments.length && omit !== 'department') and.push({ openingId: { $in: byOpening('department', params.departments) } });
+  if (params.sources.length && omit !== 'source') and.push({ source: { $in: withFallbackValue('source', params.sources) } });
+  if (params.statuses.length && omit !== 'status') and.push({ status: { $in: withFallbackValue('status', params.statuses) } });
+  if (params.stages.length && omit !== 'stage') and.push({ stage: { $in: params.stages } });
+  if (params.createdFrom) and.push({ createdAt: { $gte: new Date(params.createdFrom).toISOString() } });
+  if (params.createdTo) {
+    // a bare date (YYYY-MM-DD) includes the whole day
+    const to = /^\d{4}-\d{2}-\d{2}$/.test(params.createdTo) ? `${params.createdTo}T23:59:59.999Z` : new Date(params.createdTo).toISOString();
+    and.push({ createdAt: { $lte: to } });
+  }
+  if (params.q) {
+    const rx = { $regex: escapeRegex(params.q), $options: 'i' };
+    and.push({ $or: RESPONSE_SEARCH_FIELDS.map(f => ({ [f]: rx })) });
+  }
+  return and.length ? { $and: and } : {};
+}
+
+// keyset condition: everything strictly after the last item of the previous page.
+// Empty (null / missing) sort values sort lowest in every store, and $gt / $lt never match them,
+// so they need their own branches: { field: null } matches both null and missing.
+function cursorFilter(params) {
+  const { sortField, sortDir, cursor } = params;
+  if (!cursor || cursor.id === undefined) return null;
+  const op = sortDir < 0 ? '$lt' : '$gt';
+  const sameValue = { [sortField]: cursor.v === undefined ? null : cursor.v, id: { [op]: cursor.id } };
+  if (cursor.v === null || cursor.v === undefined) {
+    // descending: only more empty values follow; ascending: every set value does
+    return sortDir < 0 ? sameValue : { $or: [sameValue, { [sortField]: { $ne: null } }] };
+  }
+  const after = [{ [sortField]: { [op]: cursor.v } }, sameValue];
+  if (sortDir < 0) after.push({ [sortField]: null }); // descending, the empty values come last
+  return { $or: after };
+}
+
+async function responseFacets(params, openings) {
+  const counts = async (field, omit) => {
+    const rows = await store.responses.countBy(field, buildResponseFilter(params, openings, { omit }));
+    const fallback = RESPONSE_FIELD_FALLBACK[field];
+    if (!fallback) return rows.filter(r => r.value !== null).sort((a, b) => b.count - a.count);
+    // missing (or empty) values count towards the fallback
+    const totals = {};
+    rows.forEach(r => { const key = r.value || fallback; totals[key] = (totals[key] || 0) + r.count; });
+    return Object.keys(totals).map(value => ({ value, count: totals[value] })).sort((a, b) => b.count - a.count);
+  };
+  // roll per-opening counts up to an opening attribute
+  const rollUp = (rows, field, fallback) => {
+    const totals = {};
+    rows.forEach(r => {
+      const op = openings.find(o => o.id === r.value);
+      const key = (op && op[field]) || fallback;
+      totals[key] = (totals[key] || 0) + r.count;
+    });
+    return Object.keys(totals).map(value => ({ value, count: totals[value] })).sort((a, b) => b.count - a.count);
+  };
+  const [opening, location, department, source, status, stage] = await Promise.all([
+    counts('openingId', 'openingId'),
+    counts('openingId', 'location'),
+    counts('openingId', 'department'),
+    counts('source', 'source'),
+    counts('status', 'status'),
+    counts('stage', 'stage')
+  ]);
+  return {
+    opening,
+    location: rollUp(location, 'location', OPENING_FIELD_FALLBACK.location),
+    department: rollUp(department, 'department', OPENING_FIELD_FALLBACK.department),
+    source,
+    status,
+    stage
+  };
+}
+
 /* Responses endpoints */
-// Support optional query ?openingId= to return only responses for a given opening
-app.get('/api/responses', authMiddleware, async (req, res) => {
+// Without ?limit this returns the plain array (optionally ?openingId=) as before.
+// With ?limit it returns a page: { items, total, nextCursor, facets? } and accepts
+//   openingId, location, department, source, status, stage (comma separated or repeated),
+//   deleted=true|false, q (free text), createdFrom/createdTo (ISO dates),
+//   sort=[-]createdAt|updatedAt|fullName|status|stage, cursor, facets=true
+app.get('/api/responses', authMiddleware, requirePermission('responses.read'), async (req, res) => {
   try {
-    const openingId = req.query.openingId;
-    const rows = await listResponsesFromStore(openingId ? { openingId } : {});
-    return res.json(rows || []);
+    const scope = await accessibleOpeningIds(req.user);
+    if (req.query.limit === undefined) {
+      const openingId = req.query.openingId;
+      let rows = await listResponsesFromStore({ openingId, workspaceId: req.user.workspaceId });
+      if (scope) rows = rows.filter(r => scope.includes(r.openingId));
+      return res.json((rows || []).map(withResponseDefaults));
+    }
+    const params = parseResponseQuery(req.query);
+    if (req.query.cursor && !params.cursor) return res.status(400).json({ error: 'invalid_cursor' });
+    if ((params.createdFrom && isNaN(new Date(params.createdFrom))) || (params.createdTo && isNaN(new Date(params.createdTo)))) return res.status(400).json({ error: 'invalid_date' });
+    params.scopeOpeningIds = scope;
+    params.workspaceId = req.user.workspaceId;
+    const openings = (params.locations.length || params.departments.length || params.facets) ? await listOpeningsFromStore(openingScopeFilter(req.user)) : [];
+    const filter = buildResponseFilter(params, openings);
+    const after = cursorFilter(params);
+    const pageFilter = after ? { $and: [filter, after] } : filter;
+
+    const sort = { [params.sortField]: params.sortDir, id: params.sortDir };
+    const [rows, total, facets] = await Promise.all([
+      store.responses.find(pageFilter, { sort, limit: params.limit + 1 }),
+      store.responses.count(filter),
+      params.facets ? responseFacets(params, openings) : Promise.resolve(undefined)
+    ]);
+    const items = rows.slice(0, params.limit);
+    const last = items[items.length - 1];
+    const nextCursor = rows.length > params.limit && last ? encodeCursor({ v: last[params.sortField] === undefined ? null : last[params.sortField], id: last.id }) : null;
+    return res.json({ items: items.map(withResponseDefaults), total, nextCursor, ...(facets ? { facets } : {}) });
   } catch (err) { console.error('GET /api/responses', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.get('/api/responses/:id', authMiddleware, async (req, res) => {
-  try { const r = await getResponseFromStore(req.params.id); if (!r) return res.status(404).json({ error: 'response_not_found' }); return res.json(r); }
+app.get('/api/responses/:id', authMiddleware, requirePermission('responses.read'), async (req, res) => {
+  try { const r = await getResponseFromStore(req.params.id); if (!r || !(await canAccessOpeningId(req.user, r.openingId))) return res.status(404).json({ error: 'response_not_found' }); setVersionEtag(res, r); return res.json(r); }
   catch (err) { console.error('GET /api/responses/:id', err); return res.status(500).json({ error: 'server_error' }); }
 });
+// GET /api/responses/:id/history - every stage/status the candidate has been in, oldest first;
+// durationMs is how long each one lasted (the last one: until now)
+app.get('/api/responses/:id/history', authMiddleware, requirePermission('responses.read'), async (req, res) => {
+  try {
+    const r = await getResponseFromStore(req.params.id);
+    if (!r || !(await canAccessOpeningId(req.user, r.openingId))) return res.status(404).json({ error: 'response_not_found' });
+    const entries = await listResponseHistoryFromStore(r.id);
+    const now = Date.now();
+    const items = entries.map((e, i) => {
+      const end = i + 1 < entries.length ? new Date(entries[i + 1].at).getTime() : now;
+      return { ...e, durationMs: Math.max(0, end - new Date(e.at).getTime()) };
+    });
+    const stageEnteredAt = r.stageEnteredAt || r.createdAt || null;
+    return res.json({ items, stage: r.stage || null, status: r.status || null, stageEnteredAt, timeInStageMs: stageEnteredAt ? Math.max(0, now - new Date(stageEnteredAt).getTime()) : null });
+  } catch (err) { console.error('GET /api/responses/:id/history', err); return res.status(500).json({ error: 'server_error' }); }
+});
 
 // Generic update for a response (used by frontend to update fields like is_deleted)
-app.put('/api/responses/:id', authMiddleware, async (req, res) => {
+app.put('/api/responses/:id', authMiddleware, requirePermission('responses.edit'), async (req, res) => {
   try {
     const id = req.params.id;
+    const ifVersion = requestedVersion(req);
+    if (Number.isNaN(ifVersion)) return res.status(400).json({ error: 'invalid_if_match' });
     const patch = { ...req.body };
-    // protect id field
+    // protect id/version/workspace fields and the sheet row the outbox worker records
     delete patch.id;
+    delete patch.version;
+    delete patch.workspaceId;
+    delete patch.sheetRange;
+    // stage and status only change through PUT /api/responses/:id/status, which applies the pipeline's rules
+    if (['stage', 'status', 'pipelineFields'].some(f => patch[f] !== undefined)) return res.status(400).json({ error: 'use_status_endpoint' });
     patch.updatedAt = new Date().toISOString();
-    const updated = await updateResponseInStore(id, patch);
+    const before = await getResponseFromStore(id);
+    if (!before || !(await canAccessOpeningId(req.user, before.openingId))) return res.status(404).json({ error: 'response_not_found' });
+    // moving a candidate to another opening must stay within the caller's openings
+    const moving = patch.openingId !== undefined && patch.openingId !== before.openingId;
+    if (moving && !(await canAccessOpeningId(req.user, patch.openingId))) return res.status(400).json({ error: 'invalid_openingId' });
+    if (moving) {
+      const target = await getOpeningFromStore(patch.openingId);
+      if (!target || target.workspaceId !== before.workspaceId) return res.status(400).json({ error: 'invalid_openingId' });
+      // the candidate keeps their stage when the new opening's pipeline has it (at its default status
+      // if the current one isn't allowed there), otherwise they start at its first stage
+      const targetPipeline = await pipelineForOpening(target, req.workspace);
+      const stage = findStage(targetPipeline, before.stage) || (targetPipeline.stages || [])[0];
+      if (stage && stage.name !== before.stage) {
+        Object.assign(patch, { stage: stage.name, status: stage.defaultStatus, stageEnteredAt: patch.updatedAt });
+      } else if (stage && !(stage.statuses || []).includes(before.status)) {
+        patch.status = stage.defaultStatus;
+      }
+    }
+    const updated = await updateResponseInStore(id, patch, { ifVersion });
     if (!updated) return res.status(404).json({ error: 'response_not_found' });
+    await recordAudit(req, { entity: 'response', entityId: id, action: 'update', before, after: updated });
+    if (updated.stage !== before.stage || updated.status !== before.status) {
+      await recordStageHistory(req, before, updated);
+      if (req.workspace && req.workspace.googleSheetId) {
+        await jobQueue.enqueue('sheet.status', { responseId: id }).catch(err => console.error('Failed to queue sheet update for response', id, err && err.message));
+      }
+    }
+    setVersionEtag(res, updated);
     return res.json({ ok: true, updated });
   } catch (err) {
+    if (err.code === 'version_conflict') return sendVersionConflict(res, err);
     console.error('PUT /api/responses/:id error', err && err.stack);
     return res.status(500).json({ error: 'server_error' });
   }
 });
 
 // Update a candidate's status (persist to DB/files + update sheet row if known)
-app.put('/api/responses/:id/status', authMiddleware, async (req, res) => {
+// body { status?, stage?, fields? }: fields carries what the pipeline's transition rules ask for
+app.put('/api/responses/:id/status', authMiddleware, requirePermission('responses.status'), async (req, res) => {
   try {
     const id = req.params.id;
-    const { status, stage: requestedStage } = req.body;
-    if (!status) return res.status(400).json({ error: 'missing_status' });
+    const { stage: requestedStage } = req.body;
+    let { status } = req.body;
+    if (!status && !requestedStage) return res.status(400).json({ error: 'missing_status' });
+    const ifVersion = requestedVersion(req);
+    if (Number.isNaN(ifVersion)) return res.status(400).json({ error: 'invalid_if_match' });
 
-    let updatedResp = null;
     const now = new Date().toISOString();
 
-    // Helper to try update by different selectors
-    async function tryUpdate(selector) {
-      if (!db) return null;
-      const updateRes = await db.collection('responses').findOneAndUpdate(
-        selector,
-        { $set: { status, updatedAt: now } },
-        { returnDocument: 'after' }
-      );
-      return updateRes && updateRes.value ? normalizeDoc(updateRes.value) : null;
-    }
+    // fetch response first so we can validate stage -> status against its opening's pipeline
+    const existingResp = await getResponseFromStore(id);
+    if (!existingResp || !(await canAccessOpeningId(req.user, existingResp.openingId))) return res.status(404).json({ error: 'response_not_found' });
+    const openingPipeline = await pipelineForOpening(await getOpeningFromStore(existingResp.openingId), req.workspace);
+    const pipeline = pipelineMapping(openingPipeline);
 
-    // Helper: fetch existing response (by id or ObjectId)
-    async function fetchExistingResponseById(rawId) {
-      if (!db) return null;
-      let doc = await db.collection('responses').findOne({ id: rawId });
-      if (doc) return normalizeDoc(doc);
-      // try ObjectId if looks like one
-      if (/^[0-9a-fA-F]{24}$/.test(rawId)) {
-        try {
-          const { ObjectId } = require('mongodb');
-          doc = await db.collection('responses').findOne({ _id: new ObjectId(rawId) });
-          return doc ? normalizeDoc(doc) : null;
-        } catch (e) {
-          // ignore conversion errors
-        }
-      }
-      return null;
-    }
+    // a stage change must name a stage of the pipeline; without a status the candidate gets the stage's default
+    if (requestedStage && !pipeline[requestedStage]) return res.status(400).json({ error: 'stage_not_found', stage: requestedStage, stages: Object.keys(pipeline) });
+    if (!status) status = findStage(openingPipeline, requestedStage).defaultStatus;
 
     // Helper: validate status against mapping for a stage (mapping may not have entry)
     // stageCandidates is array of possible stages, first matching mapping will be used.
     function validateStatusForStage(stageCandidates = []) {
       for (const s of stageCandidates) {
         if (!s) continue;
-        const allowed = stageStatusMapping && stageStatusMapping[s];
+        const allowed = pipeline[s];
         if (allowed) {
           if (!allowed.includes(status)) {
             return { ok: false, stage: s, allowed };
@@ -857,103 +2120,50 @@ app.put('/api/responses/:id/status', authMiddleware, async (req, res) => {
       return { ok: true, stage: null, allowed: null };
     }
 
-    if (db) {
-      // fetch response first so we can validate stage -> status
-      const existingResp = await fetchExistingResponseById(id);
-
-      // build candidates: explicit requestedStage first, then fields on existing response
-      const stageCandidates = [];
-      if (requestedStage) stageCandidates.push(requestedStage);
-      if (existingResp) {
-        if (existingResp.stage) stageCandidates.push(existingResp.stage);
-        if (existingResp.currentStage) stageCandidates.push(existingResp.currentStage);
-        if (existingResp.current_stage) stageCandidates.push(existingResp.current_stage);
-      }
-
-      const validation = validateStatusForStage(stageCandidates);
-      if (!validation.ok) {
-        return res.status(400).json({ error: 'status_not_allowed_for_stage', stage: validation.stage, allowed: validation.allowed });
-      }
-
-      // If caller provided explicit stage and response exists, optionally persist the stage as well
-      if (requestedStage && existingResp) {
-        try {
-          await db.collection('responses').updateOne({ id: existingResp.id }, { $set: { stage: requestedStage, updatedAt: now } });
-        } catch (err) {
-          // non-fatal: log and continue
-          console.warn('Failed to persist stage on response:', err && err.message);
-        }
-      }
-
-      // perform the status update (try by id)
-      updatedResp = await tryUpdate({ id });
-
-      // fallback: if not found by id, try ObjectId selector (if id looks like one)
-      if (!updatedResp && /^[0-9a-fA-F]{24}$/.test(id)) {
-        try {
-          const { ObjectId } = require('mongodb');
-          updatedResp = await tryUpdate({ _id: new ObjectId(id) });
-        } catch (e) {
-          // ignore conversion errors
-        }
-      }
-
-      // If still not found, return 404
-      if (!updatedResp) {
-        return res.status(404).json({ error: 'response_not_found' });
-      }
-    } else {
-      // file-backed store
-      const data = readData();
-      const idx = (data.responses || []).findIndex(r => r.id === id);
-      if (idx === -1) return res.status(404).json({ error: 'response_not_found' });
-
-      // Build stageCandidates from requestedStage and stored fields
-      const stored = data.responses[idx];
-      const stageCandidates = [];
-      if (requestedStage) stageCandidates.push(requestedStage);
-      if (stored.stage) stageCandidates.push(stored.stage);
-      if (stored.currentStage) stageCandidates.push(stored.currentStage);
-      if (stored.current_stage) stageCandidates.push(stored.current_stage);
-
-      const validation = validateStatusForStage(stageCandidates);
-      if (!validation.ok) {
-        return res.status(400).json({ error: 'status_not_allowed_for_stage', stage: validation.stage, allowed: validation.allowed });
-      }
+    // build candidates: explicit requestedStage first, then fields on existing response
+    const stageCandidates = [];
+    if (requestedStage) stageCandidates.push(requestedStage);
+    if (existingResp.stage) stageCandidates.push(existingResp.stage);
+    if (existingResp.currentStage) stageCandidates.push(existingResp.currentStage);
+    if (existingResp.current_stage) stageCandidates.push(existingResp.current_stage);
 
-      // optionally persist stage
-      if (requestedStage) data.responses[idx].stage = requestedStage;
+    const validation = validateStatusForStage(stageCandidates);
+    if (!validation.ok) {
+      return res.status(400).json({ error: 'status_not_allowed_for_stage', stage: validation.stage, allowed: validation.allowed });
+    }
 
-      data.responses[idx].status = status;
-      data.responses[idx].updatedAt = now;
-      writeData(data);
-      updatedResp = data.responses[idx];
+    // the pipeline's transition rules: allowed next stages and the fields a move asks for (body.fields)
+    const currentStage = existingResp.stage || existingResp.currentStage || existingResp.current_stage || null;
+    const transition = checkTransition(openingPipeline, { stage: currentStage, status: existingResp.status }, { stage: requestedStage || currentStage, status }, req.body.fields);
+    if (transition.error) {
+      const { error, ...detail } = transition;
+      return res.status(400).json({ error, ...detail });
     }
 
-    // If sheetRange stored, update that row in Google Sheet (same as before)
-    if (SHEET_ID && updatedResp && updatedResp.sheetRange) {
+    // persist the stage as well when the caller provided one explicitly
+    const patch = { status, updatedAt: now };
+    if (requestedStage) patch.stage = requestedStage;
+    if (requestedStage && requestedStage !== currentStage) patch.stageEnteredAt = now;
+    if (Object.keys(transition.values).length) patch.pipelineFields = { ...(existingResp.pipelineFields || {}), ...transition.values };
+    const updatedResp = await updateResponseInStore(id, patch, { ifVersion });
+    if (!updatedResp) return res.status(404).json({ error: 'response_not_found' });
+    await recordAudit(req, { entity: 'response', entityId: id, action: 'status_change', before: existingResp, after: updatedResp, meta: Object.keys(transition.values).length ? { fields: transition.values } : null });
+    if (updatedResp.stage !== existingResp.stage || updatedResp.status !== existingResp.status) await recordStageHistory(req, existingResp, updatedResp, transition.values);
+
+    // the sheet row is updated by the outbox worker (retried while Sheets is unavailable)
+    if (req.workspace && req.workspace.googleSheetId) {
       try {
-        const sheetRange = updatedResp.sheetRange;
-        const sheetName = sheetRange.split('!')[0];
-        const header = (await readSheetRange(SHEET_ID, `${sheetName}!1:1`))[0] || [];
-        let statusIndex = header.findIndex(h => (h || '').toString().toLowerCase().trim() === 'status');
-        const existingRow = (await readSheetRange(SHEET_ID, sheetRange))[0] || [];
-        if (statusIndex === -1) {
-          statusIndex = existingRow.length;
-        }
-        while (existingRow.length <= statusIndex) existingRow.push('');
-        existingRow[statusIndex] = status;
-        await updateSheetRow(SHEET_ID, sheetRange, existingRow);
-        console.log(`[api] updated sheet ${sheetRange} with status=${status}`);
+        await jobQueue.enqueue('sheet.status', { responseId: id });
+        return res.json({ ok: true, updatedResp, sheetUpdate: 'queued' });
       } catch (err) {
-        console.error('Failed to update Google Sheet row for response', id, err && err.message);
-        // don't fail the whole request for sheet errors; return success with sheetUpdate:failed
+        console.error('Failed to queue sheet update for response', id, err && err.message);
         return res.status(200).json({ ok: true, updatedResp, sheetUpdate: 'failed', sheetError: (err && err.message) });
       }
     }
 
     return res.json({ ok: true, updatedResp });
   } catch (err) {
+    if (err.code === 'version_conflict') return sendVersionConflict(res, err);
     console.error('PUT /api/responses/:id/status error', err && err.stack);
     return res.status(500).json({ error: 'server_error', message: err?.message || 'unknown' });
   }
@@ -964,29 +2174,34 @@ app.put('/api/responses/:id/status', authMiddleware, async (req, res) => {
 /** ---------- Toggle endpoints (is_deleted + cascade) ---------- **/
 
 // Toggle opening is_deleted and cascade to forms + responses
-app.patch('/api/openings/:id/toggle-delete', authMiddleware, async (req, res) => {
+app.patch('/api/openings/:id/toggle-delete', authMiddleware, requirePermission('openings.manage'), async (req, res) => {
   try {
     const id = req.params.id;
     const { is_deleted } = req.body;
     const opening = await getOpeningFromStore(id);
-    if (!opening) return res.status(404).json({ error: 'opening_not_found' });
+    if (!canAccessOpening(req.user, opening)) return res.status(404).json({ error: 'opening_not_found' });
 
     const newVal = typeof is_deleted === 'boolean' ? is_deleted : !opening.is_deleted;
 
+    const action = newVal ? 'disable' : 'enable';
+
     // update opening
-    await updateOpeningInStore(id, { is_deleted: newVal, updatedAt: new Date().toISOString() });
+    const updatedOpening = await updateOpeningInStore(id, { is_deleted: newVal, updatedAt: new Date().toISOString() });
+    await recordAudit(req, { entity: 'opening', entityId: id, action, before: opening, after: updatedOpening });
 
-    // cascade forms
+    // cascade forms (each cascaded change is audited too, pointing back at the opening)
+    const cascadeMeta = { cascadeFrom: { entity: 'opening', id } };
     const forms = await listFormsFromStore(id);
     for (const f of forms) {
-      await updateFormInStore(f.id, { is_deleted: newVal, updated_at: new Date().toISOString() });
+      const updatedForm = await updateFormInStore(f.id, { is_deleted: newVal, updated_at: new Date().toISOString() });
+      if (!!f.is_deleted !== newVal) await recordAudit(req, { entity: 'form', entityId: f.id, action, before: f, after: updatedForm, meta: cascadeMeta });
     }
 
     // cascade responses
-    const responses = await listResponsesFromStore();
-    const filtered = responses.filter(r => r.openingId === id);
-    for (const r of filtered) {
-      await updateResponseInStore(r.id, { is_deleted: newVal, updatedAt: new Date().toISOString() });
+    const responses = await listResponsesFromStore({ openingId: id });
+    for (const r of responses) {
+      const updatedResponse = await updateResponseInStore(r.id, { is_deleted: newVal, updatedAt: new Date().toISOString() });
+      if (!!r.is_deleted !== newVal) await recordAudit(req, { entity: 'response', entityId: r.id, action, before: r, after: updatedResponse, meta: cascadeMeta });
     }
 
     return res.json({ ok: true, openingId: id, is_deleted: newVal });
@@ -997,14 +2212,15 @@ app.patch('/api/openings/:id/toggle-delete', authMiddleware, async (req, res) =>
 });
 
 // Toggle response is_deleted independently
-app.patch('/api/responses/:id/toggle-delete', authMiddleware, async (req, res) => {
+app.patch('/api/responses/:id/toggle-delete', authMiddleware, requirePermission('responses.delete'), async (req, res) => {
   try {
     const id = req.params.id;
     const response = await getResponseFromStore(id);
-    if (!response) return res.status(404).json({ error: 'response_not_found' });
+    if (!response || !(await canAccessOpeningId(req.user, response.openingId))) return res.status(404).json({ error: 'response_not_found' });
 
     const newVal = typeof req.body.is_deleted === 'boolean' ? req.body.is_deleted : !response.is_deleted;
     const updated = await updateResponseInStore(id, { is_deleted: newVal, updatedAt: new Date().toISOString() });
+    await recordAudit(req, { entity: 'response', entityId: id, action: newVal ? 'disable' : 'enable', before: response, after: updated });
 
     return res.json({ ok: true, responseId: id, is_deleted: newVal, updated });
   } catch (err) {
@@ -1013,269 +2229,540 @@ app.patch('/api/responses/:id/toggle-delete', authMiddleware, async (req, res) =
   }
 });
 
-/* Public endpoints for openings/schema - work with OPENINGS_FILE or DB */
-app.get('/public/openings', async (req, res) => {
-  try { const rows = await listOpeningsFromStore(); return res.json(rows || []); }
-  catch (err) { console.error('GET /public/openings', err); return res.status(500).json({ error: 'server_error' }); }
+/** ---------- Audit log ---------- **/
+// GET /api/audit?entity=response&entityId=..&actorId=..&action=..&from=..&to=..&limit=..&cursor=..
+// Newest first; entity/entityId/actorId/action accept comma separated lists.
+// Users scoped to their openings may only read the history of one opening/form/response they can see.
+async function canReadEntityAudit(user, entity, entityId) {
+  if (typeof entity !== 'string' || typeof entityId !== 'string') return false;
+  if (entity === 'opening') return canAccessOpeningId(user, entityId);
+  const doc = entity === 'response' ? await getResponseFromStore(entityId) : (entity === 'form' ? await getFormFromStore(entityId) : null);
+  return !!doc && canAccessOpeningId(user, doc.openingId);
+}
+
+app.get('/api/audit', authMiddleware, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const filter = {};
+    ['entity', 'entityId', 'actorId', 'action'].forEach(f => {
+      const values = listParam(req.query[f]);
+      if (values.length) filter[f] = values.length === 1 ? values[0] : { $in: values };
+    });
+    if (!hasAllOpenings(req.user) && !(await canReadEntityAudit(req.user, filter.entity, filter.entityId))) {
+      return res.status(403).json({ error: 'audit_scope_required' });
+    }
+    // this workspace's history; install-wide entries (users, keys, backups) only for those who
+    // manage the install, not for auditors of every workspace
+    const installWide = principalCan(req.user, 'users.manage') || principalCan(req.user, 'system.manage');
+    filter.workspaceId = installWide ? { $in: [req.user.workspaceId, null] } : req.user.workspaceId;
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) return res.status(400).json({ error: 'invalid_date' });
+    if (from || to) {
+      filter.at = {};
+      if (from) filter.at.$gte = from.toISOString();
+      if (to) filter.at.$lte = to.toISOString();
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !cursor.id) return res.status(400).json({ error: 'invalid_cursor' });
+      filter.$or = [{ at: { $lt: cursor.v } }, { at: cursor.v, id: { $lt: cursor.id } }];
+    }
+    const rows = await store.audit.find(filter, { sort: { at: -1, id: -1 }, limit: limit + 1 });
+    const items = rows.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = rows.length > limit && last ? encodeCursor({ v: last.at, id: last.id }) : null;
+    return res.json({ items, nextCursor });
+  } catch (err) { console.error('GET /api/audit', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.post('/public/openings', async (req, res) => {
+
+/** ---------- Outbox admin (inspect / retry / discard jobs) ---------- **/
+// GET /api/admin/jobs?state=failed,pending&type=sheet.append&limit=100 -> { items, counts }
+app.get('/api/admin/jobs', authMiddleware, requirePermission('system.manage'), async (req, res) => {
   try {
-    const payload = req.body || {};
-    const op = { id: `op_${Date.now()}`, title: payload.title || 'Untitled', location: payload.location || 'Remote', department: payload.department || '', preferredSources: Array.isArray(payload.preferredSources) ? payload.preferredSources : (payload.preferredSources ? payload.preferredSources.split(',') : []), durationMins: payload.durationMins || 30, schema: payload.schema || null, createdAt: new Date().toISOString(), is_deleted: false };
-    await createOpeningInStore(op);
-    return res.json(op);
-  } catch (err) { console.error('POST /public/openings', err); return res.status(500).json({ error: 'server_error' }); }
+    const filter = {};
+    const states = listParam(req.query.state);
+    const types = listParam(req.query.type);
+    if (states.length) filter.state = { $in: states };
+    if (types.length) filter.type = { $in: types };
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const items = await jobQueue.list(filter, { limit });
+    const counts = await jobQueue.counts();
+    return res.json({ items, counts });
+  } catch (err) { console.error('GET /api/admin/jobs', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.get('/public/openings/:id/schema', async (req, res) => {
-  try { const op = await getOpeningFromStore(req.params.id); if (!op) return res.status(404).json({ error: 'opening_not_found' }); return res.json({ schema: op.schema || null }); }
-  catch (err) { console.error('GET /public/openings/:id/schema', err); return res.status(500).json({ error: 'server_error' }); }
+
+app.post('/api/admin/jobs/:id/retry', authMiddleware, requirePermission('system.manage'), async (req, res) => {
+  try {
+    const before = await jobQueue.get(req.params.id);
+    if (!before) return res.status(404).json({ error: 'job_not_found' });
+    const job = await jobQueue.retry(req.params.id);
+    if (!job) return res.status(409).json({ error: 'job_not_retryable', state: before.state });
+    await recordAudit(req, { entity: 'job', entityId: job.id, action: 'retry', before, after: job });
+    return res.json({ ok: true, job });
+  } catch (err) { console.error('POST /api/admin/jobs/:id/retry', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+app.post('/api/admin/jobs/:id/discard', authMiddleware, requirePermission('system.manage'), async (req, res) => {
+  try {
+    const before = await jobQueue.get(req.params.id);
+    if (!before) return res.status(404).json({ error: 'job_not_found' });
+    const job = await jobQueue.discard(req.params.id);
+    if (!job) return res.status(409).json({ error: 'job_not_discardable', state: before.state });
+    await recordAudit(req, { entity: 'job', entityId: job.id, action: 'discard', before, after: job });
+    return res.json({ ok: true, job });
+  } catch (err) { console.error('POST /api/admin/jobs/:id/discard', err); return res.status(500).json({ error: 'server_error' }); }
 });
-app.post('/public/openings/:id/schema', async (req, res) => {
+
+/** ---------- Backup / restore (admin; same archive format as `node backup.js`) ---------- **/
+// GET /api/admin/backup?uploads=1 -> gzip'd archive download, optionally with local resumes
+app.get('/api/admin/backup', authMiddleware, requirePermission('system.manage'), async (req, res) => {
   try {
-    const id = req.params.id;
-    const schema = req.body.schema;
-    if (!schema || !Array.isArray(schema)) return res.status(400).json({ error: 'missing_or_invalid_schema' });
-    const op = await getOpeningFromStore(id);
-    if (!op) return res.status(404).json({ error: 'opening_not_found' });
-    op.schema = schema; op.updatedAt = new Date().toISOString();
-    await updateOpeningInStore(id, { schema: op.schema, updatedAt: op.updatedAt });
-    return res.json({ ok: true, schema: op.schema });
-  } catch (err) { console.error('POST /public/openings/:id/schema', err); return res.status(500).json({ error: 'server_error' }); }
+    const includeUploads = ['1', 'true'].includes(String(req.query.uploads || ''));
+    const archive = await exportBackup(store, { includeUploads, uploadsDir: UPLOADS_DIR });
+    const body = serializeBackup(archive);
+    const counts = {};
+    Object.keys(archive.collections).forEach(name => { counts[name] = archive.collections[name].length; });
+    await recordAudit(req, { entity: 'backup', entityId: archive.createdAt, action: 'export', meta: { counts, uploads: includeUploads ? archive.uploads.length : null } });
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="hrtool-backup-${archive.createdAt.replace(/[:.]/g, '-')}.json.gz"`);
+    return res.send(body);
+  } catch (err) { console.error('GET /api/admin/backup', err); return res.status(500).json({ error: 'server_error' }); }
+});
+
+// A restore is a maintenance window: while it runs every other write gets 503 maintenance and the
+// job worker is paused, so nothing interleaves with the documents being replaced.
+let restoreInProgress = false;
+function rejectWritesDuringRestore(req, res, next) {
+  if (!restoreInProgress || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+  res.set('Retry-After', '30');
+  return res.status(503).json({ error: 'maintenance', message: 'A backup is being restored. Please try again shortly.' });
+}
+
+// POST /api/admin/restore?dryRun=1&mode=merge|replace&uploads=0 (multipart, file field "backup")
+// -> { dryRun, mode, collections: { name: { insert, update, unchanged, remove, kept, skipped, sample } }, uploads }
+// A replace never deletes the caller's own account (or API key): it is counted as `kept`.
+app.post('/api/admin/restore', authMiddleware, requirePermission('system.manage'), backupUpload.single('backup'), async (req, res) => {
+  let started = false;
+  try {
+    if (!req.file) return res.status(400).json({ error: 'backup_file_required' });
+    const mode = req.query.mode || 'merge';
+    if (!['merge', 'replace'].includes(mode)) return res.status(400).json({ error: 'invalid_mode' });
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun || ''));
+    const includeUploads = !['0', 'false'].includes(String(req.query.uploads || ''));
+    let archive;
+    try { archive = parseBackup(req.file.buffer); }
+    catch (err) { return res.status(400).json({ error: 'invalid_backup', message: err.message }); }
+
+    const keep = req.user.apiKey ? { api_keys: [req.user.apiKey.id] } : { users: [req.user.id] };
+    if (!dryRun) {
+      if (restoreInProgress) return res.status(409).json({ error: 'restore_in_progress' });
+      restoreInProgress = started = true;
+      jobQueue.pause();
+    }
+    const result = await restoreBackup(store, archive, { mode, dryRun, includeUploads, uploadsDir: UPLOADS_DIR, keep });
+    if (!dryRun) {
+      // an older backup may predate some migrations
+      const migrated = await runPending(store);
+      const counts = {};
+      Object.keys(result.collections).forEach(name => {
+        const c = result.collections[name];
+        counts[name] = { insert: c.insert, update: c.update, remove: c.remove };
+      });
+      await recordAudit(req, { entity: 'backup', entityId: archive.createdAt, action: 'restore', meta: { mode, counts, uploads: result.uploads, migrated } });
+      console.log(`[backup] restored backup from ${archive.createdAt} (${mode})`);
+    }
+    return res.json({ ok: true, backup: { version: archive.version, createdAt: archive.createdAt, source: archive.source }, ...result });
+  } catch (err) { console.error('POST /api/admin/restore', err); return res.status(500).json({ error: 'server_error' }); }
+  finally {
+    if (started) {
+      restoreInProgress = false;
+      jobQueue.resume();
+    }
+  }
+});
+
+/** ---------- Public (unauthenticated) endpoints ---------- **/
+// Only openings that are enabled and have a published, enabled form are visible, and only with the
+// fields a careers page needs. Writes live under /api (authenticated); the old /public write routes
+// are kept for a compatibility period (LEGACY_PUBLIC_WRITES) and log every caller.
+const PUBLIC_OPENING_FIELDS = ['id', 'workspaceId', 'title', 'location', 'department', 'durationMins'];
+const PUBLIC_QUESTION_FIELDS = ['id', 'questionId', 'type', 'label', 'localLabel', 'required', 'localRequired', 'options', 'validation', 'pageBreak'];
+const LEGACY_PUBLIC_WRITES = process.env.LEGACY_PUBLIC_WRITES === 'off' ? 'off' : 'log';
+
+function pickFields(doc, fields) {
+  const out = {};
+  fields.forEach(f => { if (doc[f] !== undefined) out[f] = doc[f]; });
+  return out;
+}
+function isPublishedForm(form) {
+  return !!form && !form.is_deleted && !!(form.data && form.data.meta && form.data.meta.isPublished);
+}
+// { opening, form } when the opening may be shown publicly, otherwise null
+async function getPublicOpening(id) {
+  const opening = await getOpeningFromStore(id);
+  if (!opening || opening.is_deleted) return null;
+  const form = (await listFormsFromStore(id)).find(isPublishedForm);
+  return form ? { opening, form } : null;
+}
+
+// marks a deprecated write route: logs the caller and points at the authenticated replacement
+function legacyPublicWrite(successor) {
+  return (req, res, next) => {
+    console.warn(`[deprecated] ${req.method} ${req.originalUrl} from ${req.ip} (${req.get('user-agent') || 'no user-agent'}, ${req.headers.authorization ? 'with' : 'without'} credentials) - use ${successor}`);
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+    if (LEGACY_PUBLIC_WRITES === 'off') return res.status(410).json({ error: 'endpoint_removed', use: successor });
+    req.legacyRoute = req.route ? req.route.path : req.path;
+    next();
+  };
+}
+
+// ?workspace=<id> lists one workspace's openings (e.g. one careers page per business unit)
+app.get('/public/openings', async (req, res) => {
+  try {
+    const workspaceId = req.query.workspace ? String(req.query.workspace) : null;
+    const openings = await listOpeningsFromStore(workspaceId ? { is_deleted: { $ne: true }, workspaceId } : { is_deleted: { $ne: true } });
+    const published = new Set((await listFormsFromStore(null, workspaceId)).filter(isPublishedForm).map(f => f.openingId));
+    return res.json(openings.filter(op => published.has(op.id)).map(op => pickFields(op, PUBLIC_OPENING_FIELDS)));
+  } catch (err) { console.error('GET /public/openings', err); return res.status(500).json({ error: 'server_error' }); }
+});
+app.get('/public/openings/:id/schema', async (req, res) => {
+  try {
+    const found = await getPublicOpening(req.params.id);
+    if (!found) return res.status(404).json({ error: 'opening_not_found' });
+    const questions = ((found.form.data && found.form.data.questions) || []).map(q => pickFields(q, PUBLIC_QUESTION_FIELDS));
+    // the opening's own field list is admin-defined: only the question fields of its entries are public
+    const schema = Array.isArray(found.opening.schema)
+      ? found.opening.schema.filter(f => f && typeof f === 'object').map(f => pickFields(f, PUBLIC_QUESTION_FIELDS))
+      : null;
+    return res.json({ opening: pickFields(found.opening, PUBLIC_OPENING_FIELDS), schema, questions });
+  } catch (err) { console.error('GET /public/openings/:id/schema', err); return res.status(500).json({ error: 'server_error' }); }
 });
 
+// deprecated: use POST /api/openings and PUT /api/openings/:id/schema
+app.post('/public/openings', legacyPublicWrite('/api/openings'), authMiddleware, requirePermission('openings.manage'), createOpening);
+app.post('/public/openings/:id/schema', legacyPublicWrite('/api/openings/:id/schema'), authMiddleware, requirePermission('openings.manage'), updateOpeningSchema);
+
 /* Apply endpoint - store response, upload resume to Drive (strict: no local fallback), append to Sheet and record sheetRange
    - accept any uploaded file field names (upload.any())
    - map submitted answer keys (ids or labels) to question labels using form schema (if available)
    - extract mandatory fields (fullName, email, phone, resumeLink) to top-level response fields
    - append sheet row with separate columns for those fields
 */
-app.post('/api/apply', upload.any(), async (req, res) => {
-  try {
-    const openingId = req.query.opening || req.body.opening;
-    const src = req.query.src || req.body.src || 'unknown';
-    if (!openingId) return res.status(400).json({ error: 'missing opening id' });
-
-    const opening = await getOpeningFromStore(openingId) || readData().openings.find(o => o.id === openingId);
-    const openingTitle = opening ? opening.title : null;
-    const openingLocation = opening ? opening.location : null;
+// The work behind POST /api/apply; resolves { status, body } so the route can record the outcome
+// against the request's Idempotency-Key before sending it.
+async function processApplication(req, openingId, src) {
+  // only openings shown on the careers page take applications; nothing is uploaded or stored otherwise
+  const found = await getPublicOpening(openingId);
+  if (!found) return { status: 404, body: { error: 'opening_not_found' } };
+  const { opening, form: formForOpening } = found;
+  const openingTitle = opening.title;
+  const openingLocation = opening.location;
+  // the opening's workspace decides where the resume and the sheet row go
+  const workspace = await getWorkspaceFromStore(opening.workspaceId);
+  const driveFolderId = workspace ? workspace.googleDriveFolderId : null;
+  const firstStage = (await pipelineForOpening(opening, workspace)).stages[0];
+
+  // resume upload (strict: require Drive upload to succeed if a file was uploaded)
+  let resumeLink = null;
+  let resumeFileObj = null;
+
+  // Accept multiple possible fieldnames for resume (q_resume, resume, resumeFile, cv, etc.)
+  const possibleResumeFieldNames = new Set(['resume', 'q_resume', 'resumeFile', 'cv', 'q_cv', 'file', 'attachment', 'upload_resume']);
+  if (req.files && Array.isArray(req.files) && req.files.length > 0) {
+    // find a file that looks like the resume or fallback to first file
+    resumeFileObj = req.files.find(f => possibleResumeFieldNames.has((f.fieldname || '').toString())) || req.files[0];
+  }
 
-    // resume upload (strict: require Drive upload to succeed if a file was uploaded)
-    let resumeLink = null;
-    let resumeFileObj = null;
+  if (resumeFileObj && resumeFileObj.buffer) {
+    const filename = `${Date.now()}_${(resumeFileObj.originalname || 'resume')}`;
 
-    // Accept multiple possible fieldnames for resume (q_resume, resume, resumeFile, cv, etc.)
-    const possibleResumeFieldNames = new Set(['resume', 'q_resume', 'resumeFile', 'cv', 'q_cv', 'file', 'attachment', 'upload_resume']);
-    if (req.files && Array.isArray(req.files) && req.files.length > 0) {
-      // find a file that looks like the resume or fallback to first file
-      resumeFileObj = req.files.find(f => possibleResumeFieldNames.has((f.fieldname || '').toString())) || req.files[0];
+    // If the workspace has no Drive folder, return config error to caller
+    if (!driveFolderId) {
+      console.error('Drive folder ID not set; cannot upload resume.');
+      return { status: 500, body: { error: 'drive_config_missing', message: 'Server is not configured to upload resumes to Google Drive. Please contact the administrator.' } };
     }
 
-    if (resumeFileObj && resumeFileObj.buffer) {
-      const filename = `${Date.now()}_${(resumeFileObj.originalname || 'resume')}`;
-
-      // If DRIVE_FOLDER_ID not configured, return config error to caller
-      if (!DRIVE_FOLDER_ID) {
-        console.error('Drive folder ID not set; cannot upload resume.');
-        return res.status(500).json({ error: 'drive_config_missing', message: 'Server is not configured to upload resumes to Google Drive. Please contact the administrator.' });
+    try {
+      // Upload to Drive and set public read permission (best-effort)
+      const bufferStream = new stream.PassThrough(); bufferStream.end(resumeFileObj.buffer);
+      const drive = await getDriveService();
+      const created = await drive.files.create({
+        requestBody: { name: filename, parents: [driveFolderId] },
+        media: { mimeType: resumeFileObj.mimetype || 'application/octet-stream', body: bufferStream },
+        supportsAllDrives: true,
+        fields: 'id, webViewLink, webContentLink'
+      });
+
+      const fileId = created.data && created.data.id;
+      if (!fileId) {
+        throw new Error('no_file_id_returned');
       }
 
+      // make file readable by anyone via the outbox (retried; org policy may still refuse it)
       try {
-        // Upload to Drive and set public read permission (best-effort)
-        const bufferStream = new stream.PassThrough(); bufferStream.end(resumeFileObj.buffer);
-        const drive = await getDriveService();
-        const created = await drive.files.create({
-          requestBody: { name: filename, parents: [DRIVE_FOLDER_ID] },
-          media: { mimeType: resumeFileObj.mimetype || 'application/octet-stream', body: bufferStream },
-          supportsAllDrives: true,
-          fields: 'id, webViewLink, webContentLink'
-        });
-
-        const fileId = created.data && created.data.id;
-        if (!fileId) {
-          throw new Error('no_file_id_returned');
-        }
-
-        // make file readable by anyone (best-effort; ignore permission errors but still return link)
-        try {
-          await drive.permissions.create({ fileId, requestBody: { role: 'reader', type: 'anyone' }, supportsAllDrives: true });
-        } catch (permErr) {
-          console.warn('drive.permissions.create failed (may be org policy) - continuing, permission error:', permErr && permErr.message);
-        }
-
-        // fetch metadata to pick best link
-        const meta = await drive.files.get({ fileId, fields: 'id, webViewLink, webContentLink' }).catch(() => null);
-        resumeLink = (meta && (meta.data && (meta.data.webViewLink || meta.data.webContentLink))) || `https://drive.google.com/file/d/${fileId}/view`;
-        console.log('Drive upload success:', resumeLink);
-      } catch (err) {
-        console.error('Drive upload failed:', err && (err.stack || err.message));
-        // IMPORTANT: do NOT save file locally. Inform frontend to re-upload.
-        return res.status(502).json({ error: 'drive_upload_failed', message: 'Resume upload to Google Drive failed. Please re-upload your resume.' });
+        await jobQueue.enqueue('drive.permission', { fileId, role: 'reader', type: 'anyone' });
+      } catch (jobErr) {
+        console.warn('could not queue drive permission job - continuing:', jobErr && jobErr.message);
       }
-    } else {
-      // No file uploaded — still allow (maybe form without resume), but set resumeLink null
-      console.log('No resume file provided in submission.');
+
+      // fetch metadata to pick best link
+      const meta = await drive.files.get({ fileId, fields: 'id, webViewLink, webContentLink' }).catch(() => null);
+      resumeLink = (meta && (meta.data && (meta.data.webViewLink || meta.data.webContentLink))) || `https://drive.google.com/file/d/${fileId}/view`;
+      console.log('Drive upload success:', resumeLink);
+    } catch (err) {
+      console.error('Drive upload failed:', err && (err.stack || err.message));
+      // IMPORTANT: do NOT save file locally. Inform frontend to re-upload.
+      return { status: 502, body: { error: 'drive_upload_failed', message: 'Resume upload to Google Drive failed. Please re-upload your resume.' } };
     }
+  } else {
+    // No file uploaded — still allow (maybe form without resume), but set resumeLink null
+    console.log('No resume file provided in submission.');
+  }
 
-    // collect raw answers posted by frontend (keys can be question ids like "q_123" OR labels if frontend sends labels)
-    const rawAnswers = {};
-    Object.keys(req.body || {}).forEach(k => {
-      // skip special internal keys used for form metadata (opening, src etc.)
-      if (['opening','src','_csrf'].includes(k)) return;
-      rawAnswers[k] = req.body[k];
-    });
+  // collect raw answers posted by frontend (keys can be question ids like "q_123" OR labels if frontend sends labels)
+  const rawAnswers = {};
+  Object.keys(req.body || {}).forEach(k => {
+    // skip special internal keys used for form metadata (opening, src etc.)
+    if (['opening','src','_csrf'].includes(k)) return;
+    rawAnswers[k] = req.body[k];
+  });
 
-    // try to fetch server-stored form for this opening (if any) to resolve question ids -> labels
-    const formForOpening = await getFormForOpeningFromStore(openingId);
-    const formQuestions = (formForOpening && formForOpening.data && Array.isArray(formForOpening.data.questions)) ? formForOpening.data.questions : [];
-
-    // Build mapping from possible keys (ids / questionId / localLabel / id) -> label
-    const idToLabel = {};
-    for (const fq of formQuestions) {
-      let label = null;
-      if (fq.label) label = fq.label;
-      if (!label && fq.localLabel) label = fq.localLabel;
-      if (!label && fq.questionId) {
-        const qdoc = await getQuestionFromStore(fq.questionId).catch(()=>null);
-        if (qdoc && qdoc.label) label = qdoc.label;
-      }
-      if (!label && fq.id && fq.label) label = fq.label;
-      if (!label && fq.id && fq.localLabel) label = fq.localLabel;
-      if (!label && (fq.title || fq.name)) label = fq.title || fq.name;
-      if (!label) continue;
-
-      const possibleKeys = new Set();
-      if (fq.questionId) possibleKeys.add(fq.questionId);
-      if (fq.id) possibleKeys.add(fq.id);
-      if (fq.id) possibleKeys.add(`q_${fq.id}`);
-      if (fq.questionId) possibleKeys.add(`q_${fq.questionId}`);
-      possibleKeys.add(label);
-      possibleKeys.add(label.toLowerCase());
-      if (fq.localLabel) possibleKeys.add(fq.localLabel);
-
-      for (const k of possibleKeys) {
-        if (k) idToLabel[k] = label;
-      }
+  // the published form resolves question ids -> labels
+  const formQuestions = (formForOpening && formForOpening.data && Array.isArray(formForOpening.data.questions)) ? formForOpening.data.questions : [];
+
+  // Build mapping from possible keys (ids / questionId / localLabel / id) -> label
+  const idToLabel = {};
+  for (const fq of formQuestions) {
+    let label = null;
+    if (fq.label) label = fq.label;
+    if (!label && fq.localLabel) label = fq.localLabel;
+    if (!label && fq.questionId) {
+      const qdoc = await getQuestionFromStore(fq.questionId).catch(()=>null);
+      if (qdoc && qdoc.label) label = qdoc.label;
+    }
+    if (!label && fq.id && fq.label) label = fq.label;
+    if (!label && fq.id && fq.localLabel) label = fq.localLabel;
+    if (!label && (fq.title || fq.name)) label = fq.title || fq.name;
+    if (!label) continue;
+
+    const possibleKeys = new Set();
+    if (fq.questionId) possibleKeys.add(fq.questionId);
+    if (fq.id) possibleKeys.add(fq.id);
+    if (fq.id) possibleKeys.add(`q_${fq.id}`);
+    if (fq.questionId) possibleKeys.add(`q_${fq.questionId}`);
+    possibleKeys.add(label);
+    possibleKeys.add(label.toLowerCase());
+    if (fq.localLabel) possibleKeys.add(fq.localLabel);
+
+    for (const k of possibleKeys) {
+      if (k) idToLabel[k] = label;
     }
+  }
 
-    // Also include global question bank entries
-    const questionBank = await listQuestionsFromStore();
-    for (const q of (questionBank || [])) {
-      if (!q || !q.id) continue;
-      if (q.label) {
-        idToLabel[q.id] = q.label;
-        idToLabel[`q_${q.id}`] = q.label;
-        idToLabel[q.label] = q.label;
-        idToLabel[q.label.toLowerCase()] = q.label;
-      }
+  // Also include the workspace's question bank entries
+  const questionBank = workspace ? await listQuestionsFromStore(workspace.id) : [];
+  for (const q of (questionBank || [])) {
+    if (!q || !q.id) continue;
+    if (q.label) {
+      idToLabel[q.id] = q.label;
+      idToLabel[`q_${q.id}`] = q.label;
+      idToLabel[q.label] = q.label;
+      idToLabel[q.label.toLowerCase()] = q.label;
     }
+  }
 
-    // Normalize rawAnswers into labelAnswers: label -> answer
-    const labelAnswers = {};
-    for (const k of Object.keys(rawAnswers)) {
-      const val = rawAnswers[k];
-      let label = idToLabel[k];
-      if (!label && idToLabel[k.toLowerCase()]) label = idToLabel[k.toLowerCase()];
-      if (!label && typeof k === 'string' && k.trim().length > 0) label = k;
-      if (!label) {
-        const stripped = k.replace(/^q_/, '').replace(/[^a-z0-9]/gi, '').toLowerCase();
-        const found = Object.keys(idToLabel).find(key => key && key.replace(/^q_/, '').replace(/[^a-z0-9]/gi, '').toLowerCase() === stripped);
-        if (found) label = idToLabel[found];
-      }
-      if (!label) label = k;
-      labelAnswers[label] = val;
+  // Normalize rawAnswers into labelAnswers: label -> answer
+  const labelAnswers = {};
+  for (const k of Object.keys(rawAnswers)) {
+    const val = rawAnswers[k];
+    let label = idToLabel[k];
+    if (!label && idToLabel[k.toLowerCase()]) label = idToLabel[k.toLowerCase()];
+    if (!label && typeof k === 'string' && k.trim().length > 0) label = k;
+    if (!label) {
+      const stripped = k.replace(/^q_/, '').replace(/[^a-z0-9]/gi, '').toLowerCase();
+      const found = Object.keys(idToLabel).find(key => key && key.replace(/^q_/, '').replace(/[^a-z0-9]/gi, '').toLowerCase() === stripped);
+      if (found) label = idToLabel[found];
     }
+    if (!label) label = k;
+    labelAnswers[label] = val;
+  }
 
-    // Extract mandatory fields into top-level properties (best-effort)
-    const findAndRemoveFirstMatch = (candidates) => {
-      for (const cand of candidates) {
-        if (labelAnswers[cand] !== undefined) {
-          const v = labelAnswers[cand];
-          delete labelAnswers[cand];
-          return v;
-        }
-        const foundKey = Object.keys(labelAnswers).find(k => (k || '').toString().toLowerCase().trim() === cand.toLowerCase().trim());
-        if (foundKey) {
-          const v = labelAnswers[foundKey];
-          delete labelAnswers[foundKey];
-          return v;
-        }
+  // Extract mandatory fields into top-level properties (best-effort)
+  const findAndRemoveFirstMatch = (candidates) => {
+    for (const cand of candidates) {
+      if (labelAnswers[cand] !== undefined) {
+        const v = labelAnswers[cand];
+        delete labelAnswers[cand];
+        return v;
       }
-      const lowerKeys = Object.keys(labelAnswers).map(k => ({ k, kl: (k||'').toLowerCase() }));
-      for (const cand of candidates) {
-        for (const o of lowerKeys) {
-          if (o.kl.includes(cand.toLowerCase())) {
-            const v = labelAnswers[o.k];
-            delete labelAnswers[o.k];
-            return v;
-          }
+      const foundKey = Object.keys(labelAnswers).find(k => (k || '').toString().toLowerCase().trim() === cand.toLowerCase().trim());
+      if (foundKey) {
+        const v = labelAnswers[foundKey];
+        delete labelAnswers[foundKey];
+        return v;
+      }
+    }
+    const lowerKeys = Object.keys(labelAnswers).map(k => ({ k, kl: (k||'').toLowerCase() }));
+    for (const cand of candidates) {
+      for (const o of lowerKeys) {
+        if (o.kl.includes(cand.toLowerCase())) {
+          const v = labelAnswers[o.k];
+          delete labelAnswers[o.k];
+          return v;
         }
       }
-      return null;
-    };
+    }
+    return null;
+  };
+
+  const fullNameCandidates = ['full name','fullname','name','candidate name','applicant name','your name'];
+  const emailCandidates = ['email address','email','e-mail','mail'];
+  const phoneCandidates = ['phone number','phone','mobile','mobile number','contact number'];
+  const resumeCandidates = ['upload resume / cv','upload resume','resume','cv','upload cv','upload resume/cv','upload resume / cv'];
+
+  const extractedFullName = findAndRemoveFirstMatch(fullNameCandidates) || null;
+  const extractedEmail = findAndRemoveFirstMatch(emailCandidates) || null;
+  const extractedPhone = findAndRemoveFirstMatch(phoneCandidates) || null;
+  const extractedResumeFromAnswers = findAndRemoveFirstMatch(resumeCandidates) || null;
+  const finalResumeLink = resumeLink || extractedResumeFromAnswers || null;
+
+  // Build the response object that will be persisted
+  const resp = {
+    id: newId('resp'),
+    openingId,
+    workspaceId: workspace ? workspace.id : null,
+    openingTitle,
+    location: openingLocation || null,
+    source: src,
+    fullName: extractedFullName || null,
+    email: extractedEmail || null,
+    phone: extractedPhone || null,
+    resumeLink: finalResumeLink,
+    answers: labelAnswers,
+    createdAt: new Date().toISOString(),
+    // candidates start in the first stage of the opening's pipeline, at its default status
+    stage: firstStage.name,
+    status: firstStage.defaultStatus,
+    sheetRange: null,
+    is_deleted: false
+  };
+  resp.stageEnteredAt = resp.createdAt;
+
+  // Prepare sheet row.
+  const rowVals = [
+    new Date().toISOString(),
+    openingId,
+    openingTitle || '',
+    openingLocation || '',
+    src,
+    resp.fullName || '',
+    resp.email || '',
+    resp.phone || '',
+    resp.resumeLink || '',
+    JSON.stringify(resp.answers || {})
+  ];
+
+  // persist first: the candidate only sees success once the response is stored
+  try {
+    await createResponseInStore(resp);
+  } catch (e) {
+    console.error('Failed to persist response to store', e && e.message);
+    return { status: 500, body: { error: 'persist_failed', message: 'Your application could not be saved. Please try again.' } };
+  }
+  await recordAudit(req, { entity: 'response', entityId: resp.id, action: 'create', after: resp, meta: { source: src }, workspaceId: resp.workspaceId });
+  await recordStageHistory(req, null, resp);
 
-    const fullNameCandidates = ['full name','fullname','name','candidate name','applicant name','your name'];
-    const emailCandidates = ['email address','email','e-mail','mail'];
-    const phoneCandidates = ['phone number','phone','mobile','mobile number','contact number'];
-    const resumeCandidates = ['upload resume / cv','upload resume','resume','cv','upload cv','upload resume/cv','upload resume / cv'];
-
-    const extractedFullName = findAndRemoveFirstMatch(fullNameCandidates) || null;
-    const extractedEmail = findAndRemoveFirstMatch(emailCandidates) || null;
-    const extractedPhone = findAndRemoveFirstMatch(phoneCandidates) || null;
-    const extractedResumeFromAnswers = findAndRemoveFirstMatch(resumeCandidates) || null;
-    const finalResumeLink = resumeLink || extractedResumeFromAnswers || null;
-
-    // Build the response object that will be persisted
-    const resp = {
-      id: `resp_${Date.now()}`,
-      openingId,
-      openingTitle,
-      location: openingLocation || null,
-      source: src,
-      fullName: extractedFullName || null,
-      email: extractedEmail || null,
-      phone: extractedPhone || null,
-      resumeLink: finalResumeLink,
-      answers: labelAnswers,
-      createdAt: new Date().toISOString(),
-      stage: 'Applied',
-      status: 'Applied',
-      sheetRange: null,
-      is_deleted: false
-    };
+  // then the sheet row, appended by the outbox worker; the job records sheetRange on the response
+  let sheetAppend = null;
+  if (workspace && workspace.googleSheetId) {
+    try {
+      await jobQueue.enqueue('sheet.append', { responseId: resp.id, row: rowVals });
+      sheetAppend = 'queued';
+    } catch (err) {
+      console.error('Failed to queue sheet append for response', resp.id, err && err.message);
+      sheetAppend = 'failed';
+    }
+  }
 
-    // Prepare sheet row.
-    const rowVals = [
-      new Date().toISOString(),
-      openingId,
-      openingTitle || '',
-      openingLocation || '',
-      src,
-      resp.fullName || '',
-      resp.email || '',
-      resp.phone || '',
-      resp.resumeLink || '',
-      JSON.stringify(resp.answers || {})
-    ];
-
-    let sheetRange = null;
-    if (SHEET_ID) {
-      try {
-        sheetRange = await appendToSheetReturnRange(SHEET_ID, SHEET_TAB, rowVals);
-        resp.sheetRange = sheetRange;
-        console.log('Appended to sheet, range=', sheetRange);
-      } catch (err) {
-        console.error('appendToSheet error', err && err.message);
-        resp.sheetRange = null;
-      }
+  return { status: 200, body: { ok: true, responseId: resp.id, resumeLink: resp.resumeLink, sheetAppend } };
+}
+
+/** ---------- Idempotency (Idempotency-Key header on POST /api/apply) ---------- **/
+// A key is claimed before any work starts (so a double-click can't upload twice), then either
+// completed with the result to replay, or released when the request failed so a retry runs again.
+const IDEMPOTENCY_COLLECTION = 'idempotency_keys';
+const IDEMPOTENCY_PENDING_TTL_MS = 10 * 60 * 1000; // older pending claims are left over from a crash
+const IDEMPOTENCY_KEEP_MS = 24 * 60 * 60 * 1000; // finished keys replay their result for a day
+
+function idempotencyRecordId(scope, key) {
+  return `idem_${crypto.createHash('sha256').update(`${scope}:${key}`).digest('hex')}`;
+}
+
+// -> { replay: record } | { inProgress: true } | { claimId }
+async function claimIdempotencyKey(scope, key) {
+  const col = store.collection(IDEMPOTENCY_COLLECTION);
+  const id = idempotencyRecordId(scope, key);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const existing = await col.findById(id);
+    if (existing) {
+      const age = Date.now() - new Date(existing.createdAt).getTime();
+      if (existing.state === 'done' && age < IDEMPOTENCY_KEEP_MS) return { replay: existing };
+      if (existing.state === 'pending' && age < IDEMPOTENCY_PENDING_TTL_MS) return { inProgress: true };
+      await col.remove(id);
+    }
+    try {
+      await col.insert({ id, scope, state: 'pending', createdAt: new Date().toISOString() });
+      return { claimId: id };
+    } catch (err) {
+      if (err.code !== 'duplicate_id') throw err;
+      // a concurrent request with the same key got there first; look again
     }
+  }
+  return { inProgress: true };
+}
+async function completeIdempotencyKey(id, status, body) {
+  await store.collection(IDEMPOTENCY_COLLECTION).update(id, { state: 'done', status, body, completedAt: new Date().toISOString() });
+}
+async function releaseIdempotencyKey(id) {
+  await store.collection(IDEMPOTENCY_COLLECTION).remove(id);
+}
+// run hourly by the job worker: every key is expired a day after it was claimed
+async function pruneIdempotencyKeys() {
+  const cutoff = new Date(Date.now() - IDEMPOTENCY_KEEP_MS).toISOString();
+  const removed = await store.collection(IDEMPOTENCY_COLLECTION).removeMany({ createdAt: { $lt: cutoff } });
+  if (removed) console.log(`[idempotency] pruned ${removed} expired key(s)`);
+}
+
+app.post('/api/apply', upload.any(), async (req, res) => {
+  let claimId = null;
+  try {
+    const openingId = req.query.opening || req.body.opening;
+    const src = req.query.src || req.body.src || 'unknown';
+    if (!openingId) return res.status(400).json({ error: 'missing opening id' });
 
-    // persist to DB & file (file kept as legacy)
-    try { await createResponseInStore(resp); } catch(e){ console.error('Failed to persist response to store', e && e.message); }
+    const idempotencyKey = (req.get('Idempotency-Key') || '').trim();
+    if (idempotencyKey.length > 200) return res.status(400).json({ error: 'invalid_idempotency_key' });
+    if (idempotencyKey) {
+      const claim = await claimIdempotencyKey(`apply:${openingId}`, idempotencyKey);
+      if (claim.replay) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.replay.status || 200).json(claim.replay.body);
+      }
+      if (claim.inProgress) return res.status(409).json({ error: 'request_in_progress' });
+      claimId = claim.claimId;
+    }
 
-    // Respond success
-    return res.json({ ok: true, resumeLink: resp.resumeLink, sheetRange: resp.sheetRange });
+    const result = await processApplication(req, openingId, src);
+    if (claimId) {
+      if (result.status < 400) await completeIdempotencyKey(claimId, result.status, result.body);
+      else await releaseIdempotencyKey(claimId);
+    }
+    return res.status(result.status).json(result.body);
   } catch (err) {
     console.error('Error in /api/apply', err && err.stack);
+    if (claimId) await releaseIdempotencyKey(claimId).catch(() => {});
     return res.status(500).json({ error: 'server_error', message: err?.message || 'unknown' });
   }
 });
@@ -1283,23 +2770,42 @@ app.post('/api/apply', upload.any(), async (req, res) => {
 // Health
 app.get('/health', (req, res) => res.json({ ok: true }));
 
-/** ---------- STARTUP: try Mongo, run migration, fallback to files ---------- **/
-connectMongo()
-  .then(async () => {
-    console.log('[startup] Mongo attempt finished (connected or verified). Running startup migrations...');
-    try {
-      await ensureIsDeletedField();
-    } catch (err) {
-      console.warn('[startup] ensureIsDeletedField failed', err && err.message);
-    }
-    console.log('[startup] Starting HTTP server...');
-    app.listen(PORT, () => {
-      console.log(`Backend listening on ${PORT}`);
-    });
+/** ---------- STARTUP: open the configured store (Mongo falls back to files), run migrations ---------- **/
+// MIGRATE_ON_BOOT=false only reports pending migrations (run them with `npm run migrate` while the
+// server is stopped; the file store refuses a second process, see storage/fileStore.js)
+const MIGRATE_ON_BOOT = process.env.MIGRATE_ON_BOOT !== 'false';
+
+async function checkMigrations() {
+  const pending = await getPending(store);
+  if (!pending.length) { console.log('[startup] schema up to date'); return; }
+  if (!MIGRATE_ON_BOOT) {
+    console.warn(`[startup] ${pending.length} pending migration(s): ${pending.map(m => m.id).join(', ')} — stop the server and run \`npm run migrate\``);
+    return;
+  }
+  const ran = await runPending(store);
+  console.log(`[startup] applied migrations: ${ran.join(', ')}`);
+}
+
+if (require.main === module) {
+  openConfiguredStore({
+    driver: STORAGE_DRIVER, dataDir: DATA_DIR, mongoUri: MONGO_URI, mongoDbName: MONGO_DB_NAME, sqlitePath: SQLITE_PATH,
+    fileCompactEvery: FILE_JOURNAL_COMPACT_EVERY, fileCompactIntervalMs: FILE_JOURNAL_COMPACT_MS
   })
-  .catch((err) => {
-    console.error('[startup] Mongo connection failed. Starting server with file-based fallback.', err && err.message);
-    app.listen(PORT, () => {
-      console.log(`Backend listening on ${PORT} (without Mongo)`);
+    .then(async (s) => {
+      setStore(s);
+      console.log(`[startup] using ${store.kind} store. Checking migrations...`);
+      await checkMigrations();
+      await bootstrapAdmins();
+      jobQueue.start();
+      console.log('[startup] Starting HTTP server...');
+      app.listen(PORT, () => {
+        console.log(`Backend listening on ${PORT} (${store.kind} store)`);
+      });
+    })
+    .catch((err) => {
+      console.error('[startup] startup failed', err && (err.stack || err.message));
+      process.exit(1);
     });
-  });
+}
+
+module.exports = { app, setStore, jobQueue };
@@ -0,0 +1,157 @@
+// server/sessions.js
+// Sign-in sessions backing the short-lived access tokens. Each sign-in creates a session in the
+// `sessions` collection holding a hash of its refresh token; POST /auth/refresh trades the refresh
+// token for a new access token and a new refresh token (the old one is retired). Revoking a
+// session (logout, "my sessions", deactivating a user) stops refreshes and, because access tokens
+// carry the session id, is checked by authMiddleware on every request.
+//
+// Refresh tokens look like `<sessionId>.<secret>`; only sha256(secret) is stored. Presenting a
+// retired token again means it was copied, so the whole session is revoked — except right after a
+// rotation, when it is usually a second tab refreshing at the same moment.
+const crypto = require('crypto');
+
+const SESSIONS_COLLECTION = 'sessions';
+const RETIRED_HASHES_KEPT = 5;
+const REVOKED_SESSIONS_KEEP_MS = 30 * 24 * 60 * 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+function parseRefreshToken(token) {
+  const idx = typeof token === 'string' ? token.lastIndexOf('.') : -1;
+  if (idx <= 0 || idx === token.length - 1) return null;
+  return { sessionId: token.slice(0, idx), secret: token.slice(idx + 1) };
+}
+
+function sessionError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+// the fields the API hands out (never the token hashes)
+function publicSession(session) {
+  if (!session) return null;
+  const { id, userId, createdAt, lastUsedAt, expiresAt, revokedAt, revokedReason, revokedBy, userAgent, ip } = session;
+  return { id, userId, createdAt, lastUsedAt: lastUsedAt || createdAt, expiresAt, revokedAt: revokedAt || null, revokedReason: revokedReason || null, revokedBy: revokedBy || null, userAgent: userAgent || null, ip: ip || null };
+}
+
+function isActive(session, now = Date.now()) {
+  return !!session && !session.revokedAt && new Date(session.expiresAt).getTime() > now;
+}
+
+function createSessions({ getStore, newId, refreshTtlMs = 30 * 24 * 60 * 60 * 1000, reuseGraceMs = 30 * 1000, logger = console }) {
+  const col = () => getStore().collection(SESSIONS_COLLECTION);
+
+  // -> { session, refreshToken }
+  async function create(userId, { userAgent = null, ip = null } = {}) {
+    const now = new Date();
+    const secret = newSecret();
+    const session = {
+      id: newId('ses'),
+      userId,
+      tokenHash: hashSecret(secret),
+      retiredTokenHashes: [],
+      createdAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      rotatedAt: null,
+      expiresAt: new Date(now.getTime() + refreshTtlMs).toISOString(),
+      revokedAt: null,
+      userAgent: userAgent ? String(userAgent).slice(0, 300) : null,
+      ip
+    };
+    await col().insert(session);
+    await prune(userId).catch(err => logger.error('[sessions] prune failed', err));
+    return { session, refreshToken: `${session.id}.${secret}` };
+  }
+
+  // -> { session, refreshToken }; throws invalid_refresh_token | refresh_token_expired |
+  //    session_revoked | refresh_token_rotated (concurrent refresh, retry with the newer token) |
+  //    refresh_token_reused (session revoked)
+  async function rotate(refreshToken, { userAgent = null, ip = null } = {}) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) throw sessionError('invalid_refresh_token');
+    const session = await col().findById(parsed.sessionId);
+    if (!session) throw sessionError('invalid_refresh_token');
+    if (session.revokedAt) throw sessionError('session_revoked');
+    if (new Date(session.expiresAt).getTime() <= Date.now()) throw sessionError('refresh_token_expired');
+
+    const presented = hashSecret(parsed.secret);
+    if (presented !== session.tokenHash) {
+      const retired = session.retiredTokenHashes || [];
+      if (!retired.includes(presented)) throw sessionError('invalid_refresh_token');
+      const sinceRotation = Date.now() - new Date(session.rotatedAt || 0).getTime();
+      if (retired[0] === presented && sinceRotation < reuseGraceMs) throw sessionError('refresh_token_rotated');
+      await revoke(session.id, { reason: 'reuse_detected' });
+      logger.warn(`[sessions] refresh token reuse on ${session.id} (user ${session.userId}); session revoked`);
+      throw sessionError('refresh_token_reused');
+    }
+
+    const now = new Date();
+    const secret = newSecret();
+    const patch = {
+      tokenHash: hashSecret(secret),
+      retiredTokenHashes: [session.tokenHash, ...(session.retiredTokenHashes || [])].slice(0, RETIRED_HASHES_KEPT),
+      rotatedAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + refreshTtlMs).toISOString()
+    };
+    if (userAgent) patch.userAgent = String(userAgent).slice(0, 300);
+    if (ip) patch.ip = ip;
+    // only one of two simultaneous refreshes with the same token wins
+    const updated = await col().update(session.id, patch, { where: { tokenHash: session.tokenHash } });
+    if (!updated) throw sessionError('refresh_token_rotated');
+    return { session: updated, refreshToken: `${session.id}.${secret}` };
+  }
+
+  async function get(id) {
+    if (!id) return null;
+    return col().findById(id);
+  }
+
+  // the session a refresh token belongs to, if the token is (or was recently) valid for it
+  async function fromRefreshToken(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    const session = parsed ? await get(parsed.sessionId) : null;
+    if (!session) return null;
+    const presented = hashSecret(parsed.secret);
+    return presented === session.tokenHash || (session.retiredTokenHashes || []).includes(presented) ? session : null;
+  }
+
+  async function listForUser(userId, { includeInactive = false } = {}) {
+    const rows = await col().find({ userId }, { sort: { lastUsedAt: -1 } });
+    return includeInactive ? rows : rows.filter(s => isActive(s));
+  }
+
+  // -> the revoked session, or null if it doesn't exist; revoking twice keeps the first reason
+  async function revoke(id, { reason = 'revoked', by = null } = {}) {
+    const session = await get(id);
+    if (!session) return null;
+    if (session.revokedAt) return session;
+    return col().update(id, { revokedAt: new Date().toISOString(), revokedReason: reason, revokedBy: by });
+  }
+
+  // -> number of sessions revoked
+  async function revokeAllForUser(userId, { exceptId = null, reason = 'revoked', by = null } = {}) {
+    const active = (await listForUser(userId)).filter(s => s.id !== exceptId);
+    for (const s of active) await revoke(s.id, { reason, by });
+    return active.length;
+  }
+
+  // drop the user's sessions that expired or were revoked long enough ago
+  async function prune(userId) {
+    const cutoff = Date.now() - REVOKED_SESSIONS_KEEP_MS;
+    const rows = await col().find({ userId });
+    for (const s of rows) {
+      const endedAt = s.revokedAt ? new Date(s.revokedAt).getTime() : new Date(s.expiresAt).getTime();
+      if (endedAt < cutoff) await col().remove(s.id);
+    }
+  }
+
+  return { create, rotate, get, fromRefreshToken, listForUser, revoke, revokeAllForUser, isActive };
+}
+
+module.exports = { createSessions, publicSession, isActive, SESSIONS_COLLECTION };
@@ -0,0 +1,207 @@
+// server/storage/backup.js
+// Versioned backup archives of every collection in a store, independent of the backend, so a
+// snapshot taken from the file store can be restored into Mongo or SQLite (and back).
+//
+//   { format: 'hrtool-backup', version: 1, createdAt, source: { kind },
+//     collections: { openings: [...], forms: [...], ... },
+//     uploads: [{ name, size, data (base64) }] }      <- only when exported with uploads
+//
+// Archives are written as JSON, gzip'd when the file name ends in .gz (the admin endpoint
+// always gzips). restoreBackup() computes the diff first; with dryRun nothing is written.
+//   mode 'merge'   -> insert new documents, overwrite documents with the same id
+//   mode 'replace' -> same, and remove documents that are not in the archive
+//                    (only for collections present in the archive), except the ones in `keep`
+//                    ({ collection: [ids] }, e.g. the account of the admin restoring)
+// Restored documents are written directly, not through the routes: an overwritten document gets a
+// version above both its current and its archived one (so stale If-Match headers fail), but there
+// is no per-document audit entry (the caller records one for the whole restore). Other writes
+// must not run meanwhile: the server refuses them while a restore is in progress.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { COLLECTIONS } = require('./collections');
+
+const BACKUP_FORMAT = 'hrtool-backup';
+const BACKUP_VERSION = 1;
+// Left out: request-scoped bookkeeping that is meaningless in another deployment, and short-lived
+// sign-in state (sessions, one-time links and codes; users sign in again after a restore).
+// Kept: users (with their bcrypt passwordHash) and api_keys (with the sha256 keyHash), so
+// passwords and keys keep working after a restore. Archives therefore contain credential hashes
+// and must be stored like the credentials themselves.
+const SKIPPED_COLLECTIONS = ['idempotency_keys', 'sessions', 'oauth_states', 'login_codes', 'auth_tokens'];
+const DIFF_SAMPLE_IDS = 20;
+
+function invalidBackup(message) {
+  const err = new Error(message);
+  err.code = 'invalid_backup';
+  return err;
+}
+
+// key-order independent comparison (Mongo and SQLite don't preserve field order the same way)
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+async function backupCollectionNames(store) {
+  const names = new Set(COLLECTIONS);
+  if (store.collectionNames) (await store.collectionNames()).forEach(name => names.add(name));
+  return Array.from(names).filter(name => !SKIPPED_COLLECTIONS.includes(name));
+}
+
+function listUploads(uploadsDir) {
+  if (!uploadsDir || !fs.existsSync(uploadsDir)) return [];
+  return fs.readdirSync(uploadsDir, { withFileTypes: true }).filter(e => e.isFile()).map(e => e.name);
+}
+
+async function exportBackup(store, { includeUploads = false, uploadsDir = null } = {}) {
+  const archive = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    source: { kind: store.kind },
+    collections: {}
+  };
+  for (const name of await backupCollectionNames(store)) {
+    archive.collections[name] = await store.collection(name).find({}, { sort: { id: 1 } });
+  }
+  if (includeUploads) {
+    archive.uploads = listUploads(uploadsDir).map(name => {
+      const buf = fs.readFileSync(path.join(uploadsDir, name));
+      return { name, size: buf.length, data: buf.toString('base64') };
+    });
+  }
+  return archive;
+}
+
+function serializeBackup(archive, { gzip = true } = {}) {
+  const json = Buffer.from(JSON.stringify(archive), 'utf8');
+  return gzip ? zlib.gzipSync(json) : json;
+}
+
+// accepts a Buffer (gzip'd or plain JSON), a JSON string or an already parsed object
+function parseBackup(input) {
+  let archive = input;
+  if (Buffer.isBuffer(input)) {
+    const raw = input[0] === 0x1f && input[1] === 0x8b ? zlib.gunzipSync(input) : input;
+    archive = raw.toString('utf8');
+  }
+  if (typeof archive === 'string') {
+    try { archive = JSON.parse(archive); } catch (e) { throw invalidBackup('backup is not valid JSON'); }
+  }
+  return validateBackup(archive);
+}
+
+function validateBackup(archive) {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) throw invalidBackup('not an hrtool backup');
+  if (!Number.isInteger(archive.version) || archive.version < 1) throw invalidBackup('missing backup version');
+  if (archive.version > BACKUP_VERSION) throw invalidBackup(`backup version ${archive.version} is newer than supported (${BACKUP_VERSION})`);
+  if (!archive.collections || typeof archive.collections !== 'object') throw invalidBackup('backup has no collections');
+  Object.keys(archive.collections).forEach(name => {
+    if (!Array.isArray(archive.collections[name])) throw invalidBackup(`collection ${name} is not an array`);
+  });
+  if (archive.uploads !== undefined && !Array.isArray(archive.uploads)) throw invalidBackup('uploads is not an array');
+  return archive;
+}
+
+function sampleIds(ids) {
+  return ids.slice(0, DIFF_SAMPLE_IDS);
+}
+
+// what a restore would do, per collection: { insert, update, unchanged, remove, skipped } counts
+// plus a sample of the ids in each bucket
+async function diffBackup(store, archive, { mode = 'merge', includeUploads = true, uploadsDir = null, keep = {} } = {}) {
+  const plan = { mode, collections: {}, uploads: null };
+  for (const name of Object.keys(archive.collections)) {
+    if (SKIPPED_COLLECTIONS.includes(name)) continue;
+    const current = await store.collection(name).find({});
+    const byId = new Map(current.filter(d => d && d.id !== undefined).map(d => [String(d.id), d]));
+    const seen = new Set();
+    const ids = { insert: [], update: [], unchanged: [], remove: [], kept: [] };
+    const protectedIds = new Set((keep[name] || []).map(String));
+    let skipped = 0;
+    archive.collections[name].forEach(doc => {
+      if (!doc || doc.id === undefined || doc.id === null) { skipped++; return; }
+      const key = String(doc.id);
+      seen.add(key);
+      const existing = byId.get(key);
+      if (!existing) ids.insert.push(doc.id);
+      else if (stableStringify(existing) === stableStringify(doc)) ids.unchanged.push(doc.id);
+      else ids.update.push(doc.id);
+    });
+    if (mode === 'replace') byId.forEach((doc, key) => { if (!seen.has(key)) (protectedIds.has(key) ? ids.kept : ids.remove).push(doc.id); });
+    plan.collections[name] = {
+      insert: ids.insert.length,
+      update: ids.update.length,
+      unchanged: ids.unchanged.length,
+      remove: ids.remove.length,
+      kept: ids.kept.length,
+      skipped,
+      sample: { insert: sampleIds(ids.insert), update: sampleIds(ids.update), remove: sampleIds(ids.remove) },
+      _ids: ids
+    };
+  }
+  if (includeUploads && Array.isArray(archive.uploads) && uploadsDir) {
+    const existing = new Set(listUploads(uploadsDir));
+    const uploads = { add: 0, overwrite: 0 };
+    archive.uploads.forEach(u => { if (existing.has(path.basename(u.name))) uploads.overwrite++; else uploads.add++; });
+    plan.uploads = uploads;
+  }
+  return plan;
+}
+
+// an overwritten document must not end up with a version a client already holds an ETag for
+function withNextVersion(doc, current) {
+  const versions = [doc.version, current.version].filter(Number.isInteger);
+  return versions.length ? { ...doc, version: Math.max(...versions) + 1 } : doc;
+}
+
+function publicPlan(plan) {
+  const collections = {};
+  Object.keys(plan.collections).forEach(name => {
+    const { _ids, ...summary } = plan.collections[name];
+    collections[name] = summary;
+  });
+  return { ...plan, collections };
+}
+
+async function restoreBackup(store, archive, { mode = 'merge', dryRun = false, includeUploads = true, uploadsDir = null, keep = {} } = {}) {
+  if (!['merge', 'replace'].includes(mode)) throw invalidBackup(`unknown restore mode: ${mode}`);
+  validateBackup(archive);
+  const plan = await diffBackup(store, archive, { mode, includeUploads, uploadsDir, keep });
+  if (dryRun) return { dryRun: true, ...publicPlan(plan) };
+
+  for (const name of Object.keys(plan.collections)) {
+    const col = store.collection(name);
+    const { _ids } = plan.collections[name];
+    const writes = new Set([..._ids.insert, ..._ids.update].map(String));
+    for (const doc of archive.collections[name]) {
+      if (!doc || doc.id === undefined || doc.id === null || !writes.has(String(doc.id))) continue;
+      const current = await col.findById(doc.id);
+      if (current) await col.replace(doc.id, withNextVersion(doc, current));
+      else await col.insert(doc);
+    }
+    for (const id of _ids.remove) await col.remove(id);
+  }
+  if (plan.uploads) {
+    if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
+    archive.uploads.forEach(u => {
+      // never write outside the uploads directory
+      fs.writeFileSync(path.join(uploadsDir, path.basename(u.name)), Buffer.from(u.data || '', 'base64'));
+    });
+  }
+  return { dryRun: false, ...publicPlan(plan) };
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  exportBackup,
+  serializeBackup,
+  parseBackup,
+  validateBackup,
+  restoreBackup
+};
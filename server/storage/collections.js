@@ -0,0 +1,13 @@
+// server/storage/collections.js
+// Collections every store backend must provide, exposed as named properties
+// (store.openings, store.forms, ...) on top of the generic store.collection(name).
+const COLLECTIONS = ['openings', 'forms', 'questions', 'responses', 'users', 'audit'];
+
+function withNamedCollections(store) {
+  for (const name of COLLECTIONS) {
+    Object.defineProperty(store, name, { enumerable: true, get: () => store.collection(name) });
+  }
+  return store;
+}
+
+module.exports = { COLLECTIONS, withNamedCollections };
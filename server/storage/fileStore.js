@@ -0,0 +1,302 @@
+// server/storage/fileStore.js
+// JSON-file backed store. Snapshots keep the historical layout of server_data/:
+//   openings.json, forms.json, questions.json  -> arrays
+//   data.json                                  -> { responses: [], users: [] } (legacy container)
+// Any other collection is kept in its own <name>.json array.
+//
+// Collections are held in memory. Every write goes through one write queue and is appended to
+// journal.log (fsync'd) before it resolves, so concurrent requests can't drop each other's
+// changes. The journal is folded back into the snapshot files every `compactEvery` entries,
+// every `compactIntervalMs` and on close(). At startup leftover .tmp files are recovered,
+// snapshots are loaded and the journal is replayed (a torn last line from a crash is dropped).
+// Only one process may have a data directory open at a time: opening takes store.lock (holding the
+// owner's pid) and a second open - `npm run migrate` or a backup restore while the server runs -
+// fails with code 'store_locked' instead of having its writes overwritten by the owner's next
+// compaction. A lock left by a process that no longer runs is taken over.
+const fs = require('fs');
+const path = require('path');
+const { createListCollection } = require('./listCollection');
+const { withNamedCollections } = require('./collections');
+
+/** ---------- HELPERS: FILE I/O ---------- **/
+function readJsonFile(filePath, defaultVal = null) {
+  try {
+    if (!fs.existsSync(filePath)) return defaultVal;
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return raw ? JSON.parse(raw) : defaultVal;
+  } catch (err) {
+    console.error('[readJsonFile] error reading', filePath, err && err.message);
+    return defaultVal;
+  }
+}
+function writeJsonFileAtomic(filePath, obj) {
+  try {
+    const tmp = filePath + '.tmp';
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeFileSync(fd, JSON.stringify(obj, null, 2), 'utf8');
+      fs.fsyncSync(fd);
+    } finally { fs.closeSync(fd); }
+    fs.renameSync(tmp, filePath);
+    console.log(`[writeJsonFileAtomic] wrote ${filePath}`);
+  } catch (err) {
+    console.error('[writeJsonFileAtomic] failed to write', filePath, err && err.stack);
+    throw err;
+  }
+}
+async function writeJsonFileAtomicAsync(filePath, obj) {
+  const tmp = filePath + '.tmp';
+  const fh = await fs.promises.open(tmp, 'w');
+  try {
+    await fh.writeFile(JSON.stringify(obj, null, 2), 'utf8');
+    await fh.sync();
+  } finally { await fh.close(); }
+  await fs.promises.rename(tmp, filePath);
+}
+
+// A crash between "write .tmp" and "rename" leaves <file>.json.tmp behind. A complete .tmp is
+// never older than the file it replaces (and the journal is only cleared after every rename),
+// so a tmp that parses is promoted; a torn one is discarded.
+function recoverTmpFiles(dataDir) {
+  fs.readdirSync(dataDir).filter(f => f.endsWith('.json.tmp')).forEach(f => {
+    const tmpPath = path.join(dataDir, f);
+    const target = tmpPath.slice(0, -'.tmp'.length);
+    let valid = false;
+    try { JSON.parse(fs.readFileSync(tmpPath, 'utf8')); valid = true; } catch (e) { /* torn write */ }
+    if (valid) {
+      fs.renameSync(tmpPath, target);
+      console.warn(`[fileStore] recovered ${path.basename(target)} from leftover ${f}`);
+    } else {
+      fs.unlinkSync(tmpPath);
+      console.warn(`[fileStore] discarded partially written ${f}`);
+    }
+  });
+}
+
+/** ---------- HELPERS: LOCK ---------- **/
+function processRuns(pid) {
+  try { process.kill(pid, 0); return true; }
+  catch (err) { return err.code === 'EPERM'; }
+}
+// -> release(); throws code 'store_locked' while another live process holds the lock
+function acquireLock(lockFile) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = fs.openSync(lockFile, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, since: new Date().toISOString() }));
+      fs.closeSync(fd);
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        process.removeListener('exit', release);
+        try { fs.unlinkSync(lockFile); } catch (e) { /* already gone */ }
+      };
+      process.on('exit', release);
+      return release;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const owner = readJsonFile(lockFile, null);
+      if (owner && owner.pid && processRuns(owner.pid)) {
+        const locked = new Error(`${path.dirname(lockFile)} is in use by process ${owner.pid}${owner.pid === process.pid ? ' (this one)' : ''}; stop the server before running this command`);
+        locked.code = 'store_locked';
+        throw locked;
+      }
+      console.warn(`[fileStore] removing stale lock ${lockFile}${owner && owner.pid ? ` of process ${owner.pid}` : ''}`);
+      try { fs.unlinkSync(lockFile); } catch (e) { /* taken over by someone else meanwhile */ }
+    }
+  }
+  throw Object.assign(new Error(`could not lock ${lockFile}`), { code: 'store_locked' });
+}
+
+// journal lines: { c: collection, op: 'put', doc } | { c: collection, op: 'del', id }
+function readJournal(journalFile) {
+  if (!fs.existsSync(journalFile)) return [];
+  const lines = fs.readFileSync(journalFile, 'utf8').split('\n');
+  const entries = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    try { entries.push(JSON.parse(lines[i])); }
+    catch (e) {
+      console.warn(`[fileStore] ignoring torn journal entry at line ${i + 1} (and anything after it)`);
+      break;
+    }
+  }
+  return entries;
+}
+
+// collections that live inside the legacy data.json container
+const DATA_FILE_KEYS = ['responses', 'users'];
+
+function createFileStore({ dataDir, compactEvery = 500, compactIntervalMs = 60000 }) {
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+  const DATA_FILE = path.join(dataDir, 'data.json');
+  const JOURNAL_FILE = path.join(dataDir, 'journal.log');
+
+  function fileFor(name) { return path.join(dataDir, `${name}.json`); }
+
+  const releaseLock = acquireLock(path.join(dataDir, 'store.lock'));
+  recoverTmpFiles(dataDir);
+
+  /** ---------- Ensure persistence files exist & migrate basic legacy data ---------- **/
+  if (!fs.existsSync(DATA_FILE)) {
+    writeJsonFileAtomic(DATA_FILE, { openings: [], responses: [], users: [] });
+    console.log('[fileStore] data.json initialized at', DATA_FILE);
+  }
+  // data.json as last written; keys other than responses/users are carried over untouched
+  const container = readJsonFile(DATA_FILE, {}) || {};
+
+  const OPENINGS_FILE = fileFor('openings');
+  if (!fs.existsSync(OPENINGS_FILE)) {
+    const legacyOpenings = Array.isArray(container.openings) ? container.openings : [];
+    writeJsonFileAtomic(OPENINGS_FILE, legacyOpenings);
+    if (legacyOpenings.length > 0) console.log('[migration] migrated openings from data.json -> openings.json');
+  }
+  ['forms', 'questions'].forEach(name => { if (!fs.existsSync(fileFor(name))) writeJsonFileAtomic(fileFor(name), []); });
+
+  /** ---------- In-memory collections ---------- **/
+  const data = {};
+  function loaded(name) {
+    if (!data[name]) {
+      const arr = DATA_FILE_KEYS.includes(name) ? container[name] : readJsonFile(fileFor(name), []);
+      data[name] = Array.isArray(arr) ? arr : [];
+    }
+    return data[name];
+  }
+
+  function applyEntry(entry) {
+    const arr = loaded(entry.c);
+    if (entry.op === 'put') {
+      const idx = entry.doc.id === undefined ? -1 : arr.findIndex(d => d.id === entry.doc.id);
+      if (idx === -1) arr.push(entry.doc); else arr[idx] = entry.doc;
+    } else if (entry.op === 'del') {
+      data[entry.c] = arr.filter(d => d.id !== entry.id);
+    }
+  }
+
+  /** ---------- Journal + compaction ---------- **/
+  const dirty = new Set();
+  let journalEntries = 0;
+  let journalBytes = 0;
+
+  const replayed = readJournal(JOURNAL_FILE);
+  replayed.forEach(entry => { applyEntry(entry); dirty.add(entry.c); });
+  journalEntries = replayed.length;
+
+  function snapshotWrites() {
+    const writes = [];
+    let containerDirty = false;
+    dirty.forEach(name => {
+      if (DATA_FILE_KEYS.includes(name)) containerDirty = true;
+      else writes.push([fileFor(name), loaded(name)]);
+    });
+    if (containerDirty) {
+      DATA_FILE_KEYS.forEach(k => { container[k] = loaded(k); });
+      writes.push([DATA_FILE, container]);
+    }
+    return writes;
+  }
+  function finishCompaction() {
+    fs.truncateSync(JOURNAL_FILE, 0);
+    dirty.clear();
+    journalEntries = 0;
+    journalBytes = 0;
+  }
+  function compactSync() {
+    if (!journalEntries) return;
+    snapshotWrites().forEach(([file, obj]) => writeJsonFileAtomic(file, obj));
+    finishCompaction();
+  }
+  async function compact() {
+    if (!journalEntries) return;
+    const names = Array.from(dirty);
+    for (const [file, obj] of snapshotWrites()) await writeJsonFileAtomicAsync(file, obj);
+    finishCompaction();
+    console.log(`[fileStore] compacted journal into snapshots (${names.join(', ')})`);
+  }
+
+  if (replayed.length) {
+    console.log(`[fileStore] replayed ${replayed.length} journal entr${replayed.length === 1 ? 'y' : 'ies'}`);
+    compactSync();
+  } else if (fs.existsSync(JOURNAL_FILE) && fs.statSync(JOURNAL_FILE).size) {
+    fs.truncateSync(JOURNAL_FILE, 0); // nothing but a torn entry
+  }
+  const journalFd = fs.openSync(JOURNAL_FILE, 'a');
+  journalBytes = fs.fstatSync(journalFd).size;
+
+  // the write queue: mutations and compaction run one at a time, in arrival order
+  let queue = Promise.resolve();
+  function enqueue(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {}); // a failed write must not block the ones behind it
+    return run;
+  }
+
+  function appendJournal(entries) {
+    const chunk = Buffer.from(entries.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+    try {
+      fs.writeSync(journalFd, chunk);
+      fs.fsyncSync(journalFd);
+    } catch (err) {
+      // cut off a partial append so later entries don't land behind a torn line
+      try { fs.ftruncateSync(journalFd, journalBytes); } catch (e) { /* keep the original error */ }
+      throw err;
+    }
+    journalBytes += chunk.length;
+    journalEntries += entries.length;
+    if (journalEntries >= compactEvery) {
+      enqueue(compact).catch(err => console.error('[fileStore] compaction failed', err && err.message));
+    }
+  }
+
+  const timer = compactIntervalMs > 0
+    ? setInterval(() => enqueue(compact).catch(err => console.error('[fileStore] compaction failed', err && err.message)), compactIntervalMs)
+    : null;
+  if (timer && timer.unref) timer.unref();
+
+  const cache = {};
+  function collection(name) {
+    if (cache[name]) return cache[name];
+    cache[name] = createListCollection(name, {
+      // hand out a copy so a write whose journal append fails leaves memory untouched
+      load: () => loaded(name).slice(),
+      save: (arr, change = {}) => {
+        const entries = [
+          ...(change.put || []).map(doc => ({ c: name, op: 'put', doc })),
+          ...(change.remove || []).map(id => ({ c: name, op: 'del', id }))
+        ];
+        if (entries.length) appendJournal(entries);
+        data[name] = arr;
+        dirty.add(name);
+      },
+      serialize: enqueue
+    });
+    return cache[name];
+  }
+
+  // every collection with a snapshot file or in-memory data (used by the importer / backups)
+  function collectionNames() {
+    const names = new Set([...DATA_FILE_KEYS, ...Object.keys(data)]);
+    fs.readdirSync(dataDir)
+      .filter(f => f.endsWith('.json') && f !== 'data.json')
+      .forEach(f => names.add(f.replace(/\.json$/, '')));
+    return Array.from(names);
+  }
+
+  return withNamedCollections({
+    kind: 'file',
+    dataDir,
+    collection,
+    collectionNames,
+    compact: () => enqueue(compact),
+    async close() {
+      if (timer) clearInterval(timer);
+      try {
+        await enqueue(compact);
+        fs.closeSync(journalFd);
+      } finally { releaseLock(); }
+    }
+  });
+}
+
+module.exports = { createFileStore, readJsonFile, writeJsonFileAtomic };
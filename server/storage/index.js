@@ -0,0 +1,62 @@
+// server/storage/index.js
+// Picks the storage backend at startup. Every backend exposes the same collection
+// interface (find/findOne/findById/count/countBy/insert/update/updateMany/replace/remove/removeMany),
+// so routes never need to know which one is active. update(id, patch, { where }) only applies
+// the patch when the document also matches `where` (used for version checks) and returns null otherwise;
+// replace(id, doc) swaps the whole document but always keeps `id`.
+// store.collectionNames() lists every collection holding data (may return a promise; used by backups).
+//
+//   STORAGE_DRIVER=mongo  -> MongoDB (MONGO_URI required)
+//   STORAGE_DRIVER=sqlite -> SQLite database (SQLITE_PATH, default server/data.db)
+//   STORAGE_DRIVER=file   -> JSON files in server_data/ plus a write journal
+//                            (FILE_JOURNAL_COMPACT_EVERY entries / FILE_JOURNAL_COMPACT_MS between compactions)
+//   STORAGE_DRIVER=memory -> in-process only, nothing persisted
+// When STORAGE_DRIVER is unset, Mongo is used if MONGO_URI is set, otherwise files.
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createMemoryStore } = require('./memoryStore');
+const { createMongoStore } = require('./mongoStore');
+const { COLLECTIONS } = require('./collections');
+
+async function openStore({ driver, dataDir, mongoUri, mongoDbName, sqlitePath, fileCompactEvery, fileCompactIntervalMs } = {}) {
+  const kind = (driver || (mongoUri ? 'mongo' : 'file')).toLowerCase();
+  if (kind === 'memory') return createMemoryStore();
+  if (kind === 'file') return createFileStore({ dataDir, compactEvery: fileCompactEvery, compactIntervalMs: fileCompactIntervalMs });
+  if (kind === 'sqlite') {
+    // required lazily: better-sqlite3 is an optional (native) dependency
+    const { createSqliteStore } = require('./sqliteStore');
+    return createSqliteStore({ dbPath: sqlitePath });
+  }
+  if (kind === 'mongo') {
+    if (!mongoUri) throw new Error('STORAGE_DRIVER=mongo requires MONGO_URI');
+    return createMongoStore({ uri: mongoUri, dbName: mongoDbName });
+  }
+  throw new Error(`unknown STORAGE_DRIVER: ${kind}`);
+}
+
+// Open the configured store; when Mongo was only chosen implicitly (MONGO_URI set, no
+// STORAGE_DRIVER) and the connection fails, fall back to the file store as before.
+async function openConfiguredStore(options = {}) {
+  try {
+    return await openStore(options);
+  } catch (err) {
+    if (options.driver) throw err;
+    console.error('[startup] Mongo connection failed. Starting with file-based fallback.', err && err.message);
+    return openStore({ ...options, driver: 'file' });
+  }
+}
+
+// Same environment variables server.js reads, for CLI tools (migrate.js etc.)
+function storeOptionsFromEnv(env = process.env) {
+  return {
+    driver: env.STORAGE_DRIVER || null,
+    dataDir: path.resolve(__dirname, '..', 'server_data'),
+    mongoUri: env.MONGO_URI || null,
+    mongoDbName: env.MONGO_DB_NAME || 'hrtool',
+    sqlitePath: env.SQLITE_PATH || undefined,
+    fileCompactEvery: env.FILE_JOURNAL_COMPACT_EVERY ? Number(env.FILE_JOURNAL_COMPACT_EVERY) : undefined,
+    fileCompactIntervalMs: env.FILE_JOURNAL_COMPACT_MS ? Number(env.FILE_JOURNAL_COMPACT_MS) : undefined
+  };
+}
+
+module.exports = { openStore, openConfiguredStore, storeOptionsFromEnv, createFileStore, createMemoryStore, createMongoStore, COLLECTIONS };
@@ -0,0 +1,99 @@
+// server/storage/listCollection.js
+// Collection implementation over a plain array. Used by the JSON-file store (journaled, see
+// fileStore.js) and the in-memory store (load/save keep the array in a closure).
+// save(arr, change) also receives what changed: { put: [docs] } or { remove: [ids] }.
+// `serialize(fn)`, when given, runs every mutation through the owner's write queue.
+const { matchesFilter, applyFindOptions, countByField } = require('./query');
+
+function clone(doc) { return doc === undefined || doc === null ? doc : JSON.parse(JSON.stringify(doc)); }
+
+function createListCollection(name, { load, save, serialize = async (fn) => fn() }) {
+  function read() { const arr = load(); return Array.isArray(arr) ? arr : []; }
+
+  return {
+    name,
+    async find(filter = {}, opts = {}) {
+      return applyFindOptions(read().filter(d => matchesFilter(d, filter)), opts).map(clone);
+    },
+    async findOne(filter = {}) {
+      return clone(read().find(d => matchesFilter(d, filter))) || null;
+    },
+    async findById(id) {
+      if (!id) return null;
+      return clone(read().find(d => d.id === id)) || null;
+    },
+    async count(filter = {}) {
+      return read().filter(d => matchesFilter(d, filter)).length;
+    },
+    async countBy(field, filter = {}) {
+      return countByField(read().filter(d => matchesFilter(d, filter)), field);
+    },
+    insert(doc) {
+      return serialize(() => {
+        const arr = read();
+        if (doc.id && arr.some(d => d.id === doc.id)) {
+          const err = new Error(`duplicate_id:${doc.id}`);
+          err.code = 'duplicate_id';
+          throw err;
+        }
+        arr.push(clone(doc));
+        save(arr, { put: [arr[arr.length - 1]] });
+        return clone(doc);
+      });
+    },
+    update(id, patch, opts = {}) {
+      return serialize(() => {
+        const arr = read();
+        const idx = arr.findIndex(d => d.id === id);
+        if (idx === -1) return null;
+        if (opts.where && !matchesFilter(arr[idx], opts.where)) return null;
+        arr[idx] = { ...arr[idx], ...clone(patch) };
+        save(arr, { put: [arr[idx]] });
+        return clone(arr[idx]);
+      });
+    },
+    updateMany(filter, patch) {
+      return serialize(() => {
+        const arr = read();
+        const changed = [];
+        for (let i = 0; i < arr.length; i++) {
+          if (!matchesFilter(arr[i], filter)) continue;
+          arr[i] = { ...arr[i], ...clone(patch) };
+          changed.push(arr[i]);
+        }
+        if (changed.length) save(arr, { put: changed });
+        return changed.length;
+      });
+    },
+    replace(id, doc) {
+      return serialize(() => {
+        const arr = read();
+        const idx = arr.findIndex(d => d.id === id);
+        if (idx === -1) return null;
+        arr[idx] = { ...clone(doc), id };
+        save(arr, { put: [arr[idx]] });
+        return clone(arr[idx]);
+      });
+    },
+    remove(id) {
+      return serialize(() => {
+        const arr = read();
+        const next = arr.filter(d => d.id !== id);
+        if (next.length === arr.length) return 0;
+        save(next, { remove: [id] });
+        return arr.length - next.length;
+      });
+    },
+    removeMany(filter = {}) {
+      return serialize(() => {
+        const arr = read();
+        const removed = arr.filter(d => matchesFilter(d, filter));
+        if (!removed.length) return 0;
+        save(arr.filter(d => !matchesFilter(d, filter)), { remove: removed.map(d => d.id) });
+        return removed.length;
+      });
+    }
+  };
+}
+
+module.exports = { createListCollection };
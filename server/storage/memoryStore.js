@@ -0,0 +1,30 @@
+// server/storage/memoryStore.js
+// In-memory store (STORAGE_DRIVER=memory). Nothing is persisted; intended for local
+// experiments and for exercising routes without touching server_data/ or Mongo.
+const { createListCollection } = require('./listCollection');
+const { withNamedCollections } = require('./collections');
+
+function createMemoryStore(seed = {}) {
+  const data = {};
+  Object.keys(seed).forEach(name => { data[name] = JSON.parse(JSON.stringify(seed[name] || [])); });
+
+  const cache = {};
+  function collection(name) {
+    if (cache[name]) return cache[name];
+    if (!data[name]) data[name] = [];
+    cache[name] = createListCollection(name, {
+      load: () => data[name],
+      save: (arr) => { data[name] = arr; }
+    });
+    return cache[name];
+  }
+
+  return withNamedCollections({
+    kind: 'memory',
+    collection,
+    collectionNames: () => Object.keys(data),
+    async close() {}
+  });
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,162 @@
+// server/storage/mongoStore.js
+const { MongoClient, ObjectId } = require('mongodb');
+const { withNamedCollections } = require('./collections');
+
+/** ---------- Robust Mongo connection ---------- **/
+async function connectMongo({ uri, dbName }) {
+  let client = null;
+  try {
+    console.log('[mongo] creating MongoClient...');
+    client = new MongoClient(uri, {
+      serverSelectionTimeoutMS: 15000,
+      connectTimeoutMS: 15000,
+      tls: true
+    });
+    console.log('[mongo] attempting to connect to Atlas...');
+    await client.connect();
+    const db = client.db(dbName || undefined);
+    console.log('✅ Connected to MongoDB:', db.databaseName || '(default from URI)');
+    return { client, db };
+  } catch (err) {
+    console.error('[mongo] Failed to connect to MongoDB:', err && (err.stack || err.message));
+    try { if (client) await client.close(); } catch (e) {}
+    throw err;
+  }
+}
+
+/** ---------- Normalizers ---------- **/
+function normalizeDoc(doc) { if (!doc) return doc; const copy = { ...doc }; delete copy._id; return copy; }
+
+// documents are addressed by our own string `id`; legacy rows may only have an ObjectId
+function selectorFor(id) {
+  if (/^[0-9a-fA-F]{24}$/.test(id)) {
+    try { return { $or: [{ id }, { _id: new ObjectId(id) }] }; } catch (e) { /* ignore conversion errors */ }
+  }
+  return { id };
+}
+
+function createMongoCollection(db, name) {
+  const col = db.collection(name);
+  return {
+    name,
+    async find(filter = {}, opts = {}) {
+      let cursor = col.find(filter);
+      if (opts.sort) cursor = cursor.sort(opts.sort);
+      if (opts.skip) cursor = cursor.skip(opts.skip);
+      if (opts.limit) cursor = cursor.limit(opts.limit);
+      return (await cursor.toArray()).map(normalizeDoc);
+    },
+    async findOne(filter = {}) {
+      return normalizeDoc(await col.findOne(filter)) || null;
+    },
+    async findById(id) {
+      if (!id) return null;
+      return normalizeDoc(await col.findOne(selectorFor(id))) || null;
+    },
+    async count(filter = {}) {
+      return col.countDocuments(filter);
+    },
+    async countBy(field, filter = {}) {
+      const rows = await col.aggregate([{ $match: filter }, { $group: { _id: `$${field}`, count: { $sum: 1 } } }]).toArray();
+      return rows.map(r => ({ value: r._id === undefined ? null : r._id, count: r.count }));
+    },
+    async insert(doc) {
+      try {
+        await col.insertOne({ ...doc });
+      } catch (err) {
+        // same error shape as the other stores for a clash on the unique id index
+        if (err && err.code === 11000) {
+          const dup = new Error(`duplicate_id:${doc.id}`);
+          dup.code = 'duplicate_id';
+          throw dup;
+        }
+        throw err;
+      }
+      return normalizeDoc(doc);
+    },
+    async update(id, patch, opts = {}) {
+      const selector = selectorFor(id);
+      const res = await col.updateOne(opts.where ? { $and: [selector, opts.where] } : selector, { $set: patch });
+      if (!res.matchedCount) return null;
+      return normalizeDoc(await col.findOne(selector));
+    },
+    async updateMany(filter, patch) {
+      const res = await col.updateMany(filter, { $set: patch });
+      return res.modifiedCount || 0;
+    },
+    async replace(id, doc) {
+      const selector = selectorFor(id);
+      const copy = { ...doc, id };
+      delete copy._id;
+      const res = await col.replaceOne(selector, copy);
+      if (!res.matchedCount) return null;
+      return normalizeDoc(await col.findOne(selector));
+    },
+    async remove(id) {
+      const res = await col.deleteOne(selectorFor(id));
+      return res.deletedCount || 0;
+    },
+    async removeMany(filter = {}) {
+      const res = await col.deleteMany(filter);
+      return res.deletedCount || 0;
+    }
+  };
+}
+
+async function createMongoStore({ uri, dbName }) {
+  const { client, db } = await connectMongo({ uri, dbName });
+
+  // create helpful indexes
+  await Promise.allSettled([
+    db.collection('openings').createIndex({ id: 1 }, { unique: true, sparse: true }),
+    db.collection('openings').createIndex({ teamMemberIds: 1 }),
+    db.collection('forms').createIndex({ id: 1 }, { unique: true, sparse: true }),
+    db.collection('responses').createIndex({ id: 1 }, { unique: true, sparse: true }),
+    db.collection('questions').createIndex({ id: 1 }, { unique: true, sparse: true }),
+    db.collection('users').createIndex({ id: 1 }, { unique: true, sparse: true }),
+    db.collection('users').createIndex({ email: 1 }, { unique: true, sparse: true }),
+    db.collection('audit').createIndex({ id: 1 }, { unique: true, sparse: true }),
+    db.collection('audit').createIndex({ entity: 1, entityId: 1, at: -1 }),
+    db.collection('audit').createIndex({ at: -1 }),
+    db.collection('idempotency_keys').createIndex({ id: 1 }, { unique: true }),
+    db.collection('idempotency_keys').createIndex({ createdAt: 1 }),
+    db.collection('jobs').createIndex({ id: 1 }, { unique: true }),
+    db.collection('jobs').createIndex({ state: 1, runAt: 1 }),
+    db.collection('sessions').createIndex({ id: 1 }, { unique: true }),
+    db.collection('sessions').createIndex({ userId: 1 }),
+    db.collection('oauth_states').createIndex({ id: 1 }, { unique: true }),
+    db.collection('login_codes').createIndex({ id: 1 }, { unique: true }),
+    db.collection('auth_tokens').createIndex({ id: 1 }, { unique: true }),
+    db.collection('auth_tokens').createIndex({ userId: 1, purpose: 1 }),
+    db.collection('api_keys').createIndex({ id: 1 }, { unique: true }),
+    db.collection('api_keys').createIndex({ keyHash: 1 }, { unique: true }),
+    db.collection('workspaces').createIndex({ id: 1 }, { unique: true }),
+    db.collection('openings').createIndex({ workspaceId: 1, createdAt: -1 }),
+    db.collection('questions').createIndex({ workspaceId: 1 }),
+    db.collection('pipelines').createIndex({ workspaceId: 1 }),
+    db.collection('responses').createIndex({ workspaceId: 1, createdAt: -1 }),
+    db.collection('responses').createIndex({ workspaceId: 1, openingId: 1, createdAt: -1 }),
+    db.collection('forms').createIndex({ workspaceId: 1, openingId: 1 }),
+    db.collection('response_history').createIndex({ id: 1 }, { unique: true }),
+    db.collection('response_history').createIndex({ responseId: 1, at: 1 })
+  ]);
+
+  const cache = {};
+  function collection(name) {
+    if (!cache[name]) cache[name] = createMongoCollection(db, name);
+    return cache[name];
+  }
+
+  return withNamedCollections({
+    kind: 'mongo',
+    db,
+    collection,
+    async collectionNames() {
+      const list = await db.listCollections({}, { nameOnly: true }).toArray();
+      return list.map(c => c.name).filter(name => !name.startsWith('system.'));
+    },
+    async close() { await client.close(); }
+  });
+}
+
+module.exports = { createMongoStore, connectMongo, normalizeDoc };
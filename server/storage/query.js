@@ -0,0 +1,113 @@
+// server/storage/query.js
+// Small Mongo-style filter/sort helpers so the file and memory stores accept the same
+// query objects that are passed straight through to MongoDB.
+
+function getPath(doc, path) {
+  if (!doc) return undefined;
+  if (!path.includes('.')) return doc[path];
+  return path.split('.').reduce((acc, key) => (acc === null || acc === undefined ? undefined : acc[key]), doc);
+}
+
+function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  return false;
+}
+
+// null and missing sort together, before everything else (as in Mongo)
+function compare(a, b) {
+  if (a === b) return 0;
+  const aEmpty = a === undefined || a === null;
+  const bEmpty = b === undefined || b === null;
+  if (aEmpty && bEmpty) return 0;
+  if (aEmpty) return -1;
+  if (bEmpty) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function isOperatorObject(cond) {
+  return cond && typeof cond === 'object' && !Array.isArray(cond) && !(cond instanceof RegExp) && !(cond instanceof Date)
+    && Object.keys(cond).length > 0 && Object.keys(cond).every(k => k.startsWith('$'));
+}
+
+// equality with Mongo semantics: a scalar matches an array field if the array contains it
+function matchesValue(value, expected) {
+  if (expected instanceof RegExp) {
+    if (Array.isArray(value)) return value.some(v => typeof v === 'string' && expected.test(v));
+    return typeof value === 'string' && expected.test(value);
+  }
+  if (Array.isArray(value) && !Array.isArray(expected)) return value.some(v => valuesEqual(v, expected));
+  if (expected === null) return value === null || value === undefined;
+  return valuesEqual(value, expected);
+}
+
+function matchesCondition(value, cond) {
+  if (!isOperatorObject(cond)) return matchesValue(value, cond);
+  for (const op of Object.keys(cond)) {
+    const arg = cond[op];
+    switch (op) {
+      case '$eq': if (!matchesValue(value, arg)) return false; break;
+      case '$ne': if (matchesValue(value, arg)) return false; break;
+      case '$in': if (!(arg || []).some(a => matchesValue(value, a))) return false; break;
+      case '$nin': if ((arg || []).some(a => matchesValue(value, a))) return false; break;
+      case '$exists': if ((value !== undefined) !== !!arg) return false; break;
+      case '$gt': if (value === undefined || value === null || compare(value, arg) <= 0) return false; break;
+      case '$gte': if (value === undefined || value === null || compare(value, arg) < 0) return false; break;
+      case '$lt': if (value === undefined || value === null || compare(value, arg) >= 0) return false; break;
+      case '$lte': if (value === undefined || value === null || compare(value, arg) > 0) return false; break;
+      case '$regex': {
+        const re = arg instanceof RegExp ? arg : new RegExp(arg, cond.$options || '');
+        if (!matchesValue(value, re)) return false;
+        break;
+      }
+      case '$options': break;
+      default: throw new Error(`unsupported_query_operator:${op}`);
+    }
+  }
+  return true;
+}
+
+function matchesFilter(doc, filter = {}) {
+  if (!filter) return true;
+  for (const key of Object.keys(filter)) {
+    const cond = filter[key];
+    if (key === '$or') { if (!(cond || []).some(sub => matchesFilter(doc, sub))) return false; continue; }
+    if (key === '$and') { if (!(cond || []).every(sub => matchesFilter(doc, sub))) return false; continue; }
+    if (!matchesCondition(getPath(doc, key), cond)) return false;
+  }
+  return true;
+}
+
+function sortDocs(docs, sort) {
+  if (!sort || !Object.keys(sort).length) return docs;
+  const keys = Object.keys(sort);
+  return docs.slice().sort((a, b) => {
+    for (const k of keys) {
+      const c = compare(getPath(a, k), getPath(b, k));
+      if (c !== 0) return sort[k] < 0 ? -c : c;
+    }
+    return 0;
+  });
+}
+
+// apply sort/skip/limit options the same way a Mongo cursor would
+function applyFindOptions(docs, opts = {}) {
+  let rows = sortDocs(docs, opts.sort);
+  if (opts.skip) rows = rows.slice(opts.skip);
+  if (opts.limit) rows = rows.slice(0, opts.limit);
+  return rows;
+}
+
+// [{ value, count }] grouped by one field, like a Mongo $group with $sum: 1
+function countByField(docs, field) {
+  const counts = new Map();
+  docs.forEach(d => {
+    const v = getPath(d, field);
+    const key = v === undefined ? null : v;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return Array.from(counts, ([value, count]) => ({ value, count }));
+}
+
+module.exports = { getPath, compare, matchesFilter, sortDocs, applyFindOptions, countByField };
@@ -0,0 +1,285 @@
+// server/storage/sqliteStore.js
+// SQLite backed store (STORAGE_DRIVER=sqlite). Uses the schema from ../db.js: documents are
+// stored as JSON next to copies of the fields we filter and sort on. Conditions on those columns
+// (equality, $in/$nin, $ne, ranges, $and/$or of them) become SQL, and when a filter is fully
+// expressed that way sort, skip/limit and counts run in SQL too. Anything else (other fields,
+// $regex, $exists, ...) is checked with the shared Mongo-style matcher on the rows SQL returns.
+const { openSqlite, TABLE_COLUMNS } = require('../db');
+const { matchesFilter, applyFindOptions, countByField } = require('./query');
+const { withNamedCollections } = require('./collections');
+
+function toColumnValue(v) {
+  if (v === undefined || v === null) return null;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'object') return JSON.stringify(v);
+  return v;
+}
+
+// a primary key or UNIQUE column clash (e.g. users.email) surfaces as `duplicate_id`, as in the
+// other stores
+const DUPLICATE_CODES = ['SQLITE_CONSTRAINT_PRIMARYKEY', 'SQLITE_CONSTRAINT_UNIQUE'];
+function storeError(err, doc) {
+  if (!err || !DUPLICATE_CODES.includes(err.code)) return err;
+  const dup = new Error(`duplicate_id:${doc.id}`);
+  dup.code = 'duplicate_id';
+  return dup;
+}
+
+function isOperatorObject(cond) {
+  return !!cond && typeof cond === 'object' && !Array.isArray(cond) && !(cond instanceof RegExp) && !(cond instanceof Date)
+    && Object.keys(cond).length > 0 && Object.keys(cond).every(k => k.startsWith('$'));
+}
+
+// the columns a table really has: a database created before a migration added one (see
+// migrations/011-sqlite-workspace-columns.js) only uses it once the migration ran
+function existingColumns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+function createSqliteCollection(db, name) {
+  const present = TABLE_COLUMNS[name] ? existingColumns(db, name) : [];
+  const columns = present.length ? TABLE_COLUMNS[name].filter(c => present.includes(c)) : null;
+  const table = columns ? name : 'documents';
+  // generic collections are scoped by the `collection` column of the documents table
+  const scope = columns ? '' : 'collection = @collection';
+  const scopeParams = columns ? {} : { collection: name };
+  // is_deleted is stored as 0/1, so only `true` / `$ne: true` translate exactly
+  const isColumn = (key) => key === 'id' || (!!columns && columns.includes(key));
+  const isTextColumn = (key) => isColumn(key) && key !== 'is_deleted';
+
+  function where(clauses) {
+    const all = [scope, ...clauses].filter(Boolean);
+    return all.length ? ` WHERE ${all.join(' AND ')}` : '';
+  }
+
+  function bind(params, value) {
+    const key = `p${Object.keys(params).length}`;
+    params[key] = value;
+    return `@${key}`;
+  }
+
+  // SQL for one field condition, or null when it can't be expressed exactly (null and missing are
+  // both NULL in the column, as they are equal for the matcher)
+  function equals(key, v, params) {
+    if (key === 'is_deleted') return v === true ? 'is_deleted = 1' : null;
+    if (v === null) return `${key} IS NULL`;
+    return typeof v === 'string' ? `${key} = ${bind(params, v)}` : null;
+  }
+  // $in (or with `negate`, $nin) of strings and null
+  function inList(key, values, params, negate = false) {
+    if (!isTextColumn(key) || !Array.isArray(values) || !values.every(v => v === null || typeof v === 'string')) return null;
+    const set = values.filter(v => v !== null);
+    const withNull = set.length < values.length;
+    const list = set.length ? `${key} ${negate ? 'NOT IN' : 'IN'} (${set.map(v => bind(params, v)).join(', ')})` : null;
+    if (negate) {
+      if (withNull) return list ? `(${key} IS NOT NULL AND ${list})` : `${key} IS NOT NULL`;
+      return list ? `(${key} IS NULL OR ${list})` : '1';
+    }
+    return `(${[list, withNull ? `${key} IS NULL` : null].filter(Boolean).join(' OR ') || '0'})`;
+  }
+  function columnCondition(key, cond, params) {
+    if (!isColumn(key)) return null;
+    if (!isOperatorObject(cond)) return equals(key, cond, params);
+    const parts = [];
+    for (const op of Object.keys(cond)) {
+      const arg = cond[op];
+      let sql = null;
+      if (op === '$eq') sql = equals(key, arg, params);
+      else if (op === '$ne') {
+        if (key === 'is_deleted') sql = arg === true ? 'is_deleted = 0' : null;
+        else if (arg === null) sql = `${key} IS NOT NULL`;
+        else if (typeof arg === 'string') sql = `(${key} IS NULL OR ${key} <> ${bind(params, arg)})`;
+      } else if (op === '$in') sql = inList(key, arg, params);
+      else if (op === '$nin') sql = inList(key, arg, params, true);
+      else if (['$gt', '$gte', '$lt', '$lte'].includes(op) && isTextColumn(key) && typeof arg === 'string') {
+        sql = `${key} ${{ $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' }[op]} ${bind(params, arg)}`;
+      }
+      if (!sql) return null;
+      parts.push(sql);
+    }
+    return parts.join(' AND ');
+  }
+
+  // -> { clauses, residual }: SQL conditions every match satisfies, and the part of the filter
+  // that still has to be checked in JS (null when SQL decides the whole filter)
+  function compile(filter, params) {
+    const clauses = [];
+    const residual = {};
+    for (const key of Object.keys(filter || {})) {
+      const cond = filter[key];
+      if (key === '$and') {
+        const rest = [];
+        (cond || []).forEach(sub => {
+          const c = compile(sub, params);
+          clauses.push(...c.clauses);
+          if (c.residual) rest.push(c.residual);
+        });
+        if (rest.length) residual.$and = rest;
+      } else if (key === '$or') {
+        const subs = (cond || []).map(sub => compile(sub, params));
+        // each branch's SQL part still narrows the rows when a branch has a JS part left
+        if (subs.every(c => c.clauses.length)) clauses.push(subs.length ? `(${subs.map(c => `(${c.clauses.join(' AND ')})`).join(' OR ')})` : '0');
+        if (subs.some(c => c.residual || !c.clauses.length)) residual.$or = cond;
+      } else {
+        const sql = columnCondition(key, cond, params);
+        if (sql) clauses.push(sql);
+        else residual[key] = cond;
+      }
+    }
+    return { clauses, residual: Object.keys(residual).length ? residual : null };
+  }
+
+  function prepareQuery(filter) {
+    const params = { ...scopeParams };
+    const { clauses, residual } = compile(filter, params);
+    return { sql: where(clauses), params, residual };
+  }
+  // ORDER BY for a sort on columns, '' for no sort, null when it has to be sorted in JS
+  function orderBy(sort) {
+    const keys = Object.keys(sort || {});
+    if (!keys.length) return '';
+    if (!keys.every(isTextColumn)) return null;
+    return ` ORDER BY ${keys.map(k => `${k} ${sort[k] < 0 ? 'DESC' : 'ASC'}`).join(', ')}`;
+  }
+  const parse = (row) => JSON.parse(row.doc);
+
+  function selectDocs(filter, opts = {}) {
+    const { sql, params, residual } = prepareQuery(filter);
+    const order = orderBy(opts.sort);
+    const select = `SELECT doc FROM ${table}${sql}`;
+    if (order === null) {
+      const docs = db.prepare(select).all(params).map(parse);
+      return applyFindOptions(residual ? docs.filter(d => matchesFilter(d, residual)) : docs, opts);
+    }
+    if (!residual) {
+      let paged = select + order;
+      if (opts.limit || opts.skip) {
+        paged += ` LIMIT ${bind(params, opts.limit || -1)} OFFSET ${bind(params, opts.skip || 0)}`;
+      }
+      return db.prepare(paged).all(params).map(parse);
+    }
+    // rows come out of SQL in order; stop reading once the page is full
+    const out = [];
+    let skip = opts.skip || 0;
+    for (const row of db.prepare(select + order).iterate(params)) {
+      const doc = parse(row);
+      if (!matchesFilter(doc, residual)) continue;
+      if (skip) { skip--; continue; }
+      out.push(doc);
+      if (opts.limit && out.length >= opts.limit) break;
+    }
+    return out;
+  }
+
+  function getRaw(id) {
+    const row = db.prepare(`SELECT doc FROM ${table}${where(['id = @id'])}`).get({ ...scopeParams, id });
+    return row ? JSON.parse(row.doc) : null;
+  }
+
+  function rowParams(doc) {
+    const params = { ...scopeParams, id: doc.id, doc: JSON.stringify(doc) };
+    (columns || []).forEach(c => { params[c] = toColumnValue(doc[c]); });
+    if (columns && columns.includes('is_deleted')) params.is_deleted = doc.is_deleted ? 1 : 0;
+    return params;
+  }
+
+  const insertCols = columns ? ['id', ...columns, 'doc'] : ['collection', 'id', 'doc'];
+  const insertStmt = db.prepare(`INSERT INTO ${table} (${insertCols.join(', ')}) VALUES (${insertCols.map(c => '@' + c).join(', ')})`);
+  const updateCols = columns ? [...columns, 'doc'] : ['doc'];
+  const updateStmt = db.prepare(`UPDATE ${table} SET ${updateCols.map(c => `${c} = @${c}`).join(', ')}${where(['id = @id'])}`);
+  const deleteStmt = db.prepare(`DELETE FROM ${table}${where(['id = @id'])}`);
+
+  function writeUpdate(doc) {
+    try { updateStmt.run(rowParams(doc)); }
+    catch (err) { throw storeError(err, doc); }
+  }
+
+  const updateOne = db.transaction((id, patch, where) => {
+    const current = getRaw(id);
+    if (!current) return null;
+    if (where && !matchesFilter(current, where)) return null;
+    const next = { ...current, ...patch };
+    writeUpdate(next);
+    return next;
+  });
+  const updateAll = db.transaction((filter, patch) => {
+    const docs = selectDocs(filter);
+    docs.forEach(d => writeUpdate({ ...d, ...patch }));
+    return docs.length;
+  });
+  const replaceOne = db.transaction((id, doc) => {
+    if (!getRaw(id)) return null;
+    const next = { ...doc, id };
+    writeUpdate(next);
+    return next;
+  });
+  const removeAll = db.transaction((filter) => {
+    const docs = selectDocs(filter);
+    docs.forEach(d => deleteStmt.run({ ...scopeParams, id: d.id }));
+    return docs.length;
+  });
+
+  return {
+    name,
+    async find(filter = {}, opts = {}) {
+      return selectDocs(filter, opts);
+    },
+    async findOne(filter = {}) {
+      return selectDocs(filter, { limit: 1 })[0] || null;
+    },
+    async findById(id) {
+      if (!id) return null;
+      return getRaw(id);
+    },
+    async count(filter = {}) {
+      const { sql, params, residual } = prepareQuery(filter);
+      if (!residual) return db.prepare(`SELECT COUNT(*) AS n FROM ${table}${sql}`).get(params).n;
+      return selectDocs(filter).length;
+    },
+    async countBy(field, filter = {}) {
+      const { sql, params, residual } = prepareQuery(filter);
+      if (!residual && isTextColumn(field)) {
+        return db.prepare(`SELECT ${field} AS value, COUNT(*) AS count FROM ${table}${sql} GROUP BY ${field}`).all(params);
+      }
+      return countByField(selectDocs(filter), field);
+    },
+    async insert(doc) {
+      try {
+        insertStmt.run(rowParams(doc));
+      } catch (err) {
+        throw storeError(err, doc);
+      }
+      return { ...doc };
+    },
+    async update(id, patch, opts = {}) { return updateOne(id, patch, opts.where || null); },
+    async updateMany(filter, patch) { return updateAll(filter, patch); },
+    async replace(id, doc) { return replaceOne(id, doc); },
+    async remove(id) { return deleteStmt.run({ ...scopeParams, id }).changes; },
+    async removeMany(filter = {}) { return removeAll(filter); }
+  };
+}
+
+function createSqliteStore({ dbPath } = {}) {
+  const db = openSqlite(dbPath);
+  const cache = {};
+  function collection(name) {
+    if (!cache[name]) cache[name] = createSqliteCollection(db, name);
+    return cache[name];
+  }
+
+  return withNamedCollections({
+    kind: 'sqlite',
+    db,
+    collection,
+    // dedicated tables plus the collections kept in the generic documents table
+    collectionNames() {
+      const generic = db.prepare('SELECT DISTINCT collection FROM documents').all().map(r => r.collection);
+      return Array.from(new Set([...Object.keys(TABLE_COLUMNS), ...generic]));
+    },
+    // after a migration changed the schema: collections are rebuilt with the current columns
+    reloadSchema() { Object.keys(cache).forEach(name => { delete cache[name]; }); },
+    async close() { db.close(); }
+  });
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,61 @@
+// server/test/fileStore.test.js
+// The file store's write queue and journal: concurrent applications all land, and what a killed
+// process had written is replayed from journal.log on the next start (a torn last line is dropped).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createFileStore } = require('../storage');
+const { startServer } = require('./helpers');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-files-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+const tempDir = () => fs.mkdtempSync(path.join(root, 'data-'));
+
+test('concurrent applications against the file store are all kept', async (t) => {
+  const dataDir = tempDir();
+  const app = await startServer(createFileStore({ dataDir, compactEvery: 7 }));
+  const { token } = await app.signIn();
+  const opening = await app.publishedOpening(token);
+
+  const results = await Promise.all(Array.from({ length: 20 }, (_, i) => app.apply(opening.id, { name: `Candidate ${i}`, email: `c${i}@example.com` })));
+  assert.deepEqual(results.map(r => r.status), Array(20).fill(200));
+  assert.equal(new Set(results.map(r => r.body.responseId)).size, 20);
+  await app.close();
+  await app.store.close();
+
+  const reopened = createFileStore({ dataDir });
+  t.after(() => reopened.close());
+  assert.equal(await reopened.responses.count({ openingId: opening.id }), 20);
+});
+
+test('a second open of the same directory is refused', async (t) => {
+  const dataDir = tempDir();
+  const store = createFileStore({ dataDir });
+  t.after(() => store.close());
+  assert.throws(() => createFileStore({ dataDir }), { code: 'store_locked' });
+});
+
+test('writes of a killed process are replayed from the journal', async (t) => {
+  const dataDir = tempDir();
+  // the child writes, then dies without compacting or releasing its lock
+  const child = spawnSync(process.execPath, ['-e', `
+    const { createFileStore } = require(${JSON.stringify(path.resolve(__dirname, '../storage'))});
+    const store = createFileStore({ dataDir: ${JSON.stringify(dataDir)}, compactEvery: 1000 });
+    Promise.all(Array.from({ length: 10 }, (_, i) => store.responses.insert({ id: 'r' + i, n: i })))
+      .then(() => store.responses.update('r0', { n: 100 }))
+      .then(() => process.kill(process.pid, 'SIGKILL'));
+  `], { timeout: 30000 });
+  assert.equal(child.signal, 'SIGKILL');
+  assert.ok(fs.existsSync(path.join(dataDir, 'store.lock')));
+  // a crash in the middle of the next append leaves half a line behind
+  fs.appendFileSync(path.join(dataDir, 'journal.log'), '{"c":"responses","op":"put","doc":{"id":"torn"');
+
+  const store = createFileStore({ dataDir }); // takes over the stale lock
+  t.after(() => store.close());
+  assert.equal(await store.responses.count({}), 10);
+  assert.equal((await store.responses.findById('r0')).n, 100);
+  assert.equal(await store.responses.findById('torn'), null);
+});
@@ -0,0 +1,88 @@
+// server/test/helpers.js
+// Route tests run the real app on an ephemeral port against a fresh store (the in-memory one
+// unless a test passes another) with every migration applied. Users sign in through
+// POST /auth/login like the dashboard does.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { once } = require('events');
+const { app, setStore } = require('../server');
+const { createMemoryStore } = require('../storage');
+const { runPending } = require('../migrations');
+const { hashPassword } = require('../localAuth');
+
+const DEFAULT_WORKSPACE_ID = 'ws_default';
+const TEST_PASSWORD = 'correct horse battery';
+
+async function startServer(store = createMemoryStore()) {
+  await runPending(store, { logger: { log() {} } });
+  setStore(store);
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // -> { status, body, headers }; a FormData body is sent as multipart
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (body instanceof FormData) init.body = body;
+    else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const res = await fetch(base + path, init);
+    const text = await res.text();
+    let parsed = text;
+    try { parsed = text ? JSON.parse(text) : null; } catch (err) { /* not JSON */ }
+    return { status: res.status, body: parsed, headers: res.headers };
+  }
+
+  // creates an active account (role in the default workspace unless `workspaceRoles` is given)
+  // and signs it in -> { user, token }
+  let users = 0;
+  async function signIn({ role = 'admin', workspaceRoles, email } = {}) {
+    users++;
+    const now = new Date().toISOString();
+    const user = {
+      id: `u_test_${users}`,
+      email: email || `user${users}@example.com`,
+      name: `Test User ${users}`,
+      role,
+      workspaceRoles: workspaceRoles || { [DEFAULT_WORKSPACE_ID]: role },
+      status: 'active',
+      passwordHash: await hashPassword(TEST_PASSWORD),
+      version: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+    await store.users.insert(user);
+    const res = await request('POST', '/auth/login', { body: { email: user.email, password: TEST_PASSWORD } });
+    if (res.status !== 200) throw new Error(`sign-in failed: ${res.status} ${JSON.stringify(res.body)}`);
+    return { user, token: res.body.token };
+  }
+
+  // an opening with a published form, so it takes applications -> the opening
+  async function publishedOpening(token, payload = {}) {
+    const opening = await request('POST', '/api/openings', { token, body: { title: 'Engineer', ...payload } });
+    if (opening.status >= 300) throw new Error(`opening not created: ${opening.status} ${JSON.stringify(opening.body)}`);
+    await request('POST', '/api/forms', { token, body: { openingId: opening.body.id, data: { meta: { isPublished: true }, questions: [] } } });
+    return opening.body;
+  }
+
+  // POST /api/apply as the careers page sends it
+  async function apply(openingId, { name = 'Ada Lovelace', email = 'ada@example.com', headers } = {}) {
+    const form = new FormData();
+    form.append('Full name', name);
+    form.append('email', email);
+    return request('POST', `/api/apply?opening=${encodeURIComponent(openingId)}&src=test`, { body: form, headers });
+  }
+
+  async function close() {
+    server.close();
+    server.closeAllConnections(); // fetch keeps connections alive
+    await once(server, 'close');
+  }
+
+  return { store, base, request, signIn, publishedOpening, apply, close };
+}
+
+module.exports = { startServer, DEFAULT_WORKSPACE_ID };
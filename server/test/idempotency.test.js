@@ -0,0 +1,47 @@
+// server/test/idempotency.test.js
+// POST /api/apply with an Idempotency-Key: a retry replays the first result instead of storing the
+// application twice, and a failed attempt releases the key.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+test('Idempotency-Key on POST /api/apply', async (t) => {
+  const app = await startServer();
+  t.after(() => app.close());
+  const { token } = await app.signIn();
+  const opening = await app.publishedOpening(token);
+
+  await t.test('a retry replays the stored result', async () => {
+    const headers = { 'Idempotency-Key': 'submit-1' };
+    const first = await app.apply(opening.id, { headers });
+    const retry = await app.apply(opening.id, { headers });
+    assert.equal(first.status, 200);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(retry.body.responseId, first.body.responseId);
+    assert.equal(await app.store.responses.count({ openingId: opening.id }), 1);
+  });
+
+  await t.test('keys are scoped to the opening', async () => {
+    const other = await app.publishedOpening(token, { title: 'Designer' });
+    const res = await app.apply(other.id, { headers: { 'Idempotency-Key': 'submit-1' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('idempotent-replayed'), null);
+    assert.equal(await app.store.responses.count({ openingId: other.id }), 1);
+  });
+
+  await t.test('a failed attempt can be retried with the same key', async () => {
+    const headers = { 'Idempotency-Key': 'submit-2' };
+    const missing = await app.apply('no-such-opening', { headers });
+    assert.equal(missing.status, 404);
+    const again = await app.apply('no-such-opening', { headers });
+    assert.equal(again.status, 404);
+    assert.equal(again.headers.get('idempotent-replayed'), null);
+  });
+
+  await t.test('overlong keys are refused', async () => {
+    const res = await app.apply(opening.id, { headers: { 'Idempotency-Key': 'x'.repeat(201) } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'invalid_idempotency_key');
+  });
+});
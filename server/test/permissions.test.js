@@ -0,0 +1,70 @@
+// server/test/permissions.test.js
+// Role permissions (permissions.js), API key scopes, and the per-opening scoping of accounts without
+// openings.all: they see the openings they are on the team of and those openings' candidates only.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+test('permissions and opening scoping', async (t) => {
+  const app = await startServer();
+  t.after(() => app.close());
+  const admin = await app.signIn();
+  const recruiter = await app.signIn({ role: 'recruiter' });
+  const viewer = await app.signIn({ role: 'read_only' });
+
+  const mine = await app.publishedOpening(admin.token, { title: 'Backend', teamMemberIds: [recruiter.user.id] });
+  const other = await app.publishedOpening(admin.token, { title: 'Frontend' });
+  const mineApplicant = (await app.apply(mine.id, { email: 'mine@example.com' })).body.responseId;
+  const otherApplicant = (await app.apply(other.id, { email: 'other@example.com' })).body.responseId;
+
+  await t.test('a read-only account can read but not manage', async () => {
+    assert.equal((await app.request('GET', '/api/openings', { token: viewer.token })).status, 200);
+    const res = await app.request('POST', '/api/openings', { token: viewer.token, body: { title: 'Nope' } });
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body, { error: 'forbidden', permission: 'openings.manage' });
+  });
+
+  await t.test('a scoped recruiter only sees their openings and candidates', async () => {
+    const openings = await app.request('GET', '/api/openings', { token: recruiter.token });
+    assert.deepEqual(openings.body.map(o => o.id), [mine.id]);
+    assert.equal((await app.request('GET', `/api/openings/${other.id}`, { token: recruiter.token })).status, 404);
+
+    const responses = await app.request('GET', '/api/responses', { token: recruiter.token });
+    assert.deepEqual(responses.body.map(r => r.id), [mineApplicant]);
+    const page = await app.request('GET', '/api/responses?limit=10', { token: recruiter.token });
+    assert.deepEqual(page.body.items.map(r => r.id), [mineApplicant]);
+    assert.equal(page.body.total, 1);
+    assert.equal((await app.request('GET', `/api/responses/${otherApplicant}`, { token: recruiter.token })).status, 404);
+    const status = await app.request('PUT', `/api/responses/${otherApplicant}/status`, { token: recruiter.token, body: { status: 'Rejected' } });
+    assert.equal(status.status, 404);
+  });
+
+  await t.test('a scoped recruiter is put on the team of what they create', async () => {
+    const created = await app.request('POST', '/api/openings', { token: recruiter.token, body: { title: 'Data' } });
+    assert.equal(created.status, 200);
+    assert.deepEqual(created.body.teamMemberIds, [recruiter.user.id]);
+  });
+
+  await t.test('an admin sees every opening', async () => {
+    const openings = await app.request('GET', '/api/openings', { token: admin.token });
+    assert.ok([mine.id, other.id].every(id => openings.body.some(o => o.id === id)));
+  });
+
+  await t.test('API keys are limited to their scopes', async () => {
+    const invalid = await app.request('POST', '/api/api-keys', { token: admin.token, body: { name: 'bad', scopes: ['system.manage'] } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'invalid_scopes');
+
+    const created = await app.request('POST', '/api/api-keys', { token: admin.token, body: { name: 'reporting', scopes: ['openings.read'] } });
+    assert.equal(created.status, 200);
+    const headers = { 'X-Api-Key': created.body.key };
+    assert.equal((await app.request('GET', '/api/openings', { headers })).status, 200);
+    const responses = await app.request('GET', '/api/responses', { headers });
+    assert.equal(responses.status, 403);
+    assert.equal(responses.body.permission, 'responses.read');
+    assert.equal((await app.request('POST', '/api/openings', { headers, body: { title: 'Nope' } })).status, 403);
+
+    await app.request('DELETE', `/api/api-keys/${created.body.id}`, { token: admin.token });
+    assert.equal((await app.request('GET', '/api/openings', { headers })).status, 401);
+  });
+});
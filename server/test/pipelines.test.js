@@ -0,0 +1,108 @@
+// server/test/pipelines.test.js
+// Pipeline transition rules (checkTransition in pipelines.js) and how the status endpoint and a move
+// to another opening apply them.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkTransition, normalizeStages } = require('../pipelines');
+const { startServer } = require('./helpers');
+
+const STAGES = [
+  { name: 'Applied', statuses: ['Pending', 'Rejected'], next: ['Screen'], requiredFields: [{ field: 'rejectionReason', status: 'Rejected' }] },
+  { name: 'Screen', statuses: ['Scheduled', 'Passed'], next: ['Offer'], requiredFields: [{ field: 'interviewDate' }] },
+  { name: 'Offer', statuses: ['Made', 'Accepted'], requiredFields: [{ field: 'offerAmount', status: 'Made' }] }
+];
+
+test('checkTransition', () => {
+  const pipeline = normalizeStages(STAGES);
+  assert.deepEqual(checkTransition(pipeline, { stage: 'Applied', status: 'Pending' }, { stage: 'Offer', status: 'Made' }, {}),
+    { error: 'transition_not_allowed', from: 'Applied', to: 'Offer', allowed: ['Screen'] });
+
+  const missing = checkTransition(pipeline, { stage: 'Applied', status: 'Pending' }, { stage: 'Screen', status: 'Scheduled' }, {});
+  assert.equal(missing.error, 'missing_fields');
+  assert.deepEqual(missing.fields.map(f => f.key), ['interviewDate']);
+  assert.deepEqual(checkTransition(pipeline, { stage: 'Applied', status: 'Pending' }, { stage: 'Screen', status: 'Scheduled' }, { interviewDate: '2024-05-01T10:00' }),
+    { values: { interviewDate: '2024-05-01T10:00' } });
+
+  // a rule tied to a status only applies when the candidate gets that status
+  assert.equal(checkTransition(pipeline, { stage: 'Applied', status: 'Pending' }, { stage: 'Applied', status: 'Rejected' }, {}).error, 'missing_fields');
+  assert.deepEqual(checkTransition(pipeline, { stage: 'Applied', status: 'Rejected' }, { stage: 'Applied', status: 'Pending' }, {}), { values: {} });
+  // a stage outside the pipeline allows any move
+  assert.deepEqual(checkTransition(pipeline, { stage: 'Legacy', status: 'x' }, { stage: 'Offer', status: 'Accepted' }, {}), { values: {} });
+
+  assert.deepEqual(checkTransition(pipeline, { stage: 'Screen' }, { stage: 'Offer', status: 'Made' }, { offerAmount: 'lots' }), { error: 'invalid_field', field: 'offerAmount' });
+  assert.deepEqual(checkTransition(pipeline, { stage: 'Screen' }, { stage: 'Offer', status: 'Made' }, { salary: 1 }), { error: 'invalid_field', field: 'salary' });
+});
+
+test('pipeline rules on the response routes', async (t) => {
+  const app = await startServer();
+  t.after(() => app.close());
+  const { token } = await app.signIn();
+  const created = await app.request('POST', '/api/pipelines', { token, body: { name: 'Strict', stages: STAGES } });
+  assert.equal(created.status, 201);
+  const opening = await app.publishedOpening(token, { pipelineId: created.body.id });
+  const candidate = async () => {
+    const res = await app.apply(opening.id);
+    return app.store.responses.findById(res.body.responseId);
+  };
+  const setStatus = (id, body) => app.request('PUT', `/api/responses/${id}/status`, { token, body });
+
+  await t.test('an application starts at the first stage', async () => {
+    const r = await candidate();
+    assert.equal(r.stage, 'Applied');
+    assert.equal(r.status, 'Pending');
+  });
+
+  await t.test('the status endpoint enforces next stages and required fields', async () => {
+    const r = await candidate();
+    const skip = await setStatus(r.id, { stage: 'Offer' });
+    assert.equal(skip.status, 400);
+    assert.equal(skip.body.error, 'transition_not_allowed');
+
+    const bare = await setStatus(r.id, { stage: 'Screen' });
+    assert.equal(bare.status, 400);
+    assert.equal(bare.body.error, 'missing_fields');
+
+    const wrongStatus = await setStatus(r.id, { stage: 'Screen', status: 'Made' });
+    assert.equal(wrongStatus.status, 400);
+    assert.equal(wrongStatus.body.error, 'status_not_allowed_for_stage');
+
+    const moved = await setStatus(r.id, { stage: 'Screen', fields: { interviewDate: '2024-05-01T10:00' } });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.updatedResp.stage, 'Screen');
+    assert.equal(moved.body.updatedResp.status, 'Scheduled');
+    assert.equal(moved.body.updatedResp.pipelineFields.interviewDate, '2024-05-01T10:00');
+
+    const history = await app.request('GET', `/api/responses/${r.id}/history`, { token });
+    assert.equal(history.status, 200);
+    assert.ok(JSON.stringify(history.body).includes('Screen'));
+  });
+
+  await t.test('stage and status only change through the status endpoint', async () => {
+    const r = await candidate();
+    const res = await app.request('PUT', `/api/responses/${r.id}`, { token, body: { stage: 'Offer' } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'use_status_endpoint');
+  });
+
+  await t.test('moving to another opening revalidates the stage', async () => {
+    const r = await candidate();
+    await setStatus(r.id, { stage: 'Screen', status: 'Passed', fields: { interviewDate: '2024-05-01T10:00' } });
+    // the built-in pipeline has no "Screen" stage: back to its first stage
+    const builtIn = await app.publishedOpening(token, { title: 'Support' });
+    const moved = await app.request('PUT', `/api/responses/${r.id}`, { token, body: { openingId: builtIn.id } });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.updated.stage, 'Applied');
+    assert.equal(moved.body.updated.status, 'Pending');
+    assert.ok(moved.body.updated.stageEnteredAt);
+
+    // same stage name on the other side: kept, at its default status when the current one isn't there
+    assert.equal((await setStatus(r.id, { status: 'Candidate Withdrew' })).status, 200);
+    const back = await app.request('PUT', `/api/responses/${r.id}`, { token, body: { openingId: opening.id } });
+    assert.equal(back.body.updated.stage, 'Applied');
+    assert.equal(back.body.updated.status, 'Pending');
+
+    const unknown = await app.request('PUT', `/api/responses/${r.id}`, { token, body: { openingId: 'op_missing' } });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, 'invalid_openingId');
+  });
+});
@@ -0,0 +1,99 @@
+// server/test/storage.test.js
+// The collection interface every backend implements (storage/index.js): the same queries must give
+// the same answers on the memory, file and SQLite stores. Mongo is not run here.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createFileStore } = require('../storage');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'hr-store-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const backends = {
+  memory: () => createMemoryStore(),
+  file: () => createFileStore({ dataDir: fs.mkdtempSync(path.join(root, 'file-')) })
+};
+let sqliteAvailable = true;
+try { require.resolve('better-sqlite3'); } catch (err) { sqliteAvailable = false; }
+if (sqliteAvailable) {
+  backends.sqlite = () => {
+    const { createSqliteStore } = require('../storage/sqliteStore');
+    return createSqliteStore({ dbPath: path.join(root, 'test.db') });
+  };
+}
+
+const RESPONSES = [
+  { id: 'r1', openingId: 'op1', stage: 'Applied', status: 'Pending', createdAt: '2024-01-01T00:00:00.000Z', is_deleted: false },
+  { id: 'r2', openingId: 'op1', stage: 'Applied', status: null, createdAt: '2024-02-01T00:00:00.000Z', is_deleted: false },
+  { id: 'r3', openingId: 'op2', stage: 'Offer', createdAt: '2024-03-01T00:00:00.000Z', is_deleted: true },
+  { id: 'r4', openingId: 'op2', stage: 'Offer', status: 'Made', is_deleted: false }
+];
+
+for (const [kind, open] of Object.entries(backends)) {
+  test(`${kind} store`, async (t) => {
+    const store = open();
+    t.after(() => store.close());
+    for (const doc of RESPONSES) await store.responses.insert(doc);
+    const ids = (docs) => docs.map(d => d.id);
+
+    await t.test('insert refuses a duplicate id', async () => {
+      await assert.rejects(store.responses.insert({ id: 'r1' }), { code: 'duplicate_id' });
+    });
+
+    await t.test('findById / findOne', async () => {
+      assert.equal((await store.responses.findById('r2')).openingId, 'op1');
+      assert.equal(await store.responses.findById('missing'), null);
+      assert.equal((await store.responses.findOne({ stage: 'Offer', status: 'Made' })).id, 'r4');
+    });
+
+    await t.test('operators treat null and missing alike', async () => {
+      assert.deepEqual(ids(await store.responses.find({ status: null }, { sort: { id: 1 } })), ['r2', 'r3']);
+      assert.deepEqual(ids(await store.responses.find({ status: { $in: ['Pending', null] } }, { sort: { id: 1 } })), ['r1', 'r2', 'r3']);
+      assert.deepEqual(ids(await store.responses.find({ status: { $ne: null } }, { sort: { id: 1 } })), ['r1', 'r4']);
+      assert.deepEqual(ids(await store.responses.find({ is_deleted: { $ne: true } }, { sort: { id: 1 } })), ['r1', 'r2', 'r4']);
+      assert.deepEqual(ids(await store.responses.find({ createdAt: { $gte: '2024-02-01', $lt: '2024-03-02' } }, { sort: { id: 1 } })), ['r2', 'r3']);
+      assert.deepEqual(ids(await store.responses.find({ $or: [{ openingId: 'op2', status: 'Made' }, { id: 'r1' }] }, { sort: { id: 1 } })), ['r1', 'r4']);
+    });
+
+    await t.test('sort, skip and limit', async () => {
+      // empty values sort lowest
+      assert.deepEqual(ids(await store.responses.find({}, { sort: { createdAt: -1, id: -1 } })), ['r3', 'r2', 'r1', 'r4']);
+      assert.deepEqual(ids(await store.responses.find({}, { sort: { createdAt: 1 }, skip: 1, limit: 2 })), ['r1', 'r2']);
+    });
+
+    await t.test('count / countBy', async () => {
+      assert.equal(await store.responses.count({ openingId: 'op1' }), 2);
+      const byStatus = Object.fromEntries((await store.responses.countBy('status', {})).map(r => [r.value, r.count]));
+      assert.deepEqual(byStatus, { Pending: 1, Made: 1, null: 2 });
+    });
+
+    await t.test('update only applies when `where` matches', async () => {
+      assert.equal(await store.responses.update('r1', { status: 'Rejected' }, { where: { status: 'Scheduled' } }), null);
+      const updated = await store.responses.update('r1', { status: 'Rejected' }, { where: { status: 'Pending' } });
+      assert.equal(updated.status, 'Rejected');
+      assert.equal(updated.stage, 'Applied');
+      assert.equal(await store.responses.update('missing', { status: 'x' }), null);
+    });
+
+    await t.test('updateMany / replace / remove / removeMany', async () => {
+      assert.equal(await store.responses.updateMany({ openingId: 'op2' }, { stage: 'Hired' }), 2);
+      assert.equal(await store.responses.count({ stage: 'Hired' }), 2);
+      const replaced = await store.responses.replace('r2', { openingId: 'op3' });
+      assert.deepEqual(replaced, { id: 'r2', openingId: 'op3' });
+      assert.equal(await store.responses.replace('missing', { a: 1 }), null);
+      assert.equal(await store.responses.remove('r2'), 1);
+      assert.equal(await store.responses.removeMany({ openingId: 'op2' }), 2);
+      assert.deepEqual(ids(await store.responses.find({})), ['r1']);
+    });
+
+    await t.test('generic collections', async () => {
+      const col = store.collection('things');
+      await col.insert({ id: 'a', n: 1 });
+      await col.insert({ id: 'b', n: 2 });
+      assert.deepEqual(ids(await col.find({ n: { $gt: 1 } })), ['b']);
+      assert.ok((await store.collectionNames()).includes('things'));
+    });
+  });
+}
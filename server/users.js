@@ -0,0 +1,17 @@
+// server/users.js
+// Helpers for user documents shared by server.js and the migrations that backfill user fields
+// (004-user-accounts.js), so an account created today and one migrated from an old install get
+// the same email and initials.
+
+// emails are stored and matched lower-cased
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+// "Ada Lovelace" -> "AL"; without a name, the first two letters of the email
+function initialsFor(name, email) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length) return parts.slice(0, 2).map(p => p[0].toUpperCase()).join('');
+  return String(email || '?').slice(0, 2).toUpperCase();
+}
+
+module.exports = { normalizeEmail, initialsFor };
@@ -1,5 +1,5 @@
 // src/App.jsx
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import { v4 as uuidv4 } from "uuid";
 
 /* Small inline icons component */
@@ -129,23 +129,129 @@ function MultiSelectDropdown({ label, options = [], selected = [], onChange = ()
 
 /* -------------------------
    Login Page
+   - the nonce stays in this tab (sessionStorage) and must accompany the one-time code the
+     server sends back, so a code from someone else's sign-in can't be used here
   ------------------------- */
-function LoginPage({ backendUrl }) {
-  const handleLogin = () => {
-    window.location.href = `${backendUrl}/auth/google`;
-  };
+const LOGIN_NONCE_KEY = 'loginNonce';
+
+function startGoogleLogin(backendUrl) {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  const nonce = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  sessionStorage.setItem(LOGIN_NONCE_KEY, nonce);
+  window.location.href = `${backendUrl}/auth/google?nonce=${nonce}`;
+}
+
+const LOGIN_ERROR_MESSAGES = {
+  invalid_code: 'That sign-in link has expired or was already used. Please sign in again.',
+  nonce_mismatch: 'Sign-in was started in another browser or tab. Please sign in again here.',
+  user_deactivated: 'Your account has been deactivated.',
+  invalid_credentials: 'Wrong email or password.',
+  too_many_attempts: 'Too many attempts. Please wait a few minutes and try again.',
+  invalid_token: 'That link has expired or was already used. Please request a new one.',
+  password_too_short: 'The password must be at least 10 characters.',
+  mail_not_configured: 'Email is not set up on this server. Ask an admin for a password link.',
+  pending_approval: 'Your access request was sent. An admin needs to approve it before you can sign in.',
+  email_not_allowed: 'This email does not have access. Ask an admin to invite you.',
+  email_not_verified: 'Your Google email address is not verified.',
+  invalid_state: 'Sign-in was interrupted or started elsewhere. Please sign in again.',
+  oauth_failed: 'Google sign-in failed. Please try again.'
+};
+
+// modes: signin | forgot (request a reset email) | magic (request a sign-in link) | reset (set a new password)
+function LoginPage({ backendUrl, error, resetToken, onSignedIn, onResetDone }) {
+  const [providers, setProviders] = useState({ google: true, password: false, magicLink: false, passwordReset: false });
+  const [mode, setMode] = useState(resetToken ? 'reset' : 'signin');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { error } | { info }
+
+  useEffect(() => {
+    fetch(`${backendUrl}/auth/providers`).then(r => r.json()).then(setProviders).catch(() => {});
+  }, [backendUrl]);
+  useEffect(() => { if (resetToken) setMode('reset'); }, [resetToken]);
+
+  const handleLogin = () => startGoogleLogin(backendUrl);
+
+  async function post(path, body) {
+    const res = await fetch(`${backendUrl}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const json = await res.json().catch(() => null);
+    if (!res.ok) throw { status: res.status, body: json };
+    return json;
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setMessage(null);
+    try {
+      if (mode === 'signin') {
+        onSignedIn(await post('/auth/login', { email, password }));
+        return;
+      }
+      if (mode === 'forgot') {
+        await post('/auth/password/forgot', { email });
+        setMessage({ info: 'If an account exists for this email, a link to set your password is on its way.' });
+      } else if (mode === 'magic') {
+        await post('/auth/magic-link', { email });
+        setMessage({ info: 'If an account exists for this email, a sign-in link is on its way.' });
+      } else if (mode === 'reset') {
+        const result = await post('/auth/password/reset', { token: resetToken, password });
+        onResetDone();
+        setEmail(result.email || '');
+        setPassword('');
+        setMode('signin');
+        setMessage({ info: 'Password saved. Sign in with your new password.' });
+      }
+    } catch (err) {
+      setMessage({ error: err?.body?.error || 'login_failed' });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const shownError = (message && message.error) || error;
+  const titles = { signin: 'Sign in', forgot: 'Reset password', magic: 'Email me a sign-in link', reset: 'Set a new password' };
 
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-100 p-6">
       <div className="max-w-md w-full bg-white p-8 rounded-lg shadow">
-        <h1 className="text-2xl font-semibold mb-4">Sign in</h1>
-        <p className="text-sm text-gray-600 mb-6">
-          Sign in with Google to manage openings and view responses.
-        </p>
-        <button onClick={handleLogin} className="w-full inline-flex items-center justify-center gap-3 px-4 py-3 bg-blue-600 text-white rounded">
-          <svg className="w-5 h-5" viewBox="0 0 24 24" fill="none"><path d="M21 12.3c0-.8-.1-1.5-.3-2.2H12v4.2h5.5c-.2 1.2-.9 2.3-1.9 3.1v2.6h3.1C20.1 18.3 21 15.5 21 12.3z" fill="#4285F4"/><path d="M12 22c2.7 0 4.9-.9 6.6-2.4l-3.1-2.6c-.9.6-2.1 1-3.5 1-2.7 0-4.9-1.8-5.7-4.3H3.9v2.7C5.7 19.9 8.6 22 12 22z" fill="#34A853"/><path d="M6.3 13.7A6.7 6.7 0 016 12c0-.6.1-1.1.3-1.7V7.6H3.9A10 10 0 002 12c0 1.6.4 3 1.1 4.4l2.2-2.7z" fill="#FBBC05"/><path d="M12 6.5c1.5 0 2.8.5 3.8 1.5l2.9-2.9C16.9 3.2 14.7 2 12 2 8.6 2 5.7 4.1 3.9 7.6l2.4 2.7C7 8.3 9.3 6.5 12 6.5z" fill="#EA4335"/></svg>
-          Sign in with Google
-        </button>
+        <h1 className="text-2xl font-semibold mb-4">{titles[mode]}</h1>
+        {mode === 'signin' && (
+          <p className="text-sm text-gray-600 mb-6">
+            Sign in to manage openings and view responses.
+          </p>
+        )}
+        {shownError && <div className="mb-4 p-3 rounded bg-red-50 text-sm text-red-700">{LOGIN_ERROR_MESSAGES[shownError] || 'Sign-in failed. Please try again.'}</div>}
+        {message && message.info && <div className="mb-4 p-3 rounded bg-green-50 text-sm text-green-700">{message.info}</div>}
+
+        {mode === 'signin' && providers.google && (
+          <button onClick={handleLogin} className="w-full inline-flex items-center justify-center gap-3 px-4 py-3 bg-blue-600 text-white rounded">
+            <svg className="w-5 h-5" viewBox="0 0 24 24" fill="none"><path d="M21 12.3c0-.8-.1-1.5-.3-2.2H12v4.2h5.5c-.2 1.2-.9 2.3-1.9 3.1v2.6h3.1C20.1 18.3 21 15.5 21 12.3z" fill="#4285F4"/><path d="M12 22c2.7 0 4.9-.9 6.6-2.4l-3.1-2.6c-.9.6-2.1 1-3.5 1-2.7 0-4.9-1.8-5.7-4.3H3.9v2.7C5.7 19.9 8.6 22 12 22z" fill="#34A853"/><path d="M6.3 13.7A6.7 6.7 0 016 12c0-.6.1-1.1.3-1.7V7.6H3.9A10 10 0 002 12c0 1.6.4 3 1.1 4.4l2.2-2.7z" fill="#FBBC05"/><path d="M12 6.5c1.5 0 2.8.5 3.8 1.5l2.9-2.9C16.9 3.2 14.7 2 12 2 8.6 2 5.7 4.1 3.9 7.6l2.4 2.7C7 8.3 9.3 6.5 12 6.5z" fill="#EA4335"/></svg>
+            Sign in with Google
+          </button>
+        )}
+        {mode === 'signin' && providers.google && providers.password && <div className="my-4 text-center text-xs text-gray-400">or</div>}
+
+        {(mode !== 'signin' || providers.password) && (
+          <form onSubmit={handleSubmit} className="space-y-3">
+            {mode !== 'reset' && (
+              <input type="email" required placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full p-2 border rounded" />
+            )}
+            {(mode === 'signin' || mode === 'reset') && (
+              <input type="password" required placeholder={mode === 'reset' ? 'New password (at least 10 characters)' : 'Password'} minLength={mode === 'reset' ? 10 : undefined} value={password} onChange={(e) => setPassword(e.target.value)} className="w-full p-2 border rounded" />
+            )}
+            <button type="submit" disabled={busy} className="w-full px-4 py-2 rounded bg-gray-800 text-white disabled:opacity-50">
+              {mode === 'signin' ? 'Sign in with password' : mode === 'reset' ? 'Save password' : 'Send link'}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-4 flex gap-4 text-xs">
+          {mode !== 'signin' && <button onClick={() => { setMode('signin'); setMessage(null); }} className="text-blue-600">Back to sign in</button>}
+          {mode === 'signin' && providers.passwordReset && <button onClick={() => { setMode('forgot'); setMessage(null); }} className="text-blue-600">Forgot password?</button>}
+          {mode === 'signin' && providers.magicLink && <button onClick={() => { setMode('magic'); setMessage(null); }} className="text-blue-600">Email me a sign-in link</button>}
+        </div>
         <div className="mt-4 text-xs text-gray-500">Reach out to rohit.varshney@stampmyvisa.com, if you are unable to sign-in.</div>
       </div>
     </div>
@@ -163,13 +269,15 @@ export default function App() {
   const [activeTab, setActiveTab] = useState("overview");
   const [showCreate, setShowCreate] = useState(false);
   const [creating, setCreating] = useState(false);
-  const [newOpening, setNewOpening] = useState({ title: "", location: "Delhi", department: "", preferredSources: [], durationMins: 30, is_deleted: false });
+  const [newOpening, setNewOpening] = useState({ title: "", location: "Delhi", department: "", preferredSources: [], durationMins: 30, teamMemberIds: [], pipelineId: '', is_deleted: false });
   const [forms, setForms] = useState({});
   const [responses, setResponses] = useState([]);
   const [questionBank, setQuestionBank] = useState([]);
 
   const [user, setUser] = useState(null);
   const [authChecked, setAuthChecked] = useState(false);
+  const [loginError, setLoginError] = useState(null); // from the OAuth code exchange / magic link
+  const [pendingResetToken, setPendingResetToken] = useState(null); // from a password reset link
 
   // NEW: state for values entered in public form (persist across pages)
   const [formValues, setFormValues] = useState({});
@@ -189,6 +297,8 @@ export default function App() {
   const [editingOpening, setEditingOpening] = useState(null);
 
   const [publicView, setPublicView] = useState(null);
+  const publicSubmitKey = useRef(null); // Idempotency-Key for the application being filled in
+  const publicSubmitInFlight = useRef(false);
 
    // Response details modal state
   const [selectedResponse, setSelectedResponse] = useState(null); // full response object
@@ -196,13 +306,82 @@ export default function App() {
    // temporary local profile score (UI only) — will be replaced with computed score later
   const [localProfileScore, setLocalProfileScore] = useState(75);
 
+  // audit entries for the candidate open in the details modal (newest first)
+  const [candidateTimeline, setCandidateTimeline] = useState({ loading: false, items: [] });
+  // its stage/status history (oldest first, each entry with durationMs)
+  const [candidateHistory, setCandidateHistory] = useState({ loading: false, items: [] });
+
   function openResponseModal(resp) {
     setSelectedResponse(resp || null);
     setShowResponseModal(true);
+    if (resp && resp.id) loadCandidateHistory(resp.id);
+    if (resp && resp.id && can('audit.read')) loadCandidateTimeline(resp.id);
   }
   function closeResponseModal() {
     setShowResponseModal(false);
     setSelectedResponse(null);
+    setCandidateTimeline({ loading: false, items: [] });
+    setCandidateHistory({ loading: false, items: [] });
+  }
+
+  async function loadCandidateHistory(responseId) {
+    setCandidateHistory({ loading: true, items: [] });
+    try {
+      const history = await apiFetch(`/api/responses/${encodeURIComponent(responseId)}/history`);
+      setCandidateHistory({ loading: false, items: history.items || [] });
+    } catch (err) {
+      console.error('loadCandidateHistory', err);
+      setCandidateHistory({ loading: false, items: [] });
+    }
+  }
+
+  // "3d 4h", "2h 15m", "5m"
+  function formatDuration(ms) {
+    const minutes = Math.floor(Math.max(0, ms || 0) / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days) return `${days}d ${hours}h`;
+    if (hours) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+  }
+  // how long a candidate has been in their current stage
+  function timeInStage(resp) {
+    const since = resp.stageEnteredAt || resp.createdAt;
+    return since ? formatDuration(Date.now() - new Date(since).getTime()) : null;
+  }
+
+  async function loadCandidateTimeline(responseId) {
+    setCandidateTimeline({ loading: true, items: [] });
+    try {
+      const page = await apiFetch(`/api/audit?entity=response&entityId=${encodeURIComponent(responseId)}&limit=100`);
+      setCandidateTimeline({ loading: false, items: page.items || [] });
+    } catch (err) {
+      console.error('loadCandidateTimeline', err);
+      setCandidateTimeline({ loading: false, items: [] });
+    }
+  }
+
+  // one line of human readable text for an audit entry
+  function describeAuditEntry(entry) {
+    const changes = entry.changes || {};
+    switch (entry.action) {
+      case 'create':
+        return entry.actor && entry.actor.id ? 'created the application' : `applied via ${(entry.meta && entry.meta.source) || 'public form'}`;
+      case 'status_change': {
+        const parts = [];
+        if (changes.stage) parts.push(`stage ${changes.stage.from || '—'} → ${changes.stage.to || '—'}`);
+        if (changes.status) parts.push(`status ${changes.status.from || '—'} → ${changes.status.to || '—'}`);
+        return parts.length ? `changed ${parts.join(', ')}` : 'saved status (no change)';
+      }
+      case 'disable':
+        return entry.meta && entry.meta.cascadeFrom ? 'disabled (opening disabled)' : 'disabled the candidate';
+      case 'enable':
+        return entry.meta && entry.meta.cascadeFrom ? 're-enabled (opening enabled)' : 're-enabled the candidate';
+      default: {
+        const fields = Object.keys(changes);
+        return fields.length ? `${entry.action} ${fields.join(', ')}` : entry.action;
+      }
+    }
   }
 
   const [showFormModal, setShowFormModal] = useState(false);
@@ -214,6 +393,15 @@ export default function App() {
   const [filterDepartments, setFilterDepartments] = useState([]);
   const [filterSources, setFilterSources] = useState([]);
   const [filterStatus, setFilterStatus] = useState([]);
+  const [filterCreatedFrom, setFilterCreatedFrom] = useState("");
+  const [filterCreatedTo, setFilterCreatedTo] = useState("");
+  const [hiringSort, setHiringSort] = useState("-createdAt");
+
+  // Hiring candidate list is filtered, sorted and paged by the server: { items, total, nextCursor, facets }
+  const [hiringResults, setHiringResults] = useState({ items: [], total: 0, nextCursor: null, facets: null });
+  const [hiringLoading, setHiringLoading] = useState(false);
+  const [hiringReloadKey, setHiringReloadKey] = useState(0);
+  const hiringRequestSeq = useRef(0);
 
   // Jobs tab search & filters (new)
   const [jobsSearch, setJobsSearch] = useState("");
@@ -233,13 +421,38 @@ export default function App() {
 
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
-    const tokenFromUrl = params.get('token');
-    if (tokenFromUrl) {
-      localStorage.setItem('token', tokenFromUrl);
-      params.delete('token');
+    // password reset link: show the "set a new password" form instead of signing in
+    const resetToken = params.get('resetToken');
+    if (resetToken) {
+      params.delete('resetToken');
+      window.history.replaceState({}, '', window.location.pathname + (params.toString() ? '?' + params.toString() : ''));
+      setPendingResetToken(resetToken);
+      setAuthChecked(true);
+      return;
+    }
+    const magicToken = params.get('magicToken');
+    if (magicToken) {
+      params.delete('magicToken');
+      window.history.replaceState({}, '', window.location.pathname + (params.toString() ? '?' + params.toString() : ''));
+      completeSignIn(fetch(`${API}/auth/magic-link/verify`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ token: magicToken }) }));
+      return;
+    }
+    // Google sign-in refused (access request pending, deactivated, ...)
+    const loginErrorCode = params.get('loginError');
+    if (loginErrorCode) {
+      params.delete('loginError');
+      window.history.replaceState({}, '', window.location.pathname + (params.toString() ? '?' + params.toString() : ''));
+      setLoginError(loginErrorCode);
+      setAuthChecked(true);
+      return;
+    }
+    const loginCode = params.get('code');
+    if (loginCode) {
+      // drop the code from the address bar (and history) before anything else happens
+      params.delete('code');
       const newUrl = window.location.pathname + (params.toString() ? '?' + params.toString() : '');
       window.history.replaceState({}, '', newUrl);
-      fetchProfile(tokenFromUrl);
+      exchangeLoginCode(loginCode);
       return;
     }
     const token = localStorage.getItem('token');
@@ -250,13 +463,121 @@ export default function App() {
     }
   }, []);
 
+  // Reload the Hiring list whenever a filter changes (search input is debounced)
+  useEffect(() => {
+    if (!user) return;
+    const handle = setTimeout(() => { loadHiringResponses(); }, searchQuery ? 300 : 0);
+    return () => clearTimeout(handle);
+  }, [user, filterOpenings, filterLocations, filterDepartments, filterSources, filterStatus, filterCreatedFrom, filterCreatedTo, hiringSort, searchQuery, hiringSubtab, hiringReloadKey]);
+
+  /* -------------------------
+     Auth tokens
+     - the access token is short-lived; on a 401 authFetch trades the refresh token for a new pair once
+       and retries (the server rotates refresh tokens, so the stored one changes on every refresh)
+     - concurrent 401s share one refresh; another tab may have refreshed first, then its tokens are used
+     - every request names the workspace picked in the sidebar (X-Workspace-Id); without one the
+       server uses the first workspace the user belongs to
+  ------------------------- */
+  const refreshInFlight = useRef(null);
+
+  function storeTokens({ token, refreshToken }) {
+    localStorage.setItem('token', token);
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  }
+  function clearTokens() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+  }
+
+  async function refreshAccessToken() {
+    if (refreshInFlight.current) return refreshInFlight.current;
+    refreshInFlight.current = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+      try {
+        const res = await fetch(`${API}/auth/refresh`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ refreshToken }) });
+        if (res.ok) { storeTokens(await res.json()); return true; }
+        // another tab rotated the token while this request was in flight
+        return localStorage.getItem('refreshToken') !== refreshToken;
+      } catch (err) {
+        console.error('refreshAccessToken', err);
+        return false;
+      }
+    })();
+    try { return await refreshInFlight.current; } finally { refreshInFlight.current = null; }
+  }
+
+  // fetch with the access token; refreshes it once on a 401
+  async function authFetch(url, opts = {}) {
+    const send = () => {
+      const token = localStorage.getItem('token');
+      const headers = { ...(opts.headers || {}) };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const workspaceId = localStorage.getItem('workspaceId');
+      if (workspaceId) headers['X-Workspace-Id'] = workspaceId;
+      return fetch(url, { ...opts, headers });
+    };
+    const res = await send();
+    if (res.status !== 401 || !localStorage.getItem('refreshToken')) return res;
+    return (await refreshAccessToken()) ? send() : res;
+  }
+
+  // OAuth callback: trade the one-time code (plus this tab's nonce) for the session tokens
+  function exchangeLoginCode(code) {
+    const nonce = sessionStorage.getItem(LOGIN_NONCE_KEY);
+    sessionStorage.removeItem(LOGIN_NONCE_KEY);
+    completeSignIn(fetch(`${API}/auth/exchange`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ code, nonce }) }));
+  }
+
+  // a pending sign-in request (code exchange, magic link) that answers with session tokens
+  async function completeSignIn(request) {
+    try {
+      const res = await request;
+      const json = await res.json().catch(() => null);
+      if (!res.ok) {
+        setLoginError((json && json.error) || 'login_failed');
+        setAuthChecked(true);
+        return;
+      }
+      handleSignedIn(json);
+    } catch (err) {
+      console.error('completeSignIn', err);
+      setLoginError('login_failed');
+      setAuthChecked(true);
+    }
+  }
+
+  function handleSignedIn(tokens) {
+    storeTokens(tokens);
+    setLoginError(null);
+    fetchProfile(tokens.token);
+  }
+
+  async function handleSignOut() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    const token = localStorage.getItem('token');
+    clearTokens();
+    localStorage.removeItem('workspaceId');
+    setUser(null);
+    try {
+      await fetch(`${API}/auth/logout`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }, body: JSON.stringify({ refreshToken }) });
+    } catch (err) {
+      console.error('handleSignOut', err);
+    }
+  }
+
   async function fetchProfile(token) {
     try {
       const t = token || localStorage.getItem('token');
       if (!t) { setUser(null); setAuthChecked(true); return; }
-      const res = await fetch(`${API}/api/me`, { headers: { Authorization: `Bearer ${t}` }});
+      const res = await authFetch(`${API}/api/me`);
+      if (res.status === 404 && localStorage.getItem('workspaceId')) {
+        // the stored workspace was deleted or the user was removed from it: fall back to their first one
+        localStorage.removeItem('workspaceId');
+        return fetchProfile(t);
+      }
       if (!res.ok) {
-        localStorage.removeItem('token');
+        clearTokens();
         setUser(null);
         setAuthChecked(true);
         return;
@@ -270,19 +591,16 @@ export default function App() {
       await loadQuestionBank();
     } catch (err) {
       console.error('fetchProfile', err);
-      localStorage.removeItem('token');
+      clearTokens();
       setUser(null);
       setAuthChecked(true);
     }
   }
 
   async function apiFetch(path, opts = {}) {
-    const token = localStorage.getItem('token');
-    const headers = { ...(opts.headers || {}) };
-    if (token) headers.Authorization = `Bearer ${token}`;
-    const res = await fetch(`${API}${path}`, { ...opts, headers });
+    const res = await authFetch(`${API}${path}`, opts);
     if (res.status === 401) {
-      localStorage.removeItem('token');
+      clearTokens();
       setUser(null);
       throw { status: 401, body: { error: 'unauthorized' } };
     }
@@ -291,6 +609,76 @@ export default function App() {
     return json;
   }
 
+  // the sidebar switcher: everything workspace-scoped is reloaded for the new workspace
+  function switchWorkspace(workspaceId) {
+    if (!workspaceId || (user && user.workspace && user.workspace.id === workspaceId)) return;
+    localStorage.setItem('workspaceId', workspaceId);
+    clearAllJobsFilters();
+    clearAllHiringFilters();
+    setOpenings([]);
+    setResponses([]);
+    setForms({});
+    setQuestionBank([]);
+    setPipelineDraft(null);
+    setBoard({ openingId: null, loading: false, items: [] });
+    fetchProfile();
+  }
+
+  // permissions come from /api/me (server/permissions.js); the server enforces them, this only hides actions
+  function can(permission) {
+    return !!(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+  }
+
+  /* -------------------------
+     Concurrent edits (server versions / If-Match)
+     - putVersioned sends If-Match with the version the edit started from
+     - on 409 the conflict modal shows what changed and lets the user overwrite or take theirs
+  ------------------------- */
+  const [versionConflict, setVersionConflict] = useState(null); // { title, rows: [{ label, mine, theirs }], resolve }
+
+  function askConflictResolution(title, mine, theirs, fields) {
+    const rows = fields
+      .map(f => ({ label: f.label, mine: f.get(mine), theirs: f.get(theirs) }))
+      .filter(r => r.mine !== r.theirs);
+    return new Promise(resolve => setVersionConflict({ title, rows, resolve }));
+  }
+
+  function resolveVersionConflict(choice) {
+    if (versionConflict) versionConflict.resolve(choice);
+    setVersionConflict(null);
+  }
+
+  // resolves { saved } on success, or { discarded: true, current } when the user keeps the other version
+  async function putVersioned(path, payload, version, { title, fields }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (version !== undefined && version !== null) headers['If-Match'] = `"${version}"`;
+    try {
+      const saved = await apiFetch(path, { method: 'PUT', headers, body: JSON.stringify(payload) });
+      return { saved };
+    } catch (err) {
+      if (err.status !== 409 || !err.body || !err.body.current) throw err;
+      const current = err.body.current;
+      const choice = await askConflictResolution(title, payload, current, fields);
+      if (choice === 'mine') return putVersioned(path, payload, current.version, { title, fields });
+      return { discarded: true, current };
+    }
+  }
+
+  const OPENING_CONFLICT_FIELDS = [
+    { label: 'Title', get: d => d.title || '' },
+    { label: 'Location', get: d => d.location || '' },
+    { label: 'Department', get: d => d.department || '' },
+    { label: 'Preferred sources', get: d => (d.preferredSources || []).join(', ') },
+    { label: 'Duration (mins)', get: d => String(d.durationMins || '') },
+    { label: 'Team', get: d => (d.teamMemberIds || []).map(id => (teamUsers.items.find(u => u.id === id) || {}).initials || id).join(', ') },
+    { label: 'Pipeline', get: d => (pipelines.items.find(p => p.id === d.pipelineId) || {}).name || d.pipelineId || '' }
+  ];
+  const FORM_CONFLICT_FIELDS = [
+    { label: 'Questions', get: d => ((d.data && d.data.questions) || []).map(q => q.label || q.localLabel || q.questionId || q.id).join(', ') },
+    { label: 'Required', get: d => ((d.data && d.data.questions) || []).filter(q => q.required).map(q => q.label || q.id).join(', ') },
+    { label: 'Published', get: d => (d.data && d.data.meta && d.data.meta.isPublished) ? 'yes' : 'no' }
+  ];
+
   /* -------------------------
      Helper: ensure core fields exist in a form object
      - also dedupe non-core questions that look like core (particularly college) to avoid duplicates
@@ -357,9 +745,57 @@ export default function App() {
       const rows = await apiFetch('/api/responses');
       // normalize
       setResponses((rows || []).map(r => ({ ...r, is_deleted: !!r.is_deleted })));
+      setHiringReloadKey(k => k + 1);
     } catch (err) { console.error('loadResponses', err); }
   }
 
+  const HIRING_PAGE_SIZE = 50;
+
+  function buildHiringQuery(cursor) {
+    const params = new URLSearchParams();
+    params.set('limit', String(HIRING_PAGE_SIZE));
+    params.set('deleted', hiringSubtab === 'disabled' ? 'true' : 'false');
+    params.set('sort', hiringSort);
+    filterOpenings.forEach(v => params.append('openingId', v));
+    filterLocations.forEach(v => params.append('location', v));
+    filterDepartments.forEach(v => params.append('department', v));
+    filterSources.forEach(v => params.append('source', v));
+    filterStatus.forEach(v => params.append('status', v));
+    if (searchQuery.trim()) params.set('q', searchQuery.trim());
+    if (filterCreatedFrom) params.set('createdFrom', filterCreatedFrom);
+    if (filterCreatedTo) params.set('createdTo', filterCreatedTo);
+    // facet counts only change with the filters, so fetch them with the first page only
+    if (cursor) params.set('cursor', cursor); else params.set('facets', 'true');
+    return params.toString();
+  }
+
+  // cursor = null loads the first page (replacing the list); otherwise appends the next page
+  async function loadHiringResponses(cursor = null) {
+    if (!localStorage.getItem('token')) return;
+    const seq = ++hiringRequestSeq.current;
+    setHiringLoading(true);
+    try {
+      const page = await apiFetch(`/api/responses?${buildHiringQuery(cursor)}`);
+      if (seq !== hiringRequestSeq.current) return; // superseded by a newer filter change
+      const items = (page.items || []).map(r => ({ ...r, is_deleted: !!r.is_deleted }));
+      setHiringResults(prev => cursor
+        ? { ...prev, items: [...prev.items, ...items], total: page.total || 0, nextCursor: page.nextCursor || null }
+        : { items, total: page.total || 0, nextCursor: page.nextCursor || null, facets: page.facets || null });
+    } catch (err) {
+      console.error('loadHiringResponses', err);
+    } finally {
+      if (seq === hiringRequestSeq.current) setHiringLoading(false);
+    }
+  }
+
+  // apply a local change to the full response list, the current Hiring page, the open candidate and the board
+  function updateResponsesLocally(mapFn) {
+    setResponses(prev => prev.map(mapFn));
+    setHiringResults(prev => ({ ...prev, items: prev.items.map(mapFn) }));
+    setSelectedResponse(prev => prev ? mapFn(prev) : prev);
+    setBoard(prev => ({ ...prev, items: prev.items.map(mapFn) }));
+  }
+
   async function loadForms() {
     try {
       if (!localStorage.getItem('token')) return;
@@ -375,7 +811,7 @@ export default function App() {
           if (looksLikeCollegeLabel(q.label)) return false;
           return true;
         });
-        const obj = { questions, meta: (f.data && f.data.meta) || {}, serverFormId: f.id, created_at: f.created_at, updated_at: f.updated_at, openingId: f.openingId };
+        const obj = { questions, meta: (f.data && f.data.meta) || {}, serverFormId: f.id, version: f.version, created_at: f.created_at, updated_at: f.updated_at, openingId: f.openingId };
         obj.meta.is_deleted = !!obj.meta.is_deleted;
         map[f.openingId] = ensureCoreFieldsInForm(obj);
       });
@@ -401,7 +837,7 @@ export default function App() {
      UI functions (create/edit/delete/publish/save)
   ------------------------- */
   function openCreate() {
-    setNewOpening({ title: "", location: "Delhi", department: "", preferredSources: [], durationMins: 30, is_deleted: false });
+    setNewOpening({ title: "", location: "Delhi", department: "", preferredSources: [], durationMins: 30, teamMemberIds: [], pipelineId: '', is_deleted: false });
     setShowCreate(true);
   }
 
@@ -413,6 +849,8 @@ export default function App() {
       department: newOpening.department,
       preferredSources: newOpening.preferredSources || [],
       durationMins: newOpening.durationMins,
+      teamMemberIds: newOpening.teamMemberIds || [],
+      pipelineId: newOpening.pipelineId || undefined,
       is_deleted: !!newOpening.is_deleted,
     };
 
@@ -423,7 +861,7 @@ export default function App() {
         setOpenings(s => [created, ...s]);
       } else {
         const res = await apiFetch('/api/openings', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-        created = { id: res.id, ...payload, createdAt: res.createdAt || new Date().toISOString() };
+        created = { id: res.id, ...payload, teamMemberIds: res.teamMemberIds || payload.teamMemberIds, pipelineId: res.pipelineId || null, createdAt: res.createdAt || new Date().toISOString(), version: res.version };
         setOpenings(s => [created, ...s]);
       }
       // initialize form with core + non-core template items
@@ -440,14 +878,24 @@ export default function App() {
     setShowEdit(true);
   }
 
-  function handleSaveEdit(e) {
+  async function handleSaveEdit(e) {
     e.preventDefault();
-    setOpenings((s) => s.map(op => op.id === editingOpening.id ? editingOpening : op));
-    if (localStorage.getItem('token')) {
-      apiFetch(`/api/openings/${editingOpening.id}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(editingOpening) })
-        .catch(err => console.error('Failed to persist opening edit', err));
-    }
+    const edited = editingOpening;
+    setOpenings((s) => s.map(op => op.id === edited.id ? edited : op));
     setShowEdit(false);
+    if (!localStorage.getItem('token')) return;
+    try {
+      const payload = { ...edited };
+      delete payload.version; // sent as If-Match instead
+      const result = await putVersioned(`/api/openings/${edited.id}`, payload, edited.version, { title: `Opening "${edited.title}"`, fields: OPENING_CONFLICT_FIELDS });
+      const next = result.saved || result.current;
+      setOpenings((s) => s.map(op => op.id === next.id ? { ...next, is_deleted: !!next.is_deleted } : op));
+      clearStageMappings(); // its pipeline may have changed
+    } catch (err) {
+      console.error('Failed to persist opening edit', err);
+      alert('Could not save opening: ' + (err?.body?.error || err.message || 'unknown'));
+      await loadOpenings();
+    }
   }
 
   // async function handleDeleteOpening(id) {
@@ -560,7 +1008,14 @@ export default function App() {
       const serverForm = (serverForms && serverForms.length) ? serverForms[0] : null;
       const payload = { openingId, data: { questions: questionsToSave, meta } };
       if (serverForm) {
-        await apiFetch(`/api/forms/${serverForm.id}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+        // only check the version if this editor was loaded from the same server form
+        const baseVersion = current.serverFormId === serverForm.id ? current.version : undefined;
+        const result = await putVersioned(`/api/forms/${serverForm.id}`, payload, baseVersion, { title: `Form for "${opening.title}"`, fields: FORM_CONFLICT_FIELDS });
+        if (result.discarded) {
+          await loadForms();
+          alert('Your changes were discarded; the form now shows the latest saved version.');
+          return;
+        }
       } else {
         await apiFetch(`/api/forms`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
       }
@@ -576,7 +1031,7 @@ export default function App() {
   async function handlePublishForm(openingId) {
     const opening = openings.find(o => o.id === openingId);
     if (!opening) return;
-    const formId = `form_${Date.now()}`;
+    const formId = `form_${Date.now()}_${uuidv4().slice(0, 8)}`;
     const sources = (opening.preferredSources && opening.preferredSources.length) ? opening.preferredSources : ["generic"];
     const shareLinks = {};
     sources.forEach(src => {
@@ -602,7 +1057,13 @@ export default function App() {
       const payload = { openingId, data: { questions: questionsToPublish, meta } };
 
       if (serverForm) {
-        await apiFetch(`/api/forms/${serverForm.id}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+        const baseVersion = current.serverFormId === serverForm.id ? current.version : undefined;
+        const result = await putVersioned(`/api/forms/${serverForm.id}`, payload, baseVersion, { title: `Form for "${opening.title}"`, fields: FORM_CONFLICT_FIELDS });
+        if (result.discarded) {
+          await loadForms();
+          alert('Publish cancelled; the form now shows the latest saved version.');
+          return;
+        }
       } else {
         await apiFetch(`/api/forms`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
       }
@@ -621,6 +1082,7 @@ export default function App() {
   // NEW: reset formValues when opening a public form so previous data is not reused
   function openPublicFormByLink(openingId, source) {
     setFormValues({}); // << reset stored values for a clean start
+    publicSubmitKey.current = null;
     // initialize page index to 0
     setPublicView({ openingId, source, submitted: false, page: 0 });
   }
@@ -674,6 +1136,7 @@ export default function App() {
   ------------------------- */
   async function handlePublicSubmit(e) {
     e.preventDefault();
+    if (publicSubmitInFlight.current) return; // ignore double-clicks while a submission is running
     const openingId = publicView.openingId;
     const source = publicView.source || 'unknown';
 
@@ -809,9 +1272,14 @@ export default function App() {
       // ignore debug failures
     }
 
+    // one Idempotency-Key per filled-in form: retries after a failure reuse it, so the server
+    // never stores the same application twice
+    if (!publicSubmitKey.current) publicSubmitKey.current = uuidv4();
+    publicSubmitInFlight.current = true;
     try {
       const resp = await fetch(`${API}/api/apply?opening=${encodeURIComponent(openingId)}&src=${encodeURIComponent(source)}`, {
         method: 'POST',
+        headers: { 'Idempotency-Key': publicSubmitKey.current },
         body: fd
       });
       const text = await resp.text().catch(() => null);
@@ -824,12 +1292,15 @@ export default function App() {
         throw new Error(message);
       }
       const resumeLink = data?.resumeLink || data?.link || null;
+      publicSubmitKey.current = null;
       setPublicView(prev => ({ ...prev, submitted: true, resumeLink }));
       alert('Application submitted successfully!' + (resumeLink ? ` Resume: ${resumeLink}` : ''));
       await loadResponses();
     } catch (err) {
       console.error('Submit error', err);
       alert('Submission failed: ' + (err.message || 'unknown error'));
+    } finally {
+      publicSubmitInFlight.current = false;
     }
   }
 
@@ -858,28 +1329,194 @@ export default function App() {
 
   /* -------------------------
      Hiring management helpers
+     - a status change can need fields the pipeline's rules ask for (rejection reason, interview
+       date, ...): the server answers missing_fields and the transition modal asks for them
   ------------------------- */
-  async function updateCandidateStatus(responseId, newStatus) {
+  const [transitionPrompt, setTransitionPrompt] = useState(null); // { title, fields: [{ key, label, type }], values, resolve }
+
+  function askTransitionFields(title, fields) {
+    return new Promise(resolve => setTransitionPrompt({ title, fields, values: {}, resolve }));
+  }
+  function resolveTransitionPrompt(values) {
+    if (transitionPrompt) transitionPrompt.resolve(values);
+    setTransitionPrompt(null);
+  }
+
+  function statusChangeErrorMessage(err) {
+    const body = err?.body || {};
+    if (body.error === 'transition_not_allowed') return `Candidates can't move from "${body.from}" to "${body.to}". Next stages: ${(body.allowed || []).join(', ') || 'none'}.`;
+    if (body.error === 'status_not_allowed_for_stage') return `"${body.stage}" doesn't have this status. Allowed: ${(body.allowed || []).join(', ')}.`;
+    if (body.error === 'stage_not_found') return `This opening's pipeline has no stage "${body.stage}".`;
+    if (body.error === 'invalid_field') return `Please check the value of ${body.field || 'the fields'}.`;
+    return body.error || err.message || 'unknown';
+  }
+
+  // PUT .../status; asks for the fields the pipeline requires and sends again. Resolves the server's
+  // answer, or { cancelled: true } when the user closes the modal
+  async function sendStatusChange(responseId, payload, title) {
+    try {
+      return await apiFetch(`/api/responses/${encodeURIComponent(responseId)}/status`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+    } catch (err) {
+      if (err.status !== 400 || err?.body?.error !== 'missing_fields') throw err;
+      const values = await askTransitionFields(title, err.body.fields || []);
+      if (!values) return { cancelled: true };
+      return sendStatusChange(responseId, { ...payload, fields: { ...(payload.fields || {}), ...values } }, title);
+    }
+  }
+
+  // newStage is optional; without newStatus the candidate gets the stage's default status
+  async function updateCandidateStatus(responseId, newStatus, newStage) {
+    const previous = responses.find(r => r.id === responseId) || hiringResults.items.find(r => r.id === responseId) || board.items.find(r => r.id === responseId);
     try {
-      setResponses(prev => prev.map(r => r.id === responseId ? { ...r, status: newStatus } : r));
+      updateResponsesLocally(r => r.id === responseId ? { ...r, ...(newStatus ? { status: newStatus } : {}), ...(newStage ? { stage: newStage } : {}) } : r);
       if (!localStorage.getItem('token')) {
         alert('Not signed-in: status changed locally only.');
         return;
       }
       const payload = { status: newStatus };
-      const res = await apiFetch(`/api/responses/${encodeURIComponent(responseId)}/status`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+      if (newStage) payload.stage = newStage;
+      const title = `${previous?.fullName || previous?.email || 'Candidate'}: ${[newStage, newStatus].filter(Boolean).join(' · ')}`;
+      const res = await sendStatusChange(responseId, payload, title);
+      if (res && res.cancelled) {
+        if (previous) updateResponsesLocally(r => r.id === responseId ? previous : r);
+        return;
+      }
       if (res && res.updatedResp) {
-        setResponses(prev => prev.map(r => r.id === responseId ? res.updatedResp : r));
+        updateResponsesLocally(r => r.id === responseId ? res.updatedResp : r);
+        if (selectedResponse && selectedResponse.id === responseId) loadCandidateHistory(responseId);
       } else {
         await loadResponses();
       }
     } catch (err) {
       console.error('Failed to update candidate status', err);
-      alert('Status update failed: ' + (err?.body?.error || err.message || 'unknown'));
+      alert('Status update failed: ' + statusChangeErrorMessage(err));
+      if (previous) updateResponsesLocally(r => r.id === responseId ? previous : r);
       await loadResponses();
     }
   }
 
+  // stage -> statuses of each opening's pipeline (GET /api/stage-status-mapping?opening=), loaded
+  // for the candidates on screen; drives the stage and status selects on Hiring cards and the modal
+  const [stageMappings, setStageMappings] = useState({}); // openingId -> { stage: [statuses] }
+  const stageMappingRequests = useRef({});
+
+  async function loadStageMapping(openingId) {
+    if (!openingId || stageMappingRequests.current[openingId]) return;
+    stageMappingRequests.current[openingId] = true;
+    try {
+      const mapping = await apiFetch(`/api/stage-status-mapping?opening=${encodeURIComponent(openingId)}`);
+      setStageMappings(prev => ({ ...prev, [openingId]: mapping || {} }));
+    } catch (err) {
+      console.error('loadStageMapping', openingId, err);
+      delete stageMappingRequests.current[openingId];
+    }
+  }
+  function clearStageMappings() {
+    stageMappingRequests.current = {};
+    setStageMappings({});
+  }
+
+  useEffect(() => {
+    if (!user || !can('pipeline.read')) return;
+    const openingIds = new Set([...hiringResults.items, ...(selectedResponse ? [selectedResponse] : [])].map(r => r.openingId));
+    openingIds.forEach(id => loadStageMapping(id));
+  }, [user, hiringResults.items, selectedResponse, stageMappings]);
+
+  // stage select + status select (the statuses of the chosen stage); a new stage goes with its
+  // default status, chosen by the server. A stage or status the pipeline no longer has stays
+  // listed so the current value shows.
+  function renderStageStatusPicker(resp, { layout = 'column' } = {}) {
+    const mapping = stageMappings[resp.openingId];
+    const stages = Object.keys(mapping || {});
+    if (resp.stage && !stages.includes(resp.stage)) stages.unshift(resp.stage);
+    const statuses = [...((mapping && mapping[resp.stage]) || [])];
+    if (resp.status && !statuses.includes(resp.status)) statuses.unshift(resp.status);
+    const disabled = !can('responses.status') || !mapping;
+    return (
+      <div onClick={(e) => e.stopPropagation()} className={layout === 'row' ? 'flex gap-3' : 'flex flex-col items-end gap-2'}>
+        <div className={layout === 'row' ? 'flex-1' : ''}>
+          <div className="text-xs text-gray-500 mb-1">Stage</div>
+          <select
+            value={resp.stage || ''}
+            onChange={(e) => updateCandidateStatus(resp.id, undefined, e.target.value)}
+            disabled={disabled}
+            className="border p-2 rounded w-full max-w-[200px] disabled:bg-gray-50"
+          >
+            {!resp.stage && <option value="">—</option>}
+            {stages.map(stage => <option key={stage} value={stage}>{stage}</option>)}
+          </select>
+        </div>
+        <div className={layout === 'row' ? 'flex-1' : ''}>
+          <div className="text-xs text-gray-500 mb-1">Status</div>
+          <select
+            value={resp.status || ''}
+            onChange={(e) => updateCandidateStatus(resp.id, e.target.value, resp.stage)}
+            disabled={disabled}
+            className="border p-2 rounded w-full max-w-[200px] disabled:bg-gray-50"
+          >
+            {!resp.status && <option value="">—</option>}
+            {statuses.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+      </div>
+    );
+  }
+
+  /* -------------------------
+     Board: one opening's active candidates in a column per stage of its pipeline
+     - dropping a card on another column moves the candidate to that stage at its default status
+       through updateCandidateStatus, which puts the card back when the pipeline refuses the move
+  ------------------------- */
+  const [board, setBoard] = useState({ openingId: null, loading: false, items: [] });
+  const [boardDrag, setBoardDrag] = useState({ responseId: null, overStage: null });
+
+  async function loadBoard(openingId) {
+    setBoard({ openingId, loading: !!openingId, items: [] });
+    if (!openingId) return;
+    try {
+      const items = [];
+      let cursor = null;
+      do {
+        const page = await apiFetch(`/api/responses?openingId=${encodeURIComponent(openingId)}&deleted=false&sort=createdAt&limit=200${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+        items.push(...(page.items || []));
+        cursor = page.nextCursor || null;
+      } while (cursor);
+      setBoard(prev => prev.openingId === openingId ? { openingId, loading: false, items } : prev);
+    } catch (err) {
+      console.error('loadBoard', err);
+      setBoard(prev => prev.openingId === openingId ? { ...prev, loading: false } : prev);
+    }
+  }
+
+  useEffect(() => {
+    if (activeTab !== 'board') return;
+    const openingId = board.openingId && openings.some(o => o.id === board.openingId) ? board.openingId : (openings.find(o => !o.is_deleted) || {}).id;
+    if (openingId) loadBoard(openingId);
+  }, [activeTab, user, openings.length]);
+
+  // the opening's pipeline (its own or the workspace default), as listed on the Pipelines page
+  function pipelineOfOpening(opening) {
+    const id = (opening && opening.pipelineId) || (user && user.workspace && user.workspace.defaultPipelineId);
+    return pipelines.items.find(p => p.id === id) || null;
+  }
+
+  function handleBoardDrop(stage) {
+    const responseId = boardDrag.responseId;
+    setBoardDrag({ responseId: null, overStage: null });
+    const resp = board.items.find(r => r.id === responseId);
+    if (!resp || resp.stage === stage.name) return;
+    updateCandidateStatus(resp.id, stage.defaultStatus, stage.name);
+  }
+
+  // chip colours for the status names the built-in pipeline uses; anything else is grey
+  function statusChipClass(status) {
+    if (['Rejected', 'Ghosted', 'Candidate Withdrew', 'Withdrew', 'Offer Declined', 'Offer Revoked'].includes(status)) return 'bg-red-100 text-red-700';
+    if (['On Hold', 'Slot Not Selected', 'To be rescheduled', 'No Show (To be rescheduled)', 'Feedback Pending'].includes(status)) return 'bg-yellow-100 text-yellow-800';
+    if (['Joined', 'Offer Accepted', 'To be joining'].includes(status)) return 'bg-green-100 text-green-700';
+    if (['Scheduled', 'Sent', 'Offered'].includes(status)) return 'bg-blue-100 text-blue-700';
+    return 'bg-gray-100 text-gray-700';
+  }
+
   /* -------------------------
      Toggle / Enable-Disable logic & propagation
      - opening -> form -> responses (propagate immediately)
@@ -924,7 +1561,7 @@ export default function App() {
       }
       return copy;
     });
-    setResponses(prev => prev.map(r => r.openingId === openingId ? { ...r, is_deleted: !!toDeleted } : r));
+    updateResponsesLocally(r => r.openingId === openingId ? { ...r, is_deleted: !!toDeleted } : r);
 
     // persist to server if signed in
     if (!localStorage.getItem('token')) {
@@ -981,7 +1618,7 @@ export default function App() {
 
   // Toggle response is_deleted independently
   async function toggleResponseDeleted(responseId, toDeleted) {
-    setResponses(prev => prev.map(r => r.id === responseId ? { ...r, is_deleted: !!toDeleted } : r));
+    updateResponsesLocally(r => r.id === responseId ? { ...r, is_deleted: !!toDeleted } : r);
     if (!localStorage.getItem('token')) {
       alert(`Response ${toDeleted ? 'disabled' : 'enabled'} locally (not persisted).`);
       return;
@@ -1071,43 +1708,19 @@ export default function App() {
   }
 
   /* -------------------------
-     Apply filters to responses (includes searchQuery)
+     Facet counts from the server for the Hiring filter sidebar
+     - appends "(count)" to each option and adds values only the server knows about
   ------------------------- */
-  const filteredResponses = useMemo(() => {
-    const q = (searchQuery || "").toLowerCase().trim();
-    return responses.filter(r => {
-      // filter by hiring subtab: show only active or disabled
-      if (hiringSubtab === 'active' && r.is_deleted) return false;
-      if (hiringSubtab === 'disabled' && !r.is_deleted) return false;
-
-      // Opening filter
-      if (filterOpenings.length > 0 && !filterOpenings.includes(r.openingId)) return false;
-      // Location filter -> find opening location
-      const op = openings.find(o => o.id === r.openingId) || {};
-      if (filterLocations.length > 0 && !filterLocations.includes((op.location || ''))) return false;
-      // Department
-      if (filterDepartments.length > 0 && !filterDepartments.includes((op.department || ''))) return false;
-      // Source
-      if (filterSources.length > 0 && !filterSources.includes((r.source || 'unknown'))) return false;
-      // Status
-      const status = (r.status || 'Applied');
-      if (filterStatus.length > 0 && !filterStatus.includes(status)) return false;
-
-      if (q) {
-        const name = (extractCandidateName(r) || "").toLowerCase();
-        const email = (extractCandidateEmail(r) || "").toLowerCase();
-        const college = (extractCandidateCollege(r) || "").toLowerCase();
-        const openingTitle = (op.title || "").toLowerCase();
-        const source = (r.source || "unknown").toLowerCase();
-        const id = (r.id || "").toLowerCase();
-
-        const match = name.includes(q) || email.includes(q) || college.includes(q) || openingTitle.includes(q) || source.includes(q) || id.includes(q);
-        if (!match) return false;
-      }
-
-      return true;
+  function withFacetCounts(options, facetRows) {
+    if (!facetRows) return options;
+    const counts = {};
+    facetRows.forEach(f => { counts[f.value] = f.count; });
+    const merged = [...options];
+    facetRows.forEach(f => {
+      if (!merged.some(o => o.value === f.value)) merged.push({ value: f.value, label: f.value || '—' });
     });
-  }, [responses, openings, filterOpenings, filterLocations, filterDepartments, filterSources, filterStatus, searchQuery, hiringSubtab]);
+    return merged.map(o => ({ ...o, label: `${o.label} (${counts[o.value] || 0})` }));
+  }
 
   /* -------------------------
      Jobs tab filtered openings
@@ -1133,69 +1746,692 @@ export default function App() {
   }, [openings, jobsSearch, jobsFilterLocations, jobsFilterDepartments, jobsSubtab]);
 
   /* -------------------------
-     Clear all helper functions for filters
+     Sync queue (admin): Google Sheets / Drive jobs from the server outbox
   ------------------------- */
-  function clearAllJobsFilters() {
-    setJobsSearch("");
-    setJobsFilterLocations([]);
-    setJobsFilterDepartments([]);
+  const [syncJobs, setSyncJobs] = useState({ loading: false, items: [], counts: {} });
+  const [syncStateFilter, setSyncStateFilter] = useState('failed');
+
+  async function loadSyncJobs() {
+    setSyncJobs(prev => ({ ...prev, loading: true }));
+    try {
+      const qs = syncStateFilter ? `?state=${encodeURIComponent(syncStateFilter)}` : '';
+      const page = await apiFetch(`/api/admin/jobs${qs}`);
+      setSyncJobs({ loading: false, items: page.items || [], counts: page.counts || {} });
+    } catch (err) {
+      console.error('loadSyncJobs', err);
+      setSyncJobs(prev => ({ ...prev, loading: false }));
+    }
   }
 
-  function clearAllHiringFilters() {
-    setSearchQuery("");
-    setFilterOpenings([]);
-    setFilterLocations([]);
-    setFilterDepartments([]);
-    setFilterSources([]);
-    setFilterStatus([]);
+  useEffect(() => {
+    if (can('system.manage') && activeTab === 'sync') loadSyncJobs();
+  }, [user, activeTab, syncStateFilter]);
+
+  async function handleSyncJobAction(job, action) {
+    if (action === 'discard' && !confirm('Discard this job? The update will not be sent to Google.')) return;
+    try {
+      await apiFetch(`/api/admin/jobs/${encodeURIComponent(job.id)}/${action}`, { method: 'POST' });
+    } catch (err) {
+      alert(`Could not ${action} job: ` + (err?.body?.error || err.message || 'unknown'));
+    }
+    loadSyncJobs();
+  }
+
+  function describeSyncJob(job) {
+    const payload = job.payload || {};
+    if (job.type === 'sheet.append') return `Add sheet row for ${payload.responseId}`;
+    if (job.type === 'sheet.status') return `Update sheet status for ${payload.responseId}`;
+    if (job.type === 'drive.permission') return `Share resume ${payload.fileId}`;
+    return job.type;
   }
 
   /* -------------------------
-     Render gating
+     Team (admin): invite users, change role, name/initials, deactivate
   ------------------------- */
-  if (!authChecked) {
+  const USER_ROLE_OPTIONS = [['admin', 'Admin'], ['recruiter', 'Recruiter'], ['hiring_manager', 'Hiring manager'], ['interviewer', 'Interviewer'], ['read_only', 'Read-only']];
+  const [teamUsers, setTeamUsers] = useState({ loading: false, items: [] });
+  const pendingAccessCount = teamUsers.items.filter(u => u.status === 'pending').length;
+  const [inviteForm, setInviteForm] = useState({ email: '', name: '', initials: '', role: 'recruiter' });
+  const [editingUser, setEditingUser] = useState(null); // { id, name, initials, version }
+
+  async function loadTeamUsers() {
+    setTeamUsers(prev => ({ ...prev, loading: true }));
+    try {
+      const rows = await apiFetch('/api/users');
+      setTeamUsers({ loading: false, items: rows || [] });
+    } catch (err) {
+      console.error('loadTeamUsers', err);
+      setTeamUsers(prev => ({ ...prev, loading: false }));
+    }
+  }
+
+  // also feeds the team member picker on openings
+  useEffect(() => {
+    if (can('users.read')) loadTeamUsers();
+  }, [user]);
+  useEffect(() => {
+    if (can('users.manage') && activeTab === 'team') loadTeamUsers();
+  }, [activeTab]);
+
+  // people who can be put on an opening's team: members of this workspace (its admins see every opening anyway)
+  function workspaceRoleOf(member) {
+    if (member.role === 'admin') return 'admin';
+    return (member.workspaceRoles || {})[user && user.workspace ? user.workspace.id : ''] || null;
+  }
+  function renderTeamMemberPicker(selectedIds, onChange) {
+    const selected = selectedIds || [];
+    const candidates = teamUsers.items.filter(u => u.status !== 'deactivated' && u.status !== 'pending' && workspaceRoleOf(u) && workspaceRoleOf(u) !== 'admin');
     return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="text-gray-600">Checking authentication…</div>
+      <div>
+        <label className="text-xs text-gray-600">Team members (admins see every opening)</label>
+        <div className="mt-2 flex gap-2 flex-wrap">
+          {candidates.length === 0 && <span className="text-xs text-gray-400">No non-admin members in this workspace yet.</span>}
+          {candidates.map(member => (
+            <button type="button" key={member.id} title={member.email} onClick={() => {
+              onChange(selected.includes(member.id) ? selected.filter(id => id !== member.id) : [...selected, member.id]);
+            }} className={`px-3 py-1 rounded ${selected.includes(member.id) ? 'bg-blue-600 text-white' : 'bg-gray-100'}`}>{member.name || member.email}</button>
+          ))}
+        </div>
       </div>
     );
   }
 
-  if (!user) {
-    return <LoginPage backendUrl={BACKEND} />;
+  function userErrorMessage(err) {
+    const code = err?.body?.error;
+    if (code === 'user_exists') return 'A user with this email already exists.';
+    if (code === 'invalid_email') return 'Please enter a valid email address.';
+    if (code === 'last_admin') return 'At least one active admin is required.';
+    if (code === 'version_conflict') return 'Someone else changed this user. The list has been refreshed.';
+    return code || err.message || 'unknown';
+  }
+
+  async function handleInviteUser(e) {
+    e.preventDefault();
+    try {
+      await apiFetch('/api/users', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(inviteForm) });
+      setInviteForm({ email: '', name: '', initials: '', role: 'recruiter' });
+      loadTeamUsers();
+    } catch (err) {
+      alert('Could not invite user: ' + userErrorMessage(err));
+    }
+  }
+
+  async function updateTeamUser(member, patch) {
+    try {
+      await apiFetch(`/api/users/${encodeURIComponent(member.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'If-Match': `"${member.version}"` },
+        body: JSON.stringify(patch)
+      });
+      if (member.id === user.id) setUser(await apiFetch('/api/me'));
+    } catch (err) {
+      alert('Could not update user: ' + userErrorMessage(err));
+    }
+    loadTeamUsers();
+  }
+
+  // emails a set/reset password link, or hands it to the admin when the server can't send email
+  async function handleSendPasswordLink(member) {
+    try {
+      const result = await apiFetch(`/api/users/${encodeURIComponent(member.id)}/password-reset`, { method: 'POST' });
+      if (result.emailed) alert(`A password link was emailed to ${member.email}.`);
+      else window.prompt(`Send this link to ${member.email} (valid for ${result.expiresInMinutes} minutes):`, result.resetLink);
+    } catch (err) {
+      alert('Could not create a password link: ' + userErrorMessage(err));
+    }
+  }
+
+  async function handleSaveUserEdit() {
+    if (!editingUser) return;
+    const member = teamUsers.items.find(u => u.id === editingUser.id);
+    setEditingUser(null);
+    if (member) await updateTeamUser(member, { name: editingUser.name, initials: editingUser.initials });
   }
 
   /* -------------------------
-     UI
+     Sessions: the signed-in user's own sessions, or (users.manage) another user's from the Team tab
   ------------------------- */
-  return (
-    <div className="min-h-screen bg-gray-50 text-gray-800 flex">
-      {/* Sidebar */}
-      <aside className="w-64 bg-gray-900 text-gray-100 p-6 flex flex-col justify-between h-screen sticky top-0">
-        <div>
-          <div className="flex items-center gap-3 mb-6">
-            <div className="w-24 h-16 rounded-full bg-blue-600 flex items-center justify-center font-bold">Hi!</div>
-            <div>
-              <div className="text-sm font-semibold">{user.name}</div>
-              {user ? (
-                <>
-                  <div className="text-xs opacity-80">{user.email} <span className="text-xs text-blue-300">({user.role})</span></div>
-                  <div className="mt-1">
-                    <button onClick={() => { localStorage.removeItem('token'); setUser(null); }} className="text-xs text-red-400">Sign out</button>
-                  </div>
-                </>
-              ) : (
-                <div className="text-xs opacity-80">
-                  <a href={`${BACKEND}/auth/google`} className="text-sm text-blue-300">Sign in with Google</a>
-                </div>
+  const [sessionsUserId, setSessionsUserId] = useState(null); // null = my sessions
+  const [sessionsList, setSessionsList] = useState({ loading: false, items: [] });
+
+  async function loadSessions() {
+    setSessionsList(prev => ({ ...prev, loading: true }));
+    try {
+      const rows = await apiFetch(sessionsUserId ? `/api/users/${encodeURIComponent(sessionsUserId)}/sessions` : '/api/sessions');
+      setSessionsList({ loading: false, items: rows || [] });
+    } catch (err) {
+      console.error('loadSessions', err);
+      setSessionsList(prev => ({ ...prev, loading: false }));
+    }
+  }
+
+  useEffect(() => {
+    if (user && activeTab === 'sessions') loadSessions();
+  }, [user, activeTab, sessionsUserId]);
+
+  async function handleRevokeSession(session) {
+    if (session.current) {
+      if (confirm('This is the session you are using now. Sign out?')) handleSignOut();
+      return;
+    }
+    try {
+      await apiFetch(`/api/sessions/${encodeURIComponent(session.id)}`, { method: 'DELETE' });
+    } catch (err) {
+      alert('Could not revoke session: ' + (err?.body?.error || err.message || 'unknown'));
+    }
+    loadSessions();
+  }
+
+  async function handleRevokeAllSessions() {
+    const member = sessionsUserId ? teamUsers.items.find(u => u.id === sessionsUserId) : null;
+    if (!confirm(member ? `Sign ${member.email} out everywhere?` : 'Sign out all your other sessions?')) return;
+    try {
+      await apiFetch(member ? `/api/users/${encodeURIComponent(member.id)}/sessions` : '/api/sessions', { method: 'DELETE' });
+    } catch (err) {
+      alert('Could not revoke sessions: ' + (err?.body?.error || err.message || 'unknown'));
+    }
+    loadSessions();
+  }
+
+  // own password (password sign-in); other sessions are signed out by the server
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '' });
+
+  async function handleChangePassword(e) {
+    e.preventDefault();
+    try {
+      await apiFetch('/api/me/password', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(passwordForm) });
+      setPasswordForm({ currentPassword: '', newPassword: '' });
+      setUser(await apiFetch('/api/me'));
+      alert('Password saved. Your other sessions were signed out.');
+      loadSessions();
+    } catch (err) {
+      const code = err?.body?.error;
+      alert('Could not change password: ' + (code === 'invalid_current_password' ? 'the current password is wrong.' : code === 'password_too_short' ? 'use at least 10 characters.' : (code || err.message || 'unknown')));
+    }
+  }
+
+  function describeSessionClient(session) {
+    const ua = session.userAgent || '';
+    const browser = /Edg\//.test(ua) ? 'Edge' : /Chrome\//.test(ua) ? 'Chrome' : /Firefox\//.test(ua) ? 'Firefox' : /Safari\//.test(ua) ? 'Safari' : (ua ? ua.slice(0, 40) : 'Unknown browser');
+    const os = /Windows/.test(ua) ? 'Windows' : /Mac OS X/.test(ua) ? 'macOS' : /Android/.test(ua) ? 'Android' : /iPhone|iPad/.test(ua) ? 'iOS' : /Linux/.test(ua) ? 'Linux' : '';
+    return os ? `${browser} on ${os}` : browser;
+  }
+
+  /* -------------------------
+     Backup / restore (admin)
+     - restore always runs as a dry run first; the diff is shown before anything is overwritten
+  ------------------------- */
+  const [backupIncludeUploads, setBackupIncludeUploads] = useState(false);
+  const [backupBusy, setBackupBusy] = useState(false);
+  const [restoreFile, setRestoreFile] = useState(null);
+  const [restoreMode, setRestoreMode] = useState('merge');
+  const [restorePlan, setRestorePlan] = useState(null); // dry-run (or final) result from the server
+
+  async function handleDownloadBackup() {
+    setBackupBusy(true);
+    try {
+      const res = await authFetch(`${API}/api/admin/backup${backupIncludeUploads ? '?uploads=1' : ''}`);
+      if (!res.ok) throw { status: res.status, body: await res.json().catch(() => null) };
+      const blob = await res.blob();
+      const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = match ? match[1] : 'hrtool-backup.json.gz';
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Could not create backup: ' + (err?.body?.error || err.message || 'unknown'));
+    } finally {
+      setBackupBusy(false);
+    }
+  }
+
+  async function runRestore(dryRun) {
+    if (!restoreFile) return;
+    if (!dryRun && !confirm(restoreMode === 'replace'
+      ? 'Restore this backup? Records that are not in the backup will be deleted. Other changes are refused until the restore finishes.'
+      : 'Restore this backup? Records with the same id will be overwritten. Other changes are refused until the restore finishes.')) return;
+    setBackupBusy(true);
+    try {
+      const fd = new FormData();
+      fd.append('backup', restoreFile);
+      const result = await apiFetch(`/api/admin/restore?mode=${restoreMode}${dryRun ? '&dryRun=1' : ''}`, { method: 'POST', body: fd });
+      setRestorePlan(result);
+      if (!dryRun) {
+        alert('Backup restored.');
+        loadOpenings();
+        setHiringReloadKey(k => k + 1);
+      }
+    } catch (err) {
+      alert('Restore failed: ' + (err?.body?.message || err?.body?.error || err.message || 'unknown'));
+    } finally {
+      setBackupBusy(false);
+    }
+  }
+
+  /* -------------------------
+     API keys (admin): named, scoped keys for scripts; the key is only shown right after creation
+  ------------------------- */
+  const API_KEY_SCOPE_LABELS = {
+    'openings.read': 'Read openings',
+    'openings.manage': 'Manage openings',
+    'forms.read': 'Read forms',
+    'questions.read': 'Read question bank',
+    'responses.read': 'Read responses',
+    'responses.status': 'Change response status',
+    'pipeline.read': 'Read pipeline',
+    'workspace.read': 'Read workspace settings'
+  };
+  const [apiKeys, setApiKeys] = useState({ loading: false, items: [], scopes: [] });
+  const [apiKeyForm, setApiKeyForm] = useState({ name: '', scopes: ['responses.read'], expiresInDays: '90' });
+  const [createdApiKey, setCreatedApiKey] = useState(null); // { name, key } until dismissed
+
+  async function loadApiKeys() {
+    setApiKeys(prev => ({ ...prev, loading: true }));
+    try {
+      const page = await apiFetch('/api/api-keys');
+      setApiKeys({ loading: false, items: page.items || [], scopes: page.scopes || [] });
+    } catch (err) {
+      console.error('loadApiKeys', err);
+      setApiKeys(prev => ({ ...prev, loading: false }));
+    }
+  }
+
+  useEffect(() => {
+    if (can('system.manage') && activeTab === 'apikeys') loadApiKeys();
+  }, [user, activeTab]);
+
+  async function handleCreateApiKey(e) {
+    e.preventDefault();
+    try {
+      const created = await apiFetch('/api/api-keys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: apiKeyForm.name, scopes: apiKeyForm.scopes, expiresInDays: apiKeyForm.expiresInDays || null })
+      });
+      setCreatedApiKey({ name: created.name, key: created.key });
+      setApiKeyForm({ name: '', scopes: ['responses.read'], expiresInDays: '90' });
+      loadApiKeys();
+    } catch (err) {
+      alert('Could not create API key: ' + (err?.body?.error || err.message || 'unknown'));
+    }
+  }
+
+  async function handleRevokeApiKey(apiKey) {
+    if (!confirm(`Revoke "${apiKey.name}"? Scripts using it stop working immediately.`)) return;
+    try {
+      await apiFetch(`/api/api-keys/${encodeURIComponent(apiKey.id)}`, { method: 'DELETE' });
+    } catch (err) {
+      alert('Could not revoke API key: ' + (err?.body?.error || err.message || 'unknown'));
+    }
+    loadApiKeys();
+  }
+
+  function apiKeyState(apiKey) {
+    if (apiKey.revokedAt) return 'revoked';
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return 'expired';
+    return 'active';
+  }
+
+  /* -------------------------
+     Pipelines: the stages (in order) of the workspace's hiring pipelines, each with its statuses and
+     the status candidates start at; every opening uses one (pipeline.manage edits them)
+  ------------------------- */
+  const [pipelines, setPipelines] = useState({ loading: false, items: [] });
+  const [pipelineDraft, setPipelineDraft] = useState(null); // { id (null = new), name, stages: [{ name, statusesText, defaultStatus, next, requiredFields }], version }
+  const [pipelineFields, setPipelineFields] = useState({}); // what transition rules can ask for: { key: { label, type } }
+  const PIPELINE_CONFLICT_FIELDS = [
+    { label: 'Name', get: d => d.name || '' },
+    { label: 'Stages', get: d => (d.stages || []).map(st => `${st.name}: ${(st.statuses || []).join(', ')}`).join(' | ') },
+    { label: 'Rules', get: d => (d.stages || []).map(st => `${st.name} → ${st.next ? st.next.join(', ') || 'none' : 'any'}; ${(st.requiredFields || []).map(r => `${r.field}${r.status ? ` (${r.status})` : ''}`).join(', ')}`).join(' | ') }
+  ];
+
+  async function loadPipelines() {
+    setPipelines(prev => ({ ...prev, loading: true }));
+    try {
+      const rows = await apiFetch('/api/pipelines');
+      setPipelines({ loading: false, items: rows || [] });
+      clearStageMappings(); // stages may have changed; the Hiring selects load them again
+      if (!Object.keys(pipelineFields).length) setPipelineFields(await apiFetch('/api/pipeline-fields'));
+    } catch (err) {
+      console.error('loadPipelines', err);
+      setPipelines(prev => ({ ...prev, loading: false }));
+    }
+  }
+
+  useEffect(() => {
+    if (can('pipeline.read')) loadPipelines();
+  }, [user]);
+
+  function pipelineErrorMessage(err) {
+    const body = err?.body || {};
+    if (body.error === 'stage_in_use') return `Candidates are still in ${body.stages.join(', ')}. Move them to another stage first.`;
+    if (body.error === 'pipeline_in_use') return `${body.openings} opening(s) still use this pipeline.`;
+    if (body.error === 'default_pipeline') return 'This is the workspace default; pick another default on the Workspace page first.';
+    if (body.error === 'duplicate_stage') return `The stage "${body.stage}" appears twice.`;
+    if (body.error === 'invalid_statuses' || body.error === 'duplicate_status') return `Check the statuses of "${body.stage}": at least one, no duplicates.`;
+    if (body.error === 'invalid_default_status') return `The default status of "${body.stage}" must be one of its statuses.`;
+    if (body.error === 'invalid_stage_name' || body.error === 'invalid_stages') return 'Every stage needs a name.';
+    if (body.error === 'invalid_next_stage') return `Check the next stages of "${body.stage}".`;
+    if (body.error === 'invalid_required_field') return `Check the required fields of "${body.stage}": each status must be one of its statuses.`;
+    if (body.error === 'missing_name') return 'Please enter a name.';
+    return body.error || err.message || 'unknown';
+  }
+
+  function pipelineToDraft(p) {
+    return { id: p.id || null, name: p.name || '', stages: (p.stages || []).map(st => ({ name: st.name, statusesText: st.statuses.join(', '), defaultStatus: st.defaultStatus, next: st.next || null, requiredFields: st.requiredFields || [] })), version: p.version };
+  }
+  function draftStatuses(stage) {
+    return stage.statusesText.split(',').map(x => x.trim()).filter(Boolean);
+  }
+  // renaming a stage keeps the other stages' "next" pointing at it
+  function updateDraftStage(index, patch) {
+    setPipelineDraft(d => {
+      const oldName = d.stages[index].name;
+      const rename = n => (patch.name !== undefined && n === oldName ? patch.name : n);
+      return { ...d, stages: d.stages.map((st, i) => i === index ? { ...st, ...patch } : { ...st, next: st.next ? st.next.map(rename) : null }) };
+    });
+  }
+  function removeDraftStage(index) {
+    setPipelineDraft(d => {
+      const name = d.stages[index].name;
+      return { ...d, stages: d.stages.filter((_, i) => i !== index).map(st => ({ ...st, next: st.next ? st.next.filter(n => n !== name) : null })) };
+    });
+  }
+  function toggleDraftNext(index, name) {
+    const stage = pipelineDraft.stages[index];
+    const next = stage.next || [];
+    updateDraftStage(index, { next: next.includes(name) ? next.filter(n => n !== name) : [...next, name] });
+  }
+  function updateDraftRule(index, ruleIndex, patch) {
+    const stage = pipelineDraft.stages[index];
+    updateDraftStage(index, { requiredFields: stage.requiredFields.map((r, i) => i === ruleIndex ? { ...r, ...patch } : r) });
+  }
+  function moveDraftStage(index, delta) {
+    setPipelineDraft(d => {
+      const stages = d.stages.slice();
+      const target = index + delta;
+      if (target < 0 || target >= stages.length) return d;
+      [stages[index], stages[target]] = [stages[target], stages[index]];
+      return { ...d, stages };
+    });
+  }
+
+  async function handleSavePipeline(e) {
+    e.preventDefault();
+    const draft = pipelineDraft;
+    const payload = {
+      name: draft.name,
+      stages: draft.stages.map(st => {
+        const statuses = draftStatuses(st);
+        return {
+          name: st.name,
+          statuses,
+          defaultStatus: statuses.includes(st.defaultStatus) ? st.defaultStatus : statuses[0],
+          next: st.next,
+          requiredFields: st.requiredFields.filter(r => !r.status || statuses.includes(r.status))
+        };
+      })
+    };
+    try {
+      let saved;
+      if (draft.id) {
+        const result = await putVersioned(`/api/pipelines/${encodeURIComponent(draft.id)}`, payload, draft.version, { title: `Pipeline "${draft.name}"`, fields: PIPELINE_CONFLICT_FIELDS });
+        saved = result.saved || result.current;
+      } else {
+        saved = await apiFetch('/api/pipelines', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+      }
+      setPipelineDraft(pipelineToDraft(saved));
+    } catch (err) {
+      alert('Could not save pipeline: ' + pipelineErrorMessage(err));
+    }
+    loadPipelines();
+  }
+
+  async function handleDeletePipeline() {
+    const draft = pipelineDraft;
+    if (!confirm(`Delete the pipeline "${draft.name}"?`)) return;
+    try {
+      await apiFetch(`/api/pipelines/${encodeURIComponent(draft.id)}`, { method: 'DELETE' });
+      setPipelineDraft(null);
+    } catch (err) {
+      alert('Could not delete pipeline: ' + pipelineErrorMessage(err));
+    }
+    loadPipelines();
+  }
+
+  // the pipeline select on the opening forms; allowDefault offers "the workspace default" (new openings)
+  function renderPipelinePicker(value, onChange, { allowDefault = false } = {}) {
+    const defaultPipeline = pipelines.items.find(p => user.workspace && p.id === user.workspace.defaultPipelineId);
+    return (
+      <div>
+        <label className="text-xs text-gray-600">Pipeline</label>
+        <select value={value || ''} onChange={(e) => onChange(e.target.value || null)} className="w-full mt-1 p-2 border rounded">
+          {(allowDefault || !value) && <option value="">Workspace default{defaultPipeline ? ` (${defaultPipeline.name})` : ''}</option>}
+          {pipelines.items.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+      </div>
+    );
+  }
+
+  /* -------------------------
+     Workspace (workspace.manage): settings of the current workspace and who belongs to it
+     - the default pipeline is the one new openings get (pipelines are edited on the Pipelines page)
+     - system.manage can also create and delete workspaces
+  ------------------------- */
+  const [workspaceForm, setWorkspaceForm] = useState(null); // { name, googleSheetId, googleSheetTab, googleDriveFolderId, defaultPipelineId, version }
+  const [workspaceMembers, setWorkspaceMembers] = useState({ loading: false, items: [] });
+  const [memberForm, setMemberForm] = useState({ email: '', role: 'recruiter' });
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const WORKSPACE_CONFLICT_FIELDS = [
+    { label: 'Name', get: d => d.name || '' },
+    { label: 'Google Sheet', get: d => `${d.googleSheetId || ''} / ${d.googleSheetTab || ''}` },
+    { label: 'Drive folder', get: d => d.googleDriveFolderId || '' },
+    { label: 'Default pipeline', get: d => (pipelines.items.find(p => p.id === d.defaultPipelineId) || {}).name || d.defaultPipelineId || '' }
+  ];
+
+  function workspaceErrorMessage(err) {
+    const code = err?.body?.error;
+    if (code === 'invalid_pipeline') return 'Please pick a pipeline of this workspace.';
+    if (code === 'missing_name') return 'Please enter a name.';
+    if (code === 'user_not_found') return 'There is no account with this email. Invite them on the Team page first.';
+    if (code === 'workspace_not_empty') {
+      const left = ['openings', 'forms', 'responses', 'questions', 'pipelines'].filter(k => err.body[k]).map(k => `${err.body[k]} ${k}`);
+      return `Delete or move what is still in it first (${left.join(', ')}; the default pipeline is deleted with the workspace).`;
+    }
+    if (code === 'last_workspace') return 'At least one workspace is required.';
+    return code || err.message || 'unknown';
+  }
+
+  function workspaceToForm(ws) {
+    return {
+      name: ws.name || '',
+      googleSheetId: ws.googleSheetId || '',
+      googleSheetTab: ws.googleSheetTab || '',
+      googleDriveFolderId: ws.googleDriveFolderId || '',
+      defaultPipelineId: ws.defaultPipelineId || '',
+      version: ws.version
+    };
+  }
+
+  async function loadWorkspaceSettings() {
+    try {
+      setWorkspaceForm(workspaceToForm(await apiFetch('/api/workspace')));
+    } catch (err) {
+      console.error('loadWorkspaceSettings', err);
+    }
+    setWorkspaceMembers(prev => ({ ...prev, loading: true }));
+    try {
+      const rows = await apiFetch('/api/workspace/members');
+      setWorkspaceMembers({ loading: false, items: rows || [] });
+    } catch (err) {
+      console.error('loadWorkspaceMembers', err);
+      setWorkspaceMembers(prev => ({ ...prev, loading: false }));
+    }
+  }
+
+  useEffect(() => {
+    if (can('workspace.manage') && activeTab === 'workspace') loadWorkspaceSettings();
+  }, [user, activeTab]);
+
+  async function handleSaveWorkspace(e) {
+    e.preventDefault();
+    const { version, ...fields } = workspaceForm;
+    try {
+      const result = await putVersioned('/api/workspace', fields, version, { title: `Workspace "${user.workspace.name}"`, fields: WORKSPACE_CONFLICT_FIELDS });
+      setWorkspaceForm(workspaceToForm(result.saved || result.current));
+      if (result.saved) setUser(await apiFetch('/api/me'));
+    } catch (err) {
+      alert('Could not save workspace: ' + workspaceErrorMessage(err));
+    }
+  }
+
+  async function handleAddWorkspaceMember(e) {
+    e.preventDefault();
+    try {
+      await apiFetch('/api/workspace/members', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(memberForm) });
+      setMemberForm({ email: '', role: 'recruiter' });
+    } catch (err) {
+      alert('Could not add member: ' + workspaceErrorMessage(err));
+    }
+    loadWorkspaceSettings();
+    loadTeamUsers();
+  }
+
+  async function updateWorkspaceMember(member, role) {
+    try {
+      if (role) await apiFetch(`/api/workspace/members/${encodeURIComponent(member.id)}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ role }) });
+      else await apiFetch(`/api/workspace/members/${encodeURIComponent(member.id)}`, { method: 'DELETE' });
+      if (member.id === user.id) await fetchProfile();
+    } catch (err) {
+      alert('Could not update member: ' + workspaceErrorMessage(err));
+    }
+    loadWorkspaceSettings();
+    loadTeamUsers();
+  }
+
+  async function handleCreateWorkspace(e) {
+    e.preventDefault();
+    try {
+      const created = await apiFetch('/api/workspaces', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: newWorkspaceName }) });
+      setNewWorkspaceName('');
+      switchWorkspace(created.id);
+    } catch (err) {
+      alert('Could not create workspace: ' + workspaceErrorMessage(err));
+    }
+  }
+
+  async function handleDeleteWorkspace() {
+    const ws = user.workspace;
+    if (!confirm(`Delete the workspace "${ws.name}"? Its API keys are revoked.`)) return;
+    try {
+      await apiFetch(`/api/workspaces/${encodeURIComponent(ws.id)}`, { method: 'DELETE' });
+      localStorage.removeItem('workspaceId');
+      setActiveTab('overview');
+      fetchProfile();
+    } catch (err) {
+      alert('Could not delete workspace: ' + workspaceErrorMessage(err));
+    }
+  }
+
+  /* -------------------------
+     Clear all helper functions for filters
+  ------------------------- */
+  function clearAllJobsFilters() {
+    setJobsSearch("");
+    setJobsFilterLocations([]);
+    setJobsFilterDepartments([]);
+  }
+
+  function clearAllHiringFilters() {
+    setSearchQuery("");
+    setFilterOpenings([]);
+    setFilterLocations([]);
+    setFilterDepartments([]);
+    setFilterSources([]);
+    setFilterStatus([]);
+    setFilterCreatedFrom("");
+    setFilterCreatedTo("");
+  }
+
+  /* -------------------------
+     Render gating
+  ------------------------- */
+  if (!authChecked) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-gray-600">Checking authentication…</div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginPage backendUrl={BACKEND} error={loginError} resetToken={pendingResetToken} onSignedIn={handleSignedIn} onResetDone={() => setPendingResetToken(null)} />;
+  }
+
+  /* -------------------------
+     UI
+  ------------------------- */
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-800 flex">
+      {/* Sidebar */}
+      <aside className="w-64 bg-gray-900 text-gray-100 p-6 flex flex-col justify-between h-screen sticky top-0">
+        <div>
+          <div className="flex items-center gap-3 mb-6">
+            <div className="w-24 h-16 rounded-full bg-blue-600 flex items-center justify-center font-bold">Hi!</div>
+            <div>
+              <div className="text-sm font-semibold">{user.name}</div>
+              {user ? (
+                <>
+                  <div className="text-xs opacity-80">{user.email} <span className="text-xs text-blue-300">({user.workspaceRole || user.role})</span></div>
+                  <div className="mt-1">
+                    <button onClick={handleSignOut} className="text-xs text-red-400">Sign out</button>
+                  </div>
+                </>
+              ) : (
+                <div className="text-xs opacity-80">
+                  <button onClick={() => startGoogleLogin(BACKEND)} className="text-sm text-blue-300">Sign in with Google</button>
+                </div>
               )}
             </div>
           </div>
 
+          {(user.workspaces || []).length > 1 ? (
+            <select value={user.workspace ? user.workspace.id : ''} onChange={(e) => switchWorkspace(e.target.value)} title="Workspace" className="w-full mb-4 p-2 rounded bg-gray-800 text-gray-100 text-sm">
+              {user.workspaces.map(ws => <option key={ws.id} value={ws.id}>{ws.name}</option>)}
+            </select>
+          ) : user.workspace && (
+            <div className="mb-4 px-3 text-xs uppercase tracking-wide text-gray-400">{user.workspace.name}</div>
+          )}
+
           <nav className="space-y-2">
             <div onClick={() => setActiveTab("overview")} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'overview' ? 'bg-gray-800' : ''}`}>{<Icon name="menu" />} Overview</div>
             <div onClick={() => setActiveTab("jobs")} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'jobs' ? 'bg-gray-800' : ''}`}>Jobs</div>
             <div onClick={() => setActiveTab("hiring")} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'hiring' ? 'bg-gray-800' : ''}`}>Hiring</div>
+            <div onClick={() => setActiveTab("board")} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'board' ? 'bg-gray-800' : ''}`}>Board</div>
+            <div onClick={() => { setSessionsUserId(null); setActiveTab("sessions"); }} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'sessions' ? 'bg-gray-800' : ''}`}>Sessions</div>
+            {can('system.manage') && (
+              <div onClick={() => setActiveTab("sync")} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'sync' ? 'bg-gray-800' : ''}`}>
+                Sync queue
+                {syncJobs.counts.failed > 0 && <span className="ml-auto text-xs bg-red-600 text-white rounded-full px-2">{syncJobs.counts.failed}</span>}
+              </div>
+            )}
+            {can('pipeline.manage') && (
+              <div onClick={() => setActiveTab("pipelines")} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'pipelines' ? 'bg-gray-800' : ''}`}>Pipelines</div>
+            )}
+            {can('workspace.manage') && (
+              <div onClick={() => setActiveTab("workspace")} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'workspace' ? 'bg-gray-800' : ''}`}>Workspace</div>
+            )}
+            {can('users.manage') && (
+              <div onClick={() => setActiveTab("team")} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'team' ? 'bg-gray-800' : ''}`}>Team{pendingAccessCount > 0 && <span className="ml-auto text-xs bg-yellow-500 text-gray-900 rounded-full px-2">{pendingAccessCount}</span>}</div>
+            )}
+            {can('system.manage') && (
+              <div onClick={() => setActiveTab("apikeys")} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'apikeys' ? 'bg-gray-800' : ''}`}>API keys</div>
+            )}
+            {can('system.manage') && (
+              <div onClick={() => setActiveTab("backup")} className={`flex items-center gap-3 py-2 px-3 rounded-md cursor-pointer ${activeTab === 'backup' ? 'bg-gray-800' : ''}`}>Backup</div>
+            )}
           </nav>
         </div>
       </aside>
@@ -1226,10 +2462,10 @@ export default function App() {
                             <div className="text-right">
                               <div className="text-xs text-gray-500">Responses: {responses.filter(r => r.openingId === op.id && !r.is_deleted).length}</div>
                               <div className="mt-2 flex gap-2 items-center justify-end">
-                                <button onClick={() => handleEditOpeningOpen(op)} className="px-2 py-1 border rounded text-sm">Edit</button>
-                                <button onClick={() => openFormModal(op.id)} className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Open Form Editor</button>
+                                {can('openings.manage') && <button onClick={() => handleEditOpeningOpen(op)} className="px-2 py-1 border rounded text-sm">Edit</button>}
+                                {can('forms.manage') && <button onClick={() => openFormModal(op.id)} className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Open Form Editor</button>}
                               </div>
-                              <div className="mt-2 text-xs">
+                              {can('openings.manage') && <div className="mt-2 text-xs">
                                 <label className="inline-flex items-center gap-2">
                                   <input type="checkbox" checked={!op.is_deleted} onChange={(e) => {
                                     const toDeleted = !e.target.checked;
@@ -1238,7 +2474,7 @@ export default function App() {
                                   }} />
                                   <span className="text-xs text-gray-300">{op.is_deleted ? 'Disabled' : 'Active'}</span>
                                 </label>
-                              </div>
+                              </div>}
                             </div>
                           </div>
                         </div>
@@ -1315,7 +2551,7 @@ export default function App() {
                   <button onClick={() => setJobsSubtab('disabled')} className={`px-3 py-1 rounded ${jobsSubtab === 'disabled' ? 'bg-gray-800 text-white' : 'bg-white border'}`}>Disabled</button>
                 </div>
               </div>
-              <button onClick={openCreate} className="bg-blue-600 text-white px-4 py-2 rounded inline-flex items-center gap-2">{<Icon name="plus" />} New Opening</button>
+              {can('openings.manage') && <button onClick={openCreate} className="bg-blue-600 text-white px-4 py-2 rounded inline-flex items-center gap-2">{<Icon name="plus" />} New Opening</button>}
             </header>
 
             <div className="grid grid-cols-3 gap-6 h-[calc(100vh-6rem)] min-h-0">
@@ -1342,18 +2578,30 @@ export default function App() {
                         <div>
                           <div className="font-semibold">{op.title}</div>
                           <div className="text-sm text-gray-500">{op.department} • {op.location}</div>
+                          {(op.teamMemberIds || []).length > 0 && (
+                            <div className="mt-1 flex gap-1">
+                              {op.teamMemberIds.map(id => {
+                                const member = teamUsers.items.find(u => u.id === id);
+                                return <span key={id} title={member ? (member.name || member.email) : id} className="w-6 h-6 rounded-full bg-gray-200 text-[10px] font-semibold flex items-center justify-center">{member ? member.initials : '?'}</span>;
+                              })}
+                            </div>
+                          )}
                         </div>
                         <div className="flex items-center gap-3">
-                          <button onClick={() => handleEditOpeningOpen(op)} className="px-3 py-1 border rounded">Edit</button>
-                          <button onClick={() => openFormModal(op.id)} className="px-3 py-1 bg-blue-600 text-white rounded">Form Editor</button>
-                          <label className="inline-flex items-center gap-2">
-                            <input type="checkbox" checked={!op.is_deleted} onChange={(e) => {
-                              const toDeleted = !e.target.checked;
-                              if (toDeleted) requestDisableOpening(op.id);
-                              else toggleOpeningDeleted(op.id, false);
-                            }} />
+                          {can('openings.manage') && <button onClick={() => handleEditOpeningOpen(op)} className="px-3 py-1 border rounded">Edit</button>}
+                          {can('forms.manage') && <button onClick={() => openFormModal(op.id)} className="px-3 py-1 bg-blue-600 text-white rounded">Form Editor</button>}
+                          {can('openings.manage') ? (
+                            <label className="inline-flex items-center gap-2">
+                              <input type="checkbox" checked={!op.is_deleted} onChange={(e) => {
+                                const toDeleted = !e.target.checked;
+                                if (toDeleted) requestDisableOpening(op.id);
+                                else toggleOpeningDeleted(op.id, false);
+                              }} />
+                              <span className="text-xs">{op.is_deleted ? 'Disabled' : 'Active'}</span>
+                            </label>
+                          ) : (
                             <span className="text-xs">{op.is_deleted ? 'Disabled' : 'Active'}</span>
-                          </label>
+                          )}
 {/*                           <button onClick={() => handleDeleteOpening(op.id)} className="text-red-600 flex items-center gap-1"><Icon name="trash" /> Delete</button> */}
                         </div>
                       </div>
@@ -1417,14 +2665,17 @@ export default function App() {
                     />
                     <div className="text-xs text-gray-400 mt-2">Search searches name, email, college, opening title, source and response id.</div>
                   </div>
-                  <h2 className="font-semibold mb-0">Candidates ({hiringSubtab === 'active' ? 'Active' : 'Disabled'})</h2>
+                  <div className="flex items-center justify-between">
+                    <h2 className="font-semibold mb-0">Candidates ({hiringSubtab === 'active' ? 'Active' : 'Disabled'})</h2>
+                    <div className="text-sm text-gray-500">{hiringLoading ? 'Loading…' : `Showing ${hiringResults.items.length} of ${hiringResults.total}`}</div>
+                  </div>
                 </div>
 
                 <div className="p-6 overflow-auto" style={{ flex: 1, minHeight: 0 }}>
                   <div className="space-y-4">
-                    {filteredResponses.length === 0 && <div className="text-sm text-gray-500">No candidates match the selected filters or search.</div>}
+                    {!hiringLoading && hiringResults.items.length === 0 && <div className="text-sm text-gray-500">No candidates match the selected filters or search.</div>}
 
-                    {filteredResponses.map(resp => {
+                    {hiringResults.items.map(resp => {
                       const opening = openings.find(o => o.id === resp.openingId) || {};
                       const candidateName = resp.fullName || (resp.answers && (resp.answers.fullname || resp.answers.name)) || 'Candidate';
                       const candidateEmail = (resp.email || (resp.answers && resp.answers.email) || '').trim();
@@ -1459,45 +2710,43 @@ export default function App() {
                             </div>
 
                             <div className="w-[200px] flex flex-col items-end">
-                              <div className="text-xs text-gray-500 mb-1">Status</div>
-                              <select
-                                onClick={(e) => e.stopPropagation()}
-                                value={resp.status || 'Applied'}
-                                onChange={(e) => updateCandidateStatus(resp.id, e.target.value)}
-                                className="border p-2 rounded"
-                              >
-                                <option>Applied</option>
-                                <option>Screening</option>
-                                <option>Interview</option>
-                                <option>Offer</option>
-                                <option>Hired</option>
-                                <option>Rejected</option>
-                              </select>
-
-                              <div className="mt-3 text-xs">
-                                <label className="inline-flex items-center gap-2">
-                                  <input
-                                    onClick={(e) => e.stopPropagation()}
-                                    type="checkbox"
-                                    checked={!resp.is_deleted}
-                                    onChange={(e) => {
-                                      const toDeleted = !e.target.checked;
-                                      toggleResponseDeleted(resp.id, toDeleted);
-                                    }}
-                                  />
-                                  <span className="text-xs">{resp.is_deleted ? 'Disabled' : 'Active'}</span>
-                                </label>
-                              </div>
+                              {renderStageStatusPicker(resp)}
+
+                              {can('responses.edit') && (
+                                <div className="mt-3 text-xs">
+                                  <label className="inline-flex items-center gap-2">
+                                    <input
+                                      onClick={(e) => e.stopPropagation()}
+                                      type="checkbox"
+                                      checked={!resp.is_deleted}
+                                      onChange={(e) => {
+                                        const toDeleted = !e.target.checked;
+                                        toggleResponseDeleted(resp.id, toDeleted);
+                                      }}
+                                    />
+                                    <span className="text-xs">{resp.is_deleted ? 'Disabled' : 'Active'}</span>
+                                  </label>
+                                </div>
+                              )}
                             </div>
                           </div>
 
                           <div className="absolute right-6 bottom-4 text-sm text-gray-500">
+                            {timeInStage(resp) ? <span className="mr-3">In {resp.stage || 'stage'} for {timeInStage(resp)}</span> : null}
                             Applied at: {resp.createdAt ? new Date(resp.createdAt).toLocaleString() : ''}
                           </div>
                         </div>
                       );
                     })}
 
+                    {hiringResults.nextCursor && (
+                      <div className="flex justify-center">
+                        <button onClick={() => loadHiringResponses(hiringResults.nextCursor)} disabled={hiringLoading} className="px-4 py-2 border rounded bg-white hover:shadow text-sm">
+                          {hiringLoading ? 'Loading…' : 'Load more'}
+                        </button>
+                      </div>
+                    )}
+
                     <div style={{ height: 40 }} />
                   </div>
                 </div>
@@ -1510,9 +2759,19 @@ export default function App() {
                 </div>
 
                 <div className="space-y-4">
+                  <div>
+                    <div className="text-sm font-medium">Sort by</div>
+                    <select value={hiringSort} onChange={(e) => setHiringSort(e.target.value)} className="mt-2 w-full px-4 py-3 border rounded bg-white text-sm">
+                      <option value="-createdAt">Newest applications</option>
+                      <option value="createdAt">Oldest applications</option>
+                      <option value="-updatedAt">Recently updated</option>
+                      <option value="fullName">Name (A–Z)</option>
+                    </select>
+                  </div>
+
                   <MultiSelectDropdown
                     label="Opening"
-                    options={openingOptions}
+                    options={withFacetCounts(openingOptions, hiringResults.facets?.opening)}
                     selected={filterOpenings}
                     onChange={setFilterOpenings}
                     placeholder="All Opening"
@@ -1521,7 +2780,7 @@ export default function App() {
 
                   <MultiSelectDropdown
                     label="Location"
-                    options={locationOptions}
+                    options={withFacetCounts(locationOptions, hiringResults.facets?.location)}
                     selected={filterLocations}
                     onChange={setFilterLocations}
                     placeholder="All Location"
@@ -1530,7 +2789,7 @@ export default function App() {
 
                   <MultiSelectDropdown
                     label="Department"
-                    options={departmentOptions}
+                    options={withFacetCounts(departmentOptions, hiringResults.facets?.department)}
                     selected={filterDepartments}
                     onChange={setFilterDepartments}
                     placeholder="All Department"
@@ -1539,7 +2798,7 @@ export default function App() {
 
                   <MultiSelectDropdown
                     label="Source"
-                    options={sourceOptions}
+                    options={withFacetCounts(sourceOptions, hiringResults.facets?.source)}
                     selected={filterSources}
                     onChange={setFilterSources}
                     placeholder="All Source"
@@ -1548,17 +2807,570 @@ export default function App() {
 
                   <MultiSelectDropdown
                     label="Status"
-                    options={statusOptions}
+                    options={withFacetCounts(statusOptions, hiringResults.facets?.status)}
                     selected={filterStatus}
                     onChange={setFilterStatus}
                     placeholder="All Status"
                     searchEnabled={false}
                   />
+
+                  <div>
+                    <div className="text-sm font-medium">Applied between</div>
+                    <div className="mt-2 grid grid-cols-2 gap-2">
+                      <input type="date" value={filterCreatedFrom} onChange={(e) => setFilterCreatedFrom(e.target.value)} className="border p-2 rounded text-sm" />
+                      <input type="date" value={filterCreatedTo} onChange={(e) => setFilterCreatedTo(e.target.value)} className="border p-2 rounded text-sm" />
+                    </div>
+                  </div>
                 </div>
               </aside>
             </div>
           </>
         )}
+
+        {activeTab === "board" && (() => {
+          const opening = openings.find(o => o.id === board.openingId) || null;
+          const pipeline = pipelineOfOpening(opening);
+          const stages = pipeline ? pipeline.stages.slice() : [];
+          // candidates in a stage the pipeline no longer has get a column of their own, at the end
+          board.items.forEach(r => {
+            if (r.stage && !stages.some(st => st.name === r.stage)) stages.push({ name: r.stage, statuses: [], defaultStatus: null, unknown: true });
+          });
+          const canMove = can('responses.status');
+          return (
+            <>
+              <div className="flex items-center justify-between mb-6">
+                <div>
+                  <h1 className="text-2xl font-semibold">Board</h1>
+                  <div className="text-sm text-gray-500 mt-1">{canMove ? 'Drag a candidate to another stage to move them there at its default status.' : 'Candidates per stage of the opening\'s pipeline.'}</div>
+                </div>
+                <div className="flex items-center gap-3">
+                  <select value={board.openingId || ''} onChange={(e) => loadBoard(e.target.value || null)} className="border p-2 rounded bg-white">
+                    {!board.openingId && <option value="">Choose an opening</option>}
+                    {openings.filter(o => !o.is_deleted || o.id === board.openingId).map(o => <option key={o.id} value={o.id}>{o.title}{o.location ? ` · ${o.location}` : ''}</option>)}
+                  </select>
+                  <button onClick={() => loadBoard(board.openingId)} disabled={!board.openingId || board.loading} className="px-3 py-2 border rounded bg-white text-sm">Refresh</button>
+                </div>
+              </div>
+
+              {!board.openingId && <div className="text-sm text-gray-500">No openings yet.</div>}
+              {board.openingId && !pipeline && <div className="text-sm text-gray-500">{pipelines.loading ? 'Loading pipeline…' : 'This opening\'s pipeline could not be found.'}</div>}
+              {board.openingId && pipeline && (
+                <div className="flex gap-4 overflow-x-auto pb-4 h-[calc(100vh-10rem)] min-h-0">
+                  {stages.map(stage => {
+                    const cards = board.items.filter(r => r.stage === stage.name);
+                    const isTarget = boardDrag.overStage === stage.name && !stage.unknown;
+                    return (
+                      <div
+                        key={stage.name}
+                        onDragOver={(e) => { if (!canMove || stage.unknown || !boardDrag.responseId) return; e.preventDefault(); if (boardDrag.overStage !== stage.name) setBoardDrag(d => ({ ...d, overStage: stage.name })); }}
+                        onDragLeave={() => setBoardDrag(d => d.overStage === stage.name ? { ...d, overStage: null } : d)}
+                        onDrop={(e) => { e.preventDefault(); handleBoardDrop(stage); }}
+                        className={`w-72 flex-shrink-0 rounded-lg flex flex-col min-h-0 ${isTarget ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-gray-100'}`}
+                      >
+                        <div className="p-3 flex items-center justify-between">
+                          <div className="font-semibold text-sm">{stage.name}{stage.unknown ? <span className="text-xs text-gray-500 font-normal"> (not in pipeline)</span> : null}</div>
+                          <span className="text-xs text-gray-500">{cards.length}</span>
+                        </div>
+                        <div className="px-3 pb-3 space-y-2 overflow-auto" style={{ flex: 1, minHeight: 0 }}>
+                          {board.loading && <div className="text-xs text-gray-400">Loading…</div>}
+                          {cards.map(resp => (
+                            <div
+                              key={resp.id}
+                              draggable={canMove}
+                              onDragStart={(e) => { e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', resp.id); setBoardDrag({ responseId: resp.id, overStage: null }); }}
+                              onDragEnd={() => setBoardDrag({ responseId: null, overStage: null })}
+                              onClick={() => openResponseModal(resp)}
+                              className={`p-3 bg-white rounded shadow-sm cursor-pointer ${boardDrag.responseId === resp.id ? 'opacity-50' : ''}`}
+                            >
+                              <div className="font-medium text-sm break-words">{resp.fullName || (resp.answers && (resp.answers.fullname || resp.answers.name)) || 'Candidate'}</div>
+                              <div className="text-xs text-gray-500 break-all">{extractCandidateEmail(resp)}</div>
+                              <div className="mt-2 flex items-center justify-between gap-2">
+                                <span className={`text-xs px-2 py-0.5 rounded-full ${statusChipClass(resp.status)}`}>{resp.status || '—'}</span>
+                                {timeInStage(resp) ? <span className="text-xs text-gray-400">{timeInStage(resp)}</span> : null}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </>
+          );
+        })()}
+
+        {activeTab === "sync" && can('system.manage') && (
+          <>
+            <header className="flex items-center justify-between mb-6">
+              <div>
+                <h1 className="text-2xl font-semibold">Sync queue</h1>
+                <div className="text-sm text-gray-500 mt-1">Google Sheets and Drive updates are retried automatically; jobs that keep failing stop here.</div>
+                <div className="mt-2 flex items-center gap-3 text-sm">
+                  {[['failed', 'Failed'], ['pending', 'Pending'], ['running', 'Running'], ['done', 'Done'], ['discarded', 'Discarded'], ['', 'All']].map(([key, label]) => (
+                    <button key={key || 'all'} onClick={() => setSyncStateFilter(key)} className={`px-3 py-1 rounded ${syncStateFilter === key ? 'bg-gray-800 text-white' : 'bg-white border'}`}>
+                      {label}{key && syncJobs.counts[key] ? ` (${syncJobs.counts[key]})` : ''}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <button onClick={loadSyncJobs} className="px-4 py-2 rounded border bg-white">Refresh</button>
+            </header>
+
+            <div className="bg-white rounded-lg shadow-sm">
+              {syncJobs.loading && syncJobs.items.length === 0 && <div className="p-6 text-sm text-gray-500">Loading…</div>}
+              {!syncJobs.loading && syncJobs.items.length === 0 && <div className="p-6 text-sm text-gray-500">No jobs here.</div>}
+              {syncJobs.items.map(job => (
+                <div key={job.id} className="p-4 border-b last:border-b-0 flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="font-medium">{describeSyncJob(job)}</div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      {job.type} · {job.state} · attempt {job.attempts}/{job.maxAttempts} · created {new Date(job.createdAt).toLocaleString()}
+                      {job.state === 'pending' && job.runAt ? ` · next try ${new Date(job.runAt).toLocaleString()}` : ''}
+                    </div>
+                    {job.lastError && <div className="text-xs text-red-600 mt-1 break-all">{job.lastError}</div>}
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    {['failed', 'pending', 'discarded'].includes(job.state) && (
+                      <button onClick={() => handleSyncJobAction(job, 'retry')} className="px-3 py-1 rounded border text-sm">Retry now</button>
+                    )}
+                    {['failed', 'pending'].includes(job.state) && (
+                      <button onClick={() => handleSyncJobAction(job, 'discard')} className="px-3 py-1 rounded border text-sm text-red-600">Discard</button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {activeTab === "pipelines" && can('pipeline.manage') && (
+          <>
+            <header className="mb-6 flex items-center justify-between">
+              <div>
+                <h1 className="text-2xl font-semibold">Pipelines</h1>
+                <div className="text-sm text-gray-500 mt-1">The stages candidates move through, in order. Each stage lists the statuses a candidate can have in it (they start at its default status), the stages they may move on to, and what must be filled in on the way. Every opening uses one pipeline.</div>
+              </div>
+              <button onClick={() => setPipelineDraft({ id: null, name: '', stages: [{ name: 'Applied', statusesText: 'Pending, Rejected', defaultStatus: 'Pending', next: null, requiredFields: [] }], version: null })} className="bg-blue-600 text-white px-4 py-2 rounded inline-flex items-center gap-2">{<Icon name="plus" />} New pipeline</button>
+            </header>
+
+            <div className="flex gap-6">
+              <div className="w-64 bg-white rounded-lg shadow-sm self-start">
+                {pipelines.loading && pipelines.items.length === 0 && <div className="p-4 text-sm text-gray-500">Loading…</div>}
+                {pipelines.items.map(p => (
+                  <div key={p.id} onClick={() => setPipelineDraft(pipelineToDraft(p))} className={`p-3 border-b last:border-b-0 cursor-pointer ${pipelineDraft && pipelineDraft.id === p.id ? 'bg-blue-50' : ''}`}>
+                    <div className="font-medium">{p.name}</div>
+                    <div className="text-xs text-gray-500">{p.stages.length} stages{user.workspace && user.workspace.defaultPipelineId === p.id ? ' · workspace default' : ''}</div>
+                  </div>
+                ))}
+              </div>
+
+              {pipelineDraft ? (
+                <form onSubmit={handleSavePipeline} className="flex-1 bg-white rounded-lg shadow-sm p-4 space-y-3">
+                  <div>
+                    <label className="text-xs text-gray-600">Name</label>
+                    <input required value={pipelineDraft.name} placeholder="e.g. Internships" onChange={(e) => setPipelineDraft({ ...pipelineDraft, name: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+                  </div>
+                  {pipelineDraft.stages.map((stage, index) => (
+                    <div key={index} className="border rounded p-3 space-y-3">
+                      <div className="flex items-start gap-3">
+                        <div className="text-sm text-gray-400 w-6 pt-7">{index + 1}.</div>
+                        <div className="w-48">
+                          <label className="text-xs text-gray-600">Stage</label>
+                          <input required value={stage.name} onChange={(e) => updateDraftStage(index, { name: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+                        </div>
+                        <div className="flex-1">
+                          <label className="text-xs text-gray-600">Statuses (comma separated)</label>
+                          <input required value={stage.statusesText} onChange={(e) => updateDraftStage(index, { statusesText: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+                        </div>
+                        <div className="w-40">
+                          <label className="text-xs text-gray-600">Default</label>
+                          <select value={draftStatuses(stage).includes(stage.defaultStatus) ? stage.defaultStatus : draftStatuses(stage)[0] || ''} onChange={(e) => updateDraftStage(index, { defaultStatus: e.target.value })} className="w-full mt-1 p-2 border rounded">
+                            {draftStatuses(stage).map(st => <option key={st} value={st}>{st}</option>)}
+                          </select>
+                        </div>
+                        <div className="flex gap-1 pt-6">
+                          <button type="button" onClick={() => moveDraftStage(index, -1)} disabled={index === 0} className="px-2 py-1 border rounded text-sm disabled:opacity-40">↑</button>
+                          <button type="button" onClick={() => moveDraftStage(index, 1)} disabled={index === pipelineDraft.stages.length - 1} className="px-2 py-1 border rounded text-sm disabled:opacity-40">↓</button>
+                          <button type="button" onClick={() => removeDraftStage(index)} disabled={pipelineDraft.stages.length <= 1} className="px-2 py-1 border rounded text-sm text-red-600 disabled:opacity-40">Remove</button>
+                        </div>
+                      </div>
+                      <div className="pl-9">
+                        <div className="flex items-center gap-2 flex-wrap">
+                          <span className="text-xs text-gray-600 w-24">Next stages</span>
+                          <label className="inline-flex items-center gap-1 text-sm">
+                            <input type="checkbox" checked={!stage.next} onChange={(e) => updateDraftStage(index, { next: e.target.checked ? null : [] })} /> Any
+                          </label>
+                          {stage.next && pipelineDraft.stages.filter(other => other.name && other.name !== stage.name).map(other => (
+                            <button type="button" key={other.name} onClick={() => toggleDraftNext(index, other.name)} className={`px-2 py-0.5 rounded text-sm ${stage.next.includes(other.name) ? 'bg-blue-600 text-white' : 'bg-gray-100'}`}>{other.name}</button>
+                          ))}
+                          {stage.next && stage.next.length === 0 && <span className="text-xs text-gray-400">none: candidates stay in this stage</span>}
+                        </div>
+                        <div className="mt-2 space-y-1">
+                          {stage.requiredFields.map((rule, ruleIndex) => (
+                            <div key={ruleIndex} className="flex items-center gap-2 text-sm">
+                              <span className="text-xs text-gray-600 w-24">{ruleIndex === 0 ? 'Ask for' : ''}</span>
+                              <select value={rule.field} onChange={(e) => updateDraftRule(index, ruleIndex, { field: e.target.value })} className="p-1 border rounded text-sm">
+                                {Object.entries(pipelineFields).map(([key, def]) => <option key={key} value={key}>{def.label}</option>)}
+                              </select>
+                              <span className="text-gray-500">when</span>
+                              <select value={rule.status || ''} onChange={(e) => updateDraftRule(index, ruleIndex, { status: e.target.value || null })} className="p-1 border rounded text-sm">
+                                <option value="">entering this stage</option>
+                                {draftStatuses(stage).map(st => <option key={st} value={st}>set to {st}</option>)}
+                              </select>
+                              <button type="button" onClick={() => updateDraftStage(index, { requiredFields: stage.requiredFields.filter((_, i) => i !== ruleIndex) })} className="px-2 py-0.5 border rounded text-xs text-red-600">Remove</button>
+                            </div>
+                          ))}
+                          <button type="button" onClick={() => updateDraftStage(index, { requiredFields: [...stage.requiredFields, { field: Object.keys(pipelineFields)[0] || 'note', status: null }] })} className="text-xs text-blue-600">+ Required field</button>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                  <div className="flex gap-2">
+                    <button type="button" onClick={() => setPipelineDraft(d => ({ ...d, stages: [...d.stages, { name: '', statusesText: 'Pending', defaultStatus: 'Pending', next: null, requiredFields: [] }] }))} className="px-3 py-2 border rounded text-sm">Add stage</button>
+                    <div className="flex-1" />
+                    {pipelineDraft.id && <button type="button" onClick={handleDeletePipeline} className="px-4 py-2 border rounded text-red-600">Delete</button>}
+                    <button type="button" onClick={() => setPipelineDraft(null)} className="px-4 py-2 border rounded">Cancel</button>
+                    <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded">Save</button>
+                  </div>
+                </form>
+              ) : (
+                <div className="flex-1 text-sm text-gray-500 pt-3">Pick a pipeline to edit it.</div>
+              )}
+            </div>
+          </>
+        )}
+
+        {activeTab === "workspace" && can('workspace.manage') && (
+          <>
+            <header className="mb-6">
+              <h1 className="text-2xl font-semibold">Workspace</h1>
+              <div className="text-sm text-gray-500 mt-1">Openings, forms, the question bank and candidates belong to a workspace. Each workspace has its own Google Sheet, Drive folder, pipelines and members.</div>
+            </header>
+
+            {workspaceForm && (
+              <form onSubmit={handleSaveWorkspace} className="bg-white rounded-lg shadow-sm p-4 mb-6 space-y-3">
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="text-xs text-gray-600">Name</label>
+                    <input required value={workspaceForm.name} onChange={(e) => setWorkspaceForm({ ...workspaceForm, name: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+                  </div>
+                  <div>
+                    <label className="text-xs text-gray-600">Drive folder for resumes</label>
+                    <input value={workspaceForm.googleDriveFolderId} placeholder="Folder id" onChange={(e) => setWorkspaceForm({ ...workspaceForm, googleDriveFolderId: e.target.value })} className="w-full mt-1 p-2 border rounded font-mono text-sm" />
+                  </div>
+                  <div>
+                    <label className="text-xs text-gray-600">Google Sheet for responses</label>
+                    <input value={workspaceForm.googleSheetId} placeholder="Spreadsheet id" onChange={(e) => setWorkspaceForm({ ...workspaceForm, googleSheetId: e.target.value })} className="w-full mt-1 p-2 border rounded font-mono text-sm" />
+                  </div>
+                  <div>
+                    <label className="text-xs text-gray-600">Sheet tab</label>
+                    <input value={workspaceForm.googleSheetTab} placeholder="Sheet1" onChange={(e) => setWorkspaceForm({ ...workspaceForm, googleSheetTab: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+                  </div>
+                </div>
+                <div>
+                  <label className="text-xs text-gray-600">Default pipeline for new openings</label>
+                  <select value={workspaceForm.defaultPipelineId} onChange={(e) => setWorkspaceForm({ ...workspaceForm, defaultPipelineId: e.target.value })} className="w-full mt-1 p-2 border rounded">
+                    {pipelines.items.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                  </select>
+                </div>
+                <div className="flex gap-2">
+                  <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded">Save</button>
+                  {can('system.manage') && <button type="button" onClick={handleDeleteWorkspace} disabled={(user.workspaces || []).length <= 1} className="px-4 py-2 border rounded text-red-600 disabled:opacity-40">Delete workspace</button>}
+                </div>
+              </form>
+            )}
+
+            <h2 className="text-lg font-semibold mb-3">Members</h2>
+            <form onSubmit={handleAddWorkspaceMember} className="bg-white rounded-lg shadow-sm p-4 mb-4 flex items-end gap-3">
+              <div className="flex-1">
+                <label className="text-xs text-gray-600">Email of an existing account</label>
+                <input type="email" required value={memberForm.email} onChange={(e) => setMemberForm({ ...memberForm, email: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">Role in this workspace</label>
+                <select value={memberForm.role} onChange={(e) => setMemberForm({ ...memberForm, role: e.target.value })} className="w-full mt-1 p-2 border rounded">
+                  {USER_ROLE_OPTIONS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </div>
+              <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded inline-flex items-center gap-2">{<Icon name="plus" />} Add</button>
+            </form>
+            <div className="bg-white rounded-lg shadow-sm mb-6">
+              {workspaceMembers.loading && workspaceMembers.items.length === 0 && <div className="p-6 text-sm text-gray-500">Loading…</div>}
+              {workspaceMembers.items.map(member => (
+                <div key={member.id} className={`p-4 border-b last:border-b-0 flex items-center gap-4 ${member.status === 'deactivated' ? 'opacity-60' : ''}`}>
+                  <div className="w-10 h-10 rounded-full bg-gray-200 flex items-center justify-center font-semibold text-sm">{member.initials}</div>
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium">{member.name || member.email}{member.id === user.id ? ' (you)' : ''}</div>
+                    <div className="text-xs text-gray-500">{member.email} · {member.status}</div>
+                  </div>
+                  {member.role === 'admin' ? (
+                    <span className="text-xs text-gray-500">Account admin</span>
+                  ) : (
+                    <>
+                      <select value={member.workspaceRole || ''} onChange={(e) => updateWorkspaceMember(member, e.target.value)} className="p-1 border rounded text-sm">
+                        {USER_ROLE_OPTIONS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                      </select>
+                      <button onClick={() => { if (confirm(`Remove ${member.email} from this workspace?`)) updateWorkspaceMember(member, null); }} className="px-2 py-1 border rounded text-sm text-red-600">Remove</button>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {can('system.manage') && (
+              <form onSubmit={handleCreateWorkspace} className="bg-white rounded-lg shadow-sm p-4 flex items-end gap-3">
+                <div className="flex-1">
+                  <label className="text-xs text-gray-600">New workspace</label>
+                  <input required value={newWorkspaceName} placeholder="e.g. Internships" onChange={(e) => setNewWorkspaceName(e.target.value)} className="w-full mt-1 p-2 border rounded" />
+                </div>
+                <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded inline-flex items-center gap-2">{<Icon name="plus" />} Create and switch</button>
+              </form>
+            )}
+          </>
+        )}
+
+        {activeTab === "team" && can('users.manage') && (
+          <>
+            <header className="mb-6">
+              <h1 className="text-2xl font-semibold">Team</h1>
+              <div className="text-sm text-gray-500 mt-1">Invited people sign in with Google using the email below, or with a password set through a password link.</div>
+            </header>
+
+            <form onSubmit={handleInviteUser} className="bg-white rounded-lg shadow-sm p-4 mb-6 flex items-end gap-3">
+              <div className="flex-1">
+                <label className="text-xs text-gray-600">Email</label>
+                <input type="email" required value={inviteForm.email} onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+              </div>
+              <div className="flex-1">
+                <label className="text-xs text-gray-600">Name</label>
+                <input value={inviteForm.name} onChange={(e) => setInviteForm({ ...inviteForm, name: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+              </div>
+              <div className="w-24">
+                <label className="text-xs text-gray-600">Initials</label>
+                <input value={inviteForm.initials} maxLength={3} onChange={(e) => setInviteForm({ ...inviteForm, initials: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">Role</label>
+                <select value={inviteForm.role} onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })} className="w-full mt-1 p-2 border rounded">
+                  {USER_ROLE_OPTIONS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </div>
+              <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded inline-flex items-center gap-2">{<Icon name="plus" />} Invite</button>
+            </form>
+
+            <div className="bg-white rounded-lg shadow-sm">
+              {teamUsers.loading && teamUsers.items.length === 0 && <div className="p-6 text-sm text-gray-500">Loading…</div>}
+              {teamUsers.items.map(member => (
+                <div key={member.id} className={`p-4 border-b last:border-b-0 flex items-center gap-4 ${member.status === 'deactivated' ? 'opacity-60' : ''} ${member.status === 'pending' ? 'bg-yellow-50' : ''}`}>
+                  <div className="w-10 h-10 rounded-full bg-gray-200 flex items-center justify-center font-semibold text-sm">{member.initials}</div>
+                  <div className="flex-1 min-w-0">
+                    {editingUser && editingUser.id === member.id ? (
+                      <div className="flex gap-2">
+                        <input value={editingUser.name || ''} onChange={(e) => setEditingUser({ ...editingUser, name: e.target.value })} className="p-1 border rounded text-sm" placeholder="Name" />
+                        <input value={editingUser.initials || ''} maxLength={3} onChange={(e) => setEditingUser({ ...editingUser, initials: e.target.value })} className="p-1 border rounded text-sm w-16" placeholder="Initials" />
+                        <button onClick={handleSaveUserEdit} className="px-2 py-1 bg-blue-600 text-white rounded text-sm">Save</button>
+                        <button onClick={() => setEditingUser(null)} className="px-2 py-1 border rounded text-sm">Cancel</button>
+                      </div>
+                    ) : (
+                      <div className="font-medium">{member.name || member.email}{member.id === user.id ? ' (you)' : ''}</div>
+                    )}
+                    <div className="text-xs text-gray-500">
+                      {member.email} · {member.status === 'invited' ? 'invited, has not signed in yet' : member.status === 'pending' ? `asked for access${member.lastRequestedAt ? ` ${new Date(member.lastRequestedAt).toLocaleString()}` : ''}` : member.status}
+                      {member.lastLoginAt ? ` · last sign-in ${new Date(member.lastLoginAt).toLocaleString()}` : ''}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {member.role === 'admin' ? 'Admin in every workspace' : Object.entries(member.workspaceRoles || {}).map(([wsId, role]) => `${((user.workspaces || []).find(w => w.id === wsId) || {}).name || wsId} (${(USER_ROLE_OPTIONS.find(([value]) => value === role) || [role, role])[1]})`).join(', ') || 'In no workspace'}
+                    </div>
+                  </div>
+                  <select value={member.role} disabled={member.status === 'deactivated'} title="Account role (workspace roles are set on the Workspace page)" onChange={(e) => updateTeamUser(member, { role: e.target.value })} className="p-1 border rounded text-sm">
+                    {USER_ROLE_OPTIONS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                  <button onClick={() => setEditingUser({ id: member.id, name: member.name, initials: member.initials })} className="px-2 py-1 border rounded text-sm">Edit</button>
+                  <button onClick={() => { setSessionsUserId(member.id === user.id ? null : member.id); setActiveTab('sessions'); }} className="px-2 py-1 border rounded text-sm">Sessions</button>
+                  <button onClick={() => handleSendPasswordLink(member)} disabled={member.status === 'deactivated' || member.status === 'pending'} title={member.hasPassword ? 'Reset password' : 'Let them set a password'} className="px-2 py-1 border rounded text-sm disabled:opacity-40">Password link</button>
+                  {member.status === 'pending' ? (
+                    <>
+                      <button onClick={() => updateTeamUser(member, { status: 'active' })} className="px-2 py-1 bg-green-600 text-white rounded text-sm">Approve</button>
+                      <button onClick={() => { if (confirm(`Reject the access request of ${member.email}?`)) updateTeamUser(member, { status: 'deactivated' }); }} className="px-2 py-1 border rounded text-sm text-red-600">Reject</button>
+                    </>
+                  ) : member.status === 'deactivated' ? (
+                    <button onClick={() => updateTeamUser(member, { status: member.lastLoginAt ? 'active' : 'invited' })} className="px-2 py-1 border rounded text-sm">Reactivate</button>
+                  ) : (
+                    <button onClick={() => { if (confirm(`Deactivate ${member.email}? They will be signed out and can't sign in again.`)) updateTeamUser(member, { status: 'deactivated' }); }} disabled={member.id === user.id} className="px-2 py-1 border rounded text-sm text-red-600 disabled:opacity-40">Deactivate</button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {activeTab === "sessions" && (
+          <>
+            <header className="mb-6 flex items-center justify-between">
+              <div>
+                <h1 className="text-2xl font-semibold">{sessionsUserId ? `Sessions of ${(teamUsers.items.find(u => u.id === sessionsUserId) || {}).email || sessionsUserId}` : 'My sessions'}</h1>
+                <div className="text-sm text-gray-500 mt-1">Every browser that is signed in. Revoking a session signs that browser out right away.</div>
+              </div>
+              <div className="flex gap-2">
+                {sessionsUserId && <button onClick={() => setSessionsUserId(null)} className="px-3 py-2 border rounded text-sm">My sessions</button>}
+                <button onClick={handleRevokeAllSessions} disabled={sessionsList.items.filter(s => !s.current).length === 0} className="px-3 py-2 border rounded text-sm text-red-600 disabled:opacity-40">{sessionsUserId ? 'Sign out everywhere' : 'Sign out other sessions'}</button>
+              </div>
+            </header>
+
+            {!sessionsUserId && (
+              <form onSubmit={handleChangePassword} className="bg-white rounded-lg shadow-sm p-4 mb-6 flex items-end gap-3">
+                {user.hasPassword && (
+                  <div className="flex-1">
+                    <label className="text-xs text-gray-600">Current password</label>
+                    <input type="password" required value={passwordForm.currentPassword} onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+                  </div>
+                )}
+                <div className="flex-1">
+                  <label className="text-xs text-gray-600">{user.hasPassword ? 'New password' : 'Set a password to sign in without Google'}</label>
+                  <input type="password" required minLength={10} placeholder="At least 10 characters" value={passwordForm.newPassword} onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+                </div>
+                <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded">{user.hasPassword ? 'Change password' : 'Set password'}</button>
+              </form>
+            )}
+
+            <div className="bg-white rounded-lg shadow-sm">
+              {sessionsList.loading && sessionsList.items.length === 0 && <div className="p-6 text-sm text-gray-500">Loading…</div>}
+              {!sessionsList.loading && sessionsList.items.length === 0 && <div className="p-6 text-sm text-gray-500">No active sessions.</div>}
+              {sessionsList.items.map(session => (
+                <div key={session.id} className="p-4 border-b last:border-b-0 flex items-center gap-4">
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium">{describeSessionClient(session)}{session.current ? <span className="ml-2 text-xs text-green-700 bg-green-100 rounded px-2 py-0.5">this browser</span> : null}</div>
+                    <div className="text-xs text-gray-500">
+                      signed in {new Date(session.createdAt).toLocaleString()} · last active {new Date(session.lastUsedAt).toLocaleString()}{session.ip ? ` · ${session.ip}` : ''}
+                    </div>
+                  </div>
+                  <button onClick={() => handleRevokeSession(session)} className="px-2 py-1 border rounded text-sm text-red-600">{session.current ? 'Sign out' : 'Revoke'}</button>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {activeTab === "apikeys" && can('system.manage') && (
+          <>
+            <header className="mb-6">
+              <h1 className="text-2xl font-semibold">API keys</h1>
+              <div className="text-sm text-gray-500 mt-1">For scripts and integrations: send the key as <code>Authorization: Bearer &lt;key&gt;</code>. Changes made with a key show up in the history under the key's name.</div>
+            </header>
+
+            {createdApiKey && (
+              <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+                <div className="text-sm font-medium">Key "{createdApiKey.name}" created. Copy it now; it won't be shown again.</div>
+                <div className="mt-2 flex gap-2">
+                  <input readOnly value={createdApiKey.key} onFocus={(e) => e.target.select()} className="flex-1 p-2 border rounded font-mono text-sm bg-white" />
+                  <button onClick={() => navigator.clipboard && navigator.clipboard.writeText(createdApiKey.key)} className="px-3 py-2 border rounded text-sm bg-white">Copy</button>
+                  <button onClick={() => setCreatedApiKey(null)} className="px-3 py-2 border rounded text-sm bg-white">Done</button>
+                </div>
+              </div>
+            )}
+
+            <form onSubmit={handleCreateApiKey} className="bg-white rounded-lg shadow-sm p-4 mb-6">
+              <div className="flex items-end gap-3">
+                <div className="flex-1">
+                  <label className="text-xs text-gray-600">Name</label>
+                  <input required value={apiKeyForm.name} placeholder="e.g. Weekly reporting script" onChange={(e) => setApiKeyForm({ ...apiKeyForm, name: e.target.value })} className="w-full mt-1 p-2 border rounded" />
+                </div>
+                <div>
+                  <label className="text-xs text-gray-600">Expires</label>
+                  <select value={apiKeyForm.expiresInDays} onChange={(e) => setApiKeyForm({ ...apiKeyForm, expiresInDays: e.target.value })} className="w-full mt-1 p-2 border rounded">
+                    <option value="30">in 30 days</option>
+                    <option value="90">in 90 days</option>
+                    <option value="365">in a year</option>
+                    <option value="">never</option>
+                  </select>
+                </div>
+                <button type="submit" disabled={apiKeyForm.scopes.length === 0} className="bg-blue-600 text-white px-4 py-2 rounded inline-flex items-center gap-2 disabled:opacity-50">{<Icon name="plus" />} Create key</button>
+              </div>
+              <div className="mt-3 flex gap-2 flex-wrap">
+                {(apiKeys.scopes.length ? apiKeys.scopes : Object.keys(API_KEY_SCOPE_LABELS)).map(scope => (
+                  <button type="button" key={scope} onClick={() => setApiKeyForm({ ...apiKeyForm, scopes: apiKeyForm.scopes.includes(scope) ? apiKeyForm.scopes.filter(x => x !== scope) : [...apiKeyForm.scopes, scope] })} className={`px-3 py-1 rounded text-sm ${apiKeyForm.scopes.includes(scope) ? 'bg-blue-600 text-white' : 'bg-gray-100'}`}>{API_KEY_SCOPE_LABELS[scope] || scope}</button>
+                ))}
+              </div>
+            </form>
+
+            <div className="bg-white rounded-lg shadow-sm">
+              {apiKeys.loading && apiKeys.items.length === 0 && <div className="p-6 text-sm text-gray-500">Loading…</div>}
+              {!apiKeys.loading && apiKeys.items.length === 0 && <div className="p-6 text-sm text-gray-500">No API keys yet.</div>}
+              {apiKeys.items.map(apiKey => (
+                <div key={apiKey.id} className={`p-4 border-b last:border-b-0 flex items-center gap-4 ${apiKeyState(apiKey) !== 'active' ? 'opacity-60' : ''}`}>
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium">{apiKey.name} <span className="font-mono text-xs text-gray-500">{apiKey.prefix}…</span> <span className="text-xs text-gray-500">({apiKeyState(apiKey)})</span></div>
+                    <div className="text-xs text-gray-500">
+                      {(apiKey.scopes || []).map(scope => API_KEY_SCOPE_LABELS[scope] || scope).join(', ')}
+                      {' · '}created {new Date(apiKey.createdAt).toLocaleDateString()}
+                      {' · '}{apiKey.expiresAt ? `expires ${new Date(apiKey.expiresAt).toLocaleDateString()}` : 'never expires'}
+                      {' · '}{apiKey.lastUsedAt ? `last used ${new Date(apiKey.lastUsedAt).toLocaleString()}` : 'never used'}
+                    </div>
+                  </div>
+                  {!apiKey.revokedAt && <button onClick={() => handleRevokeApiKey(apiKey)} className="px-2 py-1 border rounded text-sm text-red-600">Revoke</button>}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {activeTab === "backup" && can('system.manage') && (
+          <>
+            <header className="mb-6">
+              <h1 className="text-2xl font-semibold">Backup &amp; restore</h1>
+              <div className="text-sm text-gray-500 mt-1">One archive with openings, forms, questions, responses, users and history. It can be restored into any storage mode. It includes password and API key hashes, so store it as securely as the credentials themselves.</div>
+            </header>
+
+            <div className="grid grid-cols-2 gap-6">
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h2 className="font-semibold mb-3">Download backup</h2>
+                <label className="flex items-center gap-2 text-sm mb-4">
+                  <input type="checkbox" checked={backupIncludeUploads} onChange={(e) => setBackupIncludeUploads(e.target.checked)} />
+                  Include locally stored resumes
+                </label>
+                <button onClick={handleDownloadBackup} disabled={backupBusy} className="bg-blue-600 text-white px-4 py-2 rounded disabled:opacity-50">Download</button>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h2 className="font-semibold mb-3">Restore</h2>
+                <input type="file" accept=".gz,.json" onChange={(e) => { setRestoreFile(e.target.files[0] || null); setRestorePlan(null); }} className="text-sm" />
+                <div className="mt-3 flex items-center gap-4 text-sm">
+                  <label className="flex items-center gap-2"><input type="radio" checked={restoreMode === 'merge'} onChange={() => { setRestoreMode('merge'); setRestorePlan(null); }} /> Merge (add and overwrite)</label>
+                  <label className="flex items-center gap-2"><input type="radio" checked={restoreMode === 'replace'} onChange={() => { setRestoreMode('replace'); setRestorePlan(null); }} /> Replace (also delete extra records)</label>
+                </div>
+                <div className="mt-4 flex gap-2">
+                  <button onClick={() => runRestore(true)} disabled={!restoreFile || backupBusy} className="px-4 py-2 rounded border disabled:opacity-50">Preview changes</button>
+                  <button onClick={() => runRestore(false)} disabled={!restorePlan || !restorePlan.dryRun || backupBusy} className="px-4 py-2 rounded bg-red-600 text-white disabled:opacity-50">Restore</button>
+                </div>
+              </div>
+            </div>
+
+            {restorePlan && (
+              <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
+                <div className="font-semibold">{restorePlan.dryRun ? 'Preview' : 'Restored'} — backup from {new Date(restorePlan.backup.createdAt).toLocaleString()} ({restorePlan.backup.source?.kind || 'unknown'} store)</div>
+                <table className="w-full text-sm mt-3">
+                  <thead>
+                    <tr className="text-left text-gray-500"><th className="py-1">Collection</th><th>New</th><th>Changed</th><th>Unchanged</th><th>Deleted</th></tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(restorePlan.collections).map(([name, c]) => (
+                      <tr key={name} className="border-t">
+                        <td className="py-1">{name}</td>
+                        <td>{c.insert}</td>
+                        <td>{c.update}</td>
+                        <td>{c.unchanged}</td>
+                        <td className={c.remove ? 'text-red-600' : ''}>{c.remove}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {Object.values(restorePlan.collections).some(c => c.kept) && <div className="text-sm text-gray-600 mt-3">Your own account is not in the backup; it is kept instead of deleted.</div>}
+                {restorePlan.uploads && <div className="text-sm text-gray-600 mt-3">Resumes: {restorePlan.uploads.add} new, {restorePlan.uploads.overwrite} overwritten</div>}
+              </div>
+            )}
+          </>
+        )}
       </main>
 
       {/* Modals (create/edit/form editor/public view + custom question modal) */}
@@ -1604,6 +3416,10 @@ export default function App() {
                 </div>
               </div>
 
+              {renderTeamMemberPicker(newOpening.teamMemberIds, ids => setNewOpening(s => ({ ...s, teamMemberIds: ids })))}
+
+              {renderPipelinePicker(newOpening.pipelineId, pipelineId => setNewOpening(s => ({ ...s, pipelineId })), { allowDefault: true })}
+
               <div className="flex items-center gap-3">
                 <label className="inline-flex items-center gap-2 text-sm">
                   <input type="checkbox" checked={!newOpening.is_deleted} onChange={(e) => setNewOpening(s => ({ ...s, is_deleted: !e.target.checked }))} />
@@ -1661,6 +3477,10 @@ export default function App() {
                 </div>
               </div>
 
+              {renderTeamMemberPicker(editingOpening.teamMemberIds, ids => setEditingOpening(s => ({ ...s, teamMemberIds: ids })))}
+
+              {renderPipelinePicker(editingOpening.pipelineId, pipelineId => setEditingOpening(s => ({ ...s, pipelineId })))}
+
               <div className="flex items-center gap-3">
                 <label className="inline-flex items-center gap-2 text-sm">
                   <input type="checkbox" checked={!editingOpening.is_deleted} onChange={(e) => {
@@ -1988,6 +3808,8 @@ export default function App() {
                   <div className="font-medium">{openings.find(o => o.id === selectedResponse.openingId)?.title || selectedResponse.openingId || '—'}</div>
                 </div>
 
+                <div className="mb-4">{renderStageStatusPicker(selectedResponse, { layout: 'row' })}</div>
+
                 <div className="mt-4">
                   <div className="text-xs text-gray-500">All captured answers</div>
                   <div className="mt-2 border rounded p-3 bg-gray-50 max-h-[40vh] overflow-auto">
@@ -2011,6 +3833,47 @@ export default function App() {
                   <div className="mt-1">Source: <span className="font-medium">{selectedResponse.source || 'unknown'}</span></div>
                   <div className="mt-1">Applied at: <span className="font-medium">{selectedResponse.createdAt ? new Date(selectedResponse.createdAt).toLocaleString() : '—'}</span></div>
                 </div>
+
+                <div className="mt-4">
+                  <div className="text-xs text-gray-500">Pipeline history</div>
+                  <div className="mt-2 border rounded p-3 bg-white max-h-[30vh] overflow-auto">
+                    {candidateHistory.loading && <div className="text-xs text-gray-400">Loading…</div>}
+                    {!candidateHistory.loading && candidateHistory.items.length === 0 && <div className="text-xs text-gray-400">No stage changes recorded yet.</div>}
+                    <ol className="space-y-2">
+                      {candidateHistory.items.map((entry, index) => (
+                        <li key={entry.id} className="text-sm">
+                          <div className="text-xs text-gray-400">
+                            {new Date(entry.at).toLocaleString()} · {(entry.actor && (entry.actor.name || entry.actor.email)) || 'Someone'}
+                            {' · '}{index === candidateHistory.items.length - 1 ? `${formatDuration(entry.durationMs)} so far` : `for ${formatDuration(entry.durationMs)}`}
+                          </div>
+                          <div><span className="font-medium">{entry.stage || '—'}</span> · {entry.status || '—'}</div>
+                          {entry.fields && Object.entries(entry.fields).map(([key, value]) => (
+                            <div key={key} className="text-xs text-gray-600">{(pipelineFields[key] && pipelineFields[key].label) || key}: {String(value)}</div>
+                          ))}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                </div>
+
+                {can('audit.read') && <div className="mt-4">
+                  <div className="text-xs text-gray-500">Activity</div>
+                  <div className="mt-2 border rounded p-3 bg-white max-h-[30vh] overflow-auto">
+                    {candidateTimeline.loading && <div className="text-xs text-gray-400">Loading…</div>}
+                    {!candidateTimeline.loading && candidateTimeline.items.length === 0 && <div className="text-xs text-gray-400">No recorded activity yet.</div>}
+                    <ol className="space-y-2">
+                      {candidateTimeline.items.map(entry => (
+                        <li key={entry.id} className="text-sm">
+                          <div className="text-xs text-gray-400">{new Date(entry.at).toLocaleString()}</div>
+                          <div>
+                            <span className="font-medium">{(entry.actor && (entry.actor.name || entry.actor.email)) || 'Someone'}</span>{entry.actor && entry.actor.kind === 'api_key' ? <span className="text-xs text-gray-500"> (API key)</span> : null}{' '}
+                            {describeAuditEntry(entry)}
+                          </div>
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                </div>}
               </div>
 
               {/* Right column: profile score + quick actions */}
@@ -2058,6 +3921,71 @@ export default function App() {
         </div>
       )}
 
+      {/* Version conflict modal (someone else saved first) */}
+      {versionConflict && (
+        <div style={{ zIndex: 2100 }} className="fixed inset-0 bg-black/40 flex items-center justify-center">
+          <div className="bg-white rounded-lg p-6 w-[640px] max-h-[86vh] overflow-auto shadow-xl">
+            <h3 className="text-lg font-semibold mb-1">Someone else changed this</h3>
+            <div className="text-sm text-gray-500 mb-4">{versionConflict.title} was saved by someone else after you started editing.</div>
+            {versionConflict.rows.length ? (
+              <table className="w-full text-sm mb-4">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500">
+                    <th className="py-1 pr-2">Field</th>
+                    <th className="py-1 pr-2">Your version</th>
+                    <th className="py-1">Their version</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {versionConflict.rows.map(row => (
+                    <tr key={row.label} className="border-t align-top">
+                      <td className="py-2 pr-2 text-gray-500">{row.label}</td>
+                      <td className="py-2 pr-2 break-words">{row.mine || '—'}</td>
+                      <td className="py-2 break-words">{row.theirs || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div className="text-sm text-gray-500 mb-4">The visible fields are the same; other details may differ.</div>
+            )}
+            <div className="flex justify-end gap-2">
+              <button onClick={() => resolveVersionConflict('theirs')} className="px-4 py-2 border rounded bg-white hover:shadow">Discard mine, use theirs</button>
+              <button onClick={() => resolveVersionConflict('mine')} className="px-4 py-2 bg-blue-600 text-white rounded">Overwrite with mine</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {transitionPrompt && (
+        <div style={{ zIndex: 2100 }} className="fixed inset-0 bg-black/40 flex items-center justify-center">
+          <form onSubmit={(e) => { e.preventDefault(); resolveTransitionPrompt(transitionPrompt.values); }} className="bg-white rounded-lg p-6 w-[480px] max-h-[86vh] overflow-auto shadow-xl">
+            <h3 className="text-lg font-semibold mb-1">A few more details</h3>
+            <div className="text-sm text-gray-500 mb-4">{transitionPrompt.title}</div>
+            <div className="space-y-3 mb-4">
+              {transitionPrompt.fields.map(field => {
+                const value = transitionPrompt.values[field.key] || '';
+                const onChange = (e) => setTransitionPrompt(p => ({ ...p, values: { ...p.values, [field.key]: e.target.value } }));
+                return (
+                  <div key={field.key}>
+                    <label className="text-xs text-gray-600">{field.label}</label>
+                    {field.type === 'text' ? (
+                      <textarea required rows={3} value={value} onChange={onChange} className="w-full mt-1 p-2 border rounded" />
+                    ) : (
+                      <input required type={field.type === 'number' ? 'number' : field.type === 'datetime' ? 'datetime-local' : 'date'} min={field.type === 'number' ? 0 : undefined} value={value} onChange={onChange} className="w-full mt-1 p-2 border rounded" />
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => resolveTransitionPrompt(null)} className="px-4 py-2 border rounded bg-white hover:shadow">Cancel</button>
+              <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded">Save</button>
+            </div>
+          </form>
+        </div>
+      )}
+
       {/* Public apply modal */}
       {publicView && (
         <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">